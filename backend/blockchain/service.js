@@ -143,6 +143,43 @@ class BlockchainService {
     console.log('✅ Event listeners started');
   }
 
+  /**
+   * Call `handler` for every rebuy or top-up paid into a room on-chain, with
+   * the amount in tokens (one token is one chip)
+   */
+  onPlayerRebought(handler) {
+    if (!this.gameContract) {
+      console.warn('Game contract not initialized, skipping rebuy listener');
+      return false;
+    }
+
+    this.gameContract.on('PlayerRebought', (roomId, player, amount, balance, event) => {
+      console.log(`📢 PlayerRebought event: ${player} added ${amount} to ${roomId}`);
+      handler(this.toRebuy(roomId, player, amount, event.log.transactionHash));
+    });
+    return true;
+  }
+
+  toRebuy(roomId, player, amount, txHash) {
+    return { roomId, player, chips: Number(ethers.formatEther(amount)), txHash };
+  }
+
+  /**
+   * Call `handler` whenever a room's creator invites more wallets on-chain
+   */
+  onPlayersInvited(handler) {
+    if (!this.gameContract) {
+      console.warn('Game contract not initialized, skipping invite listener');
+      return false;
+    }
+
+    this.gameContract.on('PlayersInvited', (roomId, players, event) => {
+      console.log(`📢 PlayersInvited event: ${players.length} wallet(s) invited to ${roomId}`);
+      handler({ roomId, players: [...players] });
+    });
+    return true;
+  }
+
   stopEventListeners() {
     if (this.gameContract) {
       this.gameContract.removeAllListeners();
@@ -170,11 +207,57 @@ class BlockchainService {
     }
   }
 
+  async getActiveRooms() {
+    if (!this.gameContract) throw new Error('Game contract not initialized');
+    return await this.gameContract.getActiveRooms();
+  }
+
   async getPlayerBalance(roomId, playerAddress) {
     if (!this.gameContract) throw new Error('Game contract not initialized');
     return await this.gameContract.getPlayerBalance(roomId, playerAddress);
   }
 
+  async hasPlayerJoined(roomId, playerAddress) {
+    if (!this.gameContract) throw new Error('Game contract not initialized');
+    return await this.gameContract.hasPlayerJoined(roomId, playerAddress);
+  }
+
+  /**
+   * A room's allowlist as the contract holds it: the creator and every
+   * wallet in its PlayersInvited events. null if the room isn't invite-only.
+   * @param {string} [createdTxHash] - The room's creation, to search for
+   *   invites from its block rather than the whole chain
+   */
+  async getRoomInvites(roomId, createdTxHash) {
+    if (!this.gameContract) throw new Error('Game contract not initialized');
+    if (!(await this.gameContract.inviteOnly(roomId))) return null;
+
+    const receipt = createdTxHash ? await this.provider.getTransactionReceipt(createdTxHash) : null;
+    const events = await this.gameContract.queryFilter(
+      this.gameContract.filters.PlayersInvited(roomId),
+      receipt?.blockNumber ?? 0
+    );
+    const { creator } = await this.gameContract.getRoomDetails(roomId);
+    return [creator, ...events.flatMap(event => [...event.args.players])];
+  }
+
+  /**
+   * Every rebuy paid into a room, in the same shape onPlayerRebought hands
+   * out, so a restarted server can credit the ones it missed.
+   * @param {string} [createdTxHash] - The room's creation, to search for
+   *   rebuys from its block rather than the whole chain
+   */
+  async getRoomRebuys(roomId, createdTxHash) {
+    if (!this.gameContract) throw new Error('Game contract not initialized');
+
+    const receipt = createdTxHash ? await this.provider.getTransactionReceipt(createdTxHash) : null;
+    const events = await this.gameContract.queryFilter(
+      this.gameContract.filters.PlayerRebought(roomId),
+      receipt?.blockNumber ?? 0
+    );
+    return events.map(event => this.toRebuy(roomId, event.args.player, event.args.amount, event.transactionHash));
+  }
+
   // Utility functions
   formatTokenAmount(amount) {
     return ethers.formatEther(amount);
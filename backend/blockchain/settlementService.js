@@ -158,6 +158,83 @@ class SettlementService {
         }
     }
 
+    /**
+     * Pay out one player leaving a running cash game. The contract gives them
+     * their chips' share of the pot and leaves the rest for the others.
+     * @param {string} roomId - The blockchain room ID
+     * @param {string} player - The leaving player's address
+     * @param {number} chips - Their chips
+     * @param {number} tableChips - Every chip still at the table, theirs included
+     * @returns {Promise<{success: boolean, txHash?: string, payout?: Object, error?: string}>}
+     */
+    async cashOutPlayer(roomId, player, chips, tableChips) {
+        if (!this.initialized) {
+            return { success: false, error: 'Settlement service not initialized' };
+        }
+
+        const isChipCount = (value) => Number.isInteger(value) && value >= 0;
+        if (!roomId || !player || !isChipCount(chips) || !isChipCount(tableChips) ||
+            tableChips === 0 || chips > tableChips) {
+            return { success: false, error: 'Invalid cash-out parameters' };
+        }
+
+        try {
+            console.log('💸 Cashing out player:', { roomId, player, chips, tableChips });
+
+            const tx = await this.gameContract.cashOut(roomId, player, chips, tableChips);
+            console.log(`📤 Cash-out transaction sent: ${tx.hash}`);
+
+            const receipt = await tx.wait();
+            console.log(`✅ Cash-out confirmed in block ${receipt.blockNumber}`);
+
+            return {
+                success: true,
+                txHash: tx.hash,
+                blockNumber: receipt.blockNumber,
+                payout: this.parseCashOutEvent(receipt)
+            };
+
+        } catch (error) {
+            console.error('❌ Cash-out failed:', error);
+
+            let errorMessage = error.message;
+            if (error.message.includes('Game not active')) {
+                errorMessage = 'Game is not active or already settled';
+            } else if (error.message.includes('Last player')) {
+                errorMessage = 'Last player at the table - settle the game instead';
+            } else if (error.message.includes('insufficient funds')) {
+                errorMessage = 'Insufficient funds for gas fees';
+            }
+
+            return { success: false, error: errorMessage };
+        }
+    }
+
+    parseCashOutEvent(receipt) {
+        try {
+            const cashedOutEvent = receipt.logs
+                .map(log => {
+                    try {
+                        return this.gameContract.interface.parseLog(log);
+                    } catch (e) {
+                        return null;
+                    }
+                })
+                .find(event => event && event.name === 'PlayerCashedOut');
+
+            if (cashedOutEvent) {
+                return {
+                    player: cashedOutEvent.args.player,
+                    payout: cashedOutEvent.args.payout.toString(),
+                    rake: cashedOutEvent.args.rake.toString()
+                };
+            }
+        } catch (error) {
+            console.warn('Could not parse cash-out event:', error.message);
+        }
+        return null;
+    }
+
     parseSettlementEvent(receipt) {
         try {
             const cashGameSettledEvent = receipt.logs
@@ -0,0 +1,374 @@
+// Cash sessions
+//
+// A blockchain room plays hand after hand on one on-chain buy-in. The
+// session numbers the hands and keeps a running ledger of what every wallet
+// won or lost in each of them. Nothing moves on-chain while the table plays:
+// when it breaks up, the ledger is what settleCashGame pays out.
+//
+// Players can add to their stack between hands by paying more tokens into
+// the room on-chain (a rebuy or top-up), within the room's rebuy limits.
+
+// 0 turns a limit off. A null maxStack is the room's buy-in.
+const DEFAULT_REBUY_RULES = { maxRebuys: 3, maxStack: null };
+
+const sumChips = rebuys => rebuys.reduce((sum, rebuy) => sum + rebuy.chips, 0);
+
+export class CashSession {
+  constructor() {
+    this.handNumber = 0;
+    this.entries = []; // one per wallet that sat down: { playerId, walletAddress, name, buyIn, net, rebuys, cashedOut? }
+    this.hands = []; // finished hands: { handNumber, handId, dealerId, reason, pot, results: [{ playerId, net }] }
+    this.currentHand = null; // { handNumber, dealerId, playerIds } while a hand is running
+    this.settlement = null; // { txHash, payouts } once the ledger has been paid out
+    this.rebuyRules = { maxRebuys: DEFAULT_REBUY_RULES.maxRebuys, maxStack: 0 }; // until configureRebuys knows the buy-in
+  }
+
+  static fromJSON(data) {
+    const session = Object.assign(new CashSession(), data);
+    session.entries.forEach(entry => {
+      entry.rebuys = entry.rebuys || [];
+    });
+    return session;
+  }
+
+  /**
+   * Room option chosen at creation: how many times each player may rebuy
+   * and the most chips a rebuy may take their stack to.
+   * @param {Object} options - { maxRebuys, maxStack }
+   * @param {number} buyIn - The room's buy-in in chips, the default max stack
+   * @returns {{success: boolean, error?: string}}
+   */
+  configureRebuys(options = {}, buyIn) {
+    const { maxRebuys } = { ...DEFAULT_REBUY_RULES, ...options };
+    const maxStack = options.maxStack ?? buyIn;
+
+    if (!Number.isInteger(maxRebuys) || maxRebuys < 0) {
+      return { success: false, error: 'Rebuy limit must be 0 (off) or a whole number of rebuys' };
+    }
+    if (!Number.isInteger(maxStack) || (maxStack !== 0 && maxStack < buyIn)) {
+      return { success: false, error: 'Max stack must be 0 (off) or at least the buy-in' };
+    }
+
+    this.rebuyRules = { maxRebuys, maxStack };
+    return { success: true };
+  }
+
+  getEntry(playerId) {
+    return this.entries.find(entry => entry.playerId === playerId);
+  }
+
+  /**
+   * A wallet sat down with `player.chips`. A wallet coming back after leaving
+   * paid on-chain only once, so it gets back the stack the ledger holds for
+   * it; more chips take a rebuy.
+   */
+  addPlayer(player) {
+    const entry = this.getEntry(player.id);
+    if (entry) {
+      player.chips = entry.buyIn + entry.net;
+      return;
+    }
+    this.entries.push({
+      playerId: player.id,
+      walletAddress: player.walletAddress || player.id,
+      name: player.name,
+      buyIn: player.chips,
+      net: 0,
+      rebuys: [] // { chips, txHash, pending?, refunded? } - pending until the hand they were paid in ends
+    });
+  }
+
+  /**
+   * Whether a wallet may take a seat. One that has been paid out, or is
+   * being paid, has no chips left in the pot to play with.
+   * @returns {{success: boolean, error?: string}}
+   */
+  checkSeat(playerId) {
+    const entry = this.getEntry(playerId);
+    if (entry?.cashedOut) {
+      return { success: false, error: 'You have cashed out of this session' };
+    }
+    if (entry?.cashingOut) {
+      return { success: false, error: 'Your cash-out is still in progress' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Number the hand the game has just started. Players sitting it out are
+   * not part of it and show no result for it.
+   * @returns {number} The new hand number
+   */
+  startHand(game) {
+    this.handNumber++;
+    this.currentHand = {
+      handNumber: this.handNumber,
+      dealerId: game.players[game.dealerIndex]?.id || null,
+      playerIds: [...game.shuffleSession.order]
+    };
+    return this.handNumber;
+  }
+
+  /**
+   * Book the hand that just ended: each player's net is what they won from
+   * the pots less what they put in. Call before the next hand starts, while
+   * the game still has this hand's contributions.
+   * @param {Object} result - What Game.endGame (or abortHand) returned
+   * @returns {Object | null} The booked hand
+   */
+  endHand(game, result, reason) {
+    if (!this.currentHand) return null;
+
+    const { playerIds, ...hand } = this.currentHand;
+    const results = playerIds.map(playerId => {
+      const won = (result.pots || [])
+        .filter(pot => pot.winnerId === playerId)
+        .reduce((sum, pot) => sum + pot.amount, 0);
+      const net = won - (game.contributions.get(playerId) || 0);
+
+      const entry = this.getEntry(playerId);
+      if (entry) entry.net += net;
+      return { playerId, net };
+    });
+
+    const booked = { ...hand, handId: game.handId, reason, pot: result.pot, results };
+    this.hands.push(booked);
+    this.currentHand = null;
+    return booked;
+  }
+
+  /**
+   * Whether a player may rebuy `chips` now. Checked before they pay on-chain:
+   * once the tokens are in the pot, the rebuy is credited whatever happens.
+   * The stack it counts is the one they started the current hand with.
+   * @returns {{success: boolean, error?: string}}
+   */
+  checkRebuy(playerId, chips) {
+    const entry = this.getEntry(playerId);
+    if (this.settlement) {
+      return { success: false, error: 'Session already settled' };
+    }
+    if (!entry || entry.cashedOut || entry.cashingOut) {
+      return { success: false, error: 'Player not in this session' };
+    }
+    if (!Number.isInteger(chips) || chips < 1) {
+      return { success: false, error: 'Rebuy must be a whole number of chips' };
+    }
+
+    const error = this.checkRebuyLimits(entry, chips);
+    return error ? { success: false, error } : { success: true };
+  }
+
+  /**
+   * The room's rebuy limits, counted over the rebuys that went onto the stack
+   * @returns {string | null} Why `chips` more would break them
+   */
+  checkRebuyLimits(entry, chips) {
+    const { maxRebuys, maxStack } = this.rebuyRules;
+    const rebuys = entry.rebuys.filter(rebuy => !rebuy.refunded);
+    if (maxRebuys > 0 && rebuys.length >= maxRebuys) {
+      return `Rebuy limit of ${maxRebuys} reached`;
+    }
+    const pending = sumChips(rebuys.filter(rebuy => rebuy.pending));
+    if (maxStack > 0 && entry.buyIn + entry.net + pending + chips > maxStack) {
+      return `A rebuy can't take your stack past ${maxStack} chips`;
+    }
+    return null;
+  }
+
+  /**
+   * Tokens were paid into the room on-chain: put the same chips on the
+   * player's stack and buy-in. A player in the hand being played gets them
+   * when it ends (see applyPendingRebuys). Each transaction counts once.
+   *
+   * The contract takes any rebuy of whole tokens, so the limits are checked
+   * again here. A rebuy that breaks them, or that arrives while the wallet is
+   * being paid out, stays off the stack and is paid back with the wallet's
+   * chips. An amount that is not whole chips is refused without using a
+   * rebuy.
+   * @returns {{success: boolean, pending?: boolean, refunded?: boolean, error?: string}}
+   */
+  creditRebuy(game, playerId, { chips, txHash }) {
+    const entry = this.getEntry(playerId);
+    if (!entry || entry.cashedOut) {
+      return { success: false, error: 'Player not in this session' };
+    }
+    if (entry.rebuys.some(rebuy => rebuy.txHash === txHash)) {
+      return { success: false, error: 'Rebuy already credited' };
+    }
+    if (!Number.isInteger(chips) || chips < 1) {
+      return { success: false, error: 'Rebuy must be a whole number of chips' };
+    }
+
+    const error = entry.cashingOut ? 'Cash-out in progress' : this.checkRebuyLimits(entry, chips);
+    if (error) {
+      entry.rebuys.push({ chips, txHash, refunded: true });
+      return { success: true, refunded: true, error };
+    }
+
+    const rebuy = { chips, txHash };
+    entry.rebuys.push(rebuy);
+    if (this.currentHand?.playerIds.includes(playerId)) {
+      rebuy.pending = true;
+      return { success: true, pending: true };
+    }
+
+    entry.buyIn += chips;
+    const player = game.getPlayer(playerId);
+    if (player) player.chips += chips;
+    return { success: true, pending: false };
+  }
+
+  /**
+   * Credit the rebuys paid during the hand that just ended. Call right after
+   * endHand.
+   * @returns {Array<{playerId: string, chips: number}>} What was credited
+   */
+  applyPendingRebuys(game) {
+    const credited = [];
+    this.entries.forEach(entry => {
+      entry.rebuys.filter(rebuy => rebuy.pending).forEach(rebuy => {
+        delete rebuy.pending;
+        entry.buyIn += rebuy.chips;
+        const player = game.getPlayer(entry.playerId);
+        if (player) player.chips += rebuy.chips;
+        credited.push({ playerId: entry.playerId, chips: rebuy.chips });
+      });
+    });
+    return credited;
+  }
+
+  /**
+   * Where every wallet stands: buy-in plus everything won or lost since.
+   * Players who left keep what they had when they went. `pending` and
+   * `refunds` are rebuy chips in the pot that are not on the stack yet, or
+   * never will be.
+   */
+  getStandings() {
+    return this.entries.map(entry => ({
+      ...entry,
+      chips: entry.buyIn + entry.net,
+      pending: sumChips(entry.rebuys.filter(rebuy => rebuy.pending)),
+      refunds: sumChips(entry.rebuys.filter(rebuy => rebuy.refunded))
+    }));
+  }
+
+  /**
+   * Wallets whose chips are still in the on-chain pot: everyone who hasn't
+   * cashed out, including players who left without doing so
+   */
+  getOpenStandings() {
+    return this.getStandings().filter(standing => !standing.cashedOut);
+  }
+
+  /**
+   * What a player leaving mid-session is owed: their chips and refunded
+   * rebuys, and every chip still in the pot to weigh them against - pending
+   * rebuys included. Only outside the hand being played, and only once the
+   * ledger agrees with their stack.
+   * @returns {{success: boolean, walletAddress?: string, chips?: number, tableChips?: number, error?: string}}
+   */
+  getCashOut(game, playerId) {
+    const player = game.getPlayer(playerId);
+    const entry = this.getEntry(playerId);
+    if (this.settlement) {
+      return { success: false, error: 'Session already settled' };
+    }
+    if (!player || !entry || entry.cashedOut) {
+      return { success: false, error: 'Player not in this session' };
+    }
+    if (entry.cashingOut) {
+      return { success: false, error: 'Cash-out already in progress' };
+    }
+    if (this.currentHand?.playerIds.includes(playerId)) {
+      return { success: false, error: 'Finish the hand before cashing out' };
+    }
+
+    const open = this.getOpenStandings();
+    if (open.length < 2) {
+      return { success: false, error: 'Last player at the table - settle the session instead' };
+    }
+    const own = open.find(standing => standing.playerId === playerId);
+    if (own.chips !== player.chips) {
+      return { success: false, error: `Ledger does not match the table for ${player.name}` };
+    }
+
+    return {
+      success: true,
+      walletAddress: entry.walletAddress,
+      chips: own.chips + own.refunds,
+      tableChips: open.reduce((sum, standing) => sum + standing.chips + standing.pending + standing.refunds, 0)
+    };
+  }
+
+  /**
+   * Hold the entry while its payout is on its way, so it can't be paid twice
+   */
+  startCashOut(playerId) {
+    this.getEntry(playerId).cashingOut = true;
+  }
+
+  cancelCashOut(playerId) {
+    delete this.getEntry(playerId).cashingOut;
+  }
+
+  /**
+   * The player was paid on-chain: they are off the ledger the rest of the
+   * table settles
+   */
+  completeCashOut(playerId, cashOut) {
+    const entry = this.getEntry(playerId);
+    delete entry.cashingOut;
+    entry.cashedOut = cashOut;
+  }
+
+  /**
+   * Final chips to settle on-chain, one per wallet still in the pot, refunded
+   * rebuys included. Refused
+   * while a hand is being played, or if the ledger and the chips at the
+   * table disagree.
+   * @returns {{success: boolean, playerChips?: Array<{id: string, chips: number}>, error?: string}}
+   */
+  getFinalChips(game) {
+    if (this.settlement) {
+      return { success: false, error: 'Session already settled' };
+    }
+    if (this.currentHand || game.gameStarted) {
+      return { success: false, error: 'Finish the hand before settling the session' };
+    }
+    if (this.entries.some(entry => entry.cashingOut)) {
+      return { success: false, error: 'Wait for the cash-out in progress to finish' };
+    }
+
+    const standings = this.getOpenStandings();
+    const mismatch = game.players.find(player => {
+      const standing = standings.find(s => s.playerId === player.id);
+      return !standing || standing.chips !== player.chips;
+    });
+    if (mismatch) {
+      return { success: false, error: `Ledger does not match the table for ${mismatch.name}` };
+    }
+
+    return {
+      success: true,
+      playerChips: standings.map(s => ({ id: s.walletAddress, chips: s.chips + s.refunds }))
+    };
+  }
+
+  settle(settlement) {
+    this.settlement = settlement;
+  }
+
+  /**
+   * What players see: the running totals and every hand's breakdown
+   */
+  getSummary() {
+    return {
+      handNumber: this.handNumber,
+      standings: this.getStandings(),
+      hands: this.hands,
+      rebuyRules: this.rebuyRules,
+      settlement: this.settlement
+    };
+  }
+}
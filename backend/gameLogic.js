@@ -1,55 +1,76 @@
 // Teen Patti Game Logic
 
-// Card ranks and suits
-const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
-
-// Hand rankings (higher is better)
-const HAND_RANKINGS = {
-  HIGH_CARD: 0,
-  PAIR: 1,
-  COLOR: 2,
-  SEQUENCE: 3,
-  PURE_SEQUENCE: 4,
-  TRIO: 5
+import { evaluateHand } from 'teen-patti-hand-evaluator';
+import { ShuffleSession, BN254_MODULUS } from './mentalPoker.js';
+import { CashSession } from './cashSession.js';
+import {
+  RANKS,
+  SUITS,
+  DEFAULT_VARIANT,
+  getVariant,
+  drawWildRanks,
+  evaluateVariantHand,
+  compareHandScores
+} from './variants.js';
+
+// Turn timer room options (seconds). turnSeconds = 0 turns the clock off;
+// the time bank is per player and carries over between hands.
+const DEFAULT_TURN_TIMER = { turnSeconds: 30, timeBankSeconds: 60, timeoutAction: 'pack' };
+const MIN_TURN_SECONDS = 10;
+const MAX_TURN_SECONDS = 120;
+const MAX_TIME_BANK_SECONDS = 300;
+const TIMEOUT_ACTIONS = ['pack', 'chaal'];
+
+// Table limit room options. maxChaal caps the seen stake, maxBlindRounds is
+// how many blind chaals a player gets before they must see, and reaching
+// potLimit forces a show. 0 turns a limit off; potLimit defaults to
+// POT_LIMIT_BOOTS times the boot.
+const DEFAULT_TABLE_RULES = { boot: 10, maxChaal: 0, maxBlindRounds: 0 };
+const POT_LIMIT_BOOTS = 1024;
+const MIN_POT_LIMIT_BOOTS = 8;
+const MAX_BLIND_ROUNDS = 10;
+
+// Where the deck commitment and ids sit in each circuit's public inputs
+// (see circuits/deal and circuits/show)
+const PROOF_PUBLIC_INPUTS = {
+  deal: { length: 2, playerId: 0, merkleRoot: 1 },
+  show: { length: 11, gameId: 0, playerId: 1, merkleRoot: 2 }
 };
 
-export class Card {
-  constructor(rank, suit) {
-    this.rank = rank;
-    this.suit = suit;
-  }
+// Same id → field mapping the client uses when building circuit inputs.
+// Room IDs are full 32-byte hashes, so they are reduced into the field.
+function idToField(id, fallback) {
+  return typeof id === 'string' && id.startsWith('0x') ? BigInt(id) % BN254_MODULUS : fallback;
+}
 
-  getValue() {
-    return RANKS.indexOf(this.rank);
+function parsePublicInput(raw) {
+  try {
+    return BigInt(raw);
+  } catch {
+    return null;
   }
 }
 
-export class Deck {
-  constructor() {
-    this.cards = [];
-    this.reset();
-  }
+// Compare circuit public inputs (see circuits/compare)
+const COMPARE_PUBLIC_INPUTS = {
+  length: 7, gameId: 0, merkleRoot: 1, playerA: 2, playerB: 3,
+  commitmentA: 4, commitmentB: 5, aWins: 6
+};
 
-  reset() {
-    this.cards = [];
-    for (const suit of SUITS) {
-      for (const rank of RANKS) {
-        this.cards.push(new Card(rank, suit));
-      }
-    }
-    this.shuffle();
-  }
+// Show circuit public inputs: card_rank_0..2, card_suit_0..2, hand_rank, hand_value
+const SHOW_RANKS = 3;
+const SHOW_SUITS = 6;
+const SHOW_HAND_RANK = 9;
+const SHOW_HAND_VALUE = 10;
 
-  shuffle() {
-    for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
-    }
+export class Card {
+  constructor(rank, suit) {
+    this.rank = rank;
+    this.suit = suit;
   }
 
-  deal() {
-    return this.cards.pop();
+  getValue() {
+    return RANKS.indexOf(this.rank);
   }
 }
 
@@ -66,6 +87,10 @@ export class Player {
     this.isFolded = false;
     this.isBlind = true;
     this.hasSeenCards = false;
+    this.blindRounds = 0; // chaals played blind this hand
+    this.timeBank = 0; // ms of extra thinking time left (not reset per hand)
+    this.isConnected = true; // false while the seat is held for a reconnect
+    this.isSittingOut = false; // keeps the seat but is not dealt in (not reset per hand)
   }
 
   addCard(card) {
@@ -90,6 +115,12 @@ export class Player {
     return betAmount;
   }
 
+  static fromJSON(data) {
+    const player = Object.assign(new Player(data.id, data.name, data.socketId, data.chips), data);
+    player.cards = data.cards.map(card => new Card(card.rank, card.suit));
+    return player;
+  }
+
   reset() {
     this.cards = [];
     this.currentBet = 0;
@@ -98,6 +129,7 @@ export class Player {
     this.isFolded = false;
     this.isBlind = true;
     this.hasSeenCards = false;
+    this.blindRounds = 0;
   }
 }
 
@@ -105,22 +137,62 @@ export class Game {
   constructor(roomId, minPlayers = 2, maxPlayers = 6) {
     this.roomId = roomId;
     this.players = [];
-    this.deck = new Deck();
+    this.shuffleSession = null;
+    this.phase = null; // 'shuffling' | 'betting' while a hand is running
+    this.deckCommitment = null; // { merkleRoot, commitments } agreed for the current hand
+    this.handProofs = new Map(); // playerId -> { deal?, show? } public inputs
+    this.proofGatedShowdown = false; // Showdown waits for verified show proofs instead of key reveals
+    this.sideshow = null; // { requesterId, targetId, status: 'requested' | 'revealing' | 'committing' | 'comparing', handCommitments? }
     this.pot = 0;
+    this.contributions = new Map(); // playerId -> chips put in this hand (kept if the player leaves)
     this.currentBet = 0;
-    this.minBet = 10;
+    this.tableRules = { ...DEFAULT_TABLE_RULES, potLimit: DEFAULT_TABLE_RULES.boot * POT_LIMIT_BOOTS };
+    this.minBet = this.tableRules.boot; // boot, and the opening seen stake
     this.currentPlayerIndex = 0;
     this.dealerIndex = 0;
     this.gameStarted = false;
     this.minPlayers = minPlayers;
     this.maxPlayers = maxPlayers;
     this.roundNumber = 0;
+    this.turnTimer = { ...DEFAULT_TURN_TIMER };
+    this.turnDeadline = null; // ms timestamp the current player must act by
+    this.timeBankDraw = null; // { playerId, amount } bank time added to the current turn
+    this.handId = null; // hand history log of the current (or last) hand
+    this.variant = DEFAULT_VARIANT; // see variants.js
+    this.wildRanks = []; // ranks wild in the current hand
+    this.cashSession = null; // hand numbers and running ledger of a blockchain room (see cashSession.js)
+  }
+
+  /**
+   * Plain-JSON snapshot of the whole table for the game store: players and
+   * their opened cards, pot and contributions, turn, shuffle and sideshow.
+   * Room options set by the server (buy-in, blockchain id) come along too.
+   */
+  toJSON() {
+    return {
+      ...this,
+      shuffleSession: this.shuffleSession ? this.shuffleSession.toJSON() : null,
+      handProofs: [...this.handProofs],
+      contributions: [...this.contributions],
+      cashSession: this.cashSession ? { ...this.cashSession } : null
+    };
+  }
+
+  static fromJSON(data) {
+    const game = Object.assign(new Game(data.roomId, data.minPlayers, data.maxPlayers), data);
+    game.players = data.players.map(player => Player.fromJSON(player));
+    game.shuffleSession = data.shuffleSession ? ShuffleSession.fromJSON(data.shuffleSession) : null;
+    game.handProofs = new Map(data.handProofs);
+    game.contributions = new Map(data.contributions);
+    game.cashSession = data.cashSession ? CashSession.fromJSON(data.cashSession) : null;
+    return game;
   }
 
   addPlayer(player) {
     if (this.players.length >= this.maxPlayers) {
       return false;
     }
+    player.timeBank = this.turnTimer.timeBankSeconds * 1000;
     this.players.push(player);
     return true;
   }
@@ -129,17 +201,152 @@ export class Game {
     const index = this.players.findIndex(p => p.id === playerId);
     if (index !== -1) {
       this.players.splice(index, 1);
+      // Keep the turn on the same player (or, if they left, the next seat)
+      if (index < this.currentPlayerIndex) {
+        this.currentPlayerIndex--;
+      } else if (this.currentPlayerIndex >= this.players.length) {
+        this.currentPlayerIndex = 0;
+      }
+      // Same for the button
+      if (index < this.dealerIndex) {
+        this.dealerIndex--;
+      } else if (this.dealerIndex >= this.players.length) {
+        this.dealerIndex = 0;
+      }
       return true;
     }
     return false;
   }
 
+  /**
+   * Room option chosen at creation: how long each turn lasts, what happens
+   * when it runs out and how much bank time each player can draw on.
+   * @returns {{success: boolean, error?: string}}
+   */
+  configureTurnTimer(options = {}) {
+    const turnTimer = { ...DEFAULT_TURN_TIMER, ...options };
+    const { turnSeconds, timeBankSeconds, timeoutAction } = turnTimer;
+
+    if (!Number.isInteger(turnSeconds) ||
+        (turnSeconds !== 0 && (turnSeconds < MIN_TURN_SECONDS || turnSeconds > MAX_TURN_SECONDS))) {
+      return { success: false, error: `Turn time must be 0 (off) or ${MIN_TURN_SECONDS}-${MAX_TURN_SECONDS} seconds` };
+    }
+    if (!Number.isInteger(timeBankSeconds) || timeBankSeconds < 0 || timeBankSeconds > MAX_TIME_BANK_SECONDS) {
+      return { success: false, error: `Time bank must be 0-${MAX_TIME_BANK_SECONDS} seconds` };
+    }
+    if (!TIMEOUT_ACTIONS.includes(timeoutAction)) {
+      return { success: false, error: 'Timeout action must be pack or chaal' };
+    }
+
+    this.turnTimer = { turnSeconds, timeBankSeconds, timeoutAction };
+    this.players.forEach(player => {
+      player.timeBank = timeBankSeconds * 1000;
+    });
+    return { success: true };
+  }
+
+  /**
+   * Room option chosen at creation: the boot and the table limits. The boot
+   * is even, so a blind player's half stake is always a whole chip.
+   * @returns {{success: boolean, error?: string}}
+   */
+  configureTableRules(options = {}) {
+    const rules = { ...DEFAULT_TABLE_RULES, ...options };
+    const { boot, maxChaal, maxBlindRounds } = rules;
+    const potLimit = options.potLimit ?? boot * POT_LIMIT_BOOTS;
+
+    if (!Number.isInteger(boot) || boot < 1) {
+      return { success: false, error: 'Boot must be a whole number of chips' };
+    }
+    if (boot % 2 !== 0) {
+      return { success: false, error: 'Boot must be an even number of chips, so blind stakes are whole chips' };
+    }
+    if (!Number.isInteger(maxChaal) || (maxChaal !== 0 && maxChaal < boot)) {
+      return { success: false, error: 'Chaal limit must be 0 (off) or at least the boot' };
+    }
+    if (!Number.isInteger(maxBlindRounds) || maxBlindRounds < 0 || maxBlindRounds > MAX_BLIND_ROUNDS) {
+      return { success: false, error: `Blind limit must be 0 (off) to ${MAX_BLIND_ROUNDS} rounds` };
+    }
+    if (!Number.isInteger(potLimit) || (potLimit !== 0 && potLimit < boot * MIN_POT_LIMIT_BOOTS)) {
+      return { success: false, error: `Pot limit must be 0 (off) or at least ${MIN_POT_LIMIT_BOOTS}x the boot` };
+    }
+
+    this.tableRules = { boot, maxChaal, maxBlindRounds, potLimit };
+    this.minBet = boot;
+    return { success: true };
+  }
+
+  /**
+   * The pot has hit the room's pot limit - no more bets, the hand goes to a show
+   */
+  isPotLimitReached() {
+    return this.tableRules.potLimit > 0 && this.pot >= this.tableRules.potLimit;
+  }
+
+  /**
+   * Room option chosen at creation: which Teen Patti variant is played.
+   * Variants the show/compare circuits can't rank settle showdowns and
+   * sideshows by key reveal.
+   * @returns {{success: boolean, error?: string}}
+   */
+  configureVariant(variantId = DEFAULT_VARIANT) {
+    const variant = getVariant(variantId);
+    if (!variant) {
+      return { success: false, error: `Unknown variant: ${variantId}` };
+    }
+
+    this.variant = variant.id;
+    if (!variant.provable) {
+      this.proofGatedShowdown = false;
+    }
+    return { success: true };
+  }
+
+  getVariant() {
+    return getVariant(this.variant);
+  }
+
   getPlayer(playerId) {
     return this.players.find(p => p.id === playerId);
   }
 
+  /**
+   * Sit out of (or back in to) the hands that follow. A player who sits out
+   * mid-hand plays that hand out; the change applies from the next deal.
+   * @returns {{success: boolean, error?: string}}
+   */
+  setSittingOut(playerId, sittingOut) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not found' };
+    }
+    if (player.isSittingOut === sittingOut) {
+      return { success: false, error: sittingOut ? 'Already sitting out' : 'Already sitting in' };
+    }
+    player.isSittingOut = sittingOut;
+    return { success: true };
+  }
+
+  /**
+   * Players who will be dealt into the next hand
+   */
+  getSeatedPlayers() {
+    return this.players.filter(p => !p.isSittingOut);
+  }
+
+  /**
+   * First seat from `index` on (wrapping round) whose player isn't sitting out
+   */
+  nextSeatedIndex(index) {
+    for (let i = 0; i < this.players.length; i++) {
+      const seat = (index + i) % this.players.length;
+      if (!this.players[seat].isSittingOut) return seat;
+    }
+    return 0;
+  }
+
   canStartGame() {
-    return this.players.length >= this.minPlayers && !this.gameStarted;
+    return this.getSeatedPlayers().length >= this.minPlayers && !this.gameStarted;
   }
 
   startGame() {
@@ -148,35 +355,243 @@ export class Game {
     }
 
     this.gameStarted = true;
-    this.deck.reset();
-
-    // Snapshot shuffled deck for ZK proof generation (before dealing removes cards)
-    this.shuffledDeckSnapshot = this.deck.cards.map(c => ({ rank: c.rank, suit: c.suit }));
-
     this.pot = 0;
+    this.contributions = new Map();
     this.currentBet = this.minBet;
     this.roundNumber = 0;
 
-    // Reset all players
-    this.players.forEach(player => player.reset());
+    // Reset all players; anyone sitting out is out of the hand from the start
+    this.players.forEach(player => {
+      player.reset();
+      if (player.isSittingOut) player.fold();
+    });
 
-    // Deal 3 cards to each player
-    for (let i = 0; i < 3; i++) {
-      this.players.forEach(player => {
-        player.addCard(this.deck.deal());
-      });
+    // The button only lands on players who are dealt in
+    this.dealerIndex = this.nextSeatedIndex(this.dealerIndex);
+
+    // The server never shuffles: players lock and re-shuffle the deck in turn,
+    // starting with the dealer, who also commits to the deck. Cards stay
+    // hidden until shown.
+    const seatOrder = this.players
+      .map((_, i) => this.players[(this.dealerIndex + i) % this.players.length])
+      .filter(player => !player.isSittingOut)
+      .map(player => player.id);
+    const variant = this.getVariant();
+    this.wildRanks = drawWildRanks(variant);
+    this.shuffleSession = new ShuffleSession(seatOrder, variant.handSize);
+    this.phase = 'shuffling';
+    this.deckCommitment = null;
+    this.handProofs = new Map();
+    this.sideshow = null;
+
+    // Collect ante from everyone dealt in
+    this.getSeatedPlayers().forEach(player => {
+      this.collectBet(player, this.minBet);
+    });
+
+    // Set first player after dealer
+    this.currentPlayerIndex = this.nextSeatedIndex(this.dealerIndex + 1);
+
+    return true;
+  }
+
+  /**
+   * Validate a lock + re-shuffle before its shuffle proof is verified
+   * @returns {{success: boolean, error?: string}}
+   */
+  checkShuffle(playerId, contribution) {
+    if (this.phase !== 'shuffling') {
+      return { success: false, error: 'Not shuffling' };
+    }
+    return this.shuffleSession.checkShuffle(playerId, contribution);
+  }
+
+  /**
+   * Record a player's lock + re-shuffle. The dealer's contribution carries the
+   * deck commitment, which becomes the one commitment for this hand.
+   * @returns {{success: boolean, committed?: boolean, error?: string}}
+   */
+  submitShuffle(playerId, contribution) {
+    if (this.phase !== 'shuffling') {
+      return { success: false, error: 'Not shuffling' };
+    }
+
+    const result = this.shuffleSession.submitShuffle(playerId, contribution);
+    if (!result.success) {
+      return result;
+    }
+
+    if (this.deckCommitment === null && this.shuffleSession.deckCommitment) {
+      this.deckCommitment = this.shuffleSession.deckCommitment;
+      return { success: true, committed: true };
+    }
+    return { success: true, committed: false };
+  }
+
+  /**
+   * Check that a deal or show proof refers to this hand's deck commitment and
+   * to the player submitting it. Show proofs are accepted after the hand ends
+   * (they're generated from the revealed cards), so only the commitment is
+   * required here, not a running hand.
+   * @returns {{success: boolean, inputs?: bigint[], error?: string}}
+   */
+  matchHandProof(playerId, circuit, publicInputs) {
+    const layout = PROOF_PUBLIC_INPUTS[circuit];
+    if (!layout) {
+      return { success: false, error: 'Unknown circuit' };
+    }
+    if (!this.deckCommitment) {
+      return { success: false, error: 'No deck commitment for this hand' };
+    }
+    if (!this.shuffleSession?.includes(playerId)) {
+      return { success: false, error: 'Player not in hand' };
+    }
+    if (!Array.isArray(publicInputs) || publicInputs.length !== layout.length) {
+      return { success: false, error: `Expected ${layout.length} public inputs` };
+    }
+
+    const inputs = publicInputs.map(parsePublicInput);
+    if (inputs.some(v => v === null)) {
+      return { success: false, error: 'Invalid public inputs' };
+    }
+
+    if (inputs[layout.merkleRoot] !== BigInt(this.deckCommitment.merkleRoot)) {
+      return { success: false, error: 'Proof does not match the deck commitment' };
+    }
+    if (inputs[layout.playerId] !== idToField(playerId, 0n)) {
+      return { success: false, error: 'Proof is for a different player' };
+    }
+    if (layout.gameId !== undefined &&
+        inputs[layout.gameId] !== idToField(this.blockchainRoomId || this.roomId, 1n)) {
+      return { success: false, error: 'Proof is for a different game' };
+    }
+
+    return { success: true, inputs };
+  }
+
+  /**
+   * Record a deal or show proof's public inputs once they match this hand.
+   * @returns {{success: boolean, error?: string}}
+   */
+  checkHandProof(playerId, circuit, publicInputs) {
+    const result = this.matchHandProof(playerId, circuit, publicInputs);
+    if (!result.success) {
+      return result;
     }
 
-    // Collect ante from all players
+    const proofs = this.handProofs.get(playerId) || {};
+    proofs[circuit] = publicInputs;
+    this.handProofs.set(playerId, proofs);
+    return { success: true };
+  }
+
+  /**
+   * Proof-gated showdown: check a show proof's public inputs before spending
+   * time verifying it. The revealed cards must be valid and hand_rank /
+   * hand_value must match them.
+   * @returns {{success: boolean, cards?: Card[], error?: string}}
+   */
+  checkShowProof(playerId, publicInputs) {
+    const result = this.matchHandProof(playerId, 'show', publicInputs);
+    if (!result.success) {
+      return result;
+    }
+
+    const { inputs } = result;
+    const ranks = inputs.slice(SHOW_RANKS, SHOW_RANKS + 3).map(Number);
+    const suits = inputs.slice(SHOW_SUITS, SHOW_SUITS + 3).map(Number);
+    if (ranks.some(r => r < 2 || r > 14) || suits.some(s => s < 0 || s > 3)) {
+      return { success: false, error: 'Invalid cards in show proof' };
+    }
+
+    const { handRank, handValue } = evaluateHand(ranks.map((rank, i) => ({ rank, suit: suits[i] })));
+    if (inputs[SHOW_HAND_RANK] !== BigInt(handRank) || inputs[SHOW_HAND_VALUE] !== handValue) {
+      return { success: false, error: 'Hand rank does not match the shown cards' };
+    }
+
+    const cards = ranks.map((rank, i) => new Card(RANKS[rank - 2], SUITS[suits[i]]));
+    return { success: true, cards };
+  }
+
+  /**
+   * Proof-gated showdown: take a player's cards from their verified show proof.
+   * @returns {{success: boolean, cards?: Card[], error?: string}}
+   */
+  acceptShowProof(playerId, publicInputs) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not in hand' };
+    }
+
+    const result = this.checkShowProof(playerId, publicInputs);
+    if (!result.success) {
+      return result;
+    }
+
+    this.checkHandProof(playerId, 'show', publicInputs);
+    player.cards = result.cards;
+    return { success: true, cards: player.cards };
+  }
+
+  /**
+   * Called once every player has finished the unlocking pass.
+   * Betting can start; each player can now open their own locked hand.
+   */
+  completeDeal() {
+    if (this.phase !== 'shuffling' || this.shuffleSession?.phase !== 'dealt') {
+      return false;
+    }
+    this.phase = 'betting';
+    return true;
+  }
+
+  /**
+   * Cancel a hand that never finished shuffling (e.g. a shuffler left).
+   * Antes are returned since no cards were dealt.
+   */
+  abortHand() {
     this.players.forEach(player => {
-      const ante = player.bet(this.minBet);
-      this.pot += ante;
+      player.chips += player.totalBet;
+      player.reset();
     });
+    this.pot = 0;
+    this.contributions = new Map();
+    this.gameStarted = false;
+    this.shuffleSession = null;
+    this.phase = null;
+    this.deckCommitment = null;
+    this.sideshow = null;
+    this.stopTurnClock();
 
-    // Set first player after dealer
-    this.currentPlayerIndex = (this.dealerIndex + 1) % this.players.length;
+    return {
+      winner: null,
+      pot: 0,
+      playerChips: this.players.map(p => ({ id: p.id, chips: p.chips }))
+    };
+  }
 
-    return true;
+  /**
+   * Open a player's hand at showdown using the lock key they reveal.
+   * @returns {{success: boolean, cards?: Card[], error?: string}}
+   */
+  revealHand(playerId, key) {
+    const player = this.getPlayer(playerId);
+    if (!player || !this.shuffleSession) {
+      return { success: false, error: 'Player not in hand' };
+    }
+    if (player.cards.length > 0) {
+      return { success: true, cards: player.cards };
+    }
+
+    const result = this.shuffleSession.revealHand(playerId, key);
+    if (!result.success) {
+      return result;
+    }
+
+    player.cards = result.cardIndices.map(
+      index => new Card(RANKS[Math.floor(index / 4)], SUITS[index % 4])
+    );
+    return { success: true, cards: player.cards };
   }
 
   getCurrentPlayer() {
@@ -208,11 +623,96 @@ export class Game {
     this.roundNumber++;
   }
 
+  /**
+   * Start the current player's countdown.
+   * @returns {number | null} Deadline (ms timestamp), or null with the clock off
+   */
+  startTurnClock(now = Date.now()) {
+    this.timeBankDraw = null;
+    this.turnDeadline = this.turnTimer.turnSeconds > 0
+      ? now + this.turnTimer.turnSeconds * 1000
+      : null;
+    return this.turnDeadline;
+  }
+
+  /**
+   * Stop the countdown (the player acted, or the turn is on hold). Bank time
+   * drawn this turn but not used goes back to the player.
+   */
+  stopTurnClock(now = Date.now()) {
+    if (this.timeBankDraw && this.turnDeadline !== null) {
+      const player = this.getPlayer(this.timeBankDraw.playerId);
+      const unused = Math.min(this.timeBankDraw.amount, Math.max(0, this.turnDeadline - now));
+      if (player) player.timeBank += unused;
+    }
+    this.timeBankDraw = null;
+    this.turnDeadline = null;
+  }
+
+  /**
+   * The current player adds their whole time bank to this turn. Whatever is
+   * left when they act is refunded by stopTurnClock.
+   * @returns {{success: boolean, deadline?: number, error?: string}}
+   */
+  useTimeBank(playerId) {
+    const player = this.getPlayer(playerId);
+    if (!player || this.phase !== 'betting' || player.id !== this.getCurrentPlayer().id) {
+      return { success: false, error: 'Not your turn' };
+    }
+    if (this.turnDeadline === null) {
+      return { success: false, error: 'Turn clock is not running' };
+    }
+    if (this.timeBankDraw) {
+      return { success: false, error: 'Time bank already in use' };
+    }
+    if (player.timeBank <= 0) {
+      return { success: false, error: 'No time bank left' };
+    }
+
+    this.timeBankDraw = { playerId: player.id, amount: player.timeBank };
+    this.turnDeadline += player.timeBank;
+    player.timeBank = 0;
+    return { success: true, deadline: this.turnDeadline };
+  }
+
+  /**
+   * The current player ran out of time: chaal for them if the room is set to
+   * and they can (all-in if they're short), otherwise pack. A player who is
+   * already all-in just checks along - packing would forfeit their pots.
+   * @returns {{success: boolean, playerId?: string, action?: string, amount?: number, error?: string}}
+   */
+  expireTurn() {
+    const player = this.getCurrentPlayer();
+    if (!player || this.phase !== 'betting' || this.sideshow) {
+      return { success: false, error: 'No turn to expire' };
+    }
+    this.stopTurnClock();
+
+    if (this.turnTimer.timeoutAction === 'chaal' || player.chips === 0) {
+      const stake = player.isBlind ? this.currentBet / 2 : this.currentBet;
+      const amount = Math.min(stake, player.chips);
+      if (this.playerAction(player.id, 'chaal', amount).success) {
+        return { success: true, playerId: player.id, action: 'chaal', amount };
+      }
+    }
+
+    const result = this.playerAction(player.id, 'pack');
+    return result.success
+      ? { success: true, playerId: player.id, action: 'pack', amount: 0 }
+      : result;
+  }
+
   playerAction(playerId, action, amount = 0) {
     const player = this.getPlayer(playerId);
     if (!player || player.id !== this.getCurrentPlayer().id) {
       return { success: false, error: 'Not your turn' };
     }
+    if (this.phase !== 'betting') {
+      return { success: false, error: 'Cards are still being shuffled' };
+    }
+    if (this.sideshow) {
+      return { success: false, error: 'Sideshow in progress' };
+    }
 
     switch (action) {
       case 'fold':
@@ -267,20 +767,25 @@ export class Game {
 
         // Let's assume `currentBet` is the amount a SEEN player needs to put.
 
-        // Pot Limit Check (Standard Teen Patti Rule: 1024x Boot)
-        const POT_LIMIT = this.minBet * 1024;
-        if (this.pot >= POT_LIMIT) {
+        // Pot limit (1024x boot unless the room says otherwise): the hand goes to a show
+        if (this.isPotLimitReached()) {
           return { success: false, error: 'Pot limit reached. You must Show.' };
         }
 
+        const { maxChaal, maxBlindRounds } = this.tableRules;
+        if (player.isBlind && maxBlindRounds > 0 && player.blindRounds >= maxBlindRounds) {
+          return { success: false, error: `Blind limit reached (${maxBlindRounds} rounds). See your cards to continue.` };
+        }
+
         let requiredAmount = this.currentBet;
         if (player.isBlind) {
           requiredAmount = this.currentBet / 2;
         }
 
-        // Allow raise (double the stake)
+        // Allow raise (double the stake) while the seen stake stays within the chaal limit
         const minBet = requiredAmount;
-        const maxBet = requiredAmount * 2;
+        const raisedStake = this.currentBet * 2; // seen stake after a raise, blind or seen
+        const maxBet = maxChaal > 0 && raisedStake > maxChaal ? minBet : requiredAmount * 2;
 
         // Verify amount
         // Allow "All-In" if chips < minBet but > 0
@@ -288,12 +793,16 @@ export class Game {
           if (amount !== player.chips) {
             return { success: false, error: `You must go ShowDown or All-In with ${player.chips}` };
           }
-          // All-in logic: Side pots would be needed for true correctness, 
-          // but for now we just let them bet what they have.
+          // All-in: they can only win the pots they paid into (see getPots).
           // We do NOT update currentBet because they couldn't match the stake.
         } else {
           if (amount !== minBet && amount !== maxBet) {
-            return { success: false, error: `Invalid bet amount. You must bet ${minBet} (Chaal) or ${maxBet} (Raise).` };
+            return {
+              success: false,
+              error: maxBet === minBet
+                ? `Chaal limit reached. You can only bet ${minBet} (Chaal).`
+                : `Invalid bet amount. You must bet ${minBet} (Chaal) or ${maxBet} (Raise).`
+            };
           }
 
           // Update Table Stake (currentBet) only if it's a valid raise/call
@@ -304,8 +813,10 @@ export class Game {
           this.currentBet = Math.max(this.currentBet, newSeenStake);
         }
 
-        const betAmount = player.bet(amount);
-        this.pot += betAmount;
+        if (player.isBlind) {
+          player.blindRounds++;
+        }
+        this.collectBet(player, amount);
         this.nextPlayer();
         return { success: true };
 
@@ -322,114 +833,388 @@ export class Game {
     }
   }
 
-  checkWinner() {
-    const activePlayers = this.getActivePlayers();
+  /**
+   * The nearest player before `playerId` in turn order who is still in the
+   * hand and has seen their cards - the only player a sideshow can be asked of.
+   */
+  getSideshowTarget(playerId) {
+    const index = this.players.findIndex(p => p.id === playerId);
+    if (index === -1) return null;
 
-    if (activePlayers.length === 1) {
-      return activePlayers[0];
+    for (let i = 1; i < this.players.length; i++) {
+      const candidate = this.players[(index - i + this.players.length) % this.players.length];
+      if (!candidate.isFolded && candidate.isActive && candidate.hasSeenCards) {
+        return candidate;
+      }
     }
+    return null;
+  }
 
-    if (activePlayers.length === 0) {
-      return null;
+  /**
+   * A seen player asks the previous seen player to privately compare hands.
+   * Requesting costs one seen chaal (currentBet), paid whatever the answer.
+   * @returns {{success: boolean, sideshow?: Object, error?: string}}
+   */
+  requestSideshow(playerId, targetPlayerId) {
+    const player = this.getPlayer(playerId);
+    if (!player || player.id !== this.getCurrentPlayer().id) {
+      return { success: false, error: 'Not your turn' };
+    }
+    if (this.phase !== 'betting') {
+      return { success: false, error: 'Cards are still being shuffled' };
+    }
+    if (this.sideshow) {
+      return { success: false, error: 'Sideshow in progress' };
+    }
+    if (!player.hasSeenCards) {
+      return { success: false, error: 'Only a seen player can ask for a sideshow' };
+    }
+    if (this.getActivePlayers().length <= 2) {
+      return { success: false, error: 'Sideshow needs at least 3 players - use Show instead' };
     }
 
-    return null;
+    const target = this.getSideshowTarget(playerId);
+    if (!target || (targetPlayerId && target.id !== targetPlayerId)) {
+      return { success: false, error: 'Sideshow is only allowed with the previous seen player' };
+    }
+
+    const cost = this.currentBet;
+    if (player.chips < cost) {
+      return { success: false, error: `Sideshow costs ${cost} chips` };
+    }
+    if (this.isPotLimitReached()) {
+      return { success: false, error: 'Pot limit reached. You must Show.' };
+    }
+
+    this.collectBet(player, cost);
+    this.sideshow = { requesterId: player.id, targetId: target.id, status: 'requested' };
+    return { success: true, sideshow: this.sideshow };
   }
 
-  compareHands(player1, player2) {
-    const hand1 = this.evaluateHand(player1.cards);
-    const hand2 = this.evaluateHand(player2.cards);
+  /**
+   * The target accepts or declines. Declining passes the turn on; accepting
+   * means both hands must be opened and compared (or, proof-gated, proven).
+   * @returns {{success: boolean, accepted?: boolean, error?: string}}
+   */
+  respondSideshow(playerId, accepted) {
+    if (!this.sideshow || this.sideshow.status !== 'requested') {
+      return { success: false, error: 'No sideshow to answer' };
+    }
+    if (this.sideshow.targetId !== playerId) {
+      return { success: false, error: 'Sideshow was not asked of you' };
+    }
 
-    if (hand1.rank !== hand2.rank) {
-      return hand1.rank > hand2.rank ? player1 : player2;
+    if (!accepted) {
+      this.sideshow = null;
+      this.nextPlayer();
+      return { success: true, accepted: false };
     }
 
-    // Compare high cards
-    for (let i = 0; i < hand1.values.length; i++) {
-      if (hand1.values[i] !== hand2.values[i]) {
-        return hand1.values[i] > hand2.values[i] ? player1 : player2;
-      }
+    // Proof-gated: the hands are compared in a compare proof, never opened
+    if (this.proofGatedShowdown) {
+      this.sideshow.status = 'committing';
+      this.sideshow.handCommitments = {};
+    } else {
+      this.sideshow.status = 'revealing';
     }
+    return { success: true, accepted: true };
+  }
 
-    return null; // Tie
+  /**
+   * Proof-gated sideshow: each player publishes a commitment to their hand
+   * before seeing the other's, so neither can swap hands for the proof.
+   * @returns {{success: boolean, ready?: boolean, error?: string}}
+   */
+  commitSideshowHand(playerId, handCommitment) {
+    if (!this.sideshow || this.sideshow.status !== 'committing') {
+      return { success: false, error: 'No sideshow to commit to' };
+    }
+    const { requesterId, targetId, handCommitments } = this.sideshow;
+    if (playerId !== requesterId && playerId !== targetId) {
+      return { success: false, error: 'You are not part of this sideshow' };
+    }
+    if (handCommitments[playerId]) {
+      return { success: false, error: 'Hand already committed' };
+    }
+
+    const value = typeof handCommitment === 'string' && handCommitment.length <= 80
+      ? parsePublicInput(handCommitment)
+      : null;
+    if (value === null || value <= 0n) {
+      return { success: false, error: 'Invalid hand commitment' };
+    }
+
+    handCommitments[playerId] = '0x' + value.toString(16);
+    if (handCommitments[requesterId] && handCommitments[targetId]) {
+      this.sideshow.status = 'comparing';
+    }
+    return { success: true, ready: this.sideshow.status === 'comparing' };
   }
 
-  evaluateHand(cards) {
-    const sortedCards = [...cards].sort((a, b) => b.getValue() - a.getValue());
-    const values = sortedCards.map(c => c.getValue());
-    const suits = sortedCards.map(c => c.suit);
+  /**
+   * Proof-gated sideshow: check a compare proof's public inputs before
+   * spending time verifying it. The requester is hand A, so a tie (a_wins
+   * false) goes against them as usual.
+   * @returns {{success: boolean, requesterWins?: boolean, error?: string}}
+   */
+  checkCompareProof(playerId, publicInputs) {
+    if (!this.sideshow || this.sideshow.status !== 'comparing') {
+      return { success: false, error: 'No sideshow to prove' };
+    }
+    const { requesterId, targetId, handCommitments } = this.sideshow;
+    if (playerId !== requesterId) {
+      return { success: false, error: 'Only the player who asked can prove the sideshow' };
+    }
 
-    // Check for Trio (Three of a kind)
-    if (values[0] === values[1] && values[1] === values[2]) {
-      return { rank: HAND_RANKINGS.TRIO, values };
+    const layout = COMPARE_PUBLIC_INPUTS;
+    if (!Array.isArray(publicInputs) || publicInputs.length !== layout.length) {
+      return { success: false, error: `Expected ${layout.length} public inputs` };
+    }
+    const inputs = publicInputs.map(parsePublicInput);
+    if (inputs.some(v => v === null)) {
+      return { success: false, error: 'Invalid public inputs' };
     }
 
-    // Check for sequence
-    const sequenceResult = this.isSequence(values);
-    const isFlush = suits[0] === suits[1] && suits[1] === suits[2];
+    if (inputs[layout.merkleRoot] !== BigInt(this.deckCommitment.merkleRoot)) {
+      return { success: false, error: 'Proof does not match the deck commitment' };
+    }
+    if (inputs[layout.gameId] !== idToField(this.blockchainRoomId || this.roomId, 1n)) {
+      return { success: false, error: 'Proof is for a different game' };
+    }
+    if (inputs[layout.playerA] !== idToField(requesterId, 0n) ||
+        inputs[layout.playerB] !== idToField(targetId, 0n)) {
+      return { success: false, error: 'Proof is for different players' };
+    }
+    if (inputs[layout.commitmentA] !== BigInt(handCommitments[requesterId]) ||
+        inputs[layout.commitmentB] !== BigInt(handCommitments[targetId])) {
+      return { success: false, error: 'Proof does not match the committed hands' };
+    }
+    if (inputs[layout.aWins] > 1n) {
+      return { success: false, error: 'Invalid comparison result' };
+    }
 
-    // Pure Sequence (Straight Flush)
-    if (sequenceResult.isSequence && isFlush) {
-      return { rank: HAND_RANKINGS.PURE_SEQUENCE, values: sequenceResult.compareValues };
+    return { success: true, requesterWins: inputs[layout.aWins] === 1n };
+  }
+
+  /**
+   * Proof-gated sideshow: settle from a verified compare proof.
+   * @returns {{success: boolean, winnerId?: string, loserId?: string, error?: string}}
+   */
+  acceptCompareProof(playerId, publicInputs) {
+    const result = this.checkCompareProof(playerId, publicInputs);
+    if (!result.success) {
+      return result;
     }
 
-    // Sequence (Straight)
-    if (sequenceResult.isSequence) {
-      return { rank: HAND_RANKINGS.SEQUENCE, values: sequenceResult.compareValues };
+    const requester = this.getPlayer(this.sideshow.requesterId);
+    const target = this.getPlayer(this.sideshow.targetId);
+    const winner = result.requesterWins ? requester : target;
+    const loser = winner === requester ? target : requester;
+
+    return { ...this.finishSideshow(loser), winnerId: winner.id };
+  }
+
+  /**
+   * Proof-gated sideshow could not be proven (e.g. a player sent a hand
+   * that doesn't match their commitment) - fall back to opening both hands.
+   * @returns {{success: boolean, error?: string}}
+   */
+  revealSideshowHands(playerId) {
+    if (!this.sideshow || !['committing', 'comparing'].includes(this.sideshow.status)) {
+      return { success: false, error: 'No sideshow to reveal' };
     }
+    if (playerId !== this.sideshow.requesterId && playerId !== this.sideshow.targetId) {
+      return { success: false, error: 'You are not part of this sideshow' };
+    }
+
+    this.sideshow.status = 'revealing';
+    return { success: true };
+  }
 
-    // Color (Flush)
-    if (isFlush) {
-      return { rank: HAND_RANKINGS.COLOR, values };
+  /**
+   * Both sideshow hands are open - the worse hand is packed. On a tie the
+   * player who asked for the sideshow packs.
+   * @returns {{success: boolean, winnerId?: string, loserId?: string, cards?: Object, error?: string}}
+   */
+  resolveSideshow() {
+    if (!this.sideshow || this.sideshow.status !== 'revealing') {
+      return { success: false, error: 'No sideshow to resolve' };
     }
 
-    // Pair - properly order values for comparison (pair cards first, then kicker)
-    if (values[0] === values[1]) {
-      // Pair at top: [K, K, 2] -> keep as is
-      return { rank: HAND_RANKINGS.PAIR, values: [values[0], values[1], values[2]] };
-    } else if (values[1] === values[2]) {
-      // Pair at bottom: [K, 5, 5] -> rearrange to [5, 5, K]
-      return { rank: HAND_RANKINGS.PAIR, values: [values[1], values[2], values[0]] };
-    } else if (values[0] === values[2]) {
-      // Pair at ends: [K, 5, K] -> rearrange to [K, K, 5]
-      return { rank: HAND_RANKINGS.PAIR, values: [values[0], values[2], values[1]] };
+    const requester = this.getPlayer(this.sideshow.requesterId);
+    const target = this.getPlayer(this.sideshow.targetId);
+    if (!requester?.cards.length || !target?.cards.length) {
+      return { success: false, error: 'Both hands must be opened' };
     }
 
-    // High Card
-    return { rank: HAND_RANKINGS.HIGH_CARD, values };
+    const better = this.compareHands(requester, target);
+    const winner = better && better.id === requester.id ? requester : target;
+    const loser = winner === requester ? target : requester;
+
+    return {
+      ...this.finishSideshow(loser),
+      winnerId: winner.id,
+      cards: {
+        [requester.id]: requester.cards,
+        [target.id]: target.cards
+      }
+    };
+  }
+
+  /**
+   * End the sideshow with `loser` packed and move the turn on.
+   */
+  finishSideshow(loser) {
+    loser.fold();
+    this.sideshow = null;
+    this.nextPlayer();
+    return { success: true, loserId: loser.id };
   }
 
-  isSequence(values) {
-    // Check for A-2-3 (special case - LOWEST sequence in Teen Patti)
-    // Values are sorted descending: A=12, 3=1, 2=0
-    if (values[0] === 12 && values[1] === 1 && values[2] === 0) {
-      // Return adjusted values to make A-2-3 compare as lowest sequence
-      // Use -1 values so it's lower than 2-3-4 (values [1,0,-1])
-      return {
-        isSequence: true,
-        compareValues: [-1, -1, -1]  // Makes it lowest for comparison
-      };
+  /**
+   * Drop an unfinished sideshow (e.g. one of the two players left).
+   */
+  cancelSideshow() {
+    this.sideshow = null;
+  }
+
+  checkWinner() {
+    const activePlayers = this.getActivePlayers();
+
+    if (activePlayers.length === 1) {
+      return activePlayers[0];
     }
 
-    // Check for regular sequence (K-Q-J, Q-J-10, etc.)
-    if (values[0] === values[1] + 1 && values[1] === values[2] + 1) {
-      return { isSequence: true, compareValues: values };
+    if (activePlayers.length === 0) {
+      return null;
     }
 
-    return { isSequence: false, compareValues: values };
+    return null;
   }
 
-  endGame(winner) {
-    if (winner) {
-      winner.chips += this.pot;
+  compareHands(player1, player2) {
+    const variant = this.getVariant();
+    const order = compareHandScores(
+      this.evaluateHand(player1.cards),
+      this.evaluateHand(player2.cards),
+      variant
+    );
+
+    if (order === 0) {
+      return null; // Tie
+    }
+    return order > 0 ? player1 : player2;
+  }
+
+  /**
+   * Best three-card hand a player's cards make under the room's variant
+   * @returns {{handRank: number, handValue: bigint, values: number[], cards: Card[]}}
+   */
+  evaluateHand(cards) {
+    return evaluateVariantHand(cards, this.getVariant(), this.wildRanks);
+  }
+
+  /**
+   * Move a player's chips into the pot and record their contribution.
+   * @returns {number} Chips actually taken (less than `amount` when all-in)
+   */
+  collectBet(player, amount) {
+    const taken = player.bet(amount);
+    this.pot += taken;
+    this.contributions.set(player.id, (this.contributions.get(player.id) || 0) + taken);
+    return taken;
+  }
+
+  /**
+   * Split the pot by contribution level. Every player still in the hand caps
+   * a pot at what they put in, so an all-in player can only win from each
+   * other player as much as they risked themselves. Folded (or departed)
+   * players' chips count towards the pots but they are eligible for none.
+   * @returns {Array<{amount: number, eligiblePlayerIds: string[]}>} Main pot first
+   */
+  getPots() {
+    const live = this.getActivePlayers();
+    const levels = [...new Set(live.map(p => this.contributions.get(p.id) || 0))]
+      .filter(level => level > 0)
+      .sort((a, b) => a - b);
+
+    const pots = [];
+    let previous = 0;
+    levels.forEach(level => {
+      let amount = 0;
+      this.contributions.forEach(contributed => {
+        amount += Math.max(0, Math.min(contributed, level) - previous);
+      });
+      const eligiblePlayerIds = live
+        .filter(p => (this.contributions.get(p.id) || 0) >= level)
+        .map(p => p.id);
+
+      // Same players as the pot below: one pot, not two
+      const last = pots[pots.length - 1];
+      if (last && last.eligiblePlayerIds.length === eligiblePlayerIds.length) {
+        last.amount += amount;
+      } else {
+        pots.push({ amount, eligiblePlayerIds });
+      }
+      previous = level;
+    });
+
+    // Folded players who put in more than anyone still playing
+    let overflow = 0;
+    this.contributions.forEach(contributed => {
+      overflow += Math.max(0, contributed - previous);
+    });
+    if (overflow > 0 && pots.length > 0) {
+      pots[pots.length - 1].amount += overflow;
     }
 
+    return pots;
+  }
+
+  /**
+   * Best hand among `players`; on a tie the earlier player in seat order keeps it.
+   */
+  getBestHand(players) {
+    let best = players[0];
+    for (let i = 1; i < players.length; i++) {
+      const compareResult = this.compareHands(best, players[i]);
+      if (compareResult && compareResult.id === players[i].id) {
+        best = players[i];
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Pay out the hand. `winner` takes every pot they are eligible for; a side
+   * pot they could not cover goes to the best shown hand among its eligible
+   * players (or, with no hands shown, the first of them).
+   */
+  endGame(winner) {
+    const pots = this.getPots().map(pot => {
+      let potWinner = null;
+      if (winner && pot.eligiblePlayerIds.includes(winner.id)) {
+        potWinner = winner;
+      } else {
+        const eligible = pot.eligiblePlayerIds.map(id => this.getPlayer(id));
+        const shown = eligible.filter(p => p.cards.length > 0);
+        potWinner = shown.length > 0 ? this.getBestHand(shown) : eligible[0];
+      }
+
+      potWinner.chips += pot.amount;
+      return { ...pot, winnerId: potWinner.id };
+    });
+
     this.gameStarted = false;
-    this.dealerIndex = (this.dealerIndex + 1) % this.players.length;
+    this.phase = null;
+    this.sideshow = null;
+    this.stopTurnClock();
+    this.dealerIndex = this.nextSeatedIndex(this.dealerIndex + 1);
 
     return {
       winner: winner ? winner.id : null,
       pot: this.pot,
+      pots,
       playerChips: this.players.map(p => ({ id: p.id, chips: p.chips }))
     };
   }
@@ -437,6 +1222,8 @@ export class Game {
   getGameState() {
     return {
       roomId: this.roomId,
+      shortCode: this.shortCode || null,
+      codeAlias: this.codeAlias || null,
       players: this.players.map(p => ({
         id: p.id,
         name: p.name,
@@ -446,27 +1233,72 @@ export class Game {
         isFolded: p.isFolded,
         isBlind: p.isBlind,
         hasSeenCards: p.hasSeenCards,
-        cardCount: p.cards.length
+        blindRounds: p.blindRounds,
+        isAllIn: this.gameStarted && !p.isFolded && p.chips === 0,
+        timeBank: p.timeBank,
+        isConnected: p.isConnected,
+        isSittingOut: p.isSittingOut,
+        cardCount: this.phase === 'betting' ? this.shuffleSession.getSlots(p.id).length : p.cards.length
       })),
       pot: this.pot,
+      pots: this.gameStarted ? this.getPots() : [],
       currentBet: this.currentBet,
       currentPlayerIndex: this.currentPlayerIndex,
+      dealerId: this.players[this.dealerIndex]?.id || null,
+      handNumber: this.cashSession ? this.cashSession.handNumber : null,
       gameStarted: this.gameStarted,
+      phase: this.phase,
+      deckCommitment: this.deckCommitment ? this.deckCommitment.merkleRoot : null,
+      proofGatedShowdown: this.proofGatedShowdown,
+      sideshow: this.sideshow,
+      turnTimer: this.turnTimer,
+      tableRules: this.tableRules,
+      potLimitReached: this.gameStarted && this.isPotLimitReached(),
+      turnDeadline: this.turnDeadline,
+      handId: this.handId,
+      variant: this.variant,
+      wildRanks: this.wildRanks,
+      handSize: this.getVariant().handSize,
       roundNumber: this.roundNumber
     };
   }
 
+  /**
+   * The table as spectators see it: no deck commitment, no sideshow hand
+   * commitments, no turn deadline (meaningless once delayed) and no hand id,
+   * which would find the live hand's log
+   */
+  getSpectatorState() {
+    const { deckCommitment, turnDeadline, sideshow, handId, ...state } = this.getGameState();
+    return {
+      ...state,
+      players: state.players.map(({ timeBank, ...player }) => player),
+      sideshow: sideshow && {
+        requesterId: sideshow.requesterId,
+        targetId: sideshow.targetId,
+        status: sideshow.status
+      }
+    };
+  }
+
+  /**
+   * Cards the server knows for a player. Empty until the player reveals
+   * their lock key at showdown.
+   */
   getPlayerCards(playerId) {
     const player = this.getPlayer(playerId);
     return player ? player.cards : [];
   }
 
   /**
-   * Get the full shuffled deck snapshot (52 cards in shuffled order).
-   * Used by frontend for ZK proof generation.
-   * @returns {Array<{rank: string, suit: string}>}
+   * A player's dealt cards and nonces, still locked with their own key.
+   * Only the owner can open these.
+   * @returns {{slots: number[], lockedCards: string[], lockedNonces: string[], deckCommitment: Object} | null}
    */
-  getShuffledDeck() {
-    return this.shuffledDeckSnapshot || [];
+  getLockedHand(playerId) {
+    if (this.phase !== 'betting' || !this.shuffleSession?.includes(playerId)) {
+      return null;
+    }
+    return this.shuffleSession.getLockedHand(playerId);
   }
 }
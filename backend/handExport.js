@@ -0,0 +1,247 @@
+// Hand history export for trackers and spreadsheets
+//
+// Turns a hand's log (see handHistory.js) into a flat summary - seats,
+// every boot, chaal, raise, pack, sideshow and show with the player's
+// blind/seen status, and the pots - and renders it as JSON or as
+// PokerStars-style plain text adapted for Teen Patti.
+
+const SUIT_SYMBOLS = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
+
+function formatCard(card) {
+  return `${card.rank}${SUIT_SYMBOLS[card.suit] || card.suit}`;
+}
+
+function formatTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+/**
+ * Flatten a hand's log into the fields every export format needs.
+ * Chaal vs raise is worked out from the table stake before each bet
+ * (a blind player's stake is half the seen one).
+ * @param {{handId: string, roomId: string, entries: Object[], verification: Object}} hand
+ */
+export function summarizeHand({ handId, roomId, entries, verification }) {
+  const started = entries.find(entry => entry.type === 'handStarted');
+  if (!started) {
+    throw new Error('Hand has no start entry');
+  }
+
+  const { ante, dealerId, blockchainRoomId, variant = 'classic', wildRanks = [] } = started.data;
+  const players = started.data.players.map((p, i) => ({
+    seat: i + 1,
+    id: p.id,
+    name: p.name,
+    walletAddress: p.walletAddress,
+    startingChips: p.chips + (p.boot ?? ante),
+    endingChips: null,
+    shownCards: null
+  }));
+  const nameOf = id => players.find(p => p.id === id)?.name || id;
+
+  const actions = players.map(p => ({
+    seq: started.seq,
+    at: started.at,
+    playerId: p.id,
+    name: p.name,
+    action: 'boot',
+    amount: started.data.players.find(sp => sp.id === p.id).boot ?? ante,
+    status: 'blind'
+  }));
+
+  let stake = ante; // what a seen player has to put in to chaal
+  let deckCommitment = null;
+  let ended = null;
+  let settlement = null;
+
+  for (const { seq, at, type, data } of entries) {
+    const base = { seq, at };
+
+    switch (type) {
+      case 'cardsDealt':
+        deckCommitment = data.deckCommitment?.merkleRoot || null;
+        break;
+
+      case 'action': {
+        const status = data.seen ? 'seen' : 'blind';
+        let action = data.action === 'fold' ? 'pack' : data.action;
+        if (action === 'chaal' || action === 'bet') {
+          const required = data.seen ? stake : stake / 2;
+          action = data.amount > required ? 'raise' : data.amount < required ? 'allIn' : 'chaal';
+          stake = data.currentBet;
+        }
+        actions.push({
+          ...base,
+          playerId: data.playerId,
+          name: nameOf(data.playerId),
+          action,
+          amount: data.amount || 0,
+          status,
+          timedOut: !!data.timedOut
+        });
+        break;
+      }
+
+      case 'sideshowRequested':
+      case 'sideshowAccepted':
+      case 'sideshowDeclined':
+        actions.push({
+          ...base,
+          playerId: type === 'sideshowRequested' ? data.requesterId : data.targetId,
+          name: nameOf(type === 'sideshowRequested' ? data.requesterId : data.targetId),
+          action: type,
+          targetId: type === 'sideshowRequested' ? data.targetId : data.requesterId
+        });
+        break;
+
+      case 'sideshowResult':
+        actions.push({
+          ...base,
+          playerId: data.loserId,
+          name: nameOf(data.loserId),
+          action: 'sideshowLost',
+          reason: data.reason
+        });
+        break;
+
+      case 'showRequested':
+        actions.push({ ...base, playerId: data.playerId, name: nameOf(data.playerId), action: 'show' });
+        break;
+
+      case 'playerLeft':
+        actions.push({ ...base, playerId: data.playerId, name: nameOf(data.playerId), action: 'left' });
+        break;
+
+      case 'showdown':
+        Object.entries(data.hands).forEach(([id, cards]) => {
+          const player = players.find(p => p.id === id);
+          if (player && cards.length > 0) player.shownCards = cards.map(formatCard);
+        });
+        break;
+
+      case 'handEnded':
+        ended = { at, ...data };
+        data.playerChips.forEach(({ id, chips }) => {
+          const player = players.find(p => p.id === id);
+          if (player) player.endingChips = chips;
+        });
+        break;
+
+      case 'settled':
+        settlement = { at, txHash: data.txHash, blockchainRoomId: data.blockchainRoomId };
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  return {
+    handId,
+    roomId,
+    blockchainRoomId: blockchainRoomId || null,
+    startedAt: started.at,
+    endedAt: ended ? ended.at : null,
+    boot: ante,
+    variant,
+    wildRanks,
+    dealerSeat: players.find(p => p.id === dealerId)?.seat || null,
+    deckCommitment,
+    players: players.map(p => ({
+      ...p,
+      net: p.endingChips === null ? null : p.endingChips - p.startingChips
+    })),
+    actions,
+    result: ended
+      ? {
+        winnerId: ended.winnerId,
+        winnerName: ended.winnerId ? nameOf(ended.winnerId) : null,
+        reason: ended.reason,
+        pot: ended.pot,
+        pots: ended.pots || [{ amount: ended.pot, winnerId: ended.winnerId }]
+      }
+      : null,
+    settlement,
+    logVerified: verification.valid
+  };
+}
+
+function describeAction(a) {
+  const status = a.status ? ` (${a.status})` : '';
+  const timedOut = a.timedOut ? ' [timed out]' : '';
+  switch (a.action) {
+    case 'boot': return `${a.name}: posts boot ${a.amount}`;
+    case 'see': return `${a.name}: sees cards`;
+    case 'chaal': return `${a.name}: chaals ${a.amount}${status}${timedOut}`;
+    case 'raise': return `${a.name}: raises to ${a.amount}${status}${timedOut}`;
+    case 'allIn': return `${a.name}: chaals ${a.amount}${status} and is all-in${timedOut}`;
+    case 'pack': return `${a.name}: packs${status}${timedOut}`;
+    case 'sideshowRequested': return `${a.name}: asks for a sideshow`;
+    case 'sideshowAccepted': return `${a.name}: accepts the sideshow`;
+    case 'sideshowDeclined': return `${a.name}: declines the sideshow`;
+    case 'sideshowLost': return `${a.name}: loses the sideshow and packs (${a.reason})`;
+    case 'show': return `${a.name}: calls for a show`;
+    case 'left': return `${a.name}: leaves the table`;
+    default: return `${a.name}: ${a.action}`;
+  }
+}
+
+/**
+ * PokerStars-style text, one hand per block
+ */
+export function formatHandText(summary) {
+  const lines = [];
+  const variant = summary.variant && summary.variant !== 'classic'
+    ? ` (${summary.variant}${summary.wildRanks.length ? `, ${summary.wildRanks.join('/')} wild` : ''})`
+    : '';
+  lines.push(`Teen Patti${variant} Hand #${summary.handId}: Boot ${summary.boot} - ${formatTime(summary.startedAt)}`);
+  lines.push(
+    `Table '${summary.blockchainRoomId || summary.roomId}' ${summary.players.length}-max` +
+    (summary.dealerSeat ? ` Seat #${summary.dealerSeat} is the dealer` : '')
+  );
+  summary.players.forEach(p => {
+    lines.push(`Seat ${p.seat}: ${p.name} (${p.startingChips} in chips)`);
+  });
+
+  const boots = summary.actions.filter(a => a.action === 'boot');
+  const rest = summary.actions.filter(a => a.action !== 'boot');
+  boots.forEach(a => lines.push(describeAction(a)));
+
+  lines.push(`*** DEAL ***${summary.deckCommitment ? ` [deck commitment ${summary.deckCommitment}]` : ''}`);
+  rest.filter(a => a.action !== 'show').forEach(a => lines.push(describeAction(a)));
+
+  const showCall = rest.find(a => a.action === 'show');
+  const shown = summary.players.filter(p => p.shownCards);
+  if (showCall || shown.length > 0) {
+    lines.push('*** SHOW DOWN ***');
+    if (showCall) lines.push(describeAction(showCall));
+    shown.forEach(p => lines.push(`${p.name}: shows [${p.shownCards.join(' ')}]`));
+  }
+
+  lines.push('*** SUMMARY ***');
+  if (summary.result) {
+    const { pots, pot, winnerName, reason } = summary.result;
+    const potParts = pots.length > 1
+      ? ` | ${pots.map((p, i) => `${i === 0 ? 'Main pot' : `Side pot-${i}`} ${p.amount}`).join(' | ')}`
+      : '';
+    lines.push(`Total pot ${pot}${potParts}`);
+    lines.push(winnerName ? `${winnerName} wins (${reason})` : `No winner (${reason})`);
+  } else {
+    lines.push('Hand did not finish');
+  }
+  summary.players.forEach(p => {
+    const won = summary.result?.pots
+      .filter(pot => pot.winnerId === p.id)
+      .reduce((sum, pot) => sum + pot.amount, 0);
+    const cards = p.shownCards ? ` showed [${p.shownCards.join(' ')}]` : '';
+    const outcome = won ? ` and won (${won})` : '';
+    const net = p.net === null ? '' : ` net ${p.net >= 0 ? '+' : ''}${p.net}`;
+    lines.push(`Seat ${p.seat}: ${p.name}${cards}${outcome}${net}`);
+  });
+  if (summary.settlement) {
+    lines.push(`Settled on-chain: ${summary.settlement.txHash}`);
+  }
+  lines.push(`Log hash chain: ${summary.logVerified ? 'verified' : 'FAILED'}`);
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,188 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const GENESIS_HASH = '0'.repeat(64);
+
+function hashEntry({ seq, handId, roomId, type, at, data, prevHash }) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([seq, handId, roomId, type, at, data, prevHash]))
+        .digest('hex');
+}
+
+/**
+ * Walk a hand's entries and check every sequence number and hash link
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function verifyChain(entries) {
+    let prevHash = GENESIS_HASH;
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.seq !== i) {
+            return { valid: false, error: `Entry ${i} has sequence number ${entry.seq}` };
+        }
+        if (entry.prevHash !== prevHash) {
+            return { valid: false, error: `Entry ${i} does not link to the previous entry` };
+        }
+        if (hashEntry(entry) !== entry.hash) {
+            return { valid: false, error: `Entry ${i} was modified` };
+        }
+        prevHash = entry.hash;
+    }
+    return { valid: true };
+}
+
+/**
+ * Append-only event log for every hand: deals, bets, shows and settlements.
+ * Each hand is a JSON-lines file under its room's folder; every entry carries
+ * a sequence number and the hash of the entry before it, so a replay can
+ * prove nothing was dropped or edited after the fact.
+ */
+class HandHistory {
+    constructor() {
+        this.dir = process.env.HAND_LOG_DIR || path.join(__dirname, 'data', 'hands');
+        this.handRooms = new Map(); // handId -> roomId
+        this.heads = new Map(); // handId -> { seq, hash } of the last entry written
+        this.queues = new Map(); // handId -> promise of the last queued append
+    }
+
+    /**
+     * Index the hands already on disk (files are only read when asked for)
+     */
+    async initialize() {
+        await fs.mkdir(this.dir, { recursive: true });
+        const rooms = await fs.readdir(this.dir, { withFileTypes: true });
+
+        for (const room of rooms) {
+            if (!room.isDirectory()) continue;
+            const roomId = decodeURIComponent(room.name);
+            const files = await fs.readdir(path.join(this.dir, room.name));
+            files
+                .filter((file) => file.endsWith('.jsonl'))
+                .forEach((file) => this.handRooms.set(file.slice(0, -'.jsonl'.length), roomId));
+        }
+
+        console.log(`📜 Hand history: ${this.handRooms.size} hands in ${this.dir}`);
+    }
+
+    fileFor(handId) {
+        const roomId = this.handRooms.get(handId);
+        return path.join(this.dir, encodeURIComponent(roomId), `${handId}.jsonl`);
+    }
+
+    /**
+     * Open a new hand's log with its starting table
+     * @returns {string} The new hand's id
+     */
+    startHand(roomId, data) {
+        const handId = crypto.randomUUID();
+        this.handRooms.set(handId, roomId);
+        this.heads.set(handId, { seq: -1, hash: GENESIS_HASH });
+        this.record(handId, 'handStarted', data);
+        return handId;
+    }
+
+    /**
+     * Append an event to a hand's log. Writes for one hand happen in order;
+     * a hand left open by a restart carries on from its last entry on disk.
+     */
+    record(handId, type, data = {}) {
+        if (!this.handRooms.has(handId)) return;
+        const roomId = this.handRooms.get(handId);
+        const at = Date.now();
+
+        const previous = this.queues.get(handId) || Promise.resolve();
+        const next = previous
+            .then(async () => {
+                const head = this.heads.get(handId) || (await this.readHead(handId));
+                const entry = { seq: head.seq + 1, handId, roomId, type, at, data, prevHash: head.hash };
+                entry.hash = hashEntry(entry);
+
+                await fs.mkdir(path.dirname(this.fileFor(handId)), { recursive: true });
+                await fs.appendFile(this.fileFor(handId), `${JSON.stringify(entry)}\n`);
+                this.heads.set(handId, { seq: entry.seq, hash: entry.hash });
+            })
+            .catch((error) => {
+                console.error(`❌ Hand history write failed for hand ${handId}:`, error.message);
+            });
+
+        this.queues.set(handId, next);
+        next.then(() => {
+            if (this.queues.get(handId) === next) this.queues.delete(handId);
+        });
+    }
+
+    async readHead(handId) {
+        const entries = await this.readEntries(handId);
+        const last = entries[entries.length - 1];
+        return last ? { seq: last.seq, hash: last.hash } : { seq: -1, hash: GENESIS_HASH };
+    }
+
+    async readEntries(handId) {
+        try {
+            const text = await fs.readFile(this.fileFor(handId), 'utf8');
+            return text.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Full replay of a hand, with the result of checking its hash chain
+     * @returns {Promise<Object|null>} null if the hand is unknown
+     */
+    async getHand(handId) {
+        if (!this.handRooms.has(handId)) return null;
+        await this.queues.get(handId);
+
+        const entries = await this.readEntries(handId);
+        return {
+            handId,
+            roomId: this.handRooms.get(handId),
+            verification: verifyChain(entries),
+            entries,
+        };
+    }
+
+    /**
+     * Summaries of every hand played in a room, oldest first
+     */
+    async listHands(roomId) {
+        const handIds = [...this.handRooms]
+            .filter(([, handRoomId]) => handRoomId === roomId)
+            .map(([handId]) => handId);
+
+        const hands = [];
+        for (const handId of handIds) {
+            await this.queues.get(handId);
+            const entries = await this.readEntries(handId);
+            if (entries.length === 0) continue;
+
+            const ended = entries.find((entry) => entry.type === 'handEnded');
+            hands.push({
+                handId,
+                startedAt: entries[0].at,
+                endedAt: ended ? ended.at : null,
+                winnerId: ended ? ended.data.winnerId : null,
+                pot: ended ? ended.data.pot : null,
+                reason: ended ? ended.data.reason : null,
+                events: entries.length,
+            });
+        }
+        return hands.sort((a, b) => a.startedAt - b.startedAt);
+    }
+}
+
+// Singleton instance
+const handHistory = new HandHistory();
+
+export default handHistory;
@@ -0,0 +1,76 @@
+// Lobby
+//
+// The public list of blockchain tables for the lobby page, GET /api/rooms
+// and the lobbyUpdate channel: what each table costs, how full it is, what
+// it plays and how big its pots run. Players can only sit down on-chain
+// before a table's first hand (the contract's WAITING state); after that the
+// table is listed as playing and can be watched. Private rooms (see
+// roomAccess.js) are never listed.
+
+import { VARIANTS } from './variants.js';
+
+export const LOBBY_STATUSES = ['waiting', 'playing'];
+
+/**
+ * A table as the lobby lists it
+ * @param {Game} game - A blockchain room (one with a cash session)
+ * @param {string} shortCode - The room's short code
+ */
+export function getLobbyEntry(game, shortCode) {
+  const session = game.cashSession;
+  const pots = session.hands.map(hand => hand.pot).filter(pot => pot > 0);
+  const status = session.handNumber > 0 || game.gameStarted ? 'playing' : 'waiting';
+
+  return {
+    roomId: game.blockchainRoomId,
+    shortCode,
+    buyIn: game.buyInTokens,
+    players: game.players.length,
+    maxPlayers: game.maxPlayers,
+    variant: game.variant,
+    boot: game.tableRules.boot,
+    status,
+    handNumber: session.handNumber,
+    averagePot: pots.length > 0 ? Math.round(pots.reduce((sum, pot) => sum + pot, 0) / pots.length) : null,
+    joinable: status === 'waiting' && game.players.length < game.maxPlayers
+  };
+}
+
+/**
+ * Every listed table that matches the filters, waiting tables first and
+ * then cheapest first. Settled sessions, private and off-chain rooms aren't
+ * listed.
+ * @param {Iterable<Game>} games
+ * @param {(game: Game) => string} getShortCode
+ * @param {{status?: string, variant?: string, minBuyIn?: number, maxBuyIn?: number}} filters
+ * @returns {{success: boolean, rooms?: Object[], error?: string}}
+ */
+export function listLobbyRooms(games, getShortCode, filters = {}) {
+  const { status, variant, minBuyIn, maxBuyIn } = filters;
+
+  if (status !== undefined && !LOBBY_STATUSES.includes(status)) {
+    return { success: false, error: `Status must be one of ${LOBBY_STATUSES.join(', ')}` };
+  }
+  if (variant !== undefined && !VARIANTS[variant]) {
+    return { success: false, error: `Unknown variant: ${variant}` };
+  }
+  const isBound = value => value === undefined || (Number.isFinite(value) && value >= 0);
+  if (!isBound(minBuyIn) || !isBound(maxBuyIn)) {
+    return { success: false, error: 'Buy-in filters must be non-negative numbers' };
+  }
+
+  const rooms = [...games]
+    .filter(game => game.blockchainRoomId && game.cashSession && !game.cashSession.settlement && !game.access)
+    .map(game => getLobbyEntry(game, getShortCode(game)))
+    .filter(room =>
+      (status === undefined || room.status === status) &&
+      (variant === undefined || room.variant === variant) &&
+      (minBuyIn === undefined || room.buyIn >= minBuyIn) &&
+      (maxBuyIn === undefined || room.buyIn <= maxBuyIn)
+    )
+    .sort((a, b) =>
+      LOBBY_STATUSES.indexOf(a.status) - LOBBY_STATUSES.indexOf(b.status) || a.buyIn - b.buyIn
+    );
+
+  return { success: true, rooms };
+}
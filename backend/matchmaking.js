@@ -0,0 +1,192 @@
+// Quick-seat matchmaking
+//
+// "Play now" takes a buy-in range and a table size. A waiting table that fits
+// is the first choice. Otherwise the wallet waits in a queue, and once enough
+// queued wallets agree on a table size and a stake, they become a match: the
+// first of them opens the room on-chain (only players can - the server never
+// signs) and the rest are sent to join it.
+
+import { randomUUID } from 'crypto';
+
+export const MIN_TABLE_SIZE = 2;
+export const MAX_TABLE_SIZE = 6; // the contract's seat limit
+
+/**
+ * Check a quick-seat request: a buy-in range in tokens and the number of
+ * players to seat.
+ * @returns {{success: boolean, error?: string}}
+ */
+export function validateQuickSeat({ minBuyIn, maxBuyIn, players } = {}) {
+  if (!Number.isFinite(minBuyIn) || !Number.isFinite(maxBuyIn) || minBuyIn <= 0 || maxBuyIn < minBuyIn) {
+    return { success: false, error: 'Buy-in range must be positive, with the minimum no more than the maximum' };
+  }
+  if (!Number.isInteger(players) || players < MIN_TABLE_SIZE || players > MAX_TABLE_SIZE) {
+    return { success: false, error: `Players must be between ${MIN_TABLE_SIZE} and ${MAX_TABLE_SIZE}` };
+  }
+  return { success: true };
+}
+
+/**
+ * The lobby tables a request can sit down at, best first: the fullest (it
+ * starts soonest), then the cheapest.
+ * @param {Object[]} rooms - Lobby entries (see lobby.js)
+ */
+export function rankRooms(rooms, { minBuyIn, maxBuyIn, players }) {
+  return rooms
+    .filter(room =>
+      room.joinable &&
+      room.maxPlayers === players &&
+      room.buyIn >= minBuyIn &&
+      room.buyIn <= maxBuyIn
+    )
+    .sort((a, b) => b.players - a.players || a.buyIn - b.buyIn);
+}
+
+export class Matchmaker {
+  constructor() {
+    this.queue = []; // waiting wallets, oldest first: { wallet, socketId, minBuyIn, maxBuyIn, players, queuedAt }
+    this.matches = new Map(); // matchId -> { matchId, host, guests, buyIn, players, expiresAt } until the host opens the room
+  }
+
+  getTicket(wallet) {
+    return this.queue.find(ticket => ticket.wallet === wallet);
+  }
+
+  getMatchFor(wallet) {
+    return [...this.matches.values()].find(match =>
+      match.host.wallet === wallet || match.guests.some(guest => guest.wallet === wallet)
+    );
+  }
+
+  walletOfSocket(socketId) {
+    const ticket = this.queue.find(t => t.socketId === socketId) ||
+      [...this.matches.values()]
+        .flatMap(match => [match.host, ...match.guests])
+        .find(t => t.socketId === socketId);
+    return ticket?.wallet;
+  }
+
+  /**
+   * Put a wallet in the queue, or update what it is waiting for. A wallet
+   * already in a match waits for that table.
+   * @returns {{success: boolean, error?: string}}
+   */
+  enqueue(wallet, socketId, request, now = Date.now()) {
+    if (this.getMatchFor(wallet)) {
+      return { success: false, error: 'Already matched - waiting for the table to open' };
+    }
+    const existing = this.getTicket(wallet);
+    const { minBuyIn, maxBuyIn, players } = request;
+    if (existing) {
+      Object.assign(existing, { socketId, minBuyIn, maxBuyIn, players });
+    } else {
+      this.queue.push({ wallet, socketId, minBuyIn, maxBuyIn, players, queuedAt: now });
+    }
+    return { success: true };
+  }
+
+  /**
+   * How many queued wallets could share a table with this one, itself
+   * included, and how many the table needs
+   */
+  getQueueStatus(wallet) {
+    const ticket = this.getTicket(wallet);
+    if (!ticket) return null;
+    return {
+      waiting: this.queue.filter(other => this.compatible(ticket, other)).length,
+      players: ticket.players
+    };
+  }
+
+  compatible(a, b) {
+    return a.players === b.players &&
+      Math.max(a.minBuyIn, b.minBuyIn) <= Math.min(a.maxBuyIn, b.maxBuyIn);
+  }
+
+  /**
+   * Group the queue into a match if enough wallets agree: the same table
+   * size and a buy-in inside every one of their ranges. Oldest tickets go
+   * first; the oldest of the group hosts, at the lowest stake all accept.
+   * @returns {Object | null} The new match
+   */
+  formMatch(hostTimeoutMs, now = Date.now()) {
+    for (const anchor of this.queue) {
+      let low = anchor.minBuyIn;
+      let high = anchor.maxBuyIn;
+      const group = [anchor];
+
+      for (const ticket of this.queue) {
+        if (group.length === anchor.players) break;
+        if (ticket === anchor || ticket.players !== anchor.players) continue;
+        const nextLow = Math.max(low, ticket.minBuyIn);
+        const nextHigh = Math.min(high, ticket.maxBuyIn);
+        if (nextLow > nextHigh) continue;
+        low = nextLow;
+        high = nextHigh;
+        group.push(ticket);
+      }
+
+      if (group.length === anchor.players) {
+        group.sort((a, b) => a.queuedAt - b.queuedAt);
+        this.queue = this.queue.filter(ticket => !group.includes(ticket));
+        const match = {
+          matchId: randomUUID(),
+          host: group[0],
+          guests: group.slice(1),
+          buyIn: low,
+          players: anchor.players,
+          expiresAt: now + hostTimeoutMs
+        };
+        this.matches.set(match.matchId, match);
+        return match;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The host opened the match's room: its guests can go and join it
+   * @returns {Object | null} The match, or null if it isn't this wallet's to open
+   */
+  completeMatch(matchId, wallet) {
+    const match = this.matches.get(matchId);
+    if (!match || match.host.wallet !== wallet) return null;
+    this.matches.delete(matchId);
+    return match;
+  }
+
+  /**
+   * Take a wallet out of matchmaking. Guests of a host who gives up go back
+   * to the front of the queue; a guest who gives up just isn't waited for.
+   * @returns {{requeued: Object[]}} Tickets put back in the queue
+   */
+  cancel(wallet) {
+    this.queue = this.queue.filter(ticket => ticket.wallet !== wallet);
+
+    const match = this.getMatchFor(wallet);
+    if (!match) return { requeued: [] };
+    if (match.host.wallet !== wallet) {
+      match.guests = match.guests.filter(guest => guest.wallet !== wallet);
+      return { requeued: [] };
+    }
+    return { requeued: this.dissolve(match) };
+  }
+
+  /**
+   * Matches whose host hasn't opened the room in time. The hosts are dropped,
+   * their guests requeued.
+   * @returns {Array<{match: Object, requeued: Object[]}>}
+   */
+  expireMatches(now = Date.now()) {
+    return [...this.matches.values()]
+      .filter(match => match.expiresAt <= now)
+      .map(match => ({ match, requeued: this.dissolve(match) }));
+  }
+
+  dissolve(match) {
+    this.matches.delete(match.matchId);
+    // Requeued guests keep their place in line
+    this.queue = [...match.guests, ...this.queue].sort((a, b) => a.queuedAt - b.queuedAt);
+    return match.guests;
+  }
+}
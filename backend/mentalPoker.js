@@ -0,0 +1,480 @@
+// Mental poker shuffle (commutative encryption, SRA style)
+//
+// Every seated player locks the deck with a secret exponent and re-shuffles it
+// in turn, so no single party (including this server) ever knows the final
+// order. Locks commute, so after dealing each player strips their own lock
+// from everybody else's cards and only the owner can open their own hand.
+//
+// Cards live in the order-q subgroup of Z_p* where p = 2q + 1 is a safe prime
+// below the BN254 scalar field, so locked values are valid circuit fields.
+
+// Each shuffle comes with the locked deck before it was re-ordered and a lock
+// proof (below) that every value was raised to the key behind the shuffler's
+// key commitment. The server holds both columns, so it checks directly that
+// the new deck is a re-ordering of them that keeps every card with its nonce.
+// Together they stop a player from swapping cards in or out while the deck
+// passes through their hands. The shuffle circuit proof that goes on-chain is
+// verified by the caller as well.
+
+import crypto from 'crypto';
+
+// Safe prime p = 2^252 - 27257 and the prime order q = (p - 1) / 2
+export const SRA_PRIME = (1n << 252n) - 27257n;
+export const SRA_ORDER = (SRA_PRIME - 1n) / 2n;
+
+// Public base used to commit to a player's lock key (keyCommitment = g^key)
+export const SRA_GENERATOR = 4n;
+
+// BN254 scalar field - deck commitments are Pedersen hashes in this field
+export const BN254_MODULUS = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+const DECK_SIZE = 52;
+const HAND_SIZE = 3;
+
+export function modPow(base, exponent, modulus) {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+}
+
+export function modInverse(value, modulus) {
+  let [oldR, r] = [value % modulus, modulus];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  if (oldR !== 1n) {
+    throw new Error('Value is not invertible');
+  }
+  return ((oldS % modulus) + modulus) % modulus;
+}
+
+/**
+ * Encode a canonical card index as a quadratic residue: (index + 2)^2 mod p.
+ * Index order matches circuits/lib/src/card_uids.nr: (rank - 2) * 4 + suit.
+ */
+export function encodeCard(index) {
+  const base = BigInt(index + 2);
+  return (base * base) % SRA_PRIME;
+}
+
+const ENCODED_DECK = Array.from({ length: DECK_SIZE }, (_, i) => encodeCard(i));
+const DECODE_TABLE = new Map(ENCODED_DECK.map((value, i) => [value, i]));
+
+/** Decode an unlocked value back to its canonical card index, or null */
+export function decodeCardIndex(value) {
+  const index = DECODE_TABLE.get(value);
+  return index === undefined ? null : index;
+}
+
+export function toHex(value) {
+  return '0x' + value.toString(16);
+}
+
+/**
+ * Parse a client-supplied group element. Returns null unless the value is a
+ * hex/decimal string that lies in the order-q subgroup.
+ */
+export function parseGroupElement(raw) {
+  if (typeof raw !== 'string' || raw.length === 0 || raw.length > 80) return null;
+  let value;
+  try {
+    value = BigInt(raw);
+  } catch {
+    return null;
+  }
+  if (value <= 1n || value >= SRA_PRIME) return null;
+  if (modPow(value, SRA_ORDER, SRA_PRIME) !== 1n) return null;
+  return value;
+}
+
+/**
+ * Parse a field element (Merkle root / leaf) published by the dealer.
+ */
+function parseField(raw) {
+  if (typeof raw !== 'string' || raw.length === 0 || raw.length > 80) return null;
+  try {
+    const value = BigInt(raw);
+    return value >= 0n && value < BN254_MODULUS ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseColumn(values, label) {
+  if (!Array.isArray(values) || values.length !== DECK_SIZE) {
+    return { error: `${label} must contain ${DECK_SIZE} entries` };
+  }
+  const parsed = values.map(parseGroupElement);
+  if (parsed.some(v => v === null)) {
+    return { error: `${label} contains invalid values` };
+  }
+  return { parsed };
+}
+
+// Lock proof: a batched Chaum-Pedersen proof that log_g(K) = log_x(y) for
+// every deck value x and its locked value y. Random weights fold the columns
+// into one pair X = prod x_i^w_i, Y = prod y_i^w_i, so one proof covers all.
+// Hashes are sha256 over a label and the values as 32-byte big-endian words;
+// frontend/src/lib/zk/mentalPoker.js builds the same proof.
+
+const LOCK_PROOF_DOMAIN = 'teen-patti/lock-proof/';
+const WEIGHT_MASK = (1n << 128n) - 1n;
+
+function hashToInt(label, values) {
+  const hash = crypto.createHash('sha256').update(LOCK_PROOF_DOMAIN + label);
+  values.forEach(value => hash.update(Buffer.from(value.toString(16).padStart(64, '0'), 'hex')));
+  return BigInt('0x' + hash.digest('hex'));
+}
+
+/**
+ * Fold the deck and locked columns into one (X, Y) pair
+ */
+export function foldLockColumns(keyCommitment, bases, locked) {
+  const seed = hashToInt('weights', [keyCommitment, ...bases, ...locked]);
+  let X = 1n;
+  let Y = 1n;
+  bases.forEach((base, i) => {
+    const weight = hashToInt('weight', [seed, BigInt(i)]) & WEIGHT_MASK;
+    X = (X * modPow(base, weight, SRA_PRIME)) % SRA_PRIME;
+    Y = (Y * modPow(locked[i], weight, SRA_PRIME)) % SRA_PRIME;
+  });
+  return { X, Y };
+}
+
+export function lockProofChallenge(keyCommitment, X, Y, t1, t2) {
+  return hashToInt('challenge', [keyCommitment, X, Y, t1, t2]) % SRA_ORDER;
+}
+
+/**
+ * Check that every locked value is its base raised to the key behind
+ * keyCommitment
+ * @param {{t1: string, t2: string, s: string}} proof
+ */
+export function verifyLockProof(keyCommitment, bases, locked, proof) {
+  const t1 = parseGroupElement(proof?.t1);
+  const t2 = parseGroupElement(proof?.t2);
+  let s;
+  try {
+    s = typeof proof?.s === 'string' && proof.s.length <= 80 ? BigInt(proof.s) : -1n;
+  } catch {
+    return false;
+  }
+  if (!t1 || !t2 || s < 0n || s >= SRA_ORDER || bases.length !== locked.length) return false;
+
+  const { X, Y } = foldLockColumns(keyCommitment, bases, locked);
+  const c = lockProofChallenge(keyCommitment, X, Y, t1, t2);
+  return modPow(SRA_GENERATOR, s, SRA_PRIME) === (t1 * modPow(keyCommitment, c, SRA_PRIME)) % SRA_PRIME
+    && modPow(X, s, SRA_PRIME) === (t2 * modPow(Y, c, SRA_PRIME)) % SRA_PRIME;
+}
+
+/**
+ * Tracks one hand's shuffle: a locking/re-shuffling pass through every seat,
+ * then an unlocking pass where each seat removes its lock from the cards dealt
+ * to the other seats. The server only ever sees locked values.
+ *
+ * The first seat (the dealer) seeds a nonce for every card and publishes the
+ * deck commitment: a Merkle tree of pedersen(2, uid, nonce) in canonical card
+ * order. Nonces travel through the same locks as their cards, so each player
+ * ends up with exactly their own cards and nonces - the private half of the
+ * deal and show circuit inputs.
+ */
+export class ShuffleSession {
+  constructor(seatOrder, handSize = HAND_SIZE) {
+    this.order = [...seatOrder];
+    this.handSize = handSize;
+    this.phase = 'shuffling'; // 'shuffling' | 'unlocking' | 'dealt'
+    this.step = 0;
+    this.deck = [...ENCODED_DECK];
+    this.nonces = null;
+    this.deckCommitment = null;
+    this.keyCommitments = new Map();
+    this.transcript = [];
+
+    // Round-robin dealing by seat: seat k gets slots k, k + n, k + 2n, ...
+    this.slots = new Map();
+    this.order.forEach((playerId, seat) => {
+      const hand = [];
+      for (let i = 0; i < handSize; i++) {
+        hand.push(seat + i * this.order.length);
+      }
+      this.slots.set(playerId, hand);
+    });
+  }
+
+  /**
+   * Plain-JSON form for the game store (group elements as hex)
+   */
+  toJSON() {
+    return {
+      order: this.order,
+      handSize: this.handSize,
+      phase: this.phase,
+      step: this.step,
+      deck: this.deck.map(toHex),
+      nonces: this.nonces ? this.nonces.map(toHex) : null,
+      deckCommitment: this.deckCommitment,
+      keyCommitments: [...this.keyCommitments].map(([id, value]) => [id, toHex(value)]),
+      transcript: this.transcript,
+    };
+  }
+
+  static fromJSON(data) {
+    const session = new ShuffleSession(data.order, data.handSize);
+    session.phase = data.phase;
+    session.step = data.step;
+    session.deck = data.deck.map(BigInt);
+    session.nonces = data.nonces ? data.nonces.map(BigInt) : null;
+    session.deckCommitment = data.deckCommitment;
+    session.keyCommitments = new Map(data.keyCommitments.map(([id, value]) => [id, BigInt(value)]));
+    session.transcript = data.transcript;
+    return session;
+  }
+
+  getCurrentActor() {
+    if (this.phase === 'dealt') return null;
+    return this.order[this.step];
+  }
+
+  getProgress() {
+    return {
+      phase: this.phase,
+      playerId: this.getCurrentActor(),
+      step: this.step + 1,
+      totalSteps: this.order.length,
+    };
+  }
+
+  includes(playerId) {
+    return this.slots.has(playerId);
+  }
+
+  getSlots(playerId) {
+    return this.slots.get(playerId) || [];
+  }
+
+  /**
+   * What the current shuffler receives. The dealer gets the bare canonical
+   * deck and is asked to seed nonces and the deck commitment.
+   */
+  getShuffleRequest() {
+    return {
+      deck: this.deck.map(toHex),
+      nonces: this.nonces ? this.nonces.map(toHex) : null,
+      seedDeck: this.nonces === null,
+    };
+  }
+
+  /**
+   * Validate a shuffle without applying it: the lock proof, and that the
+   * shuffled deck re-orders the locked one with every card keeping its nonce.
+   * The caller must still verify the shuffle circuit proof.
+   * @returns {{success: boolean, error?: string}}
+   */
+  checkShuffle(playerId, { deck, nonces, keyCommitment, deckCommitment, locked, lockProof } = {}) {
+    if (this.phase !== 'shuffling' || this.getCurrentActor() !== playerId) {
+      return { success: false, error: 'Not your turn to shuffle' };
+    }
+
+    const commitment = parseGroupElement(keyCommitment);
+    if (!commitment) {
+      return { success: false, error: 'Invalid key commitment' };
+    }
+
+    const cards = parseColumn(deck, 'Shuffled deck');
+    if (cards.error) {
+      return { success: false, error: cards.error };
+    }
+    if (new Set(cards.parsed).size !== DECK_SIZE) {
+      return { success: false, error: 'Shuffled deck contains duplicate cards' };
+    }
+
+    const nonceColumn = parseColumn(nonces, 'Nonces');
+    if (nonceColumn.error) {
+      return { success: false, error: nonceColumn.error };
+    }
+
+    const lockedCards = parseColumn(locked?.deck, 'Locked deck');
+    const lockedNonces = parseColumn(locked?.nonces, 'Locked nonces');
+    if (lockedCards.error || lockedNonces.error) {
+      return { success: false, error: lockedCards.error || lockedNonces.error };
+    }
+
+    // The dealer seeds fresh nonces, so only their cards have a known base
+    const seeding = this.nonces === null;
+    const bases = seeding ? this.deck : [...this.deck, ...this.nonces];
+    const lockedValues = seeding ? lockedCards.parsed : [...lockedCards.parsed, ...lockedNonces.parsed];
+    if (!verifyLockProof(commitment, bases, lockedValues, lockProof)) {
+      return { success: false, error: 'Invalid lock proof' };
+    }
+
+    // Shuffled cards are distinct, so matching each to a locked card and its
+    // nonce makes the shuffle a permutation of the locked pairs
+    const lockedPairs = new Map(lockedCards.parsed.map((card, i) => [card, lockedNonces.parsed[i]]));
+    const reordered = cards.parsed.every((card, i) => lockedPairs.get(card) === nonceColumn.parsed[i]);
+    if (!reordered) {
+      return { success: false, error: 'Shuffled deck is not a re-ordering of the locked deck' };
+    }
+
+    if (this.deckCommitment === null) {
+      const root = parseField(deckCommitment?.merkleRoot);
+      const leaves = Array.isArray(deckCommitment?.commitments)
+        ? deckCommitment.commitments.map(parseField)
+        : [];
+      if (root === null || leaves.length !== DECK_SIZE || leaves.some(l => l === null)) {
+        return { success: false, error: 'Dealer must publish the deck commitment' };
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Apply a shuffle whose circuit proof has been verified. Runs checkShuffle
+   * again, so a stale or repeated submission is still refused.
+   */
+  submitShuffle(playerId, contribution = {}) {
+    const check = this.checkShuffle(playerId, contribution);
+    if (!check.success) return check;
+
+    if (this.deckCommitment === null) {
+      const { merkleRoot, commitments } = contribution.deckCommitment;
+      this.deckCommitment = {
+        merkleRoot: toHex(parseField(merkleRoot)),
+        commitments: commitments.map(leaf => toHex(parseField(leaf))),
+      };
+    }
+
+    const keyCommitment = parseGroupElement(contribution.keyCommitment);
+    this.deck = contribution.deck.map(parseGroupElement);
+    this.nonces = contribution.nonces.map(parseGroupElement);
+    this.keyCommitments.set(playerId, keyCommitment);
+    this.transcript.push({ playerId, phase: 'shuffle', keyCommitment: toHex(keyCommitment) });
+    this.advance();
+    return { success: true };
+  }
+
+  /**
+   * Slots a player must unlock: every dealt card (and its nonce) that belongs
+   * to someone else.
+   * @returns {{cards: Object<number, string>, nonces: Object<number, string>}}
+   */
+  getUnlockRequest(playerId) {
+    const request = { cards: {}, nonces: {} };
+    for (const [ownerId, hand] of this.slots) {
+      if (ownerId === playerId) continue;
+      hand.forEach(slot => {
+        request.cards[slot] = toHex(this.deck[slot]);
+        request.nonces[slot] = toHex(this.nonces[slot]);
+      });
+    }
+    return request;
+  }
+
+  /**
+   * Take a player's lock off the cards dealt to everyone else. The proof is a
+   * lock proof read backwards: each unlocked value raised to the key behind
+   * the player's key commitment must give back the value they were sent, so
+   * nobody can hand back garbage that leaves an opponent unable to open
+   * their hand.
+   */
+  submitUnlock(playerId, { cards, nonces, proof } = {}) {
+    if (this.phase !== 'unlocking' || this.getCurrentActor() !== playerId) {
+      return { success: false, error: 'Not your turn to unlock' };
+    }
+    if (!cards || typeof cards !== 'object' || !nonces || typeof nonces !== 'object') {
+      return { success: false, error: 'Missing unlocked values' };
+    }
+
+    const expected = Object.keys(this.getUnlockRequest(playerId).cards);
+    const updates = [];
+    for (const slot of expected) {
+      const card = parseGroupElement(cards[slot]);
+      const nonce = parseGroupElement(nonces[slot]);
+      if (!card || !nonce) {
+        return { success: false, error: `Invalid unlocked value for slot ${slot}` };
+      }
+      updates.push([Number(slot), card, nonce]);
+    }
+
+    const unlocked = [...updates.map(([, card]) => card), ...updates.map(([, , nonce]) => nonce)];
+    const sent = [...updates.map(([slot]) => this.deck[slot]), ...updates.map(([slot]) => this.nonces[slot])];
+    if (!verifyLockProof(this.keyCommitments.get(playerId), unlocked, sent, proof)) {
+      return { success: false, error: 'Invalid unlock proof' };
+    }
+
+    updates.forEach(([slot, card, nonce]) => {
+      this.deck[slot] = card;
+      this.nonces[slot] = nonce;
+    });
+    this.transcript.push({ playerId, phase: 'unlock' });
+    this.advance();
+    return { success: true };
+  }
+
+  advance() {
+    this.step++;
+    if (this.step < this.order.length) return;
+
+    this.step = 0;
+    this.phase = this.phase === 'shuffling' ? 'unlocking' : 'dealt';
+  }
+
+  /**
+   * A player's three cards and nonces, still locked with that player's own
+   * key, plus the public deck commitment they need to build Merkle paths.
+   */
+  getLockedHand(playerId) {
+    const slots = this.getSlots(playerId);
+    return {
+      slots,
+      lockedCards: slots.map(slot => toHex(this.deck[slot])),
+      lockedNonces: slots.map(slot => toHex(this.nonces[slot])),
+      deckCommitment: this.deckCommitment,
+    };
+  }
+
+  /**
+   * Open a player's hand with their revealed key. The key must match the
+   * commitment they published while shuffling.
+   * @returns {{success: boolean, cardIndices?: number[], error?: string}}
+   */
+  revealHand(playerId, rawKey) {
+    if (this.phase !== 'dealt') {
+      return { success: false, error: 'Cards have not been dealt yet' };
+    }
+
+    let key;
+    try {
+      key = BigInt(rawKey);
+    } catch {
+      return { success: false, error: 'Invalid key' };
+    }
+    if (key <= 0n || key >= SRA_ORDER) {
+      return { success: false, error: 'Invalid key' };
+    }
+
+    const commitment = this.keyCommitments.get(playerId);
+    if (!commitment || modPow(SRA_GENERATOR, key, SRA_PRIME) !== commitment) {
+      return { success: false, error: 'Key does not match shuffle commitment' };
+    }
+
+    const inverse = modInverse(key, SRA_ORDER);
+    const cardIndices = this.getSlots(playerId).map(slot =>
+      decodeCardIndex(modPow(this.deck[slot], inverse, SRA_PRIME))
+    );
+    if (cardIndices.some(i => i === null)) {
+      return { success: false, error: 'Revealed key does not open dealt cards' };
+    }
+
+    return { success: true, cardIndices };
+  }
+}
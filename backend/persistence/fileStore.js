@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Default game store: one JSON file per room. Each save goes to a temp file
+ * that is renamed over the old one, so a crash mid-write never leaves a
+ * half-written room behind. Writes for the same room are queued in order.
+ */
+export class FileGameStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.queues = new Map(); // roomId -> promise of the last queued write
+    }
+
+    fileFor(roomId) {
+        return path.join(this.dir, `${encodeURIComponent(roomId)}.json`);
+    }
+
+    enqueue(roomId, task) {
+        const previous = this.queues.get(roomId) || Promise.resolve();
+        const next = previous.then(task).catch((error) => {
+            console.error(`❌ Game store write failed for room ${roomId}:`, error.message);
+        });
+        this.queues.set(roomId, next);
+        next.then(() => {
+            if (this.queues.get(roomId) === next) this.queues.delete(roomId);
+        });
+        return next;
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Every saved room record
+     */
+    async load() {
+        await fs.mkdir(this.dir, { recursive: true });
+        const files = (await fs.readdir(this.dir)).filter((file) => file.endsWith('.json'));
+
+        const records = [];
+        for (const file of files) {
+            try {
+                records.push(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8')));
+            } catch (error) {
+                console.error(`❌ Skipping unreadable saved room ${file}:`, error.message);
+            }
+        }
+        return records;
+    }
+
+    save(roomId, record) {
+        const file = this.fileFor(roomId);
+        const data = JSON.stringify(record);
+        return this.enqueue(roomId, async () => {
+            await fs.mkdir(this.dir, { recursive: true });
+            await fs.writeFile(`${file}.tmp`, data);
+            await fs.rename(`${file}.tmp`, file);
+        });
+    }
+
+    remove(roomId) {
+        return this.enqueue(roomId, () => fs.rm(this.fileFor(roomId), { force: true }));
+    }
+}
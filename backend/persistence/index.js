@@ -0,0 +1,38 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { FileGameStore } from './fileStore.js';
+import { MemoryGameStore } from './memoryStore.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'games');
+
+/**
+ * Game store interface - every backend implements:
+ *   load(): Promise<Object[]>                  all saved room records
+ *   save(roomId, record): Promise<void>        replace a room's record
+ *   remove(roomId): Promise<void>              forget a room
+ *
+ * Pick one with GAME_STORE ('file' by default, or 'memory'). To plug in
+ * another backend, add it here.
+ */
+export function createGameStore() {
+    const kind = process.env.GAME_STORE || 'file';
+
+    switch (kind) {
+        case 'file': {
+            const dir = process.env.GAME_STORE_DIR || DEFAULT_STORE_DIR;
+            console.log(`💾 Saving game state to ${dir}`);
+            return new FileGameStore(dir);
+        }
+        case 'memory':
+            console.warn('⚠️  GAME_STORE=memory - live tables will not survive a restart');
+            return new MemoryGameStore();
+        default:
+            throw new Error(`Unknown GAME_STORE "${kind}" (expected file or memory)`);
+    }
+}
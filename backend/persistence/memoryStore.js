@@ -0,0 +1,21 @@
+/**
+ * Keeps saved rooms in memory only - nothing survives a restart. For local
+ * development, or as the smallest example of the game store interface.
+ */
+export class MemoryGameStore {
+    constructor() {
+        this.records = new Map(); // roomId -> record
+    }
+
+    async load() {
+        return [...this.records.values()];
+    }
+
+    async save(roomId, record) {
+        this.records.set(roomId, record);
+    }
+
+    async remove(roomId) {
+        this.records.delete(roomId);
+    }
+}
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Compiled circuits shipped with the frontend (same artifacts the browser proves with)
+const DEFAULT_CIRCUITS_DIR = path.join(__dirname, '..', 'frontend', 'public', 'circuits');
+
+/**
+ * Verifies shuffle, show and compare proofs in Node with Barretenberg, so the
+ * shuffle and proof-gated showdowns and sideshows don't have to trust the
+ * players' browsers. bb.js is
+ * only loaded the first time a proof is checked.
+ */
+class ProofVerifier {
+    constructor() {
+        this.circuitsDir = process.env.CIRCUITS_DIR || DEFAULT_CIRCUITS_DIR;
+        this.backends = new Map();
+        this.loading = null;
+        this.UltraHonkBackend = null;
+    }
+
+    async loadModules() {
+        if (this.UltraHonkBackend) return;
+        if (!this.loading) {
+            this.loading = import('@aztec/bb.js').then((bb) => {
+                this.UltraHonkBackend = bb.UltraHonkBackend;
+                console.log('🔐 Barretenberg loaded for proof verification');
+            });
+        }
+        await this.loading;
+    }
+
+    async getBackend(circuitName) {
+        const cached = this.backends.get(circuitName);
+        if (cached) return cached;
+
+        await this.loadModules();
+        const circuitPath = path.join(this.circuitsDir, `${circuitName}_circuit.json`);
+        const compiled = JSON.parse(fs.readFileSync(circuitPath, 'utf8'));
+        const backend = new this.UltraHonkBackend(compiled.bytecode, { threads: 1 });
+        this.backends.set(circuitName, backend);
+        return backend;
+    }
+
+    /**
+     * Verify a proof sent over the socket against one of the compiled circuits.
+     * @param {string} circuitName - 'shuffle' | 'show' | 'compare'
+     * @param {string} proofHex - Proof bytes as 0x-prefixed hex
+     * @param {string[]} publicInputs
+     * @returns {Promise<{valid: boolean, error?: string}>}
+     */
+    async verifyProof(circuitName, proofHex, publicInputs) {
+        if (typeof proofHex !== 'string' || !/^0x([0-9a-fA-F]{2})+$/.test(proofHex)) {
+            return { valid: false, error: 'Invalid proof encoding' };
+        }
+
+        try {
+            const backend = await this.getBackend(circuitName);
+            const proof = Uint8Array.from(Buffer.from(proofHex.slice(2), 'hex'));
+            // keccak: true - proofs are generated for the EVM verifiers
+            const valid = await backend.verifyProof({ proof, publicInputs }, { keccak: true });
+            return valid ? { valid: true } : { valid: false, error: `${circuitName} proof failed verification` };
+        } catch (error) {
+            console.error(`❌ ${circuitName} proof verification error:`, error.message);
+            return { valid: false, error: `${circuitName} proof could not be verified` };
+        }
+    }
+
+    async verifyShuffleProof(proofHex, publicInputs) {
+        return this.verifyProof('shuffle', proofHex, publicInputs);
+    }
+
+    async verifyShowProof(proofHex, publicInputs) {
+        return this.verifyProof('show', proofHex, publicInputs);
+    }
+
+    async verifyCompareProof(proofHex, publicInputs) {
+        return this.verifyProof('compare', proofHex, publicInputs);
+    }
+}
+
+// Singleton instance
+const proofVerifier = new ProofVerifier();
+
+export default proofVerifier;
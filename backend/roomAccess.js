@@ -0,0 +1,144 @@
+// Private rooms
+//
+// Short codes are easy to guess, so a creator can lock their room with a
+// password, an allowlist of wallets, or both. Passwords are kept only as a
+// salted scrypt hash. An allowlist lives on-chain (createInviteOnlyRoom and
+// invitePlayers), where it stops wallets that aren't on it from locking a
+// buy-in in the room; the server keeps a copy read from the contract. A
+// password can't be on-chain, so it is checked here before anyone pays, and
+// a socket or wallet that keeps guessing wrong is locked out for a while.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_GUESSES = 5;
+const GUESS_WINDOW_MS = 10 * 60 * 1000;
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password, salt) {
+  return (await scrypt(password, salt, 32)).toString('hex');
+}
+
+// Lowercase, so any checksum casing of the same wallet matches
+const normalizeWallets = wallets => [...new Set(wallets.map(address => address.toLowerCase()))];
+
+/**
+ * Build a room's access rules from what its creator chose.
+ * @param {Object} options - { password? }
+ * @param {string[] | null} invited - The room's allowlist as read from the
+ *   contract, creator included; null if the room isn't invite-only
+ * @returns {Promise<{success: boolean, access?: Object | null, error?: string}>} null access is a public room
+ */
+export async function createRoomAccess(options = {}, invited = null) {
+  const { password } = options || {};
+  const access = {};
+
+  if (password !== undefined && password !== '') {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    access.salt = crypto.randomBytes(16).toString('hex');
+    access.passwordHash = await hashPassword(password, access.salt);
+  }
+
+  if (invited) {
+    access.allowlist = normalizeWallets(invited);
+  }
+
+  return { success: true, access: Object.keys(access).length > 0 ? access : null };
+}
+
+/**
+ * Wallets the creator invited on-chain after the room was set up
+ * @returns {boolean} Whether the room is invite-only and took them
+ */
+export function addInvites(access, wallets) {
+  if (!access?.allowlist) return false;
+  access.allowlist = normalizeWallets([...access.allowlist, ...wallets]);
+  return true;
+}
+
+/**
+ * What a room asks of players before they join: 'password', 'invite' or
+ * both. Empty for a public room.
+ */
+export function getAccessRequirements(access) {
+  const requires = [];
+  if (access?.passwordHash) requires.push('password');
+  if (access?.allowlist) requires.push('invite');
+  return requires;
+}
+
+/**
+ * Whether a wallet may join a room
+ * @returns {Promise<{success: boolean, error?: string, needsPassword?: boolean, wrongPassword?: boolean}>}
+ */
+export async function checkRoomAccess(access, { wallet, password } = {}) {
+  if (!access) return { success: true };
+
+  if (access.allowlist && !access.allowlist.includes(wallet?.toLowerCase())) {
+    return { success: false, error: 'This room is invite-only and your wallet is not on the list' };
+  }
+  if (access.passwordHash) {
+    if (typeof password !== 'string' || password === '') {
+      return { success: false, error: 'This room needs a password', needsPassword: true };
+    }
+    const given = Buffer.from(await hashPassword(password, access.salt), 'hex');
+    if (!crypto.timingSafeEqual(given, Buffer.from(access.passwordHash, 'hex'))) {
+      return { success: false, error: 'Wrong room password', needsPassword: true, wrongPassword: true };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Wrong password guesses per room, counted for each socket and wallet that
+ * made them. Any of them reaching the limit within the window locks the
+ * room's password out for all of them until the oldest guess ages out.
+ */
+export class PasswordGuesses {
+  constructor({ maxGuesses = MAX_PASSWORD_GUESSES, windowMs = GUESS_WINDOW_MS } = {}) {
+    this.maxGuesses = maxGuesses;
+    this.windowMs = windowMs;
+    this.failures = new Map(); // `${roomId}|${socket or wallet}` -> times of wrong guesses, oldest first
+  }
+
+  keys(roomId, guessers) {
+    return guessers.filter(Boolean).map(guesser => `${roomId}|${String(guesser).toLowerCase()}`);
+  }
+
+  /**
+   * How long until these guessers may try the room's password again
+   * @returns {number} ms, 0 if they may now
+   */
+  lockedFor(roomId, guessers, now = Date.now()) {
+    this.prune(now);
+    return this.keys(roomId, guessers).reduce((wait, key) => {
+      const times = this.failures.get(key) || [];
+      if (times.length < this.maxGuesses) return wait;
+      return Math.max(wait, times[times.length - this.maxGuesses] + this.windowMs - now);
+    }, 0);
+  }
+
+  recordFailure(roomId, guessers, now = Date.now()) {
+    this.keys(roomId, guessers).forEach(key => {
+      this.failures.set(key, [...(this.failures.get(key) || []), now]);
+    });
+  }
+
+  // The right password: the guessers start again from nothing
+  clear(roomId, guessers) {
+    this.keys(roomId, guessers).forEach(key => this.failures.delete(key));
+  }
+
+  // Forget guesses older than the window, so the map doesn't grow for good
+  prune(now = Date.now()) {
+    for (const [key, times] of this.failures) {
+      const recent = times.filter(time => now - time < this.windowMs);
+      if (recent.length > 0) this.failures.set(key, recent);
+      else this.failures.delete(key);
+    }
+  }
+}
@@ -0,0 +1,146 @@
+// Room codes
+//
+// Rooms are shared by a short code, not their 32-byte on-chain ID. The server
+// issues each code at random and keeps it unique among the rooms it holds, so
+// two rooms can never answer to the same code. A room can also get a word
+// alias ("lucky-tiger-42") that is easier to read out.
+//
+// Rooms saved before the server issued codes used the first six hex digits of
+// their ID. They keep that code when restored (see restore), so codes already
+// shared still work; the record is saved with it and never migrated again.
+
+import crypto from 'crypto';
+
+export const CODE_LENGTH = 6;
+// No 0/O or 1/I/L: codes get read out and typed in
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const ALIAS_WORDS = [
+  'ace', 'amber', 'bold', 'brave', 'chai', 'cobra', 'coral', 'crown',
+  'dhol', 'eagle', 'ember', 'falcon', 'gold', 'happy', 'indigo', 'ivory',
+  'jade', 'jolly', 'kite', 'lotus', 'lucky', 'mango', 'maple', 'mint',
+  'monsoon', 'noble', 'ocean', 'onyx', 'pearl', 'peacock', 'pepper', 'quick',
+  'raja', 'rani', 'river', 'royal', 'ruby', 'saffron', 'silver', 'spice',
+  'star', 'swift', 'tiger', 'topaz', 'ultra', 'velvet', 'vivid', 'wise',
+  'zesty', 'zen', 'blaze', 'comet', 'dune', 'fable', 'glow', 'haze',
+  'lunar', 'nova', 'orbit', 'prism', 'rumble', 'sable', 'tempo', 'wave'
+];
+// After this many taken codes in a row, issue a longer one
+const ATTEMPTS_PER_LENGTH = 20;
+
+/**
+ * The code rooms had before the server issued them: the first six
+ * significant hex digits of the room ID
+ */
+export function legacyShortCode(roomId) {
+  if (!roomId) return '';
+  const hex = roomId.startsWith('0x') ? roomId.slice(2) : roomId;
+  const significant = hex.replace(/^0+/, '');
+  return (significant.length >= CODE_LENGTH ? significant.slice(0, CODE_LENGTH) : hex.slice(-CODE_LENGTH)).toUpperCase();
+}
+
+/**
+ * What a player typed, as a code ("a3 99-e5" -> "A399E5") and as an alias
+ * ("Lucky Tiger 42" -> "lucky-tiger-42")
+ */
+export function normalizeCode(input) {
+  const text = typeof input === 'string' ? input.trim() : '';
+  return {
+    code: text.replace(/[^a-zA-Z0-9]/g, '').toUpperCase(),
+    alias: text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join('-')
+  };
+}
+
+export class RoomCodes {
+  /**
+   * @param {(max: number) => number} randomInt - Uniform integer in [0, max)
+   */
+  constructor(randomInt = max => crypto.randomInt(max)) {
+    this.randomInt = randomInt;
+    this.codes = new Map(); // shortCode -> roomId
+    this.aliases = new Map(); // alias -> roomId
+    this.rooms = new Map(); // roomId -> { shortCode, alias }
+  }
+
+  generate(taken, make) {
+    for (let attempt = 0; ; attempt++) {
+      const candidate = make(Math.floor(attempt / ATTEMPTS_PER_LENGTH));
+      if (!taken.has(candidate)) return candidate;
+    }
+  }
+
+  randomCode(extra) {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH + extra; i++) {
+      code += CODE_ALPHABET[this.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  randomAlias(extra) {
+    const words = [];
+    for (let i = 0; i < 2 + extra; i++) {
+      words.push(ALIAS_WORDS[this.randomInt(ALIAS_WORDS.length)]);
+    }
+    return `${words.join('-')}-${10 + this.randomInt(90)}`;
+  }
+
+  /**
+   * Give a room a code no other room has, and a word alias if asked for
+   * @returns {{shortCode: string, alias: string | null}}
+   */
+  issue(roomId, { alias = false } = {}) {
+    this.release(roomId);
+    const issued = {
+      shortCode: this.generate(this.codes, extra => this.randomCode(extra)),
+      alias: alias ? this.generate(this.aliases, extra => this.randomAlias(extra)) : null
+    };
+    this.register(roomId, issued);
+    return issued;
+  }
+
+  register(roomId, { shortCode, alias }) {
+    this.codes.set(shortCode, roomId);
+    if (alias) this.aliases.set(alias, roomId);
+    this.rooms.set(roomId, { shortCode, alias: alias || null });
+  }
+
+  /**
+   * Take back a restored room's codes. A room saved before codes were issued
+   * gets its legacy code; a code another room already holds is reissued.
+   * @returns {{shortCode: string, alias: string | null, changed: boolean}}
+   */
+  restore(roomId, { shortCode, alias } = {}) {
+    const code = shortCode || legacyShortCode(roomId);
+    const codeFree = code && !this.codes.has(code);
+    const aliasFree = !alias || !this.aliases.has(alias);
+
+    if (codeFree && aliasFree) {
+      this.register(roomId, { shortCode: code, alias });
+      return { shortCode: code, alias: alias || null, changed: code !== shortCode };
+    }
+    return { ...this.issue(roomId, { alias: !!alias }), changed: true };
+  }
+
+  /**
+   * The room a code or alias belongs to, or null
+   */
+  resolve(input) {
+    const { code, alias } = normalizeCode(input);
+    return this.codes.get(code) || this.aliases.get(alias) || null;
+  }
+
+  getCodes(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Free a closed room's codes for reuse
+   */
+  release(roomId) {
+    const codes = this.rooms.get(roomId);
+    if (!codes) return;
+    this.codes.delete(codes.shortCode);
+    if (codes.alias) this.aliases.delete(codes.alias);
+    this.rooms.delete(roomId);
+  }
+}
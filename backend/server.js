@@ -6,7 +6,18 @@ import { v4 as uuidv4 } from "uuid";
 import dotenv from "dotenv";
 dotenv.config();
 import { Game, Player } from "./gameLogic.js";
+import { CashSession } from "./cashSession.js";
 import settlementService from "./blockchain/settlementService.js";
+import blockchainService from "./blockchain/service.js";
+import proofVerifier from "./proofVerifier.js";
+import walletAuth, { sameWallet } from "./walletAuth.js";
+import { createGameStore } from "./persistence/index.js";
+import handHistory from "./handHistory.js";
+import { summarizeHand, formatHandText } from "./handExport.js";
+import { listLobbyRooms } from "./lobby.js";
+import { Matchmaker, validateQuickSeat, rankRooms } from "./matchmaking.js";
+import { createRoomAccess, checkRoomAccess, getAccessRequirements, addInvites, PasswordGuesses } from "./roomAccess.js";
+import { RoomCodes } from "./roomCodes.js";
 
 const app = express();
 const httpServer = createServer(app);
@@ -26,43 +37,1248 @@ const games = new Map();
 // Store player socket mappings
 const playerSockets = new Map();
 
-// Store mapping between short room codes and full blockchain room IDs
-const roomCodeMap = new Map(); // shortCode -> fullBlockchainRoomId
+// Wallet each socket has signed in as (see walletAuth.js)
+const authenticatedWallets = new Map(); // socketId -> checksummed address
+
+// Short codes and word aliases the server has issued (see roomCodes.js)
+const roomCodes = new RoomCodes();
+
+// Wrong room passwords, per socket and wallet (see roomAccess.js)
+const passwordGuesses = new PasswordGuesses();
+
+// Showdowns waiting for players to reveal their lock keys
+const pendingShowdowns = new Map(); // roomId -> { mode: "reveal" | "proof", pending: Set<playerId>, timer }
+const REVEAL_TIMEOUT_MS = 30000;
+
+// Accepted sideshows: "reveal" opens both hands with lock keys, "proof" settles
+// with a compare proof while the hands only travel encrypted between the two
+const pendingSideshows = new Map(); // roomId -> { mode: "reveal" | "proof", pending: Set<playerId> | null, channelKeys?, timer }
+
+// Proof-gated showdown: the pot is only paid once both show proofs verify
+const PROOF_GATED_SHOWDOWN = process.env.PROOF_GATED_SHOWDOWN === "true";
+const SHOW_PROOF_TIMEOUT_MS = 120000;
+
+// Server-side turn clocks: when one runs out the player is auto-packed
+// (or auto-chaaled, per room options)
+const turnTimers = new Map(); // roomId -> timeout
+
+// Seats held for players whose socket dropped: the hand (and their turn
+// clock) carries on, and the same wallet can reclaim the seat from a new
+// socket until the grace period runs out
+const heldSeats = new Map(); // "roomId:playerId" -> grace timer
+const RECONNECT_GRACE_MS = 60000;
+
+// Spectators watch from their own channel, never the players' room: they
+// are shown the table on a delay and nobody's cards until a showdown
+const SPECTATOR_DELAY_MS = parseInt(process.env.SPECTATOR_DELAY_MS || "30000", 10);
+const spectatorViews = new Map(); // roomId -> delayed table state spectators are being shown
+
+// Sockets in the lobby channel get the open-table list whenever it changes
+const LOBBY_CHANNEL = "lobby";
+let lastLobbyList = "";
+
+// Quick seat: wallets waiting for a table at their stake. A match's host has
+// this long to open the room on-chain before the others are requeued.
+const matchmaker = new Matchmaker();
+const QUICK_SEAT_HOST_TIMEOUT_MS = 90000;
+
+// Every room is saved after each change so a restart can pick the tables
+// back up where they were (buy-ins stay locked on-chain meanwhile)
+const gameStore = createGameStore();
+const unsavedRooms = new Set(); // roomIds changed since the last flush
+
+/**
+ * Find a room's full blockchain ID by its short code or word alias
+ */
+function findRoomByShortCode(code) {
+  return roomCodes.resolve(code);
+}
+
+function spectatorChannel(roomId) {
+  return `spectate:${roomId}`;
+}
+
+/**
+ * Tell a room's spectators about something once the delay has passed
+ */
+function emitToSpectators(roomId, event, data) {
+  setTimeout(() => {
+    io.to(spectatorChannel(roomId)).emit(event, data);
+  }, SPECTATOR_DELAY_MS);
+}
+
+/**
+ * Show spectators the table as it is now, once the delay has passed. A room
+ * that no longer exists is shown as closed (a null state).
+ */
+function queueSpectatorState(roomId) {
+  const game = games.get(roomId);
+  const gameState = game ? game.getSpectatorState() : null;
+  setTimeout(() => {
+    if (gameState) {
+      spectatorViews.set(roomId, gameState);
+    } else {
+      spectatorViews.delete(roomId);
+    }
+    io.to(spectatorChannel(roomId)).emit("spectatorState", { gameState });
+  }, SPECTATOR_DELAY_MS);
+}
+
+/**
+ * Find the socket currently bound to a player in a room
+ */
+function getPlayerSocketId(roomId, playerId) {
+  for (const [socketId, info] of playerSockets) {
+    if (info.roomId === roomId && info.playerId === playerId) {
+      return socketId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Append an event to the current hand's history (see handHistory.js)
+ */
+function logHand(game, type, data) {
+  if (game.handId) handHistory.record(game.handId, type, data);
+}
+
+function logHandEnded(game, result, reason) {
+  logHand(game, "handEnded", {
+    reason,
+    winnerId: result.winner,
+    pot: result.pot,
+    pots: result.pots || null,
+    playerChips: result.playerChips,
+  });
+  bookSessionHand(game, result, reason);
+
+  emitToSpectators(game.roomId, "handEnded", {
+    winnerId: result.winner,
+    winnerName: game.getPlayer(result.winner)?.name || null,
+    pot: result.pot,
+    reason,
+  });
+}
+
+/**
+ * Put a finished hand on the cash session's ledger and show everyone the
+ * hand's breakdown and the running totals
+ */
+function bookSessionHand(game, result, reason) {
+  if (!game.cashSession) return;
+  const hand = game.cashSession.endHand(game, result, reason);
+  if (!hand) return;
+
+  io.to(game.roomId).emit("sessionUpdated", {
+    hand,
+    session: game.cashSession.getSummary(),
+  });
+
+  // Rebuys paid while the hand was on go onto the stacks now
+  game.cashSession.applyPendingRebuys(game).forEach(({ playerId, chips }) => {
+    emitRebuyCredited(game, playerId, chips, false);
+  });
+}
+
+/**
+ * A PlayersInvited event from the chain: let the wallets into the room's
+ * allowlist
+ */
+function addRoomInvites({ roomId, players }) {
+  const game = [...games.values()].find(
+    (g) => g.blockchainRoomId && g.blockchainRoomId.toLowerCase() === roomId.toLowerCase(),
+  );
+  if (game && addInvites(game.access, players)) {
+    console.log(`✉️  ${players.length} wallet(s) invited to ${game.roomId}`);
+    scheduleSave(game.roomId);
+  }
+}
+
+/**
+ * Invites sent while the server was down: read the allowlist again
+ */
+async function reloadRoomInvites(game) {
+  try {
+    const invited = await blockchainService.getRoomInvites(game.blockchainRoomId, game.txHash);
+    if (invited && addInvites(game.access, invited)) scheduleSave(game.roomId);
+  } catch (error) {
+    console.error(`Failed to reload the invites of room ${game.roomId}:`, error.message);
+  }
+}
 
 /**
- * Extract a short, shareable code from a blockchain room ID
- * Takes the first 6 non-zero hex characters after 0x prefix
+ * checkRoomAccess, with wrong passwords counted against the socket and wallet
+ * guessing. Once either has guessed wrong too often, the password isn't
+ * checked at all until the lockout ends.
  */
-function getShortRoomCode(roomId) {
-  if (!roomId) return "";
+async function checkGuessedAccess(socket, game, wallet, password) {
+  const guessers = [socket.id, wallet];
+  if (game.access?.passwordHash && typeof password === "string" && password !== "") {
+    const wait = passwordGuesses.lockedFor(game.roomId, guessers);
+    if (wait > 0) {
+      return {
+        success: false,
+        error: `Too many wrong passwords - try again in ${Math.ceil(wait / 60000)} min`,
+        needsPassword: true,
+      };
+    }
+  }
+
+  const result = await checkRoomAccess(game.access, { wallet, password });
+  if (result.wrongPassword) {
+    passwordGuesses.recordFailure(game.roomId, guessers);
+  } else if (result.success && game.access?.passwordHash) {
+    passwordGuesses.clear(game.roomId, guessers);
+  }
+  return result;
+}
+
+/**
+ * Credit the rebuys paid on-chain while the server was down. Rebuys already
+ * on the ledger are skipped; creditRebuy counts each transaction once anyway.
+ */
+async function replayMissedRebuys(game) {
+  try {
+    const rebuys = await blockchainService.getRoomRebuys(game.blockchainRoomId, game.txHash);
+    const credited = new Set(game.cashSession.entries.flatMap((entry) => entry.rebuys.map((rebuy) => rebuy.txHash)));
+    rebuys.filter((rebuy) => !credited.has(rebuy.txHash)).forEach(creditRebuy);
+  } catch (error) {
+    console.error(`Failed to replay the rebuys of room ${game.roomId}:`, error.message);
+  }
+}
 
-  // Remove 0x prefix and get just the hex string
-  const hex = roomId.startsWith("0x") ? roomId.slice(2) : roomId;
+/**
+ * A PlayerRebought event from the chain: credit the chips to the player's
+ * seat in the room it was paid into
+ */
+function creditRebuy({ roomId, player, chips, txHash }) {
+  const game = [...games.values()].find(
+    (g) => g.blockchainRoomId && g.blockchainRoomId.toLowerCase() === roomId.toLowerCase(),
+  );
+  const entry = game?.cashSession?.entries.find((e) => sameWallet(e.walletAddress, player));
+  if (!entry) {
+    console.warn(`Rebuy ${txHash} by ${player} is for no open session (${roomId})`);
+    return;
+  }
 
-  // Find first non-zero character
-  let chars = "";
-  for (let i = 0; i < hex.length && chars.length < 6; i++) {
-    if (hex[i] !== "0" || chars.length > 0) {
-      chars += hex[i];
+  const result = game.cashSession.creditRebuy(game, entry.playerId, { chips, txHash });
+  if (!result.success) {
+    console.warn(`Rebuy ${txHash} not credited: ${result.error}`);
+    return;
+  }
+  if (result.refunded) {
+    logHand(game, "rebuyRefunded", { playerId: entry.playerId, chips, txHash, reason: result.error });
+    console.warn(`Rebuy ${txHash} of ${chips} chips held for refund: ${result.error}`);
+    const socketId = getPlayerSocketId(game.roomId, entry.playerId);
+    if (socketId) {
+      io.to(socketId).emit("error", {
+        message: `Rebuy of ${chips} chips not added to your stack (${result.error}): it is paid back when you cash out`,
+      });
     }
+    io.to(game.roomId).emit("sessionUpdated", { hand: null, session: game.cashSession.getSummary() });
+    scheduleSave(game.roomId);
+    return;
   }
 
-  // If we have at least 6 characters, return them uppercase
-  if (chars.length >= 6) {
-    return chars.slice(0, 6).toUpperCase();
+  logHand(game, "rebuy", { playerId: entry.playerId, chips, txHash, pending: result.pending });
+  console.log(`💰 ${entry.playerId} rebought ${chips} chips in ${game.roomId} (tx: ${txHash})`);
+  emitRebuyCredited(game, entry.playerId, chips, result.pending);
+  scheduleSave(game.roomId);
+}
+
+function emitRebuyCredited(game, playerId, chips, pending) {
+  io.to(game.roomId).emit("rebuyCredited", {
+    playerId,
+    playerName: game.cashSession.getEntry(playerId).name,
+    chips,
+    pending,
+    gameState: game.getGameState(),
+    session: game.cashSession.getSummary(),
+  });
+}
+
+function logAction(game, playerId, action, amount, timedOut = false) {
+  logHand(game, "action", {
+    playerId,
+    action,
+    amount,
+    seen: !game.getPlayer(playerId)?.isBlind,
+    timedOut,
+    pot: game.pot,
+    currentBet: game.currentBet,
+  });
+}
+
+/**
+ * Hand the deck to whoever is next in the shuffle: first the lock + re-shuffle
+ * pass, then the unlock pass. The room only sees progress; only the acting
+ * player receives the (locked) deck.
+ */
+function advanceShuffle(game) {
+  const session = game.shuffleSession;
+  if (session.phase === "dealt") {
+    dealLockedHands(game);
+    return;
   }
 
-  // Fallback: if roomId is all zeros or very short, use last 6 chars
-  return hex.slice(-6).toUpperCase();
+  const progress = session.getProgress();
+  io.to(game.roomId).emit("shuffleProgress", progress);
+
+  const socketId = getPlayerSocketId(game.roomId, progress.playerId);
+  if (!socketId) return;
+
+  if (session.phase === "shuffling") {
+    io.to(socketId).emit("shuffleTurn", session.getShuffleRequest());
+  } else {
+    io.to(socketId).emit(
+      "unlockTurn",
+      session.getUnlockRequest(progress.playerId),
+    );
+  }
 }
 
 /**
- * Find full blockchain room ID by short code
+ * Every lock except the owner's has been removed - send each player their
+ * own locked cards and start the betting round.
  */
-function findRoomByShortCode(shortCode) {
-  if (!shortCode) return null;
-  const cleanCode = shortCode.replace(/[^a-fA-F0-9]/g, "").toUpperCase();
-  return roomCodeMap.get(cleanCode) || null;
+function dealLockedHands(game) {
+  game.completeDeal();
+  logHand(game, "cardsDealt", { deckCommitment: game.deckCommitment });
+
+  game.players.forEach((player) => {
+    if (!game.shuffleSession.includes(player.id)) return; // sitting out
+    const socketId = getPlayerSocketId(game.roomId, player.id);
+    if (socketId) {
+      io.to(socketId).emit("yourCards", game.getLockedHand(player.id));
+    }
+  });
+
+  io.to(game.roomId).emit("cardsDealt", { gameState: game.getGameState() });
+
+  emitTurnChanged(game);
+
+  console.log(`Cards dealt in room ${game.roomId}`);
+}
+
+function clearShowdown(roomId) {
+  const showdown = pendingShowdowns.get(roomId);
+  if (showdown) {
+    clearTimeout(showdown.timer);
+    pendingShowdowns.delete(roomId);
+  }
+}
+
+/**
+ * Every player still in the hand opens it: a called show (requesterId), or a
+ * forced one when the pot limit is hit (requesterId null)
+ */
+function startShowdown(game, requesterId, reason) {
+  const pending = new Set(game.getActivePlayers().map((p) => p.id));
+  clearTurnTimer(game);
+  logHand(game, "showRequested", {
+    playerId: requesterId,
+    playerIds: [...pending],
+    mode: game.proofGatedShowdown ? "proof" : "reveal",
+    reason,
+  });
+
+  // Proof-gated: each player proves their hand against the deck commitment
+  // and the pot waits until every proof verifies
+  if (game.proofGatedShowdown) {
+    pendingShowdowns.set(game.roomId, {
+      mode: "proof",
+      pending,
+      reason,
+      timer: setTimeout(() => forfeitUnrevealed(game), SHOW_PROOF_TIMEOUT_MS),
+    });
+
+    io.to(game.roomId).emit("showProofRequested", {
+      playerIds: [...pending],
+      timeoutMs: SHOW_PROOF_TIMEOUT_MS,
+      reason,
+    });
+    return;
+  }
+
+  // The server can't read anyone's cards - ask the players to reveal their
+  // lock keys so their hands can be opened and compared
+  pendingShowdowns.set(game.roomId, {
+    mode: "reveal",
+    pending,
+    reason,
+    timer: setTimeout(() => forfeitUnrevealed(game), REVEAL_TIMEOUT_MS),
+  });
+
+  io.to(game.roomId).emit("revealRequested", {
+    playerIds: [...pending],
+    timeoutMs: REVEAL_TIMEOUT_MS,
+    reason,
+  });
+}
+
+/**
+ * All active players have opened their hands - compare and pay the pot
+ */
+function finishShowdown(game, reason = "Show") {
+  const activePlayers = game.getActivePlayers();
+
+  // Best hand takes every pot it paid into; side pots it couldn't cover go
+  // to the best hand among the players who could
+  const winner = game.getBestHand(activePlayers);
+
+  if (!winner) return;
+
+  const gameResult = game.endGame(winner);
+
+  // Reveal the shown hands FIRST (folded hands are never opened)
+  const allCards = {};
+  activePlayers.forEach((p) => {
+    allCards[p.id] = game.getPlayerCards(p.id);
+  });
+  logHand(game, "showdown", { hands: allCards });
+  logHandEnded(game, gameResult, reason);
+
+  // 1. Notify everyone that showdown is happening and reveal cards
+  io.to(game.roomId).emit("showdownStarted", {
+    allCards,
+    gameState: game.getGameState(),
+  });
+  emitToSpectators(game.roomId, "showdownStarted", {
+    allCards,
+    gameState: game.getSpectatorState(),
+  });
+
+  console.log(`Showdown in room ${game.roomId}. Winner: ${winner.name}`);
+
+  // 2. Wait for 4 seconds to let players see the cards
+  setTimeout(() => {
+    io.to(game.roomId).emit("gameEnded", {
+      winner: {
+        id: winner.id,
+        name: winner.name,
+      },
+      pot: gameResult.pot,
+      pots: gameResult.pots,
+      playerChips: gameResult.playerChips, // Include all player chip counts
+      allCards, // Send again just in case
+      reason,
+      gameState: game.getGameState(),
+    });
+  }, 4000);
+}
+
+function clearSideshow(roomId) {
+  const sideshow = pendingSideshows.get(roomId);
+  if (sideshow) {
+    clearTimeout(sideshow.timer);
+    pendingSideshows.delete(roomId);
+  }
+}
+
+/**
+ * Stop the room's turn clock, e.g. while a sideshow or showdown is pending
+ */
+function clearTurnTimer(game) {
+  clearTimeout(turnTimers.get(game.roomId));
+  turnTimers.delete(game.roomId);
+  game.stopTurnClock();
+}
+
+function scheduleTurnTimeout(game) {
+  clearTimeout(turnTimers.get(game.roomId));
+  turnTimers.delete(game.roomId);
+  if (game.turnDeadline === null) return;
+
+  turnTimers.set(
+    game.roomId,
+    setTimeout(() => expireTurn(game), Math.max(0, game.turnDeadline - Date.now())),
+  );
+}
+
+/**
+ * Start the next turn's clock and tell the table who is up and until when.
+ * `timeLeftMs` lets clients count down without trusting their own clock.
+ */
+function emitTurnChanged(game) {
+  const currentPlayer = game.getCurrentPlayer();
+  clearTurnTimer(game);
+  const deadline = game.startTurnClock();
+  scheduleTurnTimeout(game);
+
+  io.to(game.roomId).emit("turnChanged", {
+    currentPlayerId: currentPlayer.id,
+    currentPlayerName: currentPlayer.name,
+    deadline,
+    timeLeftMs: deadline === null ? null : deadline - Date.now(),
+    turnMs: game.turnTimer.turnSeconds * 1000,
+    timeBankMs: currentPlayer.timeBank,
+  });
+}
+
+/**
+ * After a bet or pack: pay out if one player is left, force a show once the
+ * pot limit is hit, else pass the turn
+ */
+function advanceTurn(game) {
+  const winner = game.checkWinner();
+  if (!winner) {
+    if (game.isPotLimitReached()) {
+      startShowdown(game, null, "Pot limit");
+      return;
+    }
+    emitTurnChanged(game);
+    return;
+  }
+
+  clearTurnTimer(game);
+  const gameResult = game.endGame(winner);
+  logHandEnded(game, gameResult, "Everyone else packed");
+
+  io.to(game.roomId).emit("gameEnded", {
+    winner: {
+      id: winner.id,
+      name: winner.name,
+    },
+    pot: gameResult.pot,
+    pots: gameResult.pots,
+    playerChips: gameResult.playerChips, // Include all player chip counts
+    gameState: game.getGameState(),
+  });
+
+  console.log(`Game ended in room ${game.roomId}. Winner: ${winner.name}`);
+}
+
+/**
+ * Turn clock ran out - act for the player as the room's options say
+ */
+function expireTurn(game) {
+  turnTimers.delete(game.roomId);
+  if (games.get(game.roomId) !== game || game.turnDeadline === null) return;
+  if (pendingShowdowns.has(game.roomId) || game.sideshow) return;
+  scheduleSave(game.roomId);
+
+  // Time bank drawn since this timer was set
+  if (Date.now() < game.turnDeadline) {
+    scheduleTurnTimeout(game);
+    return;
+  }
+
+  const result = game.expireTurn();
+  if (!result.success) return;
+  logAction(game, result.playerId, result.action, result.amount, true);
+
+  io.to(game.roomId).emit("actionPerformed", {
+    playerId: result.playerId,
+    action: result.action,
+    amount: result.amount,
+    timedOut: true,
+    gameState: game.getGameState(),
+  });
+
+  console.log(
+    `Turn timed out in room ${game.roomId}: ${result.playerId} auto-${result.action}`,
+  );
+
+  advanceTurn(game);
+}
+
+/**
+ * Sideshow settled - only the two players involved get to see both hands,
+ * the rest of the table just learns who packed.
+ */
+function emitSideshowResult(game, requesterId, targetId, result, reason) {
+  logHand(game, "sideshowResult", {
+    requesterId,
+    targetId,
+    loserId: result.loserId,
+    reason,
+  });
+  const involved = [requesterId, targetId]
+    .map((id) => getPlayerSocketId(game.roomId, id))
+    .filter(Boolean);
+
+  const outcome = {
+    requesterId,
+    targetId,
+    loserId: result.loserId,
+    reason,
+    gameState: game.getGameState(),
+  };
+
+  involved.forEach((socketId) => {
+    io.to(socketId).emit("sideshowResult", { ...outcome, cards: result.cards });
+  });
+  io.to(game.roomId).except(involved).emit("sideshowResult", outcome);
+
+  emitTurnChanged(game);
+}
+
+/**
+ * Target never answered the sideshow request - treat it as declined
+ */
+function expireSideshowRequest(game) {
+  pendingSideshows.delete(game.roomId);
+  scheduleSave(game.roomId);
+  if (!game.sideshow) return;
+  const { requesterId, targetId } = game.sideshow;
+
+  game.respondSideshow(targetId, false);
+  logHand(game, "sideshowDeclined", { requesterId, targetId, reason: "No response" });
+  io.to(game.roomId).emit("sideshowDeclined", {
+    requesterId,
+    targetId,
+    reason: "No response",
+    gameState: game.getGameState(),
+  });
+  emitTurnChanged(game);
+}
+
+/**
+ * Sideshow reveal window expired - whoever didn't open their hand packs
+ * (the requester, if neither did). Once both hands are committed in a
+ * proof-gated sideshow, the target packs if they never sent their hand
+ * and the requester packs if they never proved the result.
+ */
+function forfeitSideshow(game) {
+  const sideshow = pendingSideshows.get(game.roomId);
+  if (!sideshow) return;
+  pendingSideshows.delete(game.roomId);
+  scheduleSave(game.roomId);
+  if (!game.sideshow) return;
+
+  const { requesterId, targetId, status } = game.sideshow;
+  let loserId = sideshow.pending.has(requesterId) ? requesterId : targetId;
+  if (status === "comparing") {
+    loserId = sideshow.pending.has(targetId) ? targetId : requesterId;
+  }
+  const result = game.finishSideshow(game.getPlayer(loserId));
+  const reason =
+    sideshow.mode === "proof" ? "Sideshow proof timeout" : "Reveal timeout";
+
+  emitSideshowResult(game, requesterId, targetId, result, reason);
+}
+
+/**
+ * Proof-gated sideshow: what one of its two players needs to reach the
+ * other - their hand commitment and encrypted-channel key
+ */
+function getSideshowPeer(game, playerId) {
+  const sideshow = pendingSideshows.get(game.roomId);
+  if (game.sideshow?.status !== "comparing" || !sideshow?.channelKeys) return null;
+
+  const { requesterId, targetId, handCommitments } = game.sideshow;
+  if (playerId !== requesterId && playerId !== targetId) return null;
+
+  const peerId = playerId === requesterId ? targetId : requesterId;
+  return {
+    peerId,
+    isProver: playerId === requesterId,
+    handCommitment: handCommitments[peerId],
+    publicKey: sideshow.channelKeys.get(peerId),
+    timeoutMs: SHOW_PROOF_TIMEOUT_MS,
+  };
+}
+
+function emitSideshowPeer(game, playerId) {
+  const socketId = getPlayerSocketId(game.roomId, playerId);
+  const peer = getSideshowPeer(game, playerId);
+  if (socketId && peer) {
+    io.to(socketId).emit("sideshowPeer", peer);
+  }
+}
+
+/**
+ * Switch an accepted sideshow to opening both hands with lock keys
+ */
+function requestSideshowReveal(game, reason) {
+  clearSideshow(game.roomId);
+  const { requesterId, targetId } = game.sideshow;
+  const pending = new Set([requesterId, targetId]);
+  pendingSideshows.set(game.roomId, {
+    mode: "reveal",
+    pending,
+    timer: setTimeout(() => forfeitSideshow(game), REVEAL_TIMEOUT_MS),
+  });
+
+  io.to(game.roomId).emit("sideshowRevealRequested", {
+    playerIds: [...pending],
+    timeoutMs: REVEAL_TIMEOUT_MS,
+    reason,
+  });
+}
+
+/**
+ * Reveal window expired - anyone who didn't open their hand (or, in a
+ * proof-gated showdown, prove it) forfeits
+ */
+function forfeitUnrevealed(game) {
+  const showdown = pendingShowdowns.get(game.roomId);
+  if (!showdown) return;
+  pendingShowdowns.delete(game.roomId);
+  scheduleSave(game.roomId);
+  const reason =
+    showdown.mode === "proof" ? "Show proof timeout" : "Reveal timeout";
+
+  showdown.pending.forEach((playerId) => {
+    const player = game.getPlayer(playerId);
+    if (player) player.fold();
+  });
+
+  // A forced show can have more than two hands - the ones that were opened
+  // still play it out
+  if (game.getActivePlayers().length > 1) {
+    finishShowdown(game, showdown.reason);
+    return;
+  }
+
+  const winner = game.checkWinner();
+  const gameResult = winner ? game.endGame(winner) : game.abortHand();
+  logHandEnded(game, gameResult, reason);
+
+  io.to(game.roomId).emit("gameEnded", {
+    winner: winner ? { id: winner.id, name: winner.name } : null,
+    pot: gameResult.pot,
+    pots: gameResult.pots,
+    playerChips: gameResult.playerChips,
+    reason,
+    gameState: game.getGameState(),
+  });
+
+  console.log(`${reason} in room ${game.roomId}`);
+}
+
+/**
+ * Take a player out of their room for good (they left, or never came back
+ * within the reconnection grace period)
+ */
+function removePlayerFromRoom(playerInfo) {
+  const game = games.get(playerInfo.roomId);
+  if (!game) return;
+  scheduleSave(playerInfo.roomId);
+
+  const player = game.getPlayer(playerInfo.playerId);
+  if (!player) return;
+
+  // A shuffler leaving means the deck can never be unlocked - cancel the hand
+  let abortResult = null;
+  if (
+    game.phase === "shuffling" &&
+    game.shuffleSession.includes(playerInfo.playerId)
+  ) {
+    abortResult = game.abortHand();
+  }
+
+  // A sideshow can't finish without both of its players
+  let sideshowCancelled = false;
+  if (
+    game.sideshow &&
+    [game.sideshow.requesterId, game.sideshow.targetId].includes(
+      playerInfo.playerId,
+    )
+  ) {
+    clearSideshow(playerInfo.roomId);
+    game.cancelSideshow();
+    sideshowCancelled = true;
+  }
+
+  const wasCurrentPlayer =
+    game.phase === "betting" &&
+    game.getCurrentPlayer()?.id === playerInfo.playerId;
+
+  if (game.gameStarted || abortResult) {
+    logHand(game, "playerLeft", { playerId: playerInfo.playerId });
+  }
+  if (abortResult) logHandEnded(game, abortResult, "Shuffle aborted");
+
+  game.removePlayer(playerInfo.playerId);
+
+  // Notify other players
+  io.to(playerInfo.roomId).emit("playerLeft", {
+    playerId: playerInfo.playerId,
+    playerName: player.name,
+    gameState: game.getGameState(),
+  });
+
+  if (abortResult) {
+    io.to(playerInfo.roomId).emit("gameEnded", {
+      winner: null,
+      pot: abortResult.pot,
+      playerChips: abortResult.playerChips,
+      reason: "Shuffle aborted",
+      gameState: game.getGameState(),
+    });
+  }
+
+  // If game is in progress and player leaves, end the game
+  if (game.gameStarted) {
+    const showdown = pendingShowdowns.get(playerInfo.roomId);
+    if (showdown) {
+      showdown.pending.delete(playerInfo.playerId);
+    }
+
+    const winner = game.checkWinner();
+    if (winner) {
+      clearShowdown(playerInfo.roomId);
+      clearSideshow(playerInfo.roomId);
+      clearTurnTimer(game);
+      const gameResult = game.endGame(winner);
+      logHandEnded(game, gameResult, "Player left");
+
+      io.to(playerInfo.roomId).emit("gameEnded", {
+        winner: {
+          id: winner.id,
+          name: winner.name,
+        },
+        pot: gameResult.pot,
+        pots: gameResult.pots,
+        playerChips: gameResult.playerChips, // Include all player chip counts
+        reason: "Player left",
+        gameState: game.getGameState(),
+      });
+    } else if (
+      (wasCurrentPlayer || sideshowCancelled) &&
+      !game.sideshow &&
+      !pendingShowdowns.has(playerInfo.roomId)
+    ) {
+      // The leaver's turn (or the requester's, back from a cancelled
+      // sideshow) resumes with a fresh clock
+      if (game.getCurrentPlayer().isFolded) game.nextPlayer();
+      emitTurnChanged(game);
+    }
+  }
+
+  // Delete game if no players left
+  if (game.players.length === 0) {
+    // Free the room's short code for new rooms
+    if (game.blockchainRoomId) {
+      roomCodes.release(game.blockchainRoomId);
+      console.log(`🧹 Released short code: ${game.shortCode}`);
+    }
+
+    clearShowdown(playerInfo.roomId);
+    clearSideshow(playerInfo.roomId);
+    clearTurnTimer(game);
+    games.delete(playerInfo.roomId);
+    console.log(`Room ${playerInfo.roomId} deleted (no players)`);
+  }
+}
+
+function releaseHeldSeat({ roomId, playerId }) {
+  const key = `${roomId}:${playerId}`;
+  clearTimeout(heldSeats.get(key));
+  heldSeats.delete(key);
+}
+
+/**
+ * Mark a seat disconnected and give its wallet the grace period to come
+ * back before the player is removed
+ */
+function startSeatGrace(playerInfo, player) {
+  player.isConnected = false;
+  releaseHeldSeat(playerInfo);
+  heldSeats.set(
+    `${playerInfo.roomId}:${playerInfo.playerId}`,
+    setTimeout(() => {
+      heldSeats.delete(`${playerInfo.roomId}:${playerInfo.playerId}`);
+      console.log(`${player.name} did not reconnect to room ${playerInfo.roomId}`);
+      removePlayerFromRoom(playerInfo);
+    }, RECONNECT_GRACE_MS),
+  );
+}
+
+/**
+ * A player's socket dropped: keep their seat (marked disconnected) for the
+ * grace period. Turn, sideshow and showdown clocks keep running meanwhile.
+ */
+function holdSeat(socket) {
+  const playerInfo = playerSockets.get(socket.id);
+  if (!playerInfo) return;
+  playerSockets.delete(socket.id);
+
+  const game = games.get(playerInfo.roomId);
+  const player = game?.getPlayer(playerInfo.playerId);
+  if (!player) return;
+
+  startSeatGrace(playerInfo, player);
+  scheduleSave(playerInfo.roomId);
+
+  io.to(playerInfo.roomId).emit("playerDisconnected", {
+    playerId: player.id,
+    playerName: player.name,
+    graceMs: RECONNECT_GRACE_MS,
+    gameState: game.getGameState(),
+  });
+
+  console.log(`${player.name} disconnected from room ${playerInfo.roomId}, seat held`);
+}
+
+/**
+ * Everything a returning player needs to pick the hand back up: table state,
+ * their own (still locked) cards, the deck commitment, and whatever the hand
+ * is waiting on them for.
+ */
+function buildStateSnapshot(game, playerId) {
+  const snapshot = {
+    roomId: game.roomId,
+    playerId,
+    gameState: game.getGameState(),
+    lockedHand: game.getLockedHand(playerId),
+    deckCommitment: game.deckCommitment,
+    shuffle: null,
+    turn: null,
+    showdown: null,
+    sideshow: null,
+    cashSession: game.cashSession ? game.cashSession.getSummary() : null,
+  };
+
+  const session = game.shuffleSession;
+  if (game.phase === "shuffling" && session) {
+    const progress = session.getProgress();
+    let request = null;
+    if (progress.playerId === playerId) {
+      request =
+        session.phase === "shuffling"
+          ? session.getShuffleRequest()
+          : session.getUnlockRequest(playerId);
+    }
+    snapshot.shuffle = { ...progress, request };
+  }
+
+  if (game.turnDeadline !== null) {
+    const currentPlayer = game.getCurrentPlayer();
+    snapshot.turn = {
+      currentPlayerId: currentPlayer.id,
+      currentPlayerName: currentPlayer.name,
+      timeLeftMs: game.turnDeadline - Date.now(),
+      turnMs: game.turnTimer.turnSeconds * 1000,
+      timeBankMs: currentPlayer.timeBank,
+      usingTimeBank: !!game.timeBankDraw,
+    };
+  }
+
+  const showdown = pendingShowdowns.get(game.roomId);
+  if (showdown) {
+    snapshot.showdown = {
+      mode: showdown.mode,
+      playerIds: [...showdown.pending],
+    };
+  }
+
+  const sideshow = pendingSideshows.get(game.roomId);
+  if (game.sideshow) {
+    const { requesterId, targetId, status } = game.sideshow;
+    snapshot.sideshow = {
+      requesterId,
+      requesterName: game.getPlayer(requesterId)?.name,
+      targetId,
+      targetName: game.getPlayer(targetId)?.name,
+      status,
+      mode: sideshow?.mode || null,
+      playerIds: sideshow?.pending ? [...sideshow.pending] : [],
+      // Proof-gated sideshow already introduced the two players to each other
+      peer: getSideshowPeer(game, playerId),
+    };
+  }
+
+  return snapshot;
+}
+
+/**
+ * A new socket proved it is the same wallet: move the seat over to it and
+ * send a full snapshot. Any older socket still bound to the seat is dropped.
+ */
+function reclaimSeat(socket, game, player) {
+  const oldSocketId = getPlayerSocketId(game.roomId, player.id);
+  if (oldSocketId && oldSocketId !== socket.id) {
+    playerSockets.delete(oldSocketId);
+    io.to(oldSocketId).emit("seatReclaimed", { roomId: game.roomId });
+    io.in(oldSocketId).socketsLeave(game.roomId);
+  }
+
+  releaseHeldSeat({ roomId: game.roomId, playerId: player.id });
+  player.isConnected = true;
+  player.socketId = socket.id;
+  playerSockets.set(socket.id, { playerId: player.id, roomId: game.roomId });
+  socket.join(game.roomId);
+
+  socket.emit("roomJoined", {
+    roomId: game.roomId,
+    playerId: player.id,
+    gameState: game.getGameState(),
+  });
+  socket.emit("stateSnapshot", buildStateSnapshot(game, player.id));
+
+  // Anything the sideshow peer sent while we were away was lost - have
+  // them send their hand again
+  const peer = getSideshowPeer(game, player.id);
+  if (peer) emitSideshowPeer(game, peer.peerId);
+
+  socket.to(game.roomId).emit("playerReconnected", {
+    playerId: player.id,
+    playerName: player.name,
+    gameState: game.getGameState(),
+  });
+}
+
+function setSittingOut(socket, sittingOut) {
+  const playerInfo = playerSockets.get(socket.id);
+  if (!playerInfo) return;
+
+  const game = games.get(playerInfo.roomId);
+  if (!game) return;
+
+  const result = game.setSittingOut(playerInfo.playerId, sittingOut);
+  if (!result.success) {
+    socket.emit("error", { message: result.error });
+    return;
+  }
+
+  io.to(playerInfo.roomId).emit("sittingOutChanged", {
+    playerId: playerInfo.playerId,
+    playerName: game.getPlayer(playerInfo.playerId).name,
+    sittingOut,
+    gameState: game.getGameState(),
+  });
+}
+
+/**
+ * Everything needed to bring a room back after a restart: the game itself
+ * plus whichever showdown or sideshow it is waiting on
+ */
+function serializeRoom(game) {
+  const showdown = pendingShowdowns.get(game.roomId);
+  const sideshow = pendingSideshows.get(game.roomId);
+
+  return {
+    game: game.toJSON(),
+    showdown: showdown
+      ? { mode: showdown.mode, pending: [...showdown.pending], reason: showdown.reason }
+      : null,
+    sideshow: sideshow
+      ? {
+          mode: sideshow.mode,
+          pending: sideshow.pending ? [...sideshow.pending] : null,
+          channelKeys: sideshow.channelKeys ? [...sideshow.channelKeys] : null,
+        }
+      : null,
+  };
+}
+
+/**
+ * Queue a room to be saved. Changes made while handling one event (or one
+ * timer) are flushed together once it has run; a room that no longer
+ * exists is removed from the store. Spectators get each flushed state after
+ * their delay.
+ */
+function scheduleSave(roomId) {
+  if (!roomId) return;
+  if (unsavedRooms.size === 0) setImmediate(flushSaves);
+  unsavedRooms.add(roomId);
+}
+
+function flushSaves() {
+  unsavedRooms.forEach((roomId) => {
+    queueSpectatorState(roomId);
+    const game = games.get(roomId);
+    if (game) {
+      gameStore.save(roomId, serializeRoom(game));
+    } else {
+      gameStore.remove(roomId);
+    }
+  });
+  unsavedRooms.clear();
+  publishLobby();
+}
+
+function getLobbyRooms(filters) {
+  return listLobbyRooms(games.values(), (game) => game.shortCode, filters);
+}
+
+/**
+ * Send the lobby the table list, if anything in it has changed
+ */
+function publishLobby() {
+  const { rooms } = getLobbyRooms();
+  const list = JSON.stringify(rooms);
+  if (list === lastLobbyList) return;
+  lastLobbyList = list;
+  io.to(LOBBY_CHANNEL).emit("lobbyUpdate", { rooms });
+}
+
+/**
+ * A waiting table for a quick-seat request, or null. The games map has the
+ * candidates; the contract has the final word on whether each is still
+ * seating players (its active rooms, in the WAITING state with a free seat)
+ * and on the buy-in the wallet would pay.
+ */
+async function findQuickSeatRoom(wallet, request) {
+  const candidates = rankRooms(getLobbyRooms({ status: "waiting" }).rooms, request).filter(
+    (room) => !games.get(room.roomId)?.players.some((p) => sameWallet(p.walletAddress, wallet)),
+  );
+  if (candidates.length === 0 || !blockchainService.isInitialized()) {
+    return candidates[0] || null;
+  }
+
+  try {
+    const active = new Set((await blockchainService.getActiveRooms()).map((id) => id.toLowerCase()));
+    for (const room of candidates) {
+      if (!active.has(room.roomId.toLowerCase())) continue;
+      const details = await blockchainService.getRoomDetails(room.roomId);
+      if (!details || Number(details.state) !== 0 || details.currentPlayers >= details.maxPlayers) continue;
+
+      const buyIn = Number(blockchainService.formatTokenAmount(details.buyIn));
+      if (buyIn >= request.minBuyIn && buyIn <= request.maxBuyIn) {
+        return room;
+      }
+    }
+  } catch (error) {
+    console.error("Failed to check quick-seat rooms on-chain:", error.message);
+  }
+  return null;
+}
+
+/**
+ * Send a matched wallet to the table it should join
+ */
+function sendToQuickSeatRoom(socketId, game) {
+  io.to(socketId).emit("quickSeatMatched", {
+    roomId: game.blockchainRoomId,
+    shortCode: game.shortCode,
+    buyIn: game.buyInTokens,
+  });
+}
+
+/**
+ * Tell queued wallets how close their table is
+ */
+function emitQuickSeatQueued(tickets) {
+  tickets.forEach((ticket) => {
+    const status = matchmaker.getQueueStatus(ticket.wallet);
+    if (status) io.to(ticket.socketId).emit("quickSeatQueued", status);
+  });
+}
+
+/**
+ * Turn the queue into as many matches as it holds. Each host is asked to
+ * open the room; its guests wait until it has.
+ */
+function runMatchmaking() {
+  let match;
+  while ((match = matchmaker.formMatch(QUICK_SEAT_HOST_TIMEOUT_MS))) {
+    const { matchId, buyIn, players, host, guests } = match;
+    io.to(host.socketId).emit("quickSeatHost", { matchId, buyIn, players });
+    guests.forEach((guest) => {
+      io.to(guest.socketId).emit("quickSeatWaiting", { matchId, buyIn, players });
+    });
+    setTimeout(expireQuickSeatMatches, QUICK_SEAT_HOST_TIMEOUT_MS + 100);
+    console.log(`Quick seat: ${players} players matched at ${buyIn}, ${host.wallet} to host`);
+  }
+}
+
+function expireQuickSeatMatches() {
+  const expired = matchmaker.expireMatches();
+  expired.forEach(({ match }) => {
+    io.to(match.host.socketId).emit("quickSeatCancelled", {
+      message: "The table wasn't opened in time",
+    });
+  });
+  if (expired.length === 0) return;
+  runMatchmaking();
+  emitQuickSeatQueued(expired.flatMap(({ requeued }) => requeued));
+}
+
+/**
+ * Take a wallet out of matchmaking; anyone waiting on it goes back in line
+ */
+function cancelQuickSeat(wallet) {
+  const { requeued } = matchmaker.cancel(wallet);
+  if (requeued.length === 0) return;
+  runMatchmaking();
+  emitQuickSeatQueued(requeued);
+}
+
+/**
+ * Bring back every saved room after a restart. No sockets survive one, so
+ * every seat starts out held for its wallet to reclaim; pending showdowns
+ * and sideshows get a fresh window and the current turn a fresh clock.
+ */
+async function restoreRooms() {
+  const records = await gameStore.load();
+
+  records.forEach((record) => {
+    const game = Game.fromJSON(record.game);
+    games.set(game.roomId, game);
+
+    // Rooms saved before the server issued codes get one here, once
+    if (game.blockchainRoomId) {
+      const { shortCode, alias, changed } = roomCodes.restore(game.blockchainRoomId, {
+        shortCode: game.shortCode,
+        alias: game.codeAlias,
+      });
+      game.shortCode = shortCode;
+      game.codeAlias = alias;
+      if (changed) {
+        console.log(`🔁 Room ${game.blockchainRoomId} now uses short code ${shortCode}`);
+        scheduleSave(game.roomId);
+      }
+    }
+
+    if (game.access?.allowlist && blockchainService.isInitialized()) {
+      reloadRoomInvites(game);
+    }
+
+    if (game.cashSession && game.blockchainRoomId && blockchainService.isInitialized()) {
+      replayMissedRebuys(game);
+    }
+
+    game.players.forEach((player) => {
+      startSeatGrace({ roomId: game.roomId, playerId: player.id }, player);
+    });
+
+    if (record.showdown) {
+      const { mode, pending, reason = "Show" } = record.showdown;
+      pendingShowdowns.set(game.roomId, {
+        mode,
+        pending: new Set(pending),
+        reason,
+        timer: setTimeout(
+          () => forfeitUnrevealed(game),
+          mode === "proof" ? SHOW_PROOF_TIMEOUT_MS : REVEAL_TIMEOUT_MS,
+        ),
+      });
+    }
+
+    if (record.sideshow && game.sideshow) {
+      const { mode, pending, channelKeys } = record.sideshow;
+      let timer;
+      if (game.sideshow.status === "requested") {
+        timer = setTimeout(() => expireSideshowRequest(game), REVEAL_TIMEOUT_MS);
+      } else {
+        timer = setTimeout(
+          () => forfeitSideshow(game),
+          mode === "proof" ? SHOW_PROOF_TIMEOUT_MS : REVEAL_TIMEOUT_MS,
+        );
+      }
+      pendingSideshows.set(game.roomId, {
+        mode,
+        pending: pending ? new Set(pending) : null,
+        ...(channelKeys && { channelKeys: new Map(channelKeys) }),
+        timer,
+      });
+    }
+
+    // The saved deadline passed while the server was down
+    if (game.turnDeadline !== null) {
+      emitTurnChanged(game);
+    }
+
+    console.log(
+      `♻️  Restored room ${game.roomId} (${game.players.length} players, pot ${game.pot})`,
+    );
+  });
+
+  return records.length;
 }
 
 app.get("/health", (req, res) => {
@@ -98,11 +1314,33 @@ app.post("/api/settle-game", async (req, res) => {
       });
     }
 
-    // Get REAL chip counts from backend game state
-    const realChipCounts = game.players.map((p) => ({
+    // Only a signed-in player of this game can ask for settlement
+    const session = walletAuth.resumeSession(
+      (req.get("Authorization") || "").replace(/^Bearer\s+/i, ""),
+    );
+    if (!session.success) {
+      return res.status(401).json({ success: false, error: session.error });
+    }
+    if (!game.players.some((p) => sameWallet(p.walletAddress, session.address))) {
+      return res.status(403).json({
+        success: false,
+        error: "Only players in this game can settle it",
+      });
+    }
+
+    // Get REAL chip counts from backend game state: a cash session settles
+    // its whole ledger, including wallets that have since left the table
+    let realChipCounts = game.players.map((p) => ({
       id: p.id,
       chips: p.chips,
     }));
+    if (game.cashSession) {
+      const ledger = game.cashSession.getFinalChips(game);
+      if (!ledger.success) {
+        return res.status(400).json({ success: false, error: ledger.error });
+      }
+      realChipCounts = ledger.playerChips;
+    }
 
     console.log("Verifying settlement for game:", roomId);
     console.log("Submitted chip counts:", playerChips);
@@ -160,6 +1398,22 @@ app.post("/api/settle-game", async (req, res) => {
         `✅ Game ${blockchainRoomId} settled successfully: ${result.txHash}`,
       );
 
+      logHand(game, "settled", {
+        blockchainRoomId,
+        txHash: result.txHash,
+        playerChips: realChipCounts,
+        payouts: result.payouts,
+      });
+
+      if (game.cashSession) {
+        game.cashSession.settle({ txHash: result.txHash, payouts: result.payouts });
+        scheduleSave(roomId);
+        io.to(roomId).emit("sessionUpdated", {
+          hand: null,
+          session: game.cashSession.getSummary(),
+        });
+      }
+
       // Notify all players in the room about settlement
       io.to(roomId).emit("gameSettled", {
         txHash: result.txHash,
@@ -181,15 +1435,159 @@ app.post("/api/settle-game", async (req, res) => {
   }
 });
 
+// Lobby: the blockchain tables, optionally filtered by status, variant and
+// buy-in range (in tokens)
+app.get("/api/rooms", (req, res) => {
+  const { status, variant, minBuyIn, maxBuyIn } = req.query;
+  const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+  const result = getLobbyRooms({
+    status,
+    variant,
+    minBuyIn: toNumber(minBuyIn),
+    maxBuyIn: toNumber(maxBuyIn),
+  });
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+  res.json(result);
+});
+
+// The hand a room is playing right now. Its log names the cards as they are
+// opened, so the history API keeps it back until the hand is over.
+function isLiveHand(handId) {
+  return [...games.values()].some((game) => game.gameStarted && game.handId === handId);
+}
+
+// Hand history: every hand played in a room, and the full replay of one
+app.get("/api/rooms/:id/hands", async (req, res) => {
+  try {
+    const hands = (await handHistory.listHands(req.params.id)).filter((hand) => !isLiveHand(hand.handId));
+    res.json({ success: true, roomId: req.params.id, hands });
+  } catch (error) {
+    console.error("API error in /api/rooms/:id/hands:", error);
+    res.status(500).json({ success: false, error: "Could not read hand history" });
+  }
+});
+
+app.get("/api/hands/:handId", async (req, res) => {
+  try {
+    const hand = isLiveHand(req.params.handId) ? null : await handHistory.getHand(req.params.handId);
+    if (!hand) {
+      return res.status(404).json({ success: false, error: "Hand not found" });
+    }
+    res.json({ success: true, ...hand });
+  } catch (error) {
+    console.error("API error in /api/hands/:handId:", error);
+    res.status(500).json({ success: false, error: "Could not read hand history" });
+  }
+});
+
+// Hand history download for trackers: PokerStars-style text (default) or JSON
+app.get("/api/hands/:handId/export", async (req, res) => {
+  const format = req.query.format || "text";
+  if (format !== "text" && format !== "json") {
+    return res.status(400).json({ success: false, error: "format must be text or json" });
+  }
+
+  try {
+    const hand = isLiveHand(req.params.handId) ? null : await handHistory.getHand(req.params.handId);
+    if (!hand) {
+      return res.status(404).json({ success: false, error: "Hand not found" });
+    }
+
+    const summary = summarizeHand(hand);
+    const filename = `teen-patti-hand-${hand.handId}.${format === "json" ? "json" : "txt"}`;
+    res.attachment(filename);
+    if (format === "json") {
+      return res.json(summary);
+    }
+    res.type("text/plain").send(formatHandText(summary));
+  } catch (error) {
+    console.error("API error in /api/hands/:handId/export:", error);
+    res.status(500).json({ success: false, error: "Could not export hand" });
+  }
+});
+
 io.on("connection", (socket) => {
   console.log("Client connected:", socket.id);
 
+  // Save whichever room the event touched once its handler has run
+  socket.use((packet, next) => {
+    const roomBefore = playerSockets.get(socket.id)?.roomId;
+    next();
+    setImmediate(() => {
+      scheduleSave(roomBefore);
+      scheduleSave(playerSockets.get(socket.id)?.roomId);
+    });
+  });
+
+  // A seat held by a wallet only takes events from a socket signed in as it
+  socket.use(([event], next) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (
+      playerInfo?.playerId.startsWith("0x") &&
+      !sameWallet(playerInfo.playerId, authenticatedWallets.get(socket.id))
+    ) {
+      socket.emit("error", { message: `Not signed in as this seat's wallet (${event})` });
+      return;
+    }
+    next();
+  });
+
+  // Sign-in with Ethereum: hand out a one-time message for the wallet to sign
+  socket.on("requestAuthChallenge", ({ address, chainId } = {}) => {
+    const result = walletAuth.createChallenge(socket.id, address, chainId);
+    if (!result.success) {
+      socket.emit("authResult", { success: false, error: result.error });
+      return;
+    }
+    socket.emit("authChallenge", { message: result.message });
+  });
+
+  // Bind this socket to a wallet: a signature over our challenge, or the
+  // session token from an earlier sign-in (reconnects don't sign again)
+  socket.on("authenticate", ({ signature, token } = {}) => {
+    const result = token
+      ? walletAuth.resumeSession(token)
+      : walletAuth.verifyChallenge(socket.id, signature);
+    if (!result.success) {
+      socket.emit("authResult", { success: false, error: result.error });
+      return;
+    }
+
+    authenticatedWallets.set(socket.id, result.address);
+    socket.emit("authResult", {
+      success: true,
+      address: result.address,
+      token: result.token,
+      expiresAt: result.expiresAt,
+    });
+    console.log(`🔑 Socket ${socket.id} signed in as ${result.address}`);
+  });
+
   // Create a new game room
-  socket.on("createRoom", ({ playerName }) => {
+  socket.on("createRoom", ({ playerName, turnTimer, variant, tableRules }) => {
     const roomId = uuidv4().substring(0, 6).toUpperCase();
     const playerId = uuidv4();
 
     const game = new Game(roomId);
+    game.proofGatedShowdown = PROOF_GATED_SHOWDOWN;
+    const timerResult = game.configureTurnTimer(turnTimer);
+    if (!timerResult.success) {
+      socket.emit("error", { message: timerResult.error });
+      return;
+    }
+    const variantResult = game.configureVariant(variant);
+    if (!variantResult.success) {
+      socket.emit("error", { message: variantResult.error });
+      return;
+    }
+    const rulesResult = game.configureTableRules(tableRules);
+    if (!rulesResult.success) {
+      socket.emit("error", { message: rulesResult.error });
+      return;
+    }
     const player = new Player(playerId, playerName, socket.id);
 
     game.addPlayer(player);
@@ -210,51 +1608,132 @@ io.on("connection", (socket) => {
   // Create room with blockchain integration
   socket.on(
     "createRoomWithBlockchain",
-    ({
+    async ({
       blockchainRoomId,
-      buyIn,
-      maxPlayers,
       creator,
       txHash,
       tokenBalance,
-      buyInTokens,
+      turnTimer,
+      variant,
+      tableRules,
+      rebuyRules,
+      matchId,
+      access,
+      codeStyle,
     }) => {
       console.log("Creating blockchain room:", blockchainRoomId);
 
-      // Use blockchain room ID as the game room ID
-      const roomId = blockchainRoomId;
-      const playerId = creator; // Use wallet address as player ID
-      const playerName = creator.slice(0, 6); // Short address as name
+      const wallet = authenticatedWallets.get(socket.id);
+      if (!wallet) {
+        socket.emit("error", { message: "Sign in with your wallet first" });
+        return;
+      }
+      if (creator && !sameWallet(creator, wallet)) {
+        socket.emit("error", { message: "Creator is not the signed-in wallet" });
+        return;
+      }
+
+      // Use blockchain room ID as the game room ID
+      const roomId = blockchainRoomId;
+      if (games.has(roomId)) {
+        socket.emit("error", { message: "A room with this ID already exists" });
+        return;
+      }
+
+      // Only the wallet that created the room on-chain may open it here, and
+      // its chips are the buy-in the contract took, not what the request says
+      if (!blockchainService.isInitialized()) {
+        socket.emit("error", { message: "Creating rooms is unavailable: the server is not watching the chain" });
+        return;
+      }
+      const details = await blockchainService.getRoomDetails(roomId);
+      if (!details) {
+        socket.emit("error", { message: "Could not find the room on-chain, try again" });
+        return;
+      }
+      if (!sameWallet(details.creator, wallet)) {
+        socket.emit("error", { message: "Only the wallet that created the room on-chain can open it" });
+        return;
+      }
+      const onChainBuyIn = blockchainService.formatTokenAmount(details.buyIn);
+      const buyInTokens = Number(onChainBuyIn);
+      if (!Number.isInteger(buyInTokens) || buyInTokens < 1) {
+        socket.emit("error", { message: "The room's buy-in must be a whole number of tokens" });
+        return;
+      }
+
+      const playerId = wallet; // Use wallet address as player ID
+      const playerName = wallet.slice(0, 6); // Short address as name
 
       const game = new Game(roomId);
+      game.proofGatedShowdown = PROOF_GATED_SHOWDOWN;
+      const timerResult = game.configureTurnTimer(turnTimer);
+      if (!timerResult.success) {
+        socket.emit("error", { message: timerResult.error });
+        return;
+      }
+      const variantResult = game.configureVariant(variant);
+      if (!variantResult.success) {
+        socket.emit("error", { message: variantResult.error });
+        return;
+      }
+      const rulesResult = game.configureTableRules(tableRules);
+      if (!rulesResult.success) {
+        socket.emit("error", { message: rulesResult.error });
+        return;
+      }
       game.blockchainRoomId = blockchainRoomId;
-      game.buyIn = buyIn;
-      game.maxPlayers = maxPlayers;
+      game.buyIn = onChainBuyIn;
+      game.maxPlayers = Number(details.maxPlayers);
       game.txHash = txHash;
       // Persist numeric buy-in tokens to drive off-chain chip amounts
-      const parsedBuyInTokens =
-        typeof buyInTokens === "number" && isFinite(buyInTokens)
-          ? buyInTokens
-          : typeof buyIn === "string"
-            ? parseFloat(buyIn)
-            : 0;
-      game.buyInTokens = parsedBuyInTokens > 0 ? parsedBuyInTokens : 0;
-
-      // Start chips equal to room buy-in (tokens). Fallbacks avoid using wallet balance.
-      const playerChips =
-        game.buyInTokens > 0 ? Math.floor(game.buyInTokens) : 1000;
+      game.buyInTokens = buyInTokens;
+
+      // Start chips equal to room buy-in (one chip per token)
+      const playerChips = buyInTokens;
       const player = new Player(playerId, playerName, socket.id, playerChips);
-      player.walletAddress = creator;
+      player.walletAddress = wallet;
+
+      // Hands are played off-chain on this one buy-in and settled together
+      game.cashSession = new CashSession();
+      const rebuyResult = game.cashSession.configureRebuys(rebuyRules, playerChips);
+      if (!rebuyResult.success) {
+        socket.emit("error", { message: rebuyResult.error });
+        return;
+      }
+      // Private room: a password and/or the wallets invited on-chain. The
+      // allowlist is read from the contract, never taken from the request.
+      let invited;
+      try {
+        invited = await blockchainService.getRoomInvites(blockchainRoomId, txHash);
+      } catch (error) {
+        console.error(`Failed to read the invites of room ${blockchainRoomId}:`, error.message);
+        socket.emit("error", { message: "Could not read the room's invites on-chain, try again" });
+        return;
+      }
+      const accessResult = await createRoomAccess(access, invited);
+      if (!accessResult.success) {
+        socket.emit("error", { message: accessResult.error });
+        return;
+      }
+      // Created by another request while the chain was read
+      if (games.has(roomId)) {
+        socket.emit("error", { message: "A room with this ID already exists" });
+        return;
+      }
+      game.access = accessResult.access;
+
+      // Issue a short code (and a word alias, if asked for) for easy joining
+      const { shortCode, alias } = roomCodes.issue(blockchainRoomId, { alias: codeStyle === "words" });
+      game.shortCode = shortCode;
+      game.codeAlias = alias;
+      console.log(`Short code issued: ${alias || shortCode} -> ${blockchainRoomId}`);
 
       game.addPlayer(player);
+      game.cashSession.addPlayer(player);
       games.set(roomId, game);
       playerSockets.set(socket.id, { playerId, roomId });
 
-      // Register short code mapping for easy joining
-      const shortCode = getShortRoomCode(blockchainRoomId);
-      roomCodeMap.set(shortCode, blockchainRoomId);
-      console.log(`Short code registered: ${shortCode} -> ${blockchainRoomId}`);
-
       socket.join(roomId);
 
       socket.emit("roomCreated", {
@@ -262,10 +1741,18 @@ io.on("connection", (socket) => {
         playerId,
         gameState: game.getGameState(),
         shortCode, // Send short code back to client
+        codeAlias: alias,
       });
 
+      // A quick-seat host opened the match's room: send the rest to join it
+      const match = matchId ? matchmaker.completeMatch(matchId, wallet) : null;
+      if (match) {
+        game.quickSeat = { players: match.guests.length + 1 };
+        match.guests.forEach((guest) => sendToQuickSeatRoom(guest.socketId, game));
+      }
+
       console.log(
-        `Blockchain room ${roomId} created by ${creator} (tx: ${txHash}, code: ${shortCode})`,
+        `Blockchain room ${roomId} created by ${wallet} (tx: ${txHash}, code: ${shortCode})`,
       );
     },
   );
@@ -316,6 +1803,28 @@ io.on("connection", (socket) => {
     console.log(`${playerName} joined room ${roomId}`);
   });
 
+  // Check a private room's password or allowlist before paying the buy-in
+  // on-chain: a join the server turns away would leave the tokens locked
+  // until the player leaves the room again
+  socket.on("checkRoomAccess", async ({ roomId, password } = {}) => {
+    const game = games.get(roomId);
+    if (!game) {
+      socket.emit("error", { message: "Room not found" });
+      return;
+    }
+    const wallet = authenticatedWallets.get(socket.id);
+    if (!wallet) {
+      socket.emit("error", { message: "Sign in with your wallet first" });
+      return;
+    }
+
+    socket.emit("roomAccess", {
+      roomId,
+      requires: getAccessRequirements(game.access),
+      ...(await checkGuessedAccess(socket, game, wallet, password)),
+    });
+  });
+
   // Resolve short room code to full blockchain room ID
   socket.on("resolveRoomCode", ({ shortCode }) => {
     console.log("Resolving room code:", shortCode);
@@ -342,7 +1851,7 @@ io.on("connection", (socket) => {
   // Join room with blockchain integration
   socket.on(
     "joinRoomWithBlockchain",
-    ({ blockchainRoomId, player, txHash, tokenBalance, buyInTokens }) => {
+    async ({ blockchainRoomId, player, txHash, tokenBalance, buyInTokens, password }) => {
       console.log("Joining blockchain room:", blockchainRoomId);
 
       const roomId = blockchainRoomId;
@@ -353,34 +1862,64 @@ io.on("connection", (socket) => {
         return;
       }
 
+      const wallet = authenticatedWallets.get(socket.id);
+      if (!wallet) {
+        socket.emit("error", { message: "Sign in with your wallet first" });
+        return;
+      }
+      if (player && !sameWallet(player, wallet)) {
+        socket.emit("error", { message: "Player is not the signed-in wallet" });
+        return;
+      }
+
       // Check if player already joined
-      const existingPlayer = game.players.find(
-        (p) => p.walletAddress === player,
+      const existingPlayer = game.players.find((p) =>
+        sameWallet(p.walletAddress, wallet),
       );
       if (existingPlayer) {
-        // Player already in game, just reconnect
-        playerSockets.set(socket.id, { playerId: existingPlayer.id, roomId });
-        socket.join(roomId);
+        // Player already in game: reclaim the seat on this socket
+        reclaimSeat(socket, game, existingPlayer);
+        console.log(`${wallet} reconnected to room ${roomId}`);
+        return;
+      }
 
-        socket.emit("roomJoined", {
-          roomId,
-          playerId: existingPlayer.id,
-          gameState: game.getGameState(),
-        });
+      const access = await checkGuessedAccess(socket, game, wallet, password);
+      if (!access.success) {
+        socket.emit("error", { message: access.error });
+        return;
+      }
 
-        // If game is in progress, send cards
-        if (game.gameStarted) {
-          socket.emit("yourCards", {
-            cards: game.getPlayerCards(existingPlayer.id),
-          });
-        }
+      const seat = game.cashSession?.checkSeat(wallet) || { success: true };
+      if (!seat.success) {
+        socket.emit("error", { message: seat.error });
+        return;
+      }
 
-        console.log(`${player} reconnected to room ${roomId}`);
+      // Chips are only dealt against a buy-in the contract holds
+      if (!blockchainService.isInitialized()) {
+        socket.emit("error", { message: "Joining is unavailable: the server is not watching the chain" });
+        return;
+      }
+      let joined;
+      try {
+        joined = await blockchainService.hasPlayerJoined(roomId, wallet);
+      } catch (error) {
+        console.error(`Failed to check ${wallet} in room ${roomId} on-chain:`, error.message);
+        socket.emit("error", { message: "Could not check your buy-in on-chain, try again" });
+        return;
+      }
+      if (!joined) {
+        socket.emit("error", { message: "Join the room on-chain before taking a seat" });
         return;
       }
 
-      const playerId = player; // Use wallet address as player ID
-      const playerName = player.slice(0, 6); // Short address as name
+      // The room may have closed, or this wallet been seated from another
+      // tab, while the chain was being read
+      if (games.get(roomId) !== game) return;
+      if (game.players.some((p) => sameWallet(p.walletAddress, wallet))) return;
+
+      const playerId = wallet; // Use wallet address as player ID
+      const playerName = wallet.slice(0, 6); // Short address as name
 
       // Start chips equal to room buy-in (tokens). Prefer stored value, then payload.
       const playerChips =
@@ -395,9 +1934,10 @@ io.on("connection", (socket) => {
         socket.id,
         playerChips,
       );
-      newPlayer.walletAddress = player;
+      newPlayer.walletAddress = wallet;
 
       game.addPlayer(newPlayer);
+      game.cashSession?.addPlayer(newPlayer);
       playerSockets.set(socket.id, { playerId, roomId });
 
       socket.join(roomId);
@@ -414,151 +1954,482 @@ io.on("connection", (socket) => {
           id: playerId,
           name: playerName,
           chips: newPlayer.chips,
-          walletAddress: player,
+          walletAddress: wallet,
         },
         gameState: game.getGameState(),
       });
 
-      console.log(`${player} joined blockchain room ${roomId} (tx: ${txHash})`);
-    },
-  );
+      // Everyone a quick-seat match was waiting for is here: the creator can
+      // start the game on-chain
+      if (game.quickSeat && game.players.length >= game.quickSeat.players) {
+        delete game.quickSeat;
+        io.to(roomId).emit("quickSeatReady", { roomId });
+      }
+
+      console.log(`${wallet} joined blockchain room ${roomId} (tx: ${txHash})`);
+    },
+  );
+
+  // Start the game
+  socket.on("startGame", ({ blockchainRoomId, txHash } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    if (game.cashSession?.settlement) {
+      socket.emit("error", { message: "This session has been settled" });
+      return;
+    }
+
+    if (!game.canStartGame()) {
+      socket.emit("error", {
+        message: "Cannot start game. Need at least 2 players sitting in.",
+      });
+      return;
+    }
+
+    game.startGame();
+    game.cashSession?.startHand(game);
+    game.handId = handHistory.startHand(game.roomId, {
+      blockchainRoomId: game.blockchainRoomId || null,
+      handNumber: game.cashSession ? game.cashSession.handNumber : null,
+      dealerId: game.players[game.dealerIndex].id,
+      variant: game.variant,
+      wildRanks: game.wildRanks,
+      tableRules: game.tableRules,
+      ante: game.minBet,
+      pot: game.pot,
+      players: game.getSeatedPlayers().map((p) => ({
+        id: p.id,
+        name: p.name,
+        walletAddress: p.walletAddress || null,
+        chips: p.chips,
+        boot: p.totalBet,
+      })),
+    });
+
+    // No deck here - the players shuffle it between themselves
+    io.to(playerInfo.roomId).emit("gameStarted", {
+      gameState: game.getGameState(),
+    });
+
+    advanceShuffle(game);
+
+    console.log(`Game started in room ${playerInfo.roomId}`);
+  });
+
+  // Player locked and re-shuffled the deck
+  socket.on("shuffleContribution", async (contribution = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game || game.phase !== "shuffling") return;
+
+    // Cheap checks first: turn, deck columns, the lock proof and the re-ordering
+    const check = game.checkShuffle(playerInfo.playerId, contribution);
+    if (!check.success) {
+      socket.emit("error", { message: check.error });
+      return;
+    }
+
+    // The shuffle circuit has no public inputs
+    const session = game.shuffleSession;
+    const verification = await proofVerifier.verifyShuffleProof(contribution.proof, []);
+    if (!verification.valid) {
+      socket.emit("error", { message: verification.error });
+      return;
+    }
+
+    // The hand may have been cancelled while the proof was verifying
+    if (games.get(playerInfo.roomId) !== game) return;
+    if (game.phase !== "shuffling" || game.shuffleSession !== session) return;
+
+    const result = game.submitShuffle(playerInfo.playerId, contribution);
+
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    // The dealer's commitment is the only one for this hand - every deal and
+    // show proof must refer to it
+    if (result.committed) {
+      io.to(playerInfo.roomId).emit("deckCommitted", game.deckCommitment);
+      console.log(
+        `Deck committed in room ${playerInfo.roomId}: ${game.deckCommitment.merkleRoot}`,
+      );
+    }
+
+    advanceShuffle(game);
+    scheduleSave(playerInfo.roomId);
+  });
+
+  // Player removed their lock from everyone else's cards
+  socket.on("unlockContribution", (values = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game || game.phase !== "shuffling") return;
+
+    const result = game.shuffleSession.submitUnlock(
+      playerInfo.playerId,
+      values,
+    );
+
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    advanceShuffle(game);
+  });
+
+  // Player published the public inputs of a deal or show proof
+  socket.on("handProof", ({ circuit, publicInputs } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const result = game.checkHandProof(
+      playerInfo.playerId,
+      circuit,
+      publicInputs,
+    );
+
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    logHand(game, "handProof", {
+      playerId: playerInfo.playerId,
+      circuit,
+      publicInputs,
+    });
+    io.to(playerInfo.roomId).emit("handProofAccepted", {
+      playerId: playerInfo.playerId,
+      circuit,
+    });
+  });
+
+  // Player sees their cards
+  socket.on("seeCards", () => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const player = game.getPlayer(playerInfo.playerId);
+    if (!player) return;
+
+    player.seeCards();
+    logAction(game, player.id, "see", 0);
+
+    io.to(playerInfo.roomId).emit("playerSawCards", {
+      playerId: player.id,
+      gameState: game.getGameState(),
+    });
+
+    // Send locked cards to player (safety net in case they missed them)
+    const lockedHand = game.getLockedHand(player.id);
+    if (lockedHand) {
+      socket.emit("yourCards", lockedHand);
+    }
+  });
+
+  // Player action (bet, fold, etc.)
+  socket.on("playerAction", ({ action, amount }) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    if (pendingShowdowns.has(playerInfo.roomId)) {
+      socket.emit("error", { message: "Showdown in progress" });
+      return;
+    }
+
+    const result = game.playerAction(playerInfo.playerId, action, amount);
+
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    logAction(game, playerInfo.playerId, action, amount);
+
+    // Broadcast the action to all players
+    io.to(playerInfo.roomId).emit("actionPerformed", {
+      playerId: playerInfo.playerId,
+      action,
+      amount,
+      gameState: game.getGameState(),
+    });
+
+    // Seeing cards doesn't end the turn (or restart its clock)
+    if (action === "see") return;
+
+    // Pay out if only one player is left, otherwise pass the turn on
+    advanceTurn(game);
+  });
+
+  // Current player draws on their time bank to extend this turn
+  socket.on("useTimeBank", () => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const result = game.useTimeBank(playerInfo.playerId);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    scheduleTurnTimeout(game);
+    io.to(playerInfo.roomId).emit("timeBankUsed", {
+      playerId: playerInfo.playerId,
+      deadline: result.deadline,
+      timeLeftMs: result.deadline - Date.now(),
+    });
+  });
+
+  // Request sideshow (compare cards with previous player)
+  socket.on("requestSideshow", ({ targetPlayerId } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    if (pendingShowdowns.has(playerInfo.roomId)) {
+      socket.emit("error", { message: "Showdown in progress" });
+      return;
+    }
+
+    const result = game.requestSideshow(playerInfo.playerId, targetPlayerId);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    // The turn is on hold until the sideshow settles
+    clearTurnTimer(game);
+
+    const { requesterId, targetId } = result.sideshow;
+    logHand(game, "sideshowRequested", { requesterId, targetId });
+    pendingSideshows.set(playerInfo.roomId, {
+      mode: "reveal",
+      pending: null,
+      timer: setTimeout(() => expireSideshowRequest(game), REVEAL_TIMEOUT_MS),
+    });
+
+    io.to(playerInfo.roomId).emit("sideshowRequested", {
+      requesterId,
+      requesterName: game.getPlayer(requesterId).name,
+      targetId,
+      targetName: game.getPlayer(targetId).name,
+      timeoutMs: REVEAL_TIMEOUT_MS,
+      gameState: game.getGameState(),
+    });
+  });
+
+  // Accept or reject sideshow
+  socket.on("sideshowResponse", ({ accepted } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game || !game.sideshow) return;
+
+    const { requesterId, targetId } = game.sideshow;
+    const result = game.respondSideshow(playerInfo.playerId, !!accepted);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    clearSideshow(playerInfo.roomId);
+    logHand(game, result.accepted ? "sideshowAccepted" : "sideshowDeclined", {
+      requesterId,
+      targetId,
+    });
+
+    if (!result.accepted) {
+      io.to(playerInfo.roomId).emit("sideshowDeclined", {
+        requesterId,
+        targetId,
+        gameState: game.getGameState(),
+      });
+      emitTurnChanged(game);
+      return;
+    }
+
+    // Proof-gated: both players commit to their hands, swap them over an
+    // encrypted channel and the requester proves the result
+    if (game.sideshow.status === "committing") {
+      const pending = new Set([requesterId, targetId]);
+      pendingSideshows.set(playerInfo.roomId, {
+        mode: "proof",
+        pending,
+        channelKeys: new Map(),
+        timer: setTimeout(() => forfeitSideshow(game), SHOW_PROOF_TIMEOUT_MS),
+      });
+
+      io.to(playerInfo.roomId).emit("sideshowCommitRequested", {
+        playerIds: [...pending],
+        timeoutMs: SHOW_PROOF_TIMEOUT_MS,
+      });
+      return;
+    }
 
-  // Start the game
-  socket.on("startGame", ({ blockchainRoomId, txHash } = {}) => {
+    // Neither hand is readable by the server - both players reveal their
+    // lock keys so the two hands can be compared
+    requestSideshowReveal(game);
+  });
+
+  // Proof-gated sideshow: commit to our hand and share a channel public key
+  socket.on("sideshowCommit", ({ handCommitment, publicKey } = {}) => {
     const playerInfo = playerSockets.get(socket.id);
     if (!playerInfo) return;
 
     const game = games.get(playerInfo.roomId);
-    if (!game) return;
+    const sideshow = pendingSideshows.get(playerInfo.roomId);
+    if (!game || sideshow?.mode !== "proof") return;
 
-    if (!game.canStartGame()) {
-      socket.emit("error", {
-        message: "Cannot start game. Need at least 2 players.",
-      });
+    // Uncompressed P-256 point from the browser's ECDH key
+    if (typeof publicKey !== "string" || !/^0x04[0-9a-fA-F]{128}$/.test(publicKey)) {
+      socket.emit("error", { message: "Invalid channel key" });
       return;
     }
 
-    game.startGame();
-
-    // Send game state + shuffled deck to all players (deck needed for ZK proofs)
-    io.to(playerInfo.roomId).emit("gameStarted", {
-      gameState: game.getGameState(),
-      shuffledDeck: game.getShuffledDeck(),
-    });
-
-    // Send cards to each player privately
-    game.players.forEach((player) => {
-      const playerSocket = Array.from(playerSockets.entries()).find(
-        ([_, info]) => info.playerId === player.id,
-      );
+    const result = game.commitSideshowHand(playerInfo.playerId, handCommitment);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
 
-      if (playerSocket) {
-        io.to(playerSocket[0]).emit("yourCards", {
-          cards: game.getPlayerCards(player.id),
-        });
-      }
-    });
+    sideshow.channelKeys.set(playerInfo.playerId, publicKey);
+    sideshow.pending.delete(playerInfo.playerId);
+    if (!result.ready) return;
 
-    // Notify whose turn it is
-    const currentPlayer = game.getCurrentPlayer();
-    io.to(playerInfo.roomId).emit("turnChanged", {
-      currentPlayerId: currentPlayer.id,
-      currentPlayerName: currentPlayer.name,
-    });
+    // Both committed: introduce the two players to each other. From here
+    // the target owes their hand and the requester owes the proof.
+    const { requesterId, targetId } = game.sideshow;
+    clearTimeout(sideshow.timer);
+    sideshow.pending = new Set([requesterId, targetId]);
+    sideshow.timer = setTimeout(() => forfeitSideshow(game), SHOW_PROOF_TIMEOUT_MS);
 
-    console.log(`Game started in room ${playerInfo.roomId}`);
+    [requesterId, targetId].forEach((id) => emitSideshowPeer(game, id));
   });
 
-  // Player sees their cards
-  socket.on("seeCards", () => {
+  // Proof-gated sideshow: relay an encrypted hand to the other player
+  socket.on("sideshowHand", ({ iv, ciphertext } = {}) => {
     const playerInfo = playerSockets.get(socket.id);
     if (!playerInfo) return;
 
     const game = games.get(playerInfo.roomId);
-    if (!game) return;
+    const sideshow = pendingSideshows.get(playerInfo.roomId);
+    if (!game || sideshow?.mode !== "proof" || game.sideshow?.status !== "comparing") return;
 
-    const player = game.getPlayer(playerInfo.playerId);
-    if (!player) return;
+    const { requesterId, targetId } = game.sideshow;
+    if (playerInfo.playerId !== requesterId && playerInfo.playerId !== targetId) return;
 
-    player.seeCards();
+    if (
+      typeof iv !== "string" || !/^0x[0-9a-fA-F]{24}$/.test(iv) ||
+      typeof ciphertext !== "string" || !/^0x[0-9a-fA-F]{2,8192}$/.test(ciphertext)
+    ) {
+      socket.emit("error", { message: "Invalid sideshow hand" });
+      return;
+    }
 
-    io.to(playerInfo.roomId).emit("playerSawCards", {
-      playerId: player.id,
-      gameState: game.getGameState(),
-    });
+    const peerId = playerInfo.playerId === requesterId ? targetId : requesterId;
+    const peerSocketId = getPlayerSocketId(playerInfo.roomId, peerId);
+    if (peerSocketId) {
+      io.to(peerSocketId).emit("sideshowPeerHand", {
+        fromId: playerInfo.playerId,
+        iv,
+        ciphertext,
+      });
+    }
 
-    // Send cards to player (safety net in case they missed them)
-    socket.emit("yourCards", {
-      cards: game.getPlayerCards(player.id),
-    });
+    if (playerInfo.playerId === targetId) {
+      sideshow.pending.delete(targetId);
+    }
   });
 
-  // Player action (bet, fold, etc.)
-  socket.on("playerAction", ({ action, amount }) => {
+  // Proof-gated sideshow: the requester proves which hand wins
+  socket.on("sideshowProof", async ({ proof, publicInputs } = {}) => {
     const playerInfo = playerSockets.get(socket.id);
     if (!playerInfo) return;
 
     const game = games.get(playerInfo.roomId);
-    if (!game) return;
+    const sideshow = pendingSideshows.get(playerInfo.roomId);
+    if (!game || sideshow?.mode !== "proof") return;
 
-    const result = game.playerAction(playerInfo.playerId, action, amount);
+    // Cheap checks first: commitment, ids and both hand commitments
+    const check = game.checkCompareProof(playerInfo.playerId, publicInputs);
+    if (!check.success) {
+      socket.emit("error", { message: check.error });
+      return;
+    }
 
+    const verification = await proofVerifier.verifyCompareProof(
+      proof,
+      publicInputs,
+    );
+    if (!verification.valid) {
+      socket.emit("error", { message: verification.error });
+      return;
+    }
+
+    // The sideshow may have timed out while the proof was verifying
+    if (pendingSideshows.get(playerInfo.roomId) !== sideshow) return;
+
+    const { requesterId, targetId } = game.sideshow;
+    const result = game.acceptCompareProof(playerInfo.playerId, publicInputs);
     if (!result.success) {
       socket.emit("error", { message: result.error });
       return;
     }
+    logHand(game, "compareProof", { playerId: playerInfo.playerId, publicInputs });
 
-    // Broadcast the action to all players
-    io.to(playerInfo.roomId).emit("actionPerformed", {
-      playerId: playerInfo.playerId,
-      action,
-      amount,
-      gameState: game.getGameState(),
-    });
+    console.log(
+      `✅ Compare proof verified for sideshow in room ${playerInfo.roomId}`,
+    );
 
-    // Check for winner
-    const winner = game.checkWinner();
-    if (winner) {
-      const gameResult = game.endGame(winner);
+    clearSideshow(playerInfo.roomId);
+    emitSideshowResult(game, requesterId, targetId, result, "Proved");
+    scheduleSave(playerInfo.roomId);
+  });
 
-      io.to(playerInfo.roomId).emit("gameEnded", {
-        winner: {
-          id: winner.id,
-          name: winner.name,
-        },
-        pot: gameResult.pot,
-        playerChips: gameResult.playerChips, // Include all player chip counts
-        gameState: game.getGameState(),
-      });
+  // Proof-gated sideshow can't be proven (bad hand from the other player) -
+  // fall back to revealing both lock keys
+  socket.on("sideshowDispute", () => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
 
-      console.log(
-        `Game ended in room ${playerInfo.roomId}. Winner: ${winner.name}`,
-      );
-    } else {
-      // Notify whose turn it is
-      const currentPlayer = game.getCurrentPlayer();
-      io.to(playerInfo.roomId).emit("turnChanged", {
-        currentPlayerId: currentPlayer.id,
-        currentPlayerName: currentPlayer.name,
-      });
-    }
-  });
+    const game = games.get(playerInfo.roomId);
+    const sideshow = pendingSideshows.get(playerInfo.roomId);
+    if (!game || sideshow?.mode !== "proof") return;
 
-  // Request sideshow (compare cards with previous player)
-  // Request sideshow (compare cards with previous player)
-  /*
-  socket.on("requestSideshow", ({ targetPlayerId }) => {
-     // ...
-  });
-  */
+    const result = game.revealSideshowHands(playerInfo.playerId);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
 
-  // Accept or reject sideshow
-  // Accept or reject sideshow
-  /*
-  socket.on("sideshowResponse", ({ requesterId, accepted }) => {
-    // ... (existing code)
+    requestSideshowReveal(game, "Sideshow hand could not be proven");
   });
-  */
 
   // Show cards (final reveal)
   // Show cards (final reveal)
@@ -567,7 +2438,17 @@ io.on("connection", (socket) => {
     if (!playerInfo) return;
 
     const game = games.get(playerInfo.roomId);
-    if (!game) return;
+    if (!game || game.phase !== "betting") return;
+
+    if (pendingShowdowns.has(playerInfo.roomId)) {
+      socket.emit("error", { message: "Showdown already in progress" });
+      return;
+    }
+
+    if (game.sideshow) {
+      socket.emit("error", { message: "Sideshow in progress" });
+      return;
+    }
 
     const activePlayers = game.getActivePlayers();
 
@@ -576,119 +2457,348 @@ io.on("connection", (socket) => {
       return;
     }
 
-    // Find the winner by comparing all active players
-    let winner = activePlayers[0];
-    for (let i = 1; i < activePlayers.length; i++) {
-      const compareResult = game.compareHands(winner, activePlayers[i]);
-      if (compareResult && compareResult.id === activePlayers[i].id) {
-        winner = activePlayers[i];
+    startShowdown(game, playerInfo.playerId, "Show");
+  });
+
+  // Player revealed their lock key for the showdown
+  socket.on("revealHand", ({ key } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    // Revealing for a sideshow
+    const sideshow = pendingSideshows.get(playerInfo.roomId);
+    if (sideshow?.mode === "reveal" && sideshow.pending?.has(playerInfo.playerId)) {
+      const result = game.revealHand(playerInfo.playerId, key);
+      if (!result.success) {
+        socket.emit("error", { message: result.error });
+        return;
       }
+
+      sideshow.pending.delete(playerInfo.playerId);
+      if (sideshow.pending.size === 0) {
+        clearSideshow(playerInfo.roomId);
+        const { requesterId, targetId } = game.sideshow;
+        const outcome = game.resolveSideshow();
+        emitSideshowResult(game, requesterId, targetId, outcome, "Compared");
+      }
+      return;
     }
 
-    if (winner) {
-      const gameResult = game.endGame(winner);
+    const showdown = pendingShowdowns.get(playerInfo.roomId);
+    if (
+      !showdown ||
+      showdown.mode !== "reveal" ||
+      !showdown.pending.has(playerInfo.playerId)
+    ) {
+      return;
+    }
 
-      // Reveal all cards FIRST
-      const allCards = {};
-      game.players.forEach((p) => {
-        allCards[p.id] = game.getPlayerCards(p.id);
-      });
+    const result = game.revealHand(playerInfo.playerId, key);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
 
-      // 1. Notify everyone that showdown is happening and reveal cards
-      io.to(playerInfo.roomId).emit("showdownStarted", {
-        allCards,
-        gameState: game.getGameState(),
-      });
+    showdown.pending.delete(playerInfo.playerId);
+    if (showdown.pending.size === 0) {
+      clearShowdown(playerInfo.roomId);
+      finishShowdown(game, showdown.reason);
+    }
+  });
 
-      console.log(
-        `Showdown in room ${playerInfo.roomId}. Winner: ${winner.name}`,
-      );
+  // Player submitted their show proof for a proof-gated showdown
+  socket.on("showProof", async ({ proof, publicInputs } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
 
-      // 2. Wait for 4 seconds to let players see the cards
-      setTimeout(() => {
-        io.to(playerInfo.roomId).emit("gameEnded", {
-          winner: {
-            id: winner.id,
-            name: winner.name,
-          },
-          pot: gameResult.pot,
-          playerChips: gameResult.playerChips, // Include all player chip counts
-          allCards, // Send again just in case
-          reason: "Show",
-          gameState: game.getGameState(),
-        });
-      }, 4000);
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const showdown = pendingShowdowns.get(playerInfo.roomId);
+    if (
+      !showdown ||
+      showdown.mode !== "proof" ||
+      !showdown.pending.has(playerInfo.playerId)
+    ) {
+      return;
+    }
+
+    // Cheap checks first: commitment, ids and hand rank vs. shown cards
+    const check = game.checkShowProof(playerInfo.playerId, publicInputs);
+    if (!check.success) {
+      socket.emit("error", { message: check.error });
+      return;
+    }
+
+    const verification = await proofVerifier.verifyShowProof(
+      proof,
+      publicInputs,
+    );
+    if (!verification.valid) {
+      socket.emit("error", { message: verification.error });
+      return;
+    }
+
+    // The showdown may have timed out while the proof was verifying
+    if (pendingShowdowns.get(playerInfo.roomId) !== showdown) return;
+    if (!showdown.pending.has(playerInfo.playerId)) return;
+
+    const result = game.acceptShowProof(playerInfo.playerId, publicInputs);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+    logHand(game, "showProof", { playerId: playerInfo.playerId, publicInputs });
+
+    console.log(
+      `✅ Show proof verified for ${playerInfo.playerId} in room ${playerInfo.roomId}`,
+    );
+
+    showdown.pending.delete(playerInfo.playerId);
+    if (showdown.pending.size === 0) {
+      clearShowdown(playerInfo.roomId);
+      finishShowdown(game, showdown.reason);
     }
+    scheduleSave(playerInfo.roomId);
   });
 
   // Leave room
   socket.on("leaveRoom", () => {
-    handlePlayerDisconnect(socket);
-  });
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
 
-  // Handle disconnect
-  socket.on("disconnect", () => {
-    console.log("Client disconnected:", socket.id);
-    handlePlayerDisconnect(socket);
+    playerSockets.delete(socket.id);
+    socket.leave(playerInfo.roomId);
+    releaseHeldSeat(playerInfo);
+    removePlayerFromRoom(playerInfo);
   });
 
-  function handlePlayerDisconnect(socket) {
+  // Leave a running cash session with your chips: the server checks your
+  // stack against the ledger and has the contract pay your share of the pot
+  socket.on("cashOut", async () => {
     const playerInfo = playerSockets.get(socket.id);
     if (!playerInfo) return;
 
     const game = games.get(playerInfo.roomId);
     if (!game) return;
 
-    const player = game.getPlayer(playerInfo.playerId);
-    if (!player) return;
+    if (!game.cashSession) {
+      socket.emit("error", { message: "Only blockchain rooms can cash out" });
+      return;
+    }
+    if (!settlementService.isInitialized()) {
+      socket.emit("error", { message: "Settlement service not initialized" });
+      return;
+    }
 
-    game.removePlayer(playerInfo.playerId);
-    playerSockets.delete(socket.id);
+    const check = game.cashSession.getCashOut(game, playerInfo.playerId);
+    if (!check.success) {
+      socket.emit("error", { message: check.error });
+      return;
+    }
 
-    // Notify other players
-    io.to(playerInfo.roomId).emit("playerLeft", {
-      playerId: playerInfo.playerId,
+    // Not dealt in while the payout is on its way
+    const player = game.getPlayer(playerInfo.playerId);
+    const wasSittingOut = player.isSittingOut;
+    player.isSittingOut = true;
+    game.cashSession.startCashOut(playerInfo.playerId);
+    io.to(playerInfo.roomId).emit("sittingOutChanged", {
+      playerId: player.id,
       playerName: player.name,
+      sittingOut: true,
       gameState: game.getGameState(),
     });
 
-    // If game is in progress and player leaves, end the game
-    if (game.gameStarted) {
-      const winner = game.checkWinner();
-      if (winner) {
-        const gameResult = game.endGame(winner);
-
-        io.to(playerInfo.roomId).emit("gameEnded", {
-          winner: {
-            id: winner.id,
-            name: winner.name,
-          },
-          pot: gameResult.pot,
-          playerChips: gameResult.playerChips, // Include all player chip counts
-          reason: "Player left",
+    const result = await settlementService.cashOutPlayer(
+      game.blockchainRoomId,
+      check.walletAddress,
+      check.chips,
+      check.tableChips,
+    );
+    scheduleSave(playerInfo.roomId);
+
+    if (!result.success) {
+      game.cashSession.cancelCashOut(playerInfo.playerId);
+      if (!wasSittingOut && game.getPlayer(player.id) === player) {
+        player.isSittingOut = false;
+        io.to(playerInfo.roomId).emit("sittingOutChanged", {
+          playerId: player.id,
+          playerName: player.name,
+          sittingOut: false,
           gameState: game.getGameState(),
         });
       }
+      socket.emit("error", { message: `Cash-out failed: ${result.error}` });
+      return;
     }
 
-    // Delete game if no players left
-    if (game.players.length === 0) {
-      // Clean up roomCodeMap if this was a blockchain room
-      if (game.blockchainRoomId) {
-        const shortCode = getShortRoomCode(game.blockchainRoomId);
-        const mappedRoomId = roomCodeMap.get(shortCode);
-        
-        // Only delete if it maps to this room 
-        if (mappedRoomId === game.blockchainRoomId) {
-          roomCodeMap.delete(shortCode);
-          console.log(`🧹 Cleaned up short code: ${shortCode}`);
-        }
-      }
-      
-      games.delete(playerInfo.roomId);
-      console.log(`Room ${playerInfo.roomId} deleted (no players)`);
+    game.cashSession.completeCashOut(playerInfo.playerId, {
+      chips: check.chips,
+      txHash: result.txHash,
+      payout: result.payout,
+    });
+    logHand(game, "cashedOut", {
+      playerId: playerInfo.playerId,
+      chips: check.chips,
+      tableChips: check.tableChips,
+      txHash: result.txHash,
+      payout: result.payout,
+    });
+    console.log(
+      `💸 ${playerInfo.playerId} cashed out ${check.chips} chips from ${game.blockchainRoomId}: ${result.txHash}`,
+    );
+
+    socket.emit("cashedOut", {
+      chips: check.chips,
+      txHash: result.txHash,
+      payout: result.payout,
+    });
+    io.to(playerInfo.roomId).emit("sessionUpdated", {
+      hand: null,
+      session: game.cashSession.getSummary(),
+    });
+
+    // Off the table for good - the seat is freed like any other leave
+    const seat = { roomId: playerInfo.roomId, playerId: playerInfo.playerId };
+    const socketId = getPlayerSocketId(seat.roomId, seat.playerId);
+    if (socketId) {
+      playerSockets.delete(socketId);
+      io.in(socketId).socketsLeave(seat.roomId);
     }
-  }
+    releaseHeldSeat(seat);
+    removePlayerFromRoom(seat);
+  });
+
+  // Ask to rebuy or top up before paying on-chain: the tokens can't be
+  // turned away once they are in the pot, so the room's limits are checked
+  // here. The chips are credited when the PlayerRebought event arrives.
+  socket.on("requestRebuy", ({ chips } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    if (!game.cashSession) {
+      socket.emit("error", { message: "Only blockchain rooms can rebuy" });
+      return;
+    }
+    if (!blockchainService.isInitialized()) {
+      socket.emit("error", { message: "Rebuys are unavailable: the server is not watching the chain" });
+      return;
+    }
+
+    const check = game.cashSession.checkRebuy(playerInfo.playerId, chips);
+    if (!check.success) {
+      socket.emit("error", { message: check.error });
+      return;
+    }
+
+    socket.emit("rebuyApproved", { chips, blockchainRoomId: game.blockchainRoomId });
+  });
+
+  // The lobby's table list now, then a lobbyUpdate whenever it changes
+  socket.on("subscribeLobby", () => {
+    socket.join(LOBBY_CHANNEL);
+    socket.emit("lobbyUpdate", { rooms: getLobbyRooms().rooms });
+  });
+
+  socket.on("unsubscribeLobby", () => {
+    socket.leave(LOBBY_CHANNEL);
+  });
+
+  // "Play now": a waiting table at this stake and size if there is one,
+  // otherwise a place in the queue until enough wallets can share one
+  socket.on("quickSeat", async ({ minBuyIn, maxBuyIn, players } = {}) => {
+    const wallet = authenticatedWallets.get(socket.id);
+    if (!wallet) {
+      socket.emit("error", { message: "Sign in with your wallet first" });
+      return;
+    }
+    if (playerSockets.has(socket.id)) {
+      socket.emit("error", { message: "Leave your table before looking for another" });
+      return;
+    }
+    const request = { minBuyIn, maxBuyIn, players };
+    const check = validateQuickSeat(request);
+    if (!check.success) {
+      socket.emit("error", { message: check.error });
+      return;
+    }
+
+    const room = await findQuickSeatRoom(wallet, request);
+    if (room) {
+      cancelQuickSeat(wallet);
+      sendToQuickSeatRoom(socket.id, games.get(room.roomId));
+      return;
+    }
+
+    const queued = matchmaker.enqueue(wallet, socket.id, request);
+    if (!queued.success) {
+      socket.emit("error", { message: queued.error });
+      return;
+    }
+    runMatchmaking();
+    emitQuickSeatQueued(matchmaker.queue);
+  });
+
+  socket.on("cancelQuickSeat", () => {
+    const wallet = authenticatedWallets.get(socket.id);
+    if (wallet) cancelQuickSeat(wallet);
+  });
+
+  // Watch a table without taking a seat. Spectators never join the players'
+  // room, so no cards, decks or player-only events reach them.
+  socket.on("spectateRoom", ({ roomId } = {}) => {
+    const game = games.get(roomId) || games.get(findRoomByShortCode(roomId));
+    if (!game) {
+      socket.emit("error", { message: "Room not found" });
+      return;
+    }
+    if (playerSockets.has(socket.id)) {
+      socket.emit("error", { message: "Leave your seat before spectating" });
+      return;
+    }
+    if (game.access) {
+      socket.emit("error", { message: "This room is private" });
+      return;
+    }
+
+    socket.join(spectatorChannel(game.roomId));
+    // Nothing delayed to show yet: between hands the table hides nothing
+    const gameState =
+      spectatorViews.get(game.roomId) || (game.gameStarted ? null : game.getSpectatorState());
+    socket.emit("spectating", {
+      roomId: game.roomId,
+      delayMs: SPECTATOR_DELAY_MS,
+      gameState,
+    });
+    console.log(`Spectator ${socket.id} watching room ${game.roomId}`);
+  });
+
+  socket.on("stopSpectating", () => {
+    socket.rooms.forEach((room) => {
+      if (room.startsWith("spectate:")) socket.leave(room);
+    });
+  });
+
+  // Sit out of the next hands without giving up the seat, or sit back in.
+  // Takes effect from the next deal.
+  socket.on("sitOut", () => setSittingOut(socket, true));
+  socket.on("sitIn", () => setSittingOut(socket, false));
+
+  // Handle disconnect - hold the seat in case they come back
+  socket.on("disconnect", () => {
+    console.log("Client disconnected:", socket.id);
+    holdSeat(socket);
+    const queuedWallet = matchmaker.walletOfSocket(socket.id);
+    if (queuedWallet) cancelQuickSeat(queuedWallet);
+    authenticatedWallets.delete(socket.id);
+    walletAuth.clearChallenge(socket.id);
+  });
 });
 
 const PORT = process.env.PORT || 3001;
@@ -700,6 +2810,20 @@ const PORT = process.env.PORT || 3001;
   // Initialize settlement service
   await settlementService.initialize();
 
+  // Watch the chain for rebuys paid into rooms and wallets invited to them
+  if (await blockchainService.initialize()) {
+    blockchainService.onPlayerRebought(creditRebuy);
+    blockchainService.onPlayersInvited(addRoomInvites);
+  }
+
+  await handHistory.initialize();
+
+  // Pick up the tables that were live before the restart
+  const restored = await restoreRooms();
+  if (restored > 0) {
+    console.log(`♻️  ${restored} room(s) waiting for players to reconnect`);
+  }
+
   // Start HTTP server
   httpServer.listen(PORT, () => {
     console.log(`\n✅ Server running on port ${PORT}`);
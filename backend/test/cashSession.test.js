@@ -0,0 +1,339 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+import { CashSession } from '../cashSession.js';
+
+function cashGame(players = 3) {
+  const game = new Game('ROOM');
+  game.cashSession = new CashSession();
+  for (let i = 0; i < players; i++) {
+    const player = new Player(`p${i}`, `Player ${i}`, `socket${i}`, 1000);
+    game.addPlayer(player);
+    game.cashSession.addPlayer(player);
+  }
+  return game;
+}
+
+function startHand(game) {
+  assert.equal(game.startGame(), true);
+  game.cashSession.startHand(game);
+  game.phase = 'betting';
+}
+
+// Everyone but `winnerId` packs in turn
+function packTo(game, winnerId) {
+  while (game.getActivePlayers().length > 1) {
+    const current = game.getCurrentPlayer();
+    if (current.id === winnerId) {
+      current.seeCards();
+      assert.deepEqual(game.playerAction(current.id, 'chaal', game.currentBet), { success: true });
+    } else {
+      assert.deepEqual(game.playerAction(current.id, 'pack'), { success: true });
+    }
+  }
+  const result = game.endGame(game.getPlayer(winnerId));
+  return game.cashSession.endHand(game, result, 'Everyone else packed');
+}
+
+const netOf = (hand, playerId) => hand.results.find(r => r.playerId === playerId)?.net;
+const standing = (game, playerId) => game.cashSession.getStandings().find(s => s.playerId === playerId);
+
+describe('Cash sessions', function () {
+  it('numbers hands and books each player\'s net', function () {
+    const game = cashGame();
+    startHand(game);
+    const hand = packTo(game, 'p2');
+
+    assert.equal(hand.handNumber, 1);
+    assert.equal(netOf(hand, 'p2'), 20);
+    assert.equal(netOf(hand, 'p0'), -10);
+    assert.equal(netOf(hand, 'p1'), -10);
+    assert.equal(hand.results.reduce((sum, r) => sum + r.net, 0), 0);
+    assert.equal(game.getGameState().handNumber, 1);
+  });
+
+  it('keeps a running total that matches the chips at the table', function () {
+    const game = cashGame();
+    startHand(game);
+    packTo(game, 'p2');
+    startHand(game);
+    const second = packTo(game, 'p0');
+
+    assert.equal(second.handNumber, 2);
+    game.players.forEach(player => {
+      assert.equal(standing(game, player.id).chips, player.chips);
+    });
+    assert.equal(game.cashSession.hands.length, 2);
+  });
+
+  it('moves the button to the next player each hand', function () {
+    const game = cashGame();
+    startHand(game);
+    packTo(game, 'p1');
+    startHand(game);
+    const hand = packTo(game, 'p1');
+    assert.equal(game.cashSession.hands[0].dealerId, 'p0');
+    assert.equal(hand.dealerId, 'p1');
+  });
+
+  it('deals around players who sit out', function () {
+    const game = cashGame();
+    assert.deepEqual(game.setSittingOut('p1', true), { success: true });
+    startHand(game);
+
+    assert.deepEqual(game.shuffleSession.order, ['p0', 'p2']);
+    assert.equal(game.pot, 20);
+    assert.equal(game.getCurrentPlayer().id, 'p2');
+
+    const hand = packTo(game, 'p0');
+    assert.equal(netOf(hand, 'p1'), undefined);
+    assert.equal(standing(game, 'p1').chips, 1000);
+  });
+
+  it('skips the button past a player sitting out', function () {
+    const game = cashGame();
+    startHand(game);
+    packTo(game, 'p0');
+    game.setSittingOut('p1', true);
+    startHand(game);
+    assert.equal(game.players[game.dealerIndex].id, 'p2');
+  });
+
+  it('needs enough players sitting in to deal', function () {
+    const game = cashGame(2);
+    game.setSittingOut('p0', true);
+    assert.equal(game.canStartGame(), false);
+    assert.equal(game.setSittingOut('p0', true).success, false);
+    game.setSittingOut('p0', false);
+    assert.equal(game.canStartGame(), true);
+  });
+
+  it('books aborted hands as even', function () {
+    const game = cashGame();
+    startHand(game);
+    const hand = game.cashSession.endHand(game, game.abortHand(), 'Shuffle aborted');
+    hand.results.forEach(result => assert.equal(result.net, 0));
+  });
+
+  it('settles the ledger, including players who left', function () {
+    const game = cashGame();
+    startHand(game);
+    assert.match(game.cashSession.getFinalChips(game).error, /Finish the hand/);
+    packTo(game, 'p2');
+
+    game.removePlayer('p0');
+    const { success, playerChips } = game.cashSession.getFinalChips(game);
+    assert.equal(success, true);
+    assert.deepEqual(playerChips, [
+      { id: 'p0', chips: 990 },
+      { id: 'p1', chips: 990 },
+      { id: 'p2', chips: 1020 }
+    ]);
+
+    game.cashSession.settle({ txHash: '0xabc' });
+    assert.equal(game.cashSession.getFinalChips(game).success, false);
+  });
+
+  it('seats a returning wallet on the stack it left with', function () {
+    const game = cashGame();
+    startHand(game);
+    packTo(game, 'p2');
+    game.removePlayer('p0');
+
+    const back = new Player('p0', 'Player 0', 'socket9', 1000);
+    game.addPlayer(back);
+    game.cashSession.addPlayer(back);
+
+    assert.equal(back.chips, 990);
+    assert.equal(standing(game, 'p0').buyIn, 1000);
+    assert.equal(game.cashSession.getFinalChips(game).success, true);
+  });
+
+  it('refuses to settle when the ledger and the table disagree', function () {
+    const game = cashGame();
+    game.players[0].chips += 5;
+    const result = game.cashSession.getFinalChips(game);
+    assert.equal(result.success, false);
+    assert.match(result.error, /Player 0/);
+  });
+
+  describe('Cashing out', function () {
+    it('weighs the player\'s chips against every chip still in the pot', function () {
+      const game = cashGame();
+      startHand(game);
+      packTo(game, 'p2');
+
+      assert.deepEqual(game.cashSession.getCashOut(game, 'p2'), {
+        success: true,
+        walletAddress: 'p2',
+        chips: 1020,
+        tableChips: 3000
+      });
+    });
+
+    it('waits for the hand the player is in', function () {
+      const game = cashGame();
+      game.setSittingOut('p1', true);
+      startHand(game);
+
+      assert.match(game.cashSession.getCashOut(game, 'p0').error, /Finish the hand/);
+      assert.equal(game.cashSession.getCashOut(game, 'p1').success, true);
+    });
+
+    it('leaves the paid player off the final settlement', function () {
+      const game = cashGame();
+      startHand(game);
+      packTo(game, 'p2');
+
+      game.cashSession.startCashOut('p2');
+      assert.match(game.cashSession.getCashOut(game, 'p2').error, /in progress/);
+      assert.match(game.cashSession.getFinalChips(game).error, /cash-out in progress/);
+
+      game.cashSession.completeCashOut('p2', { chips: 1020, txHash: '0xabc' });
+      game.removePlayer('p2');
+
+      assert.deepEqual(game.cashSession.getCashOut(game, 'p0').tableChips, 1980);
+      assert.deepEqual(game.cashSession.getFinalChips(game).playerChips, [
+        { id: 'p0', chips: 990 },
+        { id: 'p1', chips: 990 }
+      ]);
+    });
+
+    it('puts a failed payout back on the ledger', function () {
+      const game = cashGame();
+      game.cashSession.startCashOut('p0');
+      game.cashSession.cancelCashOut('p0');
+      assert.equal(game.cashSession.getCashOut(game, 'p0').success, true);
+    });
+
+    it('keeps a paid or paying wallet from sitting back down', function () {
+      const game = cashGame();
+      game.cashSession.startCashOut('p0');
+      assert.match(game.cashSession.checkSeat('p0').error, /in progress/);
+
+      game.cashSession.completeCashOut('p0', { chips: 1000, txHash: '0xabc' });
+      assert.match(game.cashSession.checkSeat('p0').error, /cashed out/);
+      assert.deepEqual(game.cashSession.checkSeat('p1'), { success: true });
+      assert.deepEqual(game.cashSession.checkSeat('p9'), { success: true });
+    });
+
+    it('sends the last player to a full settlement', function () {
+      const game = cashGame(2);
+      game.cashSession.completeCashOut('p1', { chips: 1000, txHash: '0xabc' });
+      game.removePlayer('p1');
+      assert.match(game.cashSession.getCashOut(game, 'p0').error, /Last player/);
+    });
+  });
+
+  describe('Rebuys', function () {
+    it('tops a busted player back up to the buy-in', function () {
+      const game = cashGame();
+      game.cashSession.configureRebuys({}, 1000);
+      game.cashSession.getEntry('p0').net = -1000;
+      game.getPlayer('p0').chips = 0;
+
+      assert.deepEqual(game.cashSession.checkRebuy('p0', 1000), { success: true });
+      assert.deepEqual(game.cashSession.creditRebuy(game, 'p0', { chips: 1000, txHash: '0x1' }), { success: true, pending: false });
+      assert.equal(game.getPlayer('p0').chips, 1000);
+      assert.equal(standing(game, 'p0').chips, 1000);
+      assert.equal(standing(game, 'p0').buyIn, 2000);
+    });
+
+    it('keeps to the room\'s rebuy limits', function () {
+      const game = cashGame();
+      assert.deepEqual(game.cashSession.configureRebuys({ maxRebuys: 1, maxStack: 1500 }, 1000), { success: true });
+
+      assert.match(game.cashSession.checkRebuy('p0', 600).error, /past 1500/);
+      assert.match(game.cashSession.checkRebuy('p0', 2.5).error, /whole number/);
+      game.cashSession.creditRebuy(game, 'p0', { chips: 500, txHash: '0x1' });
+      assert.match(game.cashSession.checkRebuy('p0', 1).error, /limit of 1/);
+    });
+
+    it('rejects rebuy limits that make no sense', function () {
+      const session = new CashSession();
+      assert.equal(session.configureRebuys({ maxRebuys: -1 }, 1000).success, false);
+      assert.equal(session.configureRebuys({ maxStack: 500 }, 1000).success, false);
+      assert.deepEqual(session.configureRebuys({ maxRebuys: 0, maxStack: 0 }, 1000), { success: true });
+      assert.deepEqual(session.rebuyRules, { maxRebuys: 0, maxStack: 0 });
+    });
+
+    it('holds a rebuy paid mid-hand until the hand ends', function () {
+      const game = cashGame();
+      game.cashSession.configureRebuys({ maxStack: 1500 }, 1000);
+      startHand(game);
+
+      assert.deepEqual(game.cashSession.creditRebuy(game, 'p0', { chips: 500, txHash: '0x1' }), { success: true, pending: true });
+      assert.equal(game.getPlayer('p0').chips, 990);
+      // The stack the hand started with plus the rebuy waiting on it
+      assert.match(game.cashSession.checkRebuy('p0', 1).error, /past 1500/);
+
+      packTo(game, 'p2');
+      assert.deepEqual(game.cashSession.applyPendingRebuys(game), [{ playerId: 'p0', chips: 500 }]);
+      assert.equal(game.getPlayer('p0').chips, 1490);
+      assert.equal(game.cashSession.getFinalChips(game).success, true);
+    });
+
+    it('pays back a rebuy the contract took past the limits', function () {
+      const game = cashGame();
+      game.cashSession.configureRebuys({ maxRebuys: 1, maxStack: 1500 }, 1000);
+
+      assert.deepEqual(game.cashSession.creditRebuy(game, 'p0', { chips: 600, txHash: '0x1' }), {
+        success: true,
+        refunded: true,
+        error: 'A rebuy can\'t take your stack past 1500 chips'
+      });
+      assert.equal(game.getPlayer('p0').chips, 1000);
+      assert.equal(game.cashSession.creditRebuy(game, 'p0', { chips: 500, txHash: '0x2' }).pending, false);
+      assert.match(game.cashSession.creditRebuy(game, 'p0', { chips: 1, txHash: '0x3' }).error, /limit of 1/);
+
+      assert.equal(standing(game, 'p0').refunds, 601);
+      assert.deepEqual(game.cashSession.getCashOut(game, 'p0'), {
+        success: true,
+        walletAddress: 'p0',
+        chips: 2101,
+        tableChips: 4101
+      });
+      assert.deepEqual(game.cashSession.getFinalChips(game).playerChips[0], { id: 'p0', chips: 2101 });
+    });
+
+    it('counts rebuys waiting on a hand in the pot a cash-out is weighed against', function () {
+      const game = cashGame();
+      game.setSittingOut('p2', true);
+      startHand(game);
+      game.cashSession.creditRebuy(game, 'p0', { chips: 500, txHash: '0x1' });
+
+      assert.equal(game.cashSession.getCashOut(game, 'p2').tableChips, 3500);
+    });
+
+    it('credits each transaction once', function () {
+      const game = cashGame();
+      game.cashSession.creditRebuy(game, 'p0', { chips: 100, txHash: '0x1' });
+      assert.equal(game.cashSession.creditRebuy(game, 'p0', { chips: 100, txHash: '0x1' }).success, false);
+      assert.equal(game.getPlayer('p0').chips, 1100);
+    });
+
+    it('refuses part of a chip without using up a rebuy', function () {
+      const game = cashGame();
+      game.cashSession.configureRebuys({ maxRebuys: 1, maxStack: 2000 }, 1000);
+      assert.match(game.cashSession.creditRebuy(game, 'p0', { chips: 0.5, txHash: '0x1' }).error, /whole number/);
+      assert.match(game.cashSession.creditRebuy(game, 'p0', { chips: 1.5, txHash: '0x2' }).error, /whole number/);
+      assert.equal(game.getPlayer('p0').chips, 1000);
+
+      assert.equal(game.cashSession.creditRebuy(game, 'p0', { chips: 100, txHash: '0x3' }).pending, false);
+      assert.equal(game.getPlayer('p0').chips, 1100);
+    });
+  });
+
+  it('survives a save and restore', function () {
+    const game = cashGame();
+    game.setSittingOut('p1', true);
+    startHand(game);
+    packTo(game, 'p0');
+
+    const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toJSON())));
+    assert.ok(restored.cashSession instanceof CashSession);
+    assert.equal(restored.cashSession.handNumber, 1);
+    assert.equal(restored.getPlayer('p1').isSittingOut, true);
+    assert.deepEqual(restored.cashSession.getStandings(), game.cashSession.getStandings());
+  });
+});
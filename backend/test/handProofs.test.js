@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateHand } from 'teen-patti-hand-evaluator';
+import { Game } from '../gameLogic.js';
+import { ShuffleSession, BN254_MODULUS } from '../mentalPoker.js';
+
+const WALLET = '0x' + 'ab'.repeat(20);
+// A full-width room ID above the BN254 modulus
+const ROOM_ID = '0x' + 'f'.repeat(64);
+
+function gameInRoom(roomId) {
+  const game = new Game('ROOM');
+  game.blockchainRoomId = roomId;
+  game.deckCommitment = { merkleRoot: '0x5', commitments: [] };
+  game.shuffleSession = new ShuffleSession([WALLET]);
+  return game;
+}
+
+// A K Q of spades, as the show circuit lays out its public inputs
+function showInputs(gameId) {
+  const cards = [14, 13, 12].map(rank => ({ rank, suit: 3 }));
+  const { handRank, handValue } = evaluateHand(cards);
+  return [gameId, BigInt(WALLET), 5n, 14n, 13n, 12n, 3n, 3n, 3n, BigInt(handRank), handValue]
+    .map(value => '0x' + value.toString(16).padStart(64, '0'));
+}
+
+describe('Hand proofs', function () {
+  it('matches a full-width room ID reduced into the circuit field', function () {
+    const game = gameInRoom(ROOM_ID);
+    const gameId = BigInt(ROOM_ID) % BN254_MODULUS;
+
+    assert.equal(game.checkShowProof(WALLET, showInputs(gameId)).success, true);
+    assert.deepEqual(
+      game.checkShowProof(WALLET, showInputs(gameId + 1n)),
+      { success: false, error: 'Proof is for a different game' }
+    );
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+import { CashSession } from '../cashSession.js';
+import { listLobbyRooms } from '../lobby.js';
+
+function table(id, { buyIn = 100, players = 2, maxPlayers = 4, variant = 'classic' } = {}) {
+  const game = new Game(id);
+  game.blockchainRoomId = id;
+  game.buyInTokens = buyIn;
+  game.maxPlayers = maxPlayers;
+  game.configureVariant(variant);
+  game.cashSession = new CashSession();
+  for (let i = 0; i < players; i++) {
+    const player = new Player(`${id}-p${i}`, `Player ${i}`, `socket${i}`, buyIn);
+    game.addPlayer(player);
+    game.cashSession.addPlayer(player);
+  }
+  return game;
+}
+
+// Play a hand out: the first player packs, the other takes the pot
+function playHand(game) {
+  game.startGame();
+  game.cashSession.startHand(game);
+  game.phase = 'betting';
+  game.playerAction(game.getCurrentPlayer().id, 'pack');
+  const winner = game.getActivePlayers()[0];
+  game.cashSession.endHand(game, game.endGame(winner), 'Everyone else packed');
+}
+
+const shortCode = game => game.roomId.toUpperCase();
+const ids = result => result.rooms.map(room => room.roomId);
+
+describe('Lobby', function () {
+  it('lists a table\'s buy-in, seats, variant and status', function () {
+    const { rooms } = listLobbyRooms([table('a', { variant: 'muflis' })], shortCode);
+    assert.deepEqual(rooms, [{
+      roomId: 'a',
+      shortCode: 'A',
+      buyIn: 100,
+      players: 2,
+      maxPlayers: 4,
+      variant: 'muflis',
+      boot: 10,
+      status: 'waiting',
+      handNumber: 0,
+      averagePot: null,
+      joinable: true
+    }]);
+  });
+
+  it('averages the pots of the hands played', function () {
+    const game = table('a', { players: 3 });
+    playHand(game);
+    playHand(game);
+
+    const [room] = listLobbyRooms([game], shortCode).rooms;
+    assert.equal(room.status, 'playing');
+    assert.equal(room.joinable, false);
+    assert.equal(room.averagePot, 30);
+  });
+
+  it('only lets players join waiting tables with a free seat', function () {
+    const { rooms } = listLobbyRooms([table('full', { players: 2, maxPlayers: 2 })], shortCode);
+    assert.equal(rooms[0].joinable, false);
+  });
+
+  it('leaves out off-chain rooms, settled sessions and private rooms', function () {
+    const offChain = new Game('offchain');
+    const settled = table('settled');
+    settled.cashSession.settle({ txHash: '0xabc' });
+    const locked = table('private');
+    locked.access = { allowlist: ['0x0000000000000000000000000000000000000001'] };
+    assert.deepEqual(ids(listLobbyRooms([offChain, settled, locked, table('a')], shortCode)), ['a']);
+  });
+
+  it('filters and sorts waiting tables first, cheapest first', function () {
+    const playing = table('playing', { buyIn: 10 });
+    playHand(playing);
+    const games = [
+      table('dear', { buyIn: 500 }),
+      playing,
+      table('cheap', { buyIn: 50 }),
+      table('ak47', { buyIn: 100, variant: 'ak47' })
+    ];
+
+    assert.deepEqual(ids(listLobbyRooms(games, shortCode)), ['cheap', 'ak47', 'dear', 'playing']);
+    assert.deepEqual(ids(listLobbyRooms(games, shortCode, { status: 'waiting', maxBuyIn: 100 })), ['cheap', 'ak47']);
+    assert.deepEqual(ids(listLobbyRooms(games, shortCode, { variant: 'ak47' })), ['ak47']);
+    assert.deepEqual(ids(listLobbyRooms(games, shortCode, { minBuyIn: 200 })), ['dear']);
+  });
+
+  it('rejects filters it doesn\'t know', function () {
+    assert.equal(listLobbyRooms([], shortCode, { status: 'closed' }).success, false);
+    assert.equal(listLobbyRooms([], shortCode, { variant: 'poker' }).success, false);
+    assert.equal(listLobbyRooms([], shortCode, { minBuyIn: NaN }).success, false);
+  });
+});
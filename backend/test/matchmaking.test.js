@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Matchmaker, validateQuickSeat, rankRooms } from '../matchmaking.js';
+
+const TIMEOUT = 60000;
+
+function queue(matchmaker, wallet, minBuyIn, maxBuyIn, players, queuedAt) {
+  const result = matchmaker.enqueue(wallet, `socket-${wallet}`, { minBuyIn, maxBuyIn, players }, queuedAt);
+  assert.deepEqual(result, { success: true });
+}
+
+const room = (roomId, buyIn, players, maxPlayers = 4, joinable = true) =>
+  ({ roomId, buyIn, players, maxPlayers, joinable });
+
+describe('Quick seat', function () {
+  it('checks the buy-in range and table size', function () {
+    assert.deepEqual(validateQuickSeat({ minBuyIn: 100, maxBuyIn: 500, players: 4 }), { success: true });
+    assert.equal(validateQuickSeat({ minBuyIn: 500, maxBuyIn: 100, players: 4 }).success, false);
+    assert.equal(validateQuickSeat({ minBuyIn: 0, maxBuyIn: 100, players: 4 }).success, false);
+    assert.match(validateQuickSeat({ minBuyIn: 100, maxBuyIn: 100, players: 7 }).error, /between 2 and 6/);
+    assert.equal(validateQuickSeat({}).success, false);
+  });
+
+  it('prefers the fullest waiting table in range, then the cheapest', function () {
+    const rooms = [
+      room('cheap', 100, 1),
+      room('full', 300, 3),
+      room('pricey', 900, 3),
+      room('small', 200, 1, 2),
+      room('started', 200, 3, 4, false)
+    ];
+    const ranked = rankRooms(rooms, { minBuyIn: 100, maxBuyIn: 500, players: 4 });
+    assert.deepEqual(ranked.map(r => r.roomId), ['full', 'cheap']);
+  });
+
+  it('matches enough queued wallets at the lowest stake they all accept', function () {
+    const matchmaker = new Matchmaker();
+    queue(matchmaker, 'a', 100, 500, 3, 1);
+    queue(matchmaker, 'b', 200, 800, 3, 2);
+    assert.equal(matchmaker.formMatch(TIMEOUT), null);
+    assert.deepEqual(matchmaker.getQueueStatus('a'), { waiting: 2, players: 3 });
+
+    queue(matchmaker, 'c', 300, 1000, 3, 3);
+    const match = matchmaker.formMatch(TIMEOUT, 10);
+    assert.equal(match.host.wallet, 'a');
+    assert.deepEqual(match.guests.map(g => g.wallet), ['b', 'c']);
+    assert.equal(match.buyIn, 300);
+    assert.equal(match.expiresAt, 10 + TIMEOUT);
+    assert.equal(matchmaker.queue.length, 0);
+  });
+
+  it('never puts wallets with no common stake or size together', function () {
+    const matchmaker = new Matchmaker();
+    queue(matchmaker, 'a', 100, 200, 2, 1);
+    queue(matchmaker, 'b', 300, 400, 2, 2);
+    queue(matchmaker, 'c', 100, 200, 3, 3);
+    assert.equal(matchmaker.formMatch(TIMEOUT), null);
+
+    queue(matchmaker, 'd', 150, 350, 2, 4);
+    const match = matchmaker.formMatch(TIMEOUT);
+    assert.deepEqual([match.host.wallet, ...match.guests.map(g => g.wallet)], ['a', 'd']);
+    assert.equal(match.buyIn, 150);
+  });
+
+  it('updates a wallet\'s request instead of queueing it twice', function () {
+    const matchmaker = new Matchmaker();
+    queue(matchmaker, 'a', 100, 200, 2, 1);
+    queue(matchmaker, 'a', 100, 200, 2, 2);
+    assert.equal(matchmaker.queue.length, 1);
+    assert.equal(matchmaker.formMatch(TIMEOUT), null);
+  });
+
+  it('lets only the host open the match\'s room', function () {
+    const matchmaker = new Matchmaker();
+    queue(matchmaker, 'a', 100, 100, 2, 1);
+    queue(matchmaker, 'b', 100, 100, 2, 2);
+    const { matchId } = matchmaker.formMatch(TIMEOUT);
+
+    assert.match(matchmaker.enqueue('b', 'socket-b', { minBuyIn: 1, maxBuyIn: 9, players: 2 }).error, /Already matched/);
+    assert.equal(matchmaker.completeMatch(matchId, 'b'), null);
+    assert.deepEqual(matchmaker.completeMatch(matchId, 'a').guests.map(g => g.wallet), ['b']);
+    assert.equal(matchmaker.matches.size, 0);
+  });
+
+  it('requeues the guests in order when the host gives up or runs out of time', function () {
+    const matchmaker = new Matchmaker();
+    queue(matchmaker, 'a', 100, 100, 2, 1);
+    queue(matchmaker, 'b', 100, 100, 2, 2);
+    matchmaker.formMatch(TIMEOUT, 0);
+    queue(matchmaker, 'c', 100, 100, 3, 3);
+
+    assert.deepEqual(matchmaker.cancel('a').requeued.map(t => t.wallet), ['b']);
+    assert.deepEqual(matchmaker.queue.map(t => t.wallet), ['b', 'c']);
+
+    queue(matchmaker, 'd', 100, 100, 2, 4);
+    matchmaker.formMatch(TIMEOUT, 0);
+    assert.deepEqual(matchmaker.expireMatches(TIMEOUT - 1), []);
+    const [{ requeued }] = matchmaker.expireMatches(TIMEOUT);
+    assert.deepEqual(requeued.map(t => t.wallet), ['d']);
+    assert.equal(matchmaker.getMatchFor('b'), undefined);
+    assert.deepEqual(matchmaker.queue.map(t => t.wallet), ['c', 'd']);
+  });
+
+  it('keeps the match going when a guest leaves', function () {
+    const matchmaker = new Matchmaker();
+    queue(matchmaker, 'a', 100, 100, 3, 1);
+    queue(matchmaker, 'b', 100, 100, 3, 2);
+    queue(matchmaker, 'c', 100, 100, 3, 3);
+    const match = matchmaker.formMatch(TIMEOUT);
+
+    assert.equal(matchmaker.walletOfSocket('socket-c'), 'c');
+    assert.deepEqual(matchmaker.cancel('c'), { requeued: [] });
+    assert.deepEqual(match.guests.map(g => g.wallet), ['b']);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ShuffleSession,
+  SRA_PRIME,
+  SRA_ORDER,
+  SRA_GENERATOR,
+  modPow,
+  modInverse,
+  toHex,
+  foldLockColumns,
+  lockProofChallenge
+} from '../mentalPoker.js';
+
+const lock = (values, key) => values.map(v => modPow(v, key, SRA_PRIME));
+const square = n => (n * n) % SRA_PRIME;
+
+// Same proof the client builds in frontend/src/lib/zk/mentalPoker.js
+function proveLock(bases, locked, key) {
+  const keyCommitment = modPow(SRA_GENERATOR, key, SRA_PRIME);
+  const { X, Y } = foldLockColumns(keyCommitment, bases, locked);
+  const r = 987654321987654321n;
+  const t1 = modPow(SRA_GENERATOR, r, SRA_PRIME);
+  const t2 = modPow(X, r, SRA_PRIME);
+  const c = lockProofChallenge(keyCommitment, X, Y, t1, t2);
+  return { t1: toHex(t1), t2: toHex(t2), s: toHex((r + c * key) % SRA_ORDER) };
+}
+
+// Take `key` off every card and nonce dealt to someone else, and prove it
+function unlock(session, playerId, key, { tamper } = {}) {
+  const request = session.getUnlockRequest(playerId);
+  const inverse = modInverse(key, SRA_ORDER);
+  const open = values => Object.fromEntries(
+    Object.entries(values).map(([slot, value]) => [slot, modPow(BigInt(value), inverse, SRA_PRIME)])
+  );
+  const cards = open(request.cards);
+  const nonces = open(request.nonces);
+  if (tamper) tamper(cards, nonces);
+
+  const slots = Object.keys(request.cards);
+  const proof = proveLock(
+    [...slots.map(slot => cards[slot]), ...slots.map(slot => nonces[slot])],
+    [...slots.map(slot => BigInt(request.cards[slot])), ...slots.map(slot => BigInt(request.nonces[slot]))],
+    key
+  );
+  const hex = values => Object.fromEntries(Object.entries(values).map(([slot, value]) => [slot, toHex(value)]));
+  return { cards: hex(cards), nonces: hex(nonces), proof };
+}
+
+// One shuffler's contribution: lock both columns, reverse them, prove the lock
+function contribute(session, key, { tamper } = {}) {
+  const seeding = session.nonces === null;
+  const nonces = seeding ? Array.from({ length: 52 }, (_, i) => square(BigInt(1000 + i))) : session.nonces;
+  const cards = lock(session.deck, key);
+  const lockedNonces = lock(nonces, key);
+  if (tamper) tamper(cards, lockedNonces);
+
+  const bases = seeding ? session.deck : [...session.deck, ...session.nonces];
+  const lockProof = proveLock(bases, seeding ? cards : [...cards, ...lockedNonces], key);
+  return {
+    deck: [...cards].reverse().map(toHex),
+    nonces: [...lockedNonces].reverse().map(toHex),
+    keyCommitment: toHex(modPow(SRA_GENERATOR, key, SRA_PRIME)),
+    deckCommitment: { merkleRoot: '0x1', commitments: Array(52).fill('0x2') },
+    locked: { deck: cards.map(toHex), nonces: lockedNonces.map(toHex) },
+    lockProof
+  };
+}
+
+describe('Mental poker shuffle', function () {
+  it('accepts a proven lock and re-ordering', function () {
+    const session = new ShuffleSession(['a', 'b']);
+    const contribution = contribute(session, 12345n);
+
+    assert.deepEqual(session.checkShuffle('a', contribution), { success: true });
+    assert.deepEqual(session.submitShuffle('a', contribution), { success: true });
+    assert.equal(session.getCurrentActor(), 'b');
+  });
+
+  it('refuses a shuffle that moves nonces between cards', function () {
+    const session = new ShuffleSession(['a', 'b']);
+    assert.equal(session.submitShuffle('a', contribute(session, 12345n)).success, true);
+
+    const contribution = contribute(session, 67890n);
+    [contribution.nonces[0], contribution.nonces[1]] = [contribution.nonces[1], contribution.nonces[0]];
+    assert.equal(session.checkShuffle('b', contribution).error, 'Shuffled deck is not a re-ordering of the locked deck');
+  });
+
+  it('refuses a shuffled deck that is not the locked one', function () {
+    const session = new ShuffleSession(['a', 'b']);
+    const contribution = contribute(session, 12345n);
+    contribution.deck[0] = toHex(modPow(square(60n), 12345n, SRA_PRIME));
+    assert.equal(session.checkShuffle('a', contribution).error, 'Shuffled deck is not a re-ordering of the locked deck');
+  });
+
+  it('refuses a shuffle that swaps in a card of its own', function () {
+    const session = new ShuffleSession(['a', 'b']);
+    const contribution = contribute(session, 12345n, {
+      tamper: cards => { cards[0] = modPow(square(60n), 12345n, SRA_PRIME); }
+    });
+
+    assert.deepEqual(session.checkShuffle('a', contribution), { success: false, error: 'Invalid lock proof' });
+    assert.deepEqual(session.submitShuffle('a', contribution), { success: false, error: 'Invalid lock proof' });
+    assert.equal(session.getCurrentActor(), 'a');
+  });
+
+  it('checks later shufflers\' nonces as well as their cards', function () {
+    const session = new ShuffleSession(['a', 'b']);
+    assert.equal(session.submitShuffle('a', contribute(session, 12345n)).success, true);
+
+    const swapped = contribute(session, 67890n, {
+      tamper: (cards, nonces) => { [nonces[0], nonces[1]] = [nonces[1], nonces[0]]; }
+    });
+    assert.equal(session.checkShuffle('b', swapped).error, 'Invalid lock proof');
+
+    const honest = contribute(session, 67890n);
+    assert.equal(session.checkShuffle('b', honest).success, true);
+    assert.equal(session.checkShuffle('a', honest).error, 'Not your turn to shuffle');
+  });
+
+  it('takes an unlock proven against the committed key', function () {
+    const session = new ShuffleSession(['a', 'b']);
+    session.submitShuffle('a', contribute(session, 12345n));
+    session.submitShuffle('b', contribute(session, 67890n));
+
+    assert.deepEqual(session.submitUnlock('a', unlock(session, 'a', 12345n)), { success: true });
+    assert.deepEqual(session.submitUnlock('b', unlock(session, 'b', 67890n)), { success: true });
+    assert.equal(session.phase, 'dealt');
+  });
+
+  it('refuses a forged unlock of an opponent\'s cards', function () {
+    const session = new ShuffleSession(['a', 'b']);
+    session.submitShuffle('a', contribute(session, 12345n));
+    session.submitShuffle('b', contribute(session, 67890n));
+    const before = session.getUnlockRequest('a');
+
+    // Garbage in the subgroup for one of b's cards, proven with a's real key
+    const forged = unlock(session, 'a', 12345n, {
+      tamper: cards => { cards[Object.keys(cards)[0]] = square(61n); }
+    });
+    assert.deepEqual(session.submitUnlock('a', forged), { success: false, error: 'Invalid unlock proof' });
+    // An honest unlock with a key that isn't the committed one
+    assert.equal(session.submitUnlock('a', unlock(session, 'a', 11111n)).error, 'Invalid unlock proof');
+    assert.equal(session.submitUnlock('a', { ...unlock(session, 'a', 12345n), proof: undefined }).error, 'Invalid unlock proof');
+
+    assert.deepEqual(session.getUnlockRequest('a'), before);
+    assert.equal(session.getCurrentActor(), 'a');
+  });
+
+  it('refuses a lock proof made with a different key', function () {
+    const session = new ShuffleSession(['a', 'b']);
+    const contribution = contribute(session, 12345n);
+    contribution.keyCommitment = toHex(modPow(SRA_GENERATOR, 54321n, SRA_PRIME));
+
+    assert.equal(session.checkShuffle('a', contribution).error, 'Invalid lock proof');
+  });
+});
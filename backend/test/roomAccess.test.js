@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoomAccess, checkRoomAccess, getAccessRequirements, addInvites, PasswordGuesses } from '../roomAccess.js';
+
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const FRIEND = '0x2222222222222222222222222222222222222222';
+const STRANGER = '0x3333333333333333333333333333333333333333';
+
+describe('Private rooms', function () {
+  it('leaves a room public unless the creator locks it', async function () {
+    assert.deepEqual(await createRoomAccess({}), { success: true, access: null });
+    assert.deepEqual(await createRoomAccess({ password: '' }), { success: true, access: null });
+    assert.deepEqual(getAccessRequirements(null), []);
+    assert.deepEqual(await checkRoomAccess(null, { wallet: STRANGER }), { success: true });
+  });
+
+  it('keeps only a salted hash of the password', async function () {
+    const { access } = await createRoomAccess({ password: 'tinpatti' });
+    assert.equal(JSON.stringify(access).includes('tinpatti'), false);
+    assert.notEqual((await createRoomAccess({ password: 'tinpatti' })).access.passwordHash, access.passwordHash);
+    assert.deepEqual(getAccessRequirements(access), ['password']);
+
+    assert.deepEqual(await checkRoomAccess(access, { wallet: STRANGER, password: 'tinpatti' }), { success: true });
+    assert.equal((await checkRoomAccess(access, { wallet: STRANGER, password: 'guess' })).wrongPassword, true);
+    const missing = await checkRoomAccess(access, { wallet: STRANGER });
+    assert.match(missing.error, /needs a password/);
+    assert.equal(missing.wrongPassword, undefined);
+  });
+
+  it('lets only the creator and invited wallets into an invite-only room', async function () {
+    const { access } = await createRoomAccess({}, [CREATOR, FRIEND.toUpperCase().replace('0X', '0x')]);
+    assert.deepEqual(getAccessRequirements(access), ['invite']);
+
+    assert.equal((await checkRoomAccess(access, { wallet: CREATOR })).success, true);
+    assert.equal((await checkRoomAccess(access, { wallet: FRIEND.toLowerCase() })).success, true);
+    assert.match((await checkRoomAccess(access, { wallet: STRANGER })).error, /invite-only/);
+  });
+
+  it('needs both when the room has a password and an allowlist', async function () {
+    const { access } = await createRoomAccess({ password: 'tinpatti' }, [CREATOR, FRIEND]);
+    assert.deepEqual(getAccessRequirements(access), ['password', 'invite']);
+    assert.equal((await checkRoomAccess(access, { wallet: FRIEND })).success, false);
+    assert.equal((await checkRoomAccess(access, { wallet: STRANGER, password: 'tinpatti' })).success, false);
+    assert.equal((await checkRoomAccess(access, { wallet: FRIEND, password: 'tinpatti' })).success, true);
+  });
+
+  it('takes wallets invited on-chain later', async function () {
+    const { access } = await createRoomAccess({}, [CREATOR]);
+    assert.match((await checkRoomAccess(access, { wallet: FRIEND })).error, /invite-only/);
+
+    assert.equal(addInvites(access, [FRIEND, CREATOR.toUpperCase().replace('0X', '0x')]), true);
+    assert.deepEqual(access.allowlist, [CREATOR, FRIEND]);
+    assert.equal((await checkRoomAccess(access, { wallet: FRIEND })).success, true);
+
+    assert.equal(addInvites((await createRoomAccess({ password: 'tinpatti' })).access, [FRIEND]), false);
+    assert.equal(addInvites(null, [FRIEND]), false);
+  });
+
+  it('rejects short passwords', async function () {
+    assert.match((await createRoomAccess({ password: 'abc' })).error, /at least 4/);
+  });
+
+  describe('Password guesses', function () {
+    const MINUTE = 60 * 1000;
+
+    it('locks a socket out after too many wrong guesses, until the oldest ages out', function () {
+      const guesses = new PasswordGuesses({ maxGuesses: 3, windowMs: 10 * MINUTE });
+      [0, 1, 2].forEach(minute => guesses.recordFailure('ROOM', ['socket1', STRANGER], minute * MINUTE));
+
+      assert.equal(guesses.lockedFor('ROOM', ['socket1'], 3 * MINUTE), 7 * MINUTE);
+      assert.equal(guesses.lockedFor('OTHER', ['socket1'], 3 * MINUTE), 0);
+      assert.equal(guesses.lockedFor('ROOM', ['socket1'], 10 * MINUTE), 0);
+    });
+
+    it('follows the wallet to a new socket', function () {
+      const guesses = new PasswordGuesses({ maxGuesses: 2, windowMs: 10 * MINUTE });
+      guesses.recordFailure('ROOM', ['socket1', STRANGER], 0);
+      guesses.recordFailure('ROOM', ['socket2', STRANGER.toUpperCase().replace('0X', '0x')], 0);
+
+      assert.equal(guesses.lockedFor('ROOM', ['socket3', STRANGER], 0), 10 * MINUTE);
+      assert.equal(guesses.lockedFor('ROOM', ['socket3', FRIEND], 0), 0);
+    });
+
+    it('starts again after the right password, and forgets old guesses', function () {
+      const guesses = new PasswordGuesses({ maxGuesses: 1, windowMs: 10 * MINUTE });
+      guesses.recordFailure('ROOM', ['socket1', FRIEND], 0);
+      guesses.clear('ROOM', ['socket1', FRIEND]);
+      assert.equal(guesses.lockedFor('ROOM', ['socket1', FRIEND], 0), 0);
+
+      guesses.recordFailure('ROOM', ['socket1', FRIEND], 0);
+      guesses.prune(10 * MINUTE);
+      assert.equal(guesses.failures.size, 0);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoomCodes, legacyShortCode, normalizeCode } from '../roomCodes.js';
+
+const ROOM_A = '0x' + 'ab12cd'.padEnd(64, '0');
+const ROOM_B = '0x' + 'ab12cd'.padEnd(64, '7');
+
+// Plays back the given numbers, then keeps returning the last one
+function scripted(...values) {
+  let i = 0;
+  return max => values[Math.min(i++, values.length - 1)] % max;
+}
+
+describe('Room codes', function () {
+  it('issues a different code to rooms that share an ID prefix', function () {
+    const roomCodes = new RoomCodes();
+    const a = roomCodes.issue(ROOM_A);
+    const b = roomCodes.issue(ROOM_B);
+
+    assert.match(a.shortCode, /^[2-9A-HJKMNP-Z]{6}$/);
+    assert.notEqual(a.shortCode, b.shortCode);
+    assert.equal(roomCodes.resolve(a.shortCode), ROOM_A);
+    assert.equal(roomCodes.resolve(b.shortCode), ROOM_B);
+    assert.equal(a.alias, null);
+  });
+
+  it('draws again when a code is taken, and lengthens it if that keeps happening', function () {
+    const roomCodes = new RoomCodes(scripted(0));
+    assert.equal(roomCodes.issue(ROOM_A).shortCode, '222222');
+    assert.equal(roomCodes.issue(ROOM_B).shortCode, '2222222');
+  });
+
+  it('resolves codes and word aliases however they are typed', function () {
+    const roomCodes = new RoomCodes();
+    const { shortCode, alias } = roomCodes.issue(ROOM_A, { alias: true });
+
+    assert.match(alias, /^[a-z]+-[a-z]+-\d{2}$/);
+    assert.equal(roomCodes.resolve(` ${shortCode.toLowerCase().slice(0, 3)}-${shortCode.slice(3)} `), ROOM_A);
+    assert.equal(roomCodes.resolve(alias.toUpperCase().replace(/-/g, ' ')), ROOM_A);
+    assert.equal(roomCodes.resolve('nothing-here-10'), null);
+    assert.deepEqual(normalizeCode('Lucky Tiger 42'), { code: 'LUCKYTIGER42', alias: 'lucky-tiger-42' });
+  });
+
+  it('frees a closed room\'s codes', function () {
+    const roomCodes = new RoomCodes();
+    const { shortCode, alias } = roomCodes.issue(ROOM_A, { alias: true });
+    roomCodes.release(ROOM_A);
+
+    assert.equal(roomCodes.resolve(shortCode), null);
+    assert.equal(roomCodes.resolve(alias), null);
+    assert.equal(roomCodes.getCodes(ROOM_A), null);
+  });
+
+  it('keeps legacy codes for saved rooms, reissuing only on a collision', function () {
+    const roomCodes = new RoomCodes();
+    assert.equal(legacyShortCode(ROOM_A), 'AB12CD');
+
+    assert.deepEqual(roomCodes.restore(ROOM_A), { shortCode: 'AB12CD', alias: null, changed: true });
+    const second = roomCodes.restore(ROOM_B);
+    assert.notEqual(second.shortCode, 'AB12CD');
+    assert.equal(second.changed, true);
+    assert.equal(roomCodes.resolve('ab12cd'), ROOM_A);
+    assert.equal(roomCodes.resolve(second.shortCode), ROOM_B);
+
+    const migrated = new RoomCodes();
+    assert.deepEqual(migrated.restore(ROOM_B, second), { ...second, changed: false });
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+
+function startedGame() {
+  const game = new Game('ROOM');
+  game.configureTurnTimer({ turnSeconds: 30, timeBankSeconds: 60 });
+  for (let i = 0; i < 3; i++) {
+    game.addPlayer(new Player(`p${i}`, `Player ${i}`, `socket${i}`, 1000));
+  }
+  game.startGame();
+  return game;
+}
+
+describe('Spectator state', function () {
+  it('shows the table without anything private', function () {
+    const game = startedGame();
+    game.deckCommitment = { merkleRoot: '0xroot' };
+    game.turnDeadline = Date.now() + 30000;
+    game.handId = 'hand-1';
+
+    const state = game.getSpectatorState();
+    assert.equal(state.pot, game.pot);
+    assert.equal(state.players.length, 3);
+    assert.equal('deckCommitment' in state, false);
+    assert.equal('turnDeadline' in state, false);
+    assert.equal('handId' in state, false);
+    state.players.forEach(player => {
+      assert.equal('cards' in player, false);
+      assert.equal('timeBank' in player, false);
+    });
+  });
+
+  it('shows who is in a sideshow but not their hand commitments', function () {
+    const game = startedGame();
+    game.sideshow = { requesterId: 'p1', targetId: 'p0', status: 'committing', handCommitments: { p0: '0x1' } };
+    assert.deepEqual(game.getSpectatorState().sideshow, { requesterId: 'p1', targetId: 'p0', status: 'committing' });
+  });
+
+  it('has no sideshow between sideshows', function () {
+    assert.equal(startedGame().getSpectatorState().sideshow, null);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+
+// A started hand with betting open, first to act is p1
+function startHand(rules, players = 3) {
+  const game = new Game('ROOM');
+  assert.deepEqual(game.configureTableRules(rules), { success: true });
+  for (let i = 0; i < players; i++) {
+    game.addPlayer(new Player(`p${i}`, `Player ${i}`, `socket${i}`, 10000));
+  }
+  game.startGame();
+  game.phase = 'betting';
+  return game;
+}
+
+const current = game => game.getCurrentPlayer().id;
+
+describe('Table rules', function () {
+  it('keeps the old boot and 1024x pot limit by default', function () {
+    const game = new Game('ROOM');
+    assert.deepEqual(game.getGameState().tableRules, { boot: 10, maxChaal: 0, maxBlindRounds: 0, potLimit: 10240 });
+  });
+
+  it('defaults the pot limit to 1024x a custom boot', function () {
+    const game = new Game('ROOM');
+    game.configureTableRules({ boot: 24 });
+    assert.equal(game.tableRules.potLimit, 24576);
+    assert.equal(game.minBet, 24);
+  });
+
+  it('rejects limits that make no sense', function () {
+    const game = new Game('ROOM');
+    assert.equal(game.configureTableRules({ boot: 0 }).success, false);
+    assert.match(game.configureTableRules({ boot: 25 }).error, /even/);
+    assert.equal(game.configureTableRules({ boot: 10, maxChaal: 5 }).success, false);
+    assert.equal(game.configureTableRules({ maxBlindRounds: -1 }).success, false);
+    assert.equal(game.configureTableRules({ boot: 10, potLimit: 50 }).success, false);
+    assert.deepEqual(game.configureTableRules({ boot: 10, maxChaal: 0, potLimit: 0 }), { success: true });
+  });
+
+  it('posts the boot from every player', function () {
+    const game = startHand({ boot: 24 });
+    assert.equal(game.pot, 72);
+    assert.equal(game.currentBet, 24);
+  });
+
+  it('stops raises that would pass the chaal limit', function () {
+    const game = startHand({ boot: 10, maxChaal: 20 });
+    game.getCurrentPlayer().seeCards();
+
+    // 10 -> 20 is within the limit
+    assert.deepEqual(game.playerAction(current(game), 'chaal', 20), { success: true });
+    assert.equal(game.currentBet, 20);
+
+    game.getCurrentPlayer().seeCards();
+    const result = game.playerAction(current(game), 'chaal', 40);
+    assert.equal(result.success, false);
+    assert.match(result.error, /Chaal limit/);
+    assert.deepEqual(game.playerAction(current(game), 'chaal', 20), { success: true });
+  });
+
+  it('makes a blind player see after the blind limit', function () {
+    const game = startHand({ boot: 10, maxBlindRounds: 1 }, 2);
+    const blindId = current(game);
+    assert.deepEqual(game.playerAction(blindId, 'chaal', 5), { success: true });
+    assert.deepEqual(game.playerAction(current(game), 'chaal', 5), { success: true });
+
+    const result = game.playerAction(blindId, 'chaal', 5);
+    assert.equal(result.success, false);
+    assert.match(result.error, /Blind limit/);
+
+    game.playerAction(blindId, 'see');
+    assert.deepEqual(game.playerAction(blindId, 'chaal', 10), { success: true });
+  });
+
+  it('stops betting once the pot limit is reached', function () {
+    const game = startHand({ boot: 10, potLimit: 80 }, 2);
+    game.players.forEach(player => player.seeCards());
+
+    assert.deepEqual(game.playerAction(current(game), 'chaal', 20), { success: true });
+    assert.deepEqual(game.playerAction(current(game), 'chaal', 40), { success: true });
+    assert.equal(game.pot, 80);
+    assert.equal(game.isPotLimitReached(), true);
+    assert.equal(game.getGameState().potLimitReached, true);
+
+    const result = game.playerAction(current(game), 'chaal', 40);
+    assert.equal(result.success, false);
+    assert.match(result.error, /Pot limit/);
+  });
+
+  it('never reaches a pot limit that is off', function () {
+    const game = startHand({ boot: 10, potLimit: 0 }, 2);
+    game.pot = 1e9;
+    assert.equal(game.isPotLimitReached(), false);
+  });
+});
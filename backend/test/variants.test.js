@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  VARIANTS,
+  HAND_RANK,
+  getVariant,
+  drawWildRanks,
+  evaluateVariantHand,
+  compareHandScores
+} from '../variants.js';
+import { Game, Player, Card } from '../gameLogic.js';
+import { ShuffleSession } from '../mentalPoker.js';
+
+const SUIT_CODES = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' };
+
+// "Ah Kd 10c" -> Card[]
+function hand(text) {
+  return text.split(' ').map(code => new Card(code.slice(0, -1), SUIT_CODES[code.slice(-1)]));
+}
+
+function compare(variantId, a, b, wildRanks = []) {
+  const variant = getVariant(variantId);
+  return compareHandScores(
+    evaluateVariantHand(hand(a), variant, wildRanks),
+    evaluateVariantHand(hand(b), variant, wildRanks),
+    variant
+  );
+}
+
+function gameWith(variantId, cards) {
+  const game = new Game('ROOM');
+  assert.deepEqual(game.configureVariant(variantId), { success: true });
+  cards.forEach((text, i) => {
+    const player = new Player(`p${i}`, `Player ${i}`, `socket${i}`);
+    player.cards = text ? hand(text) : [];
+    game.addPlayer(player);
+  });
+  game.wildRanks = drawWildRanks(game.getVariant());
+  return game;
+}
+
+describe('Variants', function () {
+  describe('Classic', function () {
+    it('ranks trio > pure sequence > sequence > color > pair > high card', function () {
+      const ladder = ['5h 5d 5c', 'Qh Jh 10h', 'Qh Jd 10c', 'Kh 9h 2h', 'Ah Ad 2c', 'Ah Kd 9c'];
+      for (let i = 0; i < ladder.length - 1; i++) {
+        assert.ok(compare('classic', ladder[i], ladder[i + 1]) > 0, `${ladder[i]} beats ${ladder[i + 1]}`);
+      }
+    });
+
+    it('makes A-2-3 the lowest sequence', function () {
+      assert.ok(compare('classic', '2h 3d 4c', 'Ah 2d 3c') > 0);
+      assert.ok(compare('classic', 'Ah Kd Qc', '2h 3d 4c') > 0);
+    });
+
+    it('compares pairs on the pair before the kicker', function () {
+      assert.ok(compare('classic', '5h 5d 2c', '4h 4d Ac') > 0);
+      assert.ok(compare('classic', '5h 5d 3c', '5c 5s 2h') > 0);
+    });
+
+    it('ties identical ranks in different suits', function () {
+      assert.equal(compare('classic', 'Ah Kd 9c', 'As Kc 9h'), 0);
+    });
+
+    it('keeps the proof-gated showdown', function () {
+      const game = new Game('ROOM');
+      game.proofGatedShowdown = true;
+      game.configureVariant('classic');
+      assert.equal(game.proofGatedShowdown, true);
+    });
+  });
+
+  describe('Muflis', function () {
+    it('reverses the ladder so the lowest hand wins', function () {
+      assert.ok(compare('muflis', 'Ah Kd 9c', '5h 5d 5c') > 0);
+      assert.ok(compare('muflis', '2h 3d 5c', 'Ah Kd 9c') > 0);
+      assert.ok(compare('muflis', 'Ah Ad 2c', 'Kh 9h 2h') > 0);
+    });
+
+    it('packs the better classic hand in a showdown', function () {
+      const game = gameWith('muflis', ['Ah Ad Ac', '2h 3d 5c']);
+      assert.equal(game.compareHands(game.players[0], game.players[1]).id, 'p1');
+    });
+  });
+
+  describe('AK47', function () {
+    it('treats A, K, 4 and 7 as wild', function () {
+      const wild = VARIANTS.ak47.wildRanks;
+      // one wild joins a pair to make a trio
+      const trio = evaluateVariantHand(hand('9h 9d 4c'), VARIANTS.ak47, wild);
+      assert.equal(trio.handRank, HAND_RANK.TRAIL);
+      assert.deepEqual(trio.values, [9, 9, 9]);
+
+      // one wild fills a suited gap
+      const pure = evaluateVariantHand(hand('Qh 10h Kc'), VARIANTS.ak47, wild);
+      assert.equal(pure.handRank, HAND_RANK.PURE_SEQUENCE);
+      assert.deepEqual(pure.values, [12, 11, 10]);
+    });
+
+    it('makes two wilds a trio of the natural card and three wilds a trio of aces', function () {
+      const wild = VARIANTS.ak47.wildRanks;
+      assert.deepEqual(evaluateVariantHand(hand('Ah 7d 2c'), VARIANTS.ak47, wild).values, [2, 2, 2]);
+      assert.deepEqual(evaluateVariantHand(hand('Ah Kd 4c'), VARIANTS.ak47, wild).values, [14, 14, 14]);
+    });
+
+    it('never lets a wild copy a card already in the hand', function () {
+      // A♠ A♠ 9♠ would be a color with a pair - the best real hand is A♠ K♠ 9♠
+      const best = evaluateVariantHand(hand('As 9s Kd'), VARIANTS.ak47, ['K']);
+      assert.equal(best.handRank, HAND_RANK.COLOR);
+      assert.deepEqual(best.values, [14, 13, 9]);
+    });
+
+    it('turns off the proof-gated showdown', function () {
+      const game = new Game('ROOM');
+      game.proofGatedShowdown = true;
+      game.configureVariant('ak47');
+      assert.equal(game.proofGatedShowdown, false);
+    });
+  });
+
+  describe('Joker', function () {
+    it('draws one wild rank per hand', function () {
+      const wild = drawWildRanks(VARIANTS.joker);
+      assert.equal(wild.length, 1);
+      assert.ok(['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'].includes(wild[0]));
+    });
+
+    it('uses the drawn rank as wild', function () {
+      assert.ok(compare('joker', '5h 9d 9c', 'Kh Kd Qc', ['5']) > 0);
+      assert.ok(compare('joker', '5h 9d 9c', 'Kh Kd Qc', ['2']) < 0);
+    });
+
+    it('draws a new wild rank when a hand starts', function () {
+      const game = gameWith('joker', ['', '']);
+      game.startGame();
+      assert.equal(game.wildRanks.length, 1);
+      assert.deepEqual(game.getGameState().wildRanks, game.wildRanks);
+    });
+  });
+
+  describe('Best of Four', function () {
+    it('deals four cards to every seat', function () {
+      const session = new ShuffleSession(['a', 'b', 'c'], VARIANTS.bestOfFour.handSize);
+      assert.deepEqual(session.getSlots('a'), [0, 3, 6, 9]);
+      assert.deepEqual(session.getSlots('c'), [2, 5, 8, 11]);
+      assert.deepEqual(ShuffleSession.fromJSON(session.toJSON()).getSlots('b'), [1, 4, 7, 10]);
+    });
+
+    it('starts hands with a four-card shuffle', function () {
+      const game = gameWith('bestOfFour', ['', '']);
+      game.startGame();
+      assert.equal(game.shuffleSession.getSlots('p0').length, 4);
+      assert.equal(game.getGameState().handSize, 4);
+    });
+
+    it('plays the best three of the four cards', function () {
+      const best = evaluateVariantHand(hand('Qh 2c Kh Ah'), VARIANTS.bestOfFour);
+      assert.equal(best.handRank, HAND_RANK.PURE_SEQUENCE);
+      assert.deepEqual(best.cards.map(card => card.rank).sort(), ['A', 'K', 'Q']);
+      assert.ok(compare('bestOfFour', '9h 9d 2c 9s', 'Ah Kh Qh 2d') > 0);
+    });
+  });
+
+  it('rejects an unknown variant', function () {
+    const game = new Game('ROOM');
+    const result = game.configureVariant('holdem');
+    assert.equal(result.success, false);
+    assert.equal(game.variant, 'classic');
+  });
+});
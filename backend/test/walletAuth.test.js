@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import walletAuth from '../walletAuth.js';
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+describe('Wallet sessions', function () {
+  it('resumes a live session by its token', function () {
+    const { token } = walletAuth.createSession(WALLET);
+    assert.equal(walletAuth.resumeSession(token).address, WALLET);
+    assert.equal(walletAuth.resumeSession('nope').success, false);
+  });
+
+  it('drops expired sessions when a new one is issued', function () {
+    const stale = walletAuth.createSession(WALLET);
+    walletAuth.sessions.get(stale.token).expiresAt = Date.now() - 1;
+
+    const fresh = walletAuth.createSession(WALLET);
+    assert.equal(walletAuth.sessions.has(stale.token), false);
+    assert.equal(walletAuth.sessions.has(fresh.token), true);
+  });
+});
@@ -0,0 +1,158 @@
+// Teen Patti variants
+//
+// A room picks one variant when it is created. The variant decides how many
+// cards each player is dealt, which ranks (if any) are wild, and how two
+// hands compare. Every evaluator builds on the classic three-card ranking
+// from teen-patti-hand-evaluator, the same one the circuits use.
+
+import crypto from 'crypto';
+import { HAND_RANK, evaluateHand, compareHands, toCircuitCard } from 'teen-patti-hand-evaluator';
+
+export { HAND_RANK };
+
+// Card ranks and suits
+export const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+export const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+
+/**
+ * - handSize: cards dealt to each player (the best three are played)
+ * - wildRanks: ranks that stand in for any card
+ * - randomWild: one rank is drawn at the start of every hand and is wild
+ * - lowball: rankings are reversed, the "worst" classic hand wins
+ * - provable: hands compare the way the show/compare circuits do, so the
+ *   proof-gated showdown and sideshow can be used
+ */
+export const VARIANTS = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Standard Teen Patti rankings',
+    handSize: 3,
+    wildRanks: [],
+    provable: true
+  },
+  muflis: {
+    id: 'muflis',
+    name: 'Muflis',
+    description: 'Rankings reversed - the lowest hand wins',
+    handSize: 3,
+    wildRanks: [],
+    lowball: true
+  },
+  ak47: {
+    id: 'ak47',
+    name: 'AK47',
+    description: 'Every A, K, 4 and 7 is wild',
+    handSize: 3,
+    wildRanks: ['A', 'K', '4', '7']
+  },
+  joker: {
+    id: 'joker',
+    name: 'Joker',
+    description: 'A random rank is drawn each hand and is wild',
+    handSize: 3,
+    wildRanks: [],
+    randomWild: true
+  },
+  bestOfFour: {
+    id: 'bestOfFour',
+    name: 'Best of Four',
+    description: 'Four cards dealt, the best three play',
+    handSize: 4,
+    wildRanks: []
+  }
+};
+
+export const DEFAULT_VARIANT = 'classic';
+
+export function getVariant(variantId) {
+  return VARIANTS[variantId] || null;
+}
+
+/**
+ * Wild ranks for a new hand: fixed for AK47, one random rank for Joker
+ * @returns {string[]}
+ */
+export function drawWildRanks(variant) {
+  if (variant.randomWild) {
+    return [RANKS[crypto.randomInt(RANKS.length)]];
+  }
+  return [...variant.wildRanks];
+}
+
+/**
+ * Classic ranking of exactly three cards - the circuit's evaluate_hand
+ * @returns {{handRank: number, handValue: bigint, values: number[]}}
+ */
+export function evaluateClassicHand(cards) {
+  return evaluateHand(cards.map(toCircuitCard));
+}
+
+/**
+ * Order two hands evaluated under a variant
+ * @returns {number} > 0 if `a` wins, < 0 if `b` wins, 0 for a tie
+ */
+export function compareHandScores(a, b, variant) {
+  const order = compareHands(a, b);
+  return variant.lowball ? -order : order;
+}
+
+const FULL_DECK = RANKS.flatMap(rank => SUITS.map(suit => ({ rank, suit })));
+
+/**
+ * Best classic hand three cards can make when the wild ones may stand in
+ * for any card not already in the hand
+ */
+function evaluateWithWilds(cards, wildRanks) {
+  const natural = cards.filter(c => !wildRanks.includes(c.rank));
+  const wildCount = cards.length - natural.length;
+
+  if (wildCount === 0) return evaluateClassicHand(cards);
+  if (wildCount === 3) {
+    return evaluateClassicHand(['hearts', 'diamonds', 'clubs'].map(suit => ({ rank: 'A', suit })));
+  }
+
+  let best = null;
+  const substitute = (hand, remaining) => {
+    if (remaining === 0) {
+      const score = evaluateClassicHand(hand);
+      if (!best || compareHands(score, best) > 0) best = score;
+      return;
+    }
+    FULL_DECK
+      .filter(card => !hand.some(c => c.rank === card.rank && c.suit === card.suit))
+      .forEach(card => substitute([...hand, card], remaining - 1));
+  };
+  substitute(natural, wildCount);
+  return best;
+}
+
+function threeCardHands(cards) {
+  if (cards.length <= 3) return [cards];
+  const hands = [];
+  for (let i = 0; i < cards.length; i++) {
+    for (let j = i + 1; j < cards.length; j++) {
+      for (let k = j + 1; k < cards.length; k++) {
+        hands.push([cards[i], cards[j], cards[k]]);
+      }
+    }
+  }
+  return hands;
+}
+
+/**
+ * Evaluate a player's cards under a variant: the best three-card hand they
+ * can play, with wild cards standing in for whatever helps most.
+ * @param {{rank: string, suit: string}[]} cards - All cards dealt to the player
+ * @param {Object} variant - Entry from VARIANTS
+ * @param {string[]} wildRanks - Ranks wild this hand (see drawWildRanks)
+ * @returns {{handRank: number, handValue: bigint, values: number[], cards: Object[]}}
+ */
+export function evaluateVariantHand(cards, variant, wildRanks = []) {
+  let best = null;
+  threeCardHands(cards).forEach(hand => {
+    const score = { ...evaluateWithWilds(hand, wildRanks), cards: hand };
+    if (!best || compareHandScores(score, best, variant) > 0) best = score;
+  });
+  return best;
+}
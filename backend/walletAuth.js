@@ -0,0 +1,139 @@
+import { ethers } from 'ethers';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Same wallet, whatever the checksum casing
+ */
+export function sameWallet(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Sign-in with Ethereum for socket sessions. The server hands out a one-time
+ * nonce inside an EIP-4361 style message, the wallet signs it, and the
+ * recovered address becomes the socket's identity. A session token lets a
+ * reconnecting socket (or an HTTP call) prove the same identity without
+ * asking the wallet to sign again.
+ */
+class WalletAuth {
+    constructor() {
+        this.domain = process.env.AUTH_DOMAIN || 'localhost:5173';
+        this.uri = process.env.AUTH_URI || `http://${this.domain}`;
+        this.challenges = new Map(); // socketId -> { address, message, expiresAt }
+        this.sessions = new Map(); // token -> { address, expiresAt }
+    }
+
+    buildMessage(address, chainId, nonce, issuedAt) {
+        return [
+            `${this.domain} wants you to sign in with your Ethereum account:`,
+            address,
+            '',
+            'Sign in to Teen Patti. This does not send a transaction or cost gas.',
+            '',
+            `URI: ${this.uri}`,
+            'Version: 1',
+            `Chain ID: ${chainId}`,
+            `Nonce: ${nonce}`,
+            `Issued At: ${issuedAt}`,
+        ].join('\n');
+    }
+
+    /**
+     * Start a sign-in for a socket. Any earlier challenge for it is replaced.
+     * @returns {{success: boolean, message?: string, error?: string}}
+     */
+    createChallenge(socketId, address, chainId) {
+        if (!ethers.isAddress(address)) {
+            return { success: false, error: 'Invalid wallet address' };
+        }
+        if (!Number.isInteger(chainId) || chainId <= 0) {
+            return { success: false, error: 'Invalid chain id' };
+        }
+
+        const checksummed = ethers.getAddress(address);
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const message = this.buildMessage(checksummed, chainId, nonce, new Date().toISOString());
+
+        this.challenges.set(socketId, {
+            address: checksummed,
+            message,
+            expiresAt: Date.now() + CHALLENGE_TTL_MS,
+        });
+        return { success: true, message };
+    }
+
+    /**
+     * Check the wallet's signature over the socket's challenge. The nonce is
+     * spent whether or not the signature is good.
+     * @returns {{success: boolean, address?: string, token?: string, expiresAt?: number, error?: string}}
+     */
+    verifyChallenge(socketId, signature) {
+        const challenge = this.challenges.get(socketId);
+        this.challenges.delete(socketId);
+
+        if (!challenge || challenge.expiresAt < Date.now()) {
+            return { success: false, error: 'Sign-in challenge expired - request a new one' };
+        }
+        if (typeof signature !== 'string') {
+            return { success: false, error: 'Missing signature' };
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.verifyMessage(challenge.message, signature);
+        } catch {
+            return { success: false, error: 'Invalid signature' };
+        }
+        if (!sameWallet(recovered, challenge.address)) {
+            return { success: false, error: 'Signature does not match wallet' };
+        }
+
+        return { success: true, ...this.createSession(challenge.address) };
+    }
+
+    createSession(address) {
+        this.pruneSessions();
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + SESSION_TTL_MS;
+        this.sessions.set(token, { address, expiresAt });
+        return { address, token, expiresAt };
+    }
+
+    /**
+     * Drop expired sessions, so tokens nobody resumes don't pile up for the
+     * life of the process
+     */
+    pruneSessions(now = Date.now()) {
+        for (const [token, session] of this.sessions) {
+            if (session.expiresAt < now) this.sessions.delete(token);
+        }
+    }
+
+    /**
+     * Resolve a session token to its wallet.
+     * @returns {{success: boolean, address?: string, token?: string, expiresAt?: number, error?: string}}
+     */
+    resumeSession(token) {
+        const session = typeof token === 'string' ? this.sessions.get(token) : null;
+        if (!session || session.expiresAt < Date.now()) {
+            if (session) this.sessions.delete(token);
+            return { success: false, error: 'Session expired - sign in again' };
+        }
+        return { success: true, address: session.address, token, expiresAt: session.expiresAt };
+    }
+
+    clearChallenge(socketId) {
+        this.challenges.delete(socketId);
+    }
+}
+
+// Singleton instance
+const walletAuth = new WalletAuth();
+
+export default walletAuth;
@@ -24,7 +24,11 @@ readonly NOIR_VERSION="1.0.0-beta.6"
 readonly BB_VERSION="0.84.0"
 
 # Circuit names (must match Nargo.toml package names)
-readonly CIRCUITS=("shuffle_circuit" "deal_circuit" "show_circuit")
+readonly CIRCUITS=("shuffle_circuit" "deal_circuit" "show_circuit" "compare_circuit")
+
+# Circuits only run by other packages' tests: compiled and copied, never proven
+readonly TEST_CIRCUITS=("hand_eval_circuit")
+readonly TEST_CIRCUITS_DIR="../hand-evaluator/test"
 
 # Logging
 log_info()    { echo -e "${GREEN}[INFO]${NC} $*"; }
@@ -64,10 +68,14 @@ compile_circuits() {
     nargo compile --workspace || error_exit "Compilation failed"
 
     # Verify compiled artifacts exist
-    for circuit in "${CIRCUITS[@]}"; do
+    for circuit in "${CIRCUITS[@]}" "${TEST_CIRCUITS[@]}"; do
         if [[ ! -f "target/${circuit}.json" ]]; then
             error_exit "Expected target/${circuit}.json not found after compilation"
         fi
+        # Artifacts, vks and verifiers must all come from the pinned toolchain
+        if ! grep -q "\"noir_version\":\"${NOIR_VERSION}+" "target/${circuit}.json"; then
+            error_exit "target/${circuit}.json was not built with Noir ${NOIR_VERSION} (run: $0 versions)"
+        fi
         log_info "  ✓ target/${circuit}.json"
     done
 
@@ -278,6 +286,23 @@ copy_to_frontend() {
     log_success "Frontend artifacts copied"
 }
 
+# ============================================================
+# Step 9: Copy test circuits to the tests that run them
+# ============================================================
+copy_test_circuits() {
+    log_step "Copying test circuits to ${TEST_CIRCUITS_DIR}/..."
+
+    for circuit in "${TEST_CIRCUITS[@]}"; do
+        if [[ ! -f "target/${circuit}.json" ]]; then
+            error_exit "target/${circuit}.json not found, run compile first"
+        fi
+        cp "target/${circuit}.json" "${TEST_CIRCUITS_DIR}/"
+        log_info "  ✓ ${circuit}.json"
+    done
+
+    log_success "Test circuits copied"
+}
+
 # ============================================================
 # Main
 # ============================================================
@@ -293,7 +318,7 @@ main() {
 
     case "${action}" in
         versions)  update_versions ;;
-        compile)   compile_circuits ;;
+        compile)   compile_circuits; copy_test_circuits ;;
         test)      run_tests ;;
         vk)        generate_vks ;;
         solidity)  generate_solidity_verifiers ;;
@@ -308,6 +333,7 @@ main() {
             generate_vks
             generate_solidity_verifiers
             copy_to_frontend
+            copy_test_circuits
             log_success "Full pipeline complete!"
             ;;
         test-e2e)
@@ -323,7 +349,7 @@ main() {
             echo "Usage: $0 [versions|compile|test|vk|solidity|prove|verify|hex|frontend|all|test-e2e]"
             echo ""
             echo "  versions  - Update Noir and bb toolchain versions"
-            echo "  compile   - Compile all circuits"
+            echo "  compile   - Compile all circuits (and copy the test circuits)"
             echo "  test      - Run circuit tests"
             echo "  vk        - Generate verification keys"
             echo "  solidity  - Generate Solidity verifier contracts"
@@ -331,7 +357,7 @@ main() {
             echo "  verify    - Verify proofs locally"
             echo "  hex       - Convert artifacts to hex for zkVerify"
             echo "  frontend  - Copy artifacts to frontend"
-            echo "  all       - Run full pipeline (compile → test → vk → solidity → frontend)"
+            echo "  all       - Run full pipeline (compile → test → vk → solidity → frontend → test circuits)"
             echo "  test-e2e  - End-to-end test (compile → test → vk → prove → verify → hex)"
             exit 1
             ;;
@@ -8,6 +8,7 @@
  *   - shuffle/Prover.toml  (real UIDs)
  *   - deal/Prover.toml     (real Merkle tree data)
  *   - show/Prover.toml     (real hand reveal data)
+ *   - compare/Prover.toml  (real sideshow comparison data)
  */
 
 import { Barretenberg, Fr } from '@aztec/bb.js';
@@ -21,6 +22,7 @@ const CIRCUITS_DIR = join(__dirname, '..');
 // Domain separation tags (must match circuits/lib/src/constants.nr)
 const DOMAIN_CARD_UID = 1n;
 const DOMAIN_CARD_COMMITMENT = 2n;
+const DOMAIN_MOVE = 3n;
 
 // Card constants
 const RANK_TWO = 2;
@@ -142,35 +144,39 @@ async function main() {
   }
 
   // Build tree bottom-up
-  const tree = [leaves]; // tree[0] = leaves
-  let currentLevel = leaves;
-  for (let depth = 0; depth < MERKLE_DEPTH; depth++) {
-    const nextLevel = [];
-    for (let i = 0; i < currentLevel.length; i += 2) {
-      const left = currentLevel[i];
-      const right = currentLevel[i + 1];
-      const parent = await pedersenHash([
-        frToBigInt(left),
-        frToBigInt(right),
-      ]);
-      nextLevel.push(parent);
+  async function buildTree(leafLevel) {
+    const levels = [leafLevel]; // levels[0] = leaves
+    let currentLevel = leafLevel;
+    for (let depth = 0; depth < MERKLE_DEPTH; depth++) {
+      const nextLevel = [];
+      for (let i = 0; i < currentLevel.length; i += 2) {
+        const left = currentLevel[i];
+        const right = currentLevel[i + 1];
+        const parent = await pedersenHash([
+          frToBigInt(left),
+          frToBigInt(right),
+        ]);
+        nextLevel.push(parent);
+      }
+      levels.push(nextLevel);
+      currentLevel = nextLevel;
     }
-    tree.push(nextLevel);
-    currentLevel = nextLevel;
+    return levels;
   }
 
+  const tree = await buildTree(leaves);
   const merkleRoot = tree[MERKLE_DEPTH][0];
   console.log(`Merkle root: ${frToHex(merkleRoot)}`);
 
   // Extract Merkle proof for a given leaf index
-  function getMerkleProof(leafIndex) {
+  function getMerkleProof(leafIndex, fromTree = tree) {
     const path = [];
     const indices = [];
     let idx = leafIndex;
     for (let depth = 0; depth < MERKLE_DEPTH; depth++) {
       const isRight = idx % 2 === 1;
       const siblingIdx = isRight ? idx - 1 : idx + 1;
-      path.push(tree[depth][siblingIdx]);
+      path.push(fromTree[depth][siblingIdx]);
       indices.push(isRight ? 1 : 0); // 1 if leaf is on right side
       idx = Math.floor(idx / 2);
     }
@@ -373,6 +379,72 @@ async function main() {
   writeFileSync(join(CIRCUITS_DIR, 'show', 'Prover.toml'), showToml);
   console.log('Wrote show/Prover.toml');
 
+  // ========= Compare: sideshow between two committed hands =========
+  console.log('\n--- Generating Compare Test Data ---');
+
+  // The compare circuit binds each card to its canonical leaf,
+  // index = (rank - 2) * 4 + suit, so it gets its own canonical-order tree
+  const canonicalIndex = (card) => (card.rank - RANK_TWO) * 4 + card.suit;
+  const canonicalLeaves = [];
+  for (let i = 0; i < numLeaves; i++) {
+    canonicalLeaves.push(new Fr(0n));
+  }
+  for (const { rank, suit, uid } of cardInfo) {
+    const index = canonicalIndex({ rank, suit });
+    canonicalLeaves[index] = await pedersenHash([
+      DOMAIN_CARD_COMMITMENT,
+      frToBigInt(uid),
+      frToBigInt(nonces[index]),
+    ]);
+  }
+  const canonicalTree = await buildTree(canonicalLeaves);
+  const canonicalRoot = canonicalTree[MERKLE_DEPTH][0];
+
+  // Cards in ascending deck order, as the circuit requires
+  const compareHands = [
+    { playerId: playerId, salt: 777n, cards: [{ rank: 9, suit: 0 }, { rank: 10, suit: 0 }, { rank: 11, suit: 0 }] },
+    { playerId: playerId + 1n, salt: 888n, cards: [{ rank: 5, suit: 2 }, { rank: 12, suit: 1 }, { rank: 12, suit: 3 }] },
+  ];
+  for (const hand of compareHands) {
+    const leafValues = hand.cards.map(c => frToBigInt(canonicalLeaves[canonicalIndex(c)]));
+    const handHash = await pedersenHash([...leafValues, hand.salt]);
+    hand.commitment = await pedersenHash([DOMAIN_MOVE, gameId, hand.playerId, frToBigInt(handHash)]);
+  }
+  // 9-10-J of hearts (pure sequence) beats a pair of queens
+  const aWins = true;
+
+  let compareToml = `# Compare Prover.toml - Real sideshow comparison data\n`;
+  compareToml += `# Generated by generate_test_data.mjs\n`;
+  compareToml += `# A: 9-10-J of hearts, B: pair of queens\n\n`;
+  compareToml += `game_id = "${gameId}"\n`;
+  compareToml += `merkle_root = "${frToHex(canonicalRoot)}"\n`;
+  compareToml += `player_a_id = "0x${compareHands[0].playerId.toString(16)}"\n`;
+  compareToml += `player_b_id = "0x${compareHands[1].playerId.toString(16)}"\n`;
+  compareToml += `hand_commitment_a = "${frToHex(compareHands[0].commitment)}"\n`;
+  compareToml += `hand_commitment_b = "${frToHex(compareHands[1].commitment)}"\n`;
+  compareToml += `a_wins = ${aWins}\n`;
+
+  ['a', 'b'].forEach((side, h) => {
+    const hand = compareHands[h];
+    compareToml += `card_ranks_${side} = [${hand.cards.map(c => c.rank).join(', ')}]\n`;
+    compareToml += `card_suits_${side} = [${hand.cards.map(c => c.suit).join(', ')}]\n`;
+    compareToml += `nonces_${side} = [${hand.cards.map(c => `"${frToHex(nonces[canonicalIndex(c)])}"`).join(', ')}]\n`;
+    compareToml += `salt_${side} = "${hand.salt}"\n`;
+  });
+  compareToml += `\n`;
+
+  ['a', 'b'].forEach((side, h) => {
+    for (const card of compareHands[h].cards) {
+      const proof = getMerkleProof(canonicalIndex(card), canonicalTree);
+      compareToml += `[[merkle_paths_${side}]]\n`;
+      compareToml += `path = [${proof.path.map(p => `"${frToHex(p)}"`).join(', ')}]\n`;
+      compareToml += `indices = [${proof.indices.join(', ')}]\n\n`;
+    }
+  });
+
+  writeFileSync(join(CIRCUITS_DIR, 'compare', 'Prover.toml'), compareToml);
+  console.log('Wrote compare/Prover.toml');
+
   // ========= Summary =========
   console.log('\n========= SUMMARY =========');
   console.log(`Cards generated: ${cardUIDs.length}`);
@@ -380,6 +452,7 @@ async function main() {
   console.log(`Shuffle: rotation by ${offset} (52 real UIDs)`);
   console.log(`Deal: positions [${dealPositions}], player_id=0x${playerId.toString(16)}`);
   console.log(`Show: cards=[${showCards.map(c => `${c.rank}s${c.suit}`).join(',')}], rank=${handRank}, value=${handValue}`);
+  console.log(`Compare: A wins=${aWins}, root=${frToHex(canonicalRoot)}`);
   console.log('===========================\n');
 
   await api.destroy();
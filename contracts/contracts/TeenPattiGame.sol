@@ -59,6 +59,14 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
     mapping(address => bytes32[]) public playerRooms;
     mapping(bytes32 => ProofRecord[]) public roomProofs;
     bytes32[] public activeRoomIds;
+
+    // Invite-only rooms: only the creator and the wallets they invite can join
+    mapping(bytes32 => bool) public inviteOnly;
+    mapping(bytes32 => mapping(address => bool)) public invited;
+
+    // Rooms created so far; mixed into each room ID so two rooms created by
+    // the same wallet in the same block still get different IDs
+    uint256 public roomNonce;
     
     // Platform rake (in basis points, 100 = 1%)
     uint256 public rakeFee = 500; // 5%
@@ -71,12 +79,15 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
     // Events
     event RoomCreated(bytes32 indexed roomId, address indexed creator, uint256 buyIn, uint256 maxPlayers);
     event PlayerJoined(bytes32 indexed roomId, address indexed player, uint256 buyIn);
+    event PlayersInvited(bytes32 indexed roomId, address[] players);
     event PlayerLeft(bytes32 indexed roomId, address indexed player, uint256 refund);
+    event PlayerRebought(bytes32 indexed roomId, address indexed player, uint256 amount, uint256 balance);
     event GameStarted(bytes32 indexed roomId, uint256 pot, uint256 playerCount);
     event GameStartedWithProof(bytes32 indexed roomId, bytes32 deckCommitment, uint256 playerCount);
     event BetPlaced(bytes32 indexed roomId, address indexed player, uint256 amount);
     event WinnerDeclared(bytes32 indexed roomId, address indexed winner, uint256 amount, uint256 rake);
     event CashGameSettled(bytes32 indexed roomId, address[] players, uint256[] payouts, uint256 rake);
+    event PlayerCashedOut(bytes32 indexed roomId, address indexed player, uint256 chips, uint256 payout, uint256 rake);
     event RoomClosed(bytes32 indexed roomId);
     event RakeFeeUpdated(uint256 newRakeFee);
     event TreasuryUpdated(address indexed newTreasury);
@@ -109,13 +120,55 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
      * @dev Create a new game room
      */
     function createRoom(uint256 _buyIn, uint256 _maxPlayers) external nonReentrant whenNotPaused returns (bytes32) {
+        return _createRoom(_buyIn, _maxPlayers);
+    }
+
+    /**
+     * @dev Create a room only the creator and the invited wallets can join,
+     *      so nobody else can lock a buy-in in it
+     * @param _invited Wallets allowed to join (more can be invited later)
+     */
+    function createInviteOnlyRoom(
+        uint256 _buyIn,
+        uint256 _maxPlayers,
+        address[] calldata _invited
+    ) external nonReentrant whenNotPaused returns (bytes32) {
+        bytes32 roomId = _createRoom(_buyIn, _maxPlayers);
+        inviteOnly[roomId] = true;
+        invited[roomId][msg.sender] = true;
+        _invitePlayers(roomId, _invited);
+        return roomId;
+    }
+
+    /**
+     * @dev Invite more wallets to an invite-only room before the game starts
+     */
+    function invitePlayers(bytes32 _roomId, address[] calldata _players) external {
+        Room storage room = rooms[_roomId];
+
+        require(msg.sender == room.creator, "Not room creator");
+        require(inviteOnly[_roomId], "Room is not invite-only");
+        require(room.state == GameState.WAITING, "Room not accepting players");
+
+        _invitePlayers(_roomId, _players);
+    }
+
+    function _invitePlayers(bytes32 _roomId, address[] calldata _players) internal {
+        for (uint256 i = 0; i < _players.length; i++) {
+            require(_players[i] != address(0), "Invalid player address");
+            invited[_roomId][_players[i]] = true;
+        }
+        emit PlayersInvited(_roomId, _players);
+    }
+
+    function _createRoom(uint256 _buyIn, uint256 _maxPlayers) internal returns (bytes32) {
         require(_buyIn > 0, "Buy-in must be positive");
         require(_maxPlayers >= 2 && _maxPlayers <= 6, "Invalid max players");
         require(token.balanceOf(msg.sender) >= _buyIn, "Insufficient token balance");
         
-        // Generate unique room ID (first 3 bytes of hash = 6 hex chars)
-        bytes32 fullHash = keccak256(abi.encodePacked(msg.sender, block.timestamp, block.prevrandao));
-        bytes32 roomId = bytes32(uint256(fullHash) & 0xFFFFFF00000000000000000000000000000000000000000000000000000000);
+        // Generate unique room ID (full 32-byte hash; short codes are issued off-chain)
+        bytes32 roomId = keccak256(abi.encodePacked(msg.sender, block.timestamp, block.prevrandao, roomNonce++));
+        require(rooms[roomId].creator == address(0), "Room ID already in use");
         
         Room storage room = rooms[roomId];
         room.roomId = roomId;
@@ -154,6 +207,7 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         require(room.state == GameState.WAITING, "Room not accepting players");
         require(!room.hasJoined[msg.sender], "Already joined this room");
         require(room.players.length < room.maxPlayers, "Room is full");
+        require(!inviteOnly[_roomId] || invited[_roomId][msg.sender], "Not invited");
         require(token.balanceOf(msg.sender) >= room.buyIn, "Insufficient token balance");
         
         // Transfer buy-in from player
@@ -170,6 +224,28 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         emit PlayerJoined(_roomId, msg.sender, room.buyIn);
     }
     
+    /**
+     * @dev Rebuy or top up during a cash game: add tokens to the caller's
+     *      room balance. The backend credits the same amount in chips, so
+     *      only whole tokens are taken.
+     */
+    function rebuy(bytes32 _roomId, uint256 _amount) external nonReentrant whenNotPaused {
+        Room storage room = rooms[_roomId];
+
+        require(room.state == GameState.ACTIVE, "Game not active");
+        require(room.hasJoined[msg.sender], "Not in this room");
+        require(_amount > 0, "Rebuy must be greater than zero");
+        require(_amount % 1 ether == 0, "Rebuy must be whole tokens");
+        require(token.balanceOf(msg.sender) >= _amount, "Insufficient token balance");
+
+        require(token.transferFrom(msg.sender, address(this), _amount), "Token transfer failed");
+
+        room.playerBalances[msg.sender] += _amount;
+        room.pot += _amount;
+
+        emit PlayerRebought(_roomId, msg.sender, _amount, room.playerBalances[msg.sender]);
+    }
+
     /**
      * @dev Leave room before game starts (get refund)
      */
@@ -225,9 +301,11 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
     }
 
     /**
-     * @dev Start the game with a verified shuffle proof
+     * @dev Start the game with a verified shuffle proof. Called again while the
+     *      game is active to commit the deck for each following hand; deal and
+     *      show proofs must then use this commitment as their merkle_root.
      * @param _roomId The room to start
-     * @param _deckCommitment Merkle root of the shuffled deck
+     * @param _deckCommitment Merkle root of the hand's committed deck
      * @param _shuffleProof ZK proof bytes from the shuffle circuit
      * @param _publicInputs Public inputs for the shuffle verifier (empty for shuffle)
      */
@@ -241,8 +319,12 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
 
         require(room.creator != address(0), "Room does not exist");
         require(msg.sender == room.creator || msg.sender == owner(), "Not authorized");
-        require(room.state == GameState.WAITING, "Game already started");
+        require(
+            room.state == GameState.WAITING || room.state == GameState.ACTIVE,
+            "Game not in play"
+        );
         require(room.players.length >= 2, "Need at least 2 players");
+        require(_deckCommitment != bytes32(0), "Invalid deck commitment");
 
         // Verify shuffle proof on-chain
         bool isValid = shuffleVerifier.verify(_shuffleProof, _publicInputs);
@@ -251,6 +333,11 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         room.state = GameState.ACTIVE;
         room.deckCommitment = _deckCommitment;
 
+        // New hand: everyone may show again
+        for (uint256 i = 0; i < room.players.length; i++) {
+            room.hasShownHand[room.players[i]] = false;
+        }
+
         // Record proof
         roomProofs[_roomId].push(ProofRecord({
             commitment: _deckCommitment,
@@ -278,6 +365,8 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         Room storage room = rooms[_roomId];
         require(room.state == GameState.ACTIVE, "Game not active");
         require(room.hasJoined[msg.sender], "Player not in room");
+        require(_publicInputs.length == 2, "Invalid public inputs");
+        require(_publicInputs[1] == room.deckCommitment, "Deck commitment mismatch");
 
         bool isValid = dealVerifier.verify(_dealProof, _publicInputs);
         require(isValid, "Invalid deal proof");
@@ -316,6 +405,8 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         );
         require(room.hasJoined[msg.sender], "Player not in room");
         require(!room.hasShownHand[msg.sender], "Hand already shown");
+        require(_publicInputs.length == 11, "Invalid public inputs");
+        require(_publicInputs[2] == room.deckCommitment, "Deck commitment mismatch");
 
         bool isValid = showVerifier.verify(_showProof, _publicInputs);
         require(isValid, "Invalid show proof");
@@ -476,6 +567,53 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         
         emit CashGameSettled(_roomId, _players, payouts, rake);
     }
+
+    /**
+     * @dev Pay out one player leaving a running cash game. Their share of the
+     *      pot is their chips over all the chips still at the table; the rest
+     *      stays in the pot for settleCashGame to split among the others.
+     * @param _chips The leaving player's chips
+     * @param _tableChips Every chip still at the table, the leaving player's included
+     */
+    function cashOut(
+        bytes32 _roomId,
+        address _player,
+        uint256 _chips,
+        uint256 _tableChips
+    ) external onlyOwner nonReentrant {
+        Room storage room = rooms[_roomId];
+
+        require(room.state == GameState.ACTIVE, "Game not active");
+        require(room.hasJoined[_player], "Player not in room");
+        require(room.players.length > 1, "Last player must settle the game");
+        require(_tableChips > 0 && _chips <= _tableChips, "Invalid chip amounts");
+
+        uint256 share = (room.pot * _chips) / _tableChips;
+        uint256 rake = (share * rakeFee) / 10000;
+        uint256 payout = share - rake;
+
+        // Off the table: the rest of the pot is only for the players still in
+        room.pot -= share;
+        room.hasJoined[_player] = false;
+        room.playerBalances[_player] = 0;
+        for (uint256 i = 0; i < room.players.length; i++) {
+            if (room.players[i] == _player) {
+                room.players[i] = room.players[room.players.length - 1];
+                room.players.pop();
+                break;
+            }
+        }
+
+        if (payout > 0) {
+            require(token.transfer(_player, payout), "Player transfer failed");
+        }
+        if (rake > 0) {
+            require(token.transfer(treasury, rake), "Rake transfer failed");
+            totalRakeCollected += rake;
+        }
+
+        emit PlayerCashedOut(_roomId, _player, _chips, payout, rake);
+    }
     
     /**
      * @dev Handle game timeout (refund all players)
@@ -580,6 +718,13 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         return rooms[_roomId].playerBalances[_player];
     }
     
+    /**
+     * @dev Whether a wallet has paid into a room and not left or cashed out
+     */
+    function hasPlayerJoined(bytes32 _roomId, address _player) external view returns (bool) {
+        return rooms[_roomId].hasJoined[_player];
+    }
+    
     /**
      * @dev Get player's active rooms
      */
@@ -96,6 +96,31 @@ describe("TeenPattiGame", function () {
         game.connect(player1).createRoom(buyIn, 7)
       ).to.be.revertedWith("Invalid max players");
     });
+
+    it("Should give every room its own full-width ID", async function () {
+      const buyIn = ethers.parseEther("100");
+      const roomIds = [];
+
+      for (let i = 0; i < 2; i++) {
+        const tx = await game.connect(player1).createRoom(buyIn, 4);
+        const receipt = await tx.wait();
+
+        const event = receipt.logs.find(log => {
+          try {
+            return game.interface.parseLog(log).name === "RoomCreated";
+          } catch {
+            return false;
+          }
+        });
+        roomIds.push(game.interface.parseLog(event).args.roomId);
+      }
+
+      expect(roomIds[0]).to.not.equal(roomIds[1]);
+      // Not just the top 3 bytes: the rest of the hash is kept
+      roomIds.forEach(roomId => expect(BigInt(roomId) & ((1n << 232n) - 1n)).to.not.equal(0n));
+      expect(await game.roomNonce()).to.equal(2);
+      expect(await game.getActiveRooms()).to.deep.equal(roomIds);
+    });
   });
 
   describe("Joining Room", function () {
@@ -445,4 +470,238 @@ describe("TeenPattiGame", function () {
       expect(details.winner).to.equal(player2.address);
     });
   });
+
+  describe("Cash Out", function () {
+    let roomId;
+
+    beforeEach(async function () {
+      const buyIn = ethers.parseEther("100");
+      const tx = await game.connect(player1).createRoom(buyIn, 4);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      const parsedEvent = game.interface.parseLog(event);
+      roomId = parsedEvent.args.roomId;
+
+      await game.connect(player2).joinRoom(roomId);
+      await game.connect(player3).joinRoom(roomId);
+      await game.connect(owner).startGame(roomId);
+    });
+
+    it("Should pay the player their share of the pot less rake", async function () {
+      // 150 of 300 chips: half of the 300 token pot, 5% rake
+      const balanceBefore = await token.balanceOf(player1.address);
+
+      await expect(game.connect(owner).cashOut(roomId, player1.address, 150, 300))
+        .to.emit(game, "PlayerCashedOut")
+        .withArgs(roomId, player1.address, 150, ethers.parseEther("142.5"), ethers.parseEther("7.5"));
+
+      const balanceAfter = await token.balanceOf(player1.address);
+      expect(balanceAfter - balanceBefore).to.equal(ethers.parseEther("142.5"));
+    });
+
+    it("Should leave the rest of the pot to the remaining players", async function () {
+      await game.connect(owner).cashOut(roomId, player1.address, 150, 300);
+
+      const details = await game.getRoomDetails(roomId);
+      expect(details.pot).to.equal(ethers.parseEther("150"));
+      expect(await game.getRoomPlayers(roomId)).to.have.lengthOf(2);
+
+      await expect(
+        game.connect(owner).settleCashGame(roomId, [player2.address, player3.address], [100, 50])
+      ).to.emit(game, "CashGameSettled");
+    });
+
+    it("Should take the player out of the final settlement", async function () {
+      await game.connect(owner).cashOut(roomId, player1.address, 100, 300);
+
+      await expect(
+        game.connect(owner).settleCashGame(roomId, [player1.address, player2.address], [100, 100])
+      ).to.be.revertedWith("Player not in room");
+      await expect(
+        game.connect(owner).cashOut(roomId, player1.address, 100, 200)
+      ).to.be.revertedWith("Player not in room");
+    });
+
+    it("Should no longer count the player as joined", async function () {
+      expect(await game.hasPlayerJoined(roomId, player1.address)).to.equal(true);
+      await game.connect(owner).cashOut(roomId, player1.address, 100, 300);
+      expect(await game.hasPlayerJoined(roomId, player1.address)).to.equal(false);
+      expect(await game.hasPlayerJoined(roomId, player2.address)).to.equal(true);
+    });
+
+    it("Should revert for the last player at the table", async function () {
+      await game.connect(owner).cashOut(roomId, player1.address, 100, 300);
+      await game.connect(owner).cashOut(roomId, player2.address, 100, 200);
+
+      await expect(
+        game.connect(owner).cashOut(roomId, player3.address, 100, 100)
+      ).to.be.revertedWith("Last player must settle the game");
+    });
+
+    it("Should revert if chips exceed the table", async function () {
+      await expect(
+        game.connect(owner).cashOut(roomId, player1.address, 400, 300)
+      ).to.be.revertedWith("Invalid chip amounts");
+    });
+
+    it("Should only allow the owner", async function () {
+      await expect(
+        game.connect(player1).cashOut(roomId, player1.address, 150, 300)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Rebuy", function () {
+    let roomId;
+
+    beforeEach(async function () {
+      const buyIn = ethers.parseEther("100");
+      const tx = await game.connect(player1).createRoom(buyIn, 4);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      const parsedEvent = game.interface.parseLog(event);
+      roomId = parsedEvent.args.roomId;
+
+      await game.connect(player2).joinRoom(roomId);
+    });
+
+    it("Should add to the player's balance and the pot", async function () {
+      await game.connect(owner).startGame(roomId);
+      const amount = ethers.parseEther("50");
+
+      await expect(game.connect(player2).rebuy(roomId, amount))
+        .to.emit(game, "PlayerRebought")
+        .withArgs(roomId, player2.address, amount, ethers.parseEther("150"));
+
+      expect(await game.getPlayerBalance(roomId, player2.address)).to.equal(ethers.parseEther("150"));
+      const details = await game.getRoomDetails(roomId);
+      expect(details.pot).to.equal(ethers.parseEther("250"));
+    });
+
+    it("Should pay rebuys out with the rest of the pot", async function () {
+      await game.connect(owner).startGame(roomId);
+      await game.connect(player2).rebuy(roomId, ethers.parseEther("100"));
+
+      // Player 1 busted, player 2 holds every chip
+      const balanceBefore = await token.balanceOf(player2.address);
+      await game.connect(owner).settleCashGame(roomId, [player1.address, player2.address], [0, 300]);
+      const balanceAfter = await token.balanceOf(player2.address);
+      expect(balanceAfter - balanceBefore).to.equal(ethers.parseEther("285"));
+    });
+
+    it("Should revert before the game starts", async function () {
+      await expect(
+        game.connect(player2).rebuy(roomId, ethers.parseEther("50"))
+      ).to.be.revertedWith("Game not active");
+    });
+
+    it("Should revert for players not in the room", async function () {
+      await game.connect(owner).startGame(roomId);
+      await expect(
+        game.connect(player3).rebuy(roomId, ethers.parseEther("50"))
+      ).to.be.revertedWith("Not in this room");
+    });
+
+    it("Should revert for a zero rebuy", async function () {
+      await game.connect(owner).startGame(roomId);
+      await expect(
+        game.connect(player2).rebuy(roomId, 0)
+      ).to.be.revertedWith("Rebuy must be greater than zero");
+    });
+
+    it("Should revert for a rebuy of part of a token", async function () {
+      await game.connect(owner).startGame(roomId);
+      await expect(
+        game.connect(player2).rebuy(roomId, ethers.parseEther("1.5"))
+      ).to.be.revertedWith("Rebuy must be whole tokens");
+    });
+  });
+
+  describe("Invite-only rooms", function () {
+    let roomId;
+
+    beforeEach(async function () {
+      const buyIn = ethers.parseEther("100");
+      const tx = await game.connect(player1).createInviteOnlyRoom(buyIn, 4, [player2.address]);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      const parsedEvent = game.interface.parseLog(event);
+      roomId = parsedEvent.args.roomId;
+    });
+
+    it("Should let invited players join", async function () {
+      expect(await game.inviteOnly(roomId)).to.equal(true);
+      expect(await game.invited(roomId, player1.address)).to.equal(true);
+
+      await expect(game.connect(player2).joinRoom(roomId))
+        .to.emit(game, "PlayerJoined")
+        .withArgs(roomId, player2.address, ethers.parseEther("100"));
+    });
+
+    it("Should turn away players who weren't invited before taking tokens", async function () {
+      const balanceBefore = await token.balanceOf(player3.address);
+      await expect(
+        game.connect(player3).joinRoom(roomId)
+      ).to.be.revertedWith("Not invited");
+      expect(await token.balanceOf(player3.address)).to.equal(balanceBefore);
+    });
+
+    it("Should let the creator invite more players", async function () {
+      await expect(game.connect(player1).invitePlayers(roomId, [player3.address]))
+        .to.emit(game, "PlayersInvited")
+        .withArgs(roomId, [player3.address]);
+
+      await game.connect(player3).joinRoom(roomId);
+      expect(await game.getPlayerBalance(roomId, player3.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should only let the creator invite", async function () {
+      await expect(
+        game.connect(player2).invitePlayers(roomId, [player3.address])
+      ).to.be.revertedWith("Not room creator");
+    });
+
+    it("Should leave ordinary rooms open to everyone", async function () {
+      const tx = await game.connect(player1).createRoom(ethers.parseEther("100"), 4);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+      const openRoomId = game.interface.parseLog(event).args.roomId;
+
+      expect(await game.inviteOnly(openRoomId)).to.equal(false);
+      await expect(
+        game.connect(player1).invitePlayers(openRoomId, [player3.address])
+      ).to.be.revertedWith("Room is not invite-only");
+      await game.connect(player3).joinRoom(openRoomId);
+    });
+  });
 });
@@ -9,6 +9,7 @@ import NetworkSwitcher from './components/NetworkSwitcher';
 import { config } from './config/wagmi';
 import Home from './pages/Home';
 import GameRoom from './pages/GameRoom';
+import HandReplay from './pages/HandReplay';
 
 const queryClient = new QueryClient();
 
@@ -25,6 +26,8 @@ function App() {
               <Routes>
                 <Route path="/" element={<Home socket={socket} />} />
                 <Route path="/room/:roomId" element={<GameRoom socket={socket} />} />
+                <Route path="/watch/:roomId" element={<GameRoom socket={socket} spectator />} />
+                <Route path="/replay/:handId" element={<HandReplay />} />
               </Routes>
             </Router>
           </ZKProvider>
@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { ethers } from 'ethers';
-import { X, Loader2, Users, Coins, AlertCircle, Trophy, Settings2, ShieldCheck, ArrowRight, Copy, Check } from 'lucide-react';
+import { X, Loader2, Users, Coins, AlertCircle, Trophy, Settings2, ShieldCheck, ArrowRight, Copy, Check, Timer, Layers, Scale, PlusCircle, Lock, Hash } from 'lucide-react';
 import Button from './Button';
 import Input from './Input';
 import { useContracts } from '@/hooks/useContracts';
@@ -9,9 +9,16 @@ import { useAccount, useReadContract } from 'wagmi';
 import TokenABI from '@/contracts/TeenPattiToken.json';
 import addresses from '@/contracts/addresses.json';
 import { cn } from '@/lib/utils';
-
-export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket }) {
-  const { account } = useWallet();
+import { signInSocket } from '@/lib/walletAuth';
+import { VARIANTS, DEFAULT_VARIANT } from '@/lib/variants';
+
+/**
+ * Create a blockchain room. Given a quick-seat `match` ({ matchId, buyIn,
+ * players }), the stake and table size are the match's and the players
+ * matched with us are sent to the new room.
+ */
+export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket, match }) {
+  const { account, signer, chainId } = useWallet();
   const { address: walletAddress } = useAccount();
   const { createRoom, approveTokens, gameContract, tokenContract, contractAddresses } = useContracts();
 
@@ -26,12 +33,28 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
     },
   });
 
-  const [buyIn, setBuyIn] = useState('1000');
-  const [maxPlayers, setMaxPlayers] = useState('4');
+  const [buyIn, setBuyIn] = useState(match ? String(match.buyIn) : '1000');
+  const [maxPlayers, setMaxPlayers] = useState(match ? String(match.players) : '4');
+  const [turnSeconds, setTurnSeconds] = useState(30); // 0 = no turn clock
+  const [timeBankSeconds, setTimeBankSeconds] = useState(60);
+  const [timeoutAction, setTimeoutAction] = useState('pack'); // What the server does when a turn runs out
+  const [variant, setVariant] = useState(DEFAULT_VARIANT);
+  // Table limits: chaal and pot limits are multiples of the boot, 0 = off
+  const [boot, setBoot] = useState(10);
+  const [chaalLimitBoots, setChaalLimitBoots] = useState(0);
+  const [maxBlindRounds, setMaxBlindRounds] = useState(0);
+  const [potLimitBoots, setPotLimitBoots] = useState(1024);
+  // Rebuys: how many per player, and the stack they may top up to in buy-ins, 0 = off
+  const [maxRebuys, setMaxRebuys] = useState(3);
+  const [maxStackBuyIns, setMaxStackBuyIns] = useState(1);
+  // Private room: a password kept (hashed) by the server, and wallets invited on-chain
+  const [roomPassword, setRoomPassword] = useState('');
+  const [inviteList, setInviteList] = useState('');
+  const [codeStyle, setCodeStyle] = useState('letters'); // Share code: 'letters' (K7M2QX) or 'words' (lucky-tiger-42)
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [message, setMessage] = useState('');
-  const [step, setStep] = useState('input'); // input, approving, creating
+  const [step, setStep] = useState('input'); // input, signing, approving, creating
   const [createdRoomCode, setCreatedRoomCode] = useState(''); // Short code for created room
   const [copiedCode, setCopiedCode] = useState(false);
 
@@ -53,11 +76,23 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
       return;
     }
 
+    if (!Number.isInteger(Number(buyIn))) {
+      setError('Buy-in must be a whole number of tokens');
+      return;
+    }
+
     if (!maxPlayers || parseInt(maxPlayers) < 2 || parseInt(maxPlayers) > 6) {
       setError('Max players must be between 2 and 6');
       return;
     }
 
+    const invited = inviteList.split(/[\s,]+/).filter(Boolean);
+    const badAddress = invited.find(address => !ethers.isAddress(address));
+    if (badAddress) {
+      setError(`Not a wallet address: ${badAddress}`);
+      return;
+    }
+
     setLoading(true);
     setError('');
 
@@ -65,6 +100,12 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
       const buyInAmount = ethers.parseEther(buyIn);
       const players = parseInt(maxPlayers);
 
+      // Sign in with the wallet first so the server seats us as this address
+      if (socket) {
+        setStep('signing');
+        await signInSocket(socket, signer, chainId);
+      }
+
       // Step 1: Approve tokens
       setStep('approving');
       console.log('Approving tokens...');
@@ -85,7 +126,7 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
       setMessage('Tokens approved! Creating room...');
       console.log('Creating room on blockchain...');
 
-      const createResult = await createRoom(buyInAmount, players);
+      const createResult = await createRoom(buyInAmount, players, invited);
 
       if (!createResult.success) {
         throw new Error(createResult.error || 'Failed to create room');
@@ -110,10 +151,10 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
             resolve({ roomId: blockchainRoomId, shortCode: null, fallback: true });
           }, 10000);
 
-          const onRoomCreated = ({ roomId, shortCode }) => {
+          const onRoomCreated = ({ roomId, shortCode, codeAlias }) => {
             clearTimeout(timeout);
             socket.off('error', onError);
-            resolve({ roomId, shortCode });
+            resolve({ roomId, shortCode: codeAlias || shortCode });
           };
 
           const onError = ({ message: errMsg }) => {
@@ -133,7 +174,24 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
           creator: account,
           txHash: createResult.txHash,
           tokenBalance: tokenBalance,
-          buyInTokens: Number(buyIn)
+          buyInTokens: Number(buyIn),
+          turnTimer: { turnSeconds, timeBankSeconds, timeoutAction },
+          variant,
+          tableRules: {
+            boot,
+            maxChaal: boot * chaalLimitBoots,
+            maxBlindRounds,
+            potLimit: boot * potLimitBoots
+          },
+          rebuyRules: {
+            maxRebuys,
+            maxStack: Math.floor(Number(buyIn)) * maxStackBuyIns
+          },
+          matchId: match?.matchId,
+          access: {
+            password: roomPassword || undefined
+          },
+          codeStyle
         });
 
         try {
@@ -212,7 +270,9 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
               </div>
               <div>
                 <h2 className="text-xl font-black text-white tracking-wide uppercase font-display">Create Table</h2>
-                <p className="text-[10px] text-gray-400 font-bold uppercase tracking-wider">Configure Game Settings</p>
+                <p className="text-[10px] text-gray-400 font-bold uppercase tracking-wider">
+                  {match ? `Quick Seat · ${match.players} Players Matched` : 'Configure Game Settings'}
+                </p>
               </div>
             </div>
 
@@ -230,6 +290,15 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
           {/* Content */}
           <div className="p-8 space-y-8 overflow-y-auto custom-scrollbar">
 
+            {match && (
+              <div className="bg-blue-500/10 border border-blue-500/20 rounded-xl p-4 flex items-start gap-3">
+                <Users className="w-5 h-5 text-blue-400 shrink-0" />
+                <p className="text-blue-100 text-xs font-medium leading-relaxed">
+                  You were matched first, so you open the table. The other players join as soon as it is created.
+                </p>
+              </div>
+            )}
+
             {/* Buy-in Section */}
             <div className="space-y-4">
               <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
@@ -242,7 +311,7 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
                   <button
                     key={amount}
                     onClick={() => setBuyIn(amount.toString())}
-                    disabled={loading}
+                    disabled={loading || !!match}
                     className={cn(
                       "h-10 rounded-lg text-xs font-bold transition-all duration-200 border relative overflow-hidden group",
                       buyIn === amount.toString()
@@ -262,7 +331,8 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
                   onChange={(e) => setBuyIn(e.target.value)}
                   placeholder="Custom Amount"
                   min="1"
-                  disabled={loading}
+                  step="1"
+                  disabled={loading || !!match}
                   className="bg-black/50 border-white/10 text-white placeholder:text-gray-700 h-12 rounded-xl focus:border-white/20 transition-all focus:ring-1 focus:ring-white/10 pr-12 text-sm font-mono pl-4 shadow-inner w-full"
                 />
                 <div className="absolute right-4 top-1/2 -translate-y-1/2 text-[10px] font-bold text-gray-600 uppercase tracking-wider bg-white/5 px-1.5 py-0.5 rounded">
@@ -282,7 +352,7 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
                   <button
                     key={num}
                     onClick={() => setMaxPlayers(num.toString())}
-                    disabled={loading}
+                    disabled={loading || !!match}
                     className={cn(
                       "flex-1 h-9 rounded-lg text-xs font-bold transition-all duration-300 relative z-10 font-mono",
                       maxPlayers === num.toString()
@@ -296,6 +366,301 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
               </div>
             </div>
 
+            {/* Variant Section */}
+            <div className="space-y-4">
+              <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                <Layers className="w-3 h-3 text-purple-400" />
+                Variant
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                {VARIANTS.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setVariant(option.id)}
+                    disabled={loading}
+                    className={cn(
+                      "rounded-lg px-3 py-2 text-left transition-all duration-200 border",
+                      variant === option.id
+                        ? "bg-white/10 text-white border-white/20 shadow-lg"
+                        : "bg-white/5 text-gray-400 border-white/5 hover:bg-white/10 hover:border-white/20 hover:text-white"
+                    )}
+                  >
+                    <span className="block text-xs font-bold">{option.name}</span>
+                    <span className="block text-[10px] text-gray-500">{option.description}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Table Limits Section */}
+            <div className="space-y-4">
+              <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                <Scale className="w-3 h-3 text-orange-400" />
+                Table Limits
+              </label>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <p className="text-[10px] font-bold text-gray-600 uppercase tracking-wider">Boot</p>
+                  <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                    {[4, 10, 20, 50].map(value => (
+                      <button
+                        key={value}
+                        onClick={() => setBoot(value)}
+                        disabled={loading}
+                        className={cn(
+                          "flex-1 h-8 rounded-lg text-[11px] font-bold transition-all duration-300 font-mono",
+                          boot === value
+                            ? "bg-white/10 text-white border border-white/10"
+                            : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                        )}
+                      >
+                        {value}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <p className="text-[10px] font-bold text-gray-600 uppercase tracking-wider">Blind Limit</p>
+                  <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                    {[0, 2, 3, 4].map(value => (
+                      <button
+                        key={value}
+                        onClick={() => setMaxBlindRounds(value)}
+                        disabled={loading}
+                        className={cn(
+                          "flex-1 h-8 rounded-lg text-[11px] font-bold transition-all duration-300 font-mono",
+                          maxBlindRounds === value
+                            ? "bg-white/10 text-white border border-white/10"
+                            : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                        )}
+                      >
+                        {value === 0 ? 'Off' : value}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <p className="text-[10px] font-bold text-gray-600 uppercase tracking-wider">Chaal Limit</p>
+                  <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                    {[0, 32, 64, 128].map(value => (
+                      <button
+                        key={value}
+                        onClick={() => setChaalLimitBoots(value)}
+                        disabled={loading}
+                        className={cn(
+                          "flex-1 h-8 rounded-lg text-[11px] font-bold transition-all duration-300 font-mono",
+                          chaalLimitBoots === value
+                            ? "bg-white/10 text-white border border-white/10"
+                            : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                        )}
+                      >
+                        {value === 0 ? 'Off' : boot * value}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <p className="text-[10px] font-bold text-gray-600 uppercase tracking-wider">Pot Limit</p>
+                  <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                    {[0, 256, 512, 1024].map(value => (
+                      <button
+                        key={value}
+                        onClick={() => setPotLimitBoots(value)}
+                        disabled={loading}
+                        className={cn(
+                          "flex-1 h-8 rounded-lg text-[11px] font-bold transition-all duration-300 font-mono",
+                          potLimitBoots === value
+                            ? "bg-white/10 text-white border border-white/10"
+                            : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                        )}
+                      >
+                        {value === 0 ? 'Off' : boot * value}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Rebuys Section */}
+            <div className="space-y-4">
+              <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                <PlusCircle className="w-3 h-3 text-blue-400" />
+                Rebuys
+              </label>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <p className="text-[10px] font-bold text-gray-600 uppercase tracking-wider">Per Player</p>
+                  <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                    {[1, 3, 5, 0].map(value => (
+                      <button
+                        key={value}
+                        onClick={() => setMaxRebuys(value)}
+                        disabled={loading}
+                        className={cn(
+                          "flex-1 h-8 rounded-lg text-[11px] font-bold transition-all duration-300 font-mono",
+                          maxRebuys === value
+                            ? "bg-white/10 text-white border border-white/10"
+                            : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                        )}
+                      >
+                        {value === 0 ? '∞' : value}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  <p className="text-[10px] font-bold text-gray-600 uppercase tracking-wider">Max Stack</p>
+                  <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                    {[1, 2, 5, 0].map(value => (
+                      <button
+                        key={value}
+                        onClick={() => setMaxStackBuyIns(value)}
+                        disabled={loading}
+                        className={cn(
+                          "flex-1 h-8 rounded-lg text-[11px] font-bold transition-all duration-300 font-mono",
+                          maxStackBuyIns === value
+                            ? "bg-white/10 text-white border border-white/10"
+                            : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                        )}
+                      >
+                        {value === 0 ? 'Off' : `${value}x`}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Room Code Section */}
+            <div className="space-y-4">
+              <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                <Hash className="w-3 h-3 text-purple-400" />
+                Room Code
+              </label>
+              <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                {[['letters', 'Letters'], ['words', 'Words']].map(([value, label]) => (
+                  <button
+                    key={value}
+                    onClick={() => setCodeStyle(value)}
+                    disabled={loading}
+                    className={cn(
+                      "flex-1 h-9 rounded-lg text-xs font-bold transition-all duration-300",
+                      codeStyle === value
+                        ? "bg-white/10 text-white shadow-lg border border-white/10"
+                        : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                    )}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                {codeStyle === 'words'
+                  ? 'Players join with a word code like lucky-tiger-42 (the letter code works too).'
+                  : 'Players join with a 6-character code like K7M2QX.'}
+              </p>
+            </div>
+
+            {/* Privacy Section - quick-seat tables are open to the players matched */}
+            {!match && (
+              <div className="space-y-4">
+                <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                  <Lock className="w-3 h-3 text-gray-400" />
+                  Private Room
+                </label>
+                <Input
+                  type="password"
+                  value={roomPassword}
+                  onChange={(e) => setRoomPassword(e.target.value)}
+                  placeholder="Password (optional)"
+                  disabled={loading}
+                  className="bg-black/50 border-white/10 text-white placeholder:text-gray-700 h-12 rounded-xl focus:border-white/20 transition-all text-sm font-mono px-4 w-full"
+                />
+                <textarea
+                  value={inviteList}
+                  onChange={(e) => setInviteList(e.target.value)}
+                  placeholder="Invite only these wallets (optional, one address per line)"
+                  disabled={loading}
+                  rows={3}
+                  className="w-full bg-black/50 border border-white/10 text-white placeholder:text-gray-700 rounded-xl focus:border-white/20 focus:outline-none transition-all text-xs font-mono p-4 resize-none"
+                />
+                <p className="text-xs text-gray-500">
+                  Private rooms stay out of the lobby. Invited wallets are checked on-chain, so nobody else can pay into the room.
+                </p>
+              </div>
+            )}
+
+            {/* Turn Timer Section */}
+            <div className="space-y-4">
+              <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                <Timer className="w-3 h-3 text-green-400" />
+                Turn Timer
+              </label>
+              <div className="flex bg-black/40 p-1 rounded-xl border border-white/10 relative">
+                {[0, 15, 30, 60].map(seconds => (
+                  <button
+                    key={seconds}
+                    onClick={() => setTurnSeconds(seconds)}
+                    disabled={loading}
+                    className={cn(
+                      "flex-1 h-9 rounded-lg text-xs font-bold transition-all duration-300 relative z-10 font-mono",
+                      turnSeconds === seconds
+                        ? "bg-white/10 text-white shadow-lg text-shadow-sm border border-white/10"
+                        : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                    )}
+                  >
+                    {seconds === 0 ? 'Off' : `${seconds}s`}
+                  </button>
+                ))}
+              </div>
+
+              {turnSeconds > 0 && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <p className="text-[10px] font-bold text-gray-600 uppercase tracking-wider">Time Bank</p>
+                    <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                      {[0, 30, 60, 120].map(seconds => (
+                        <button
+                          key={seconds}
+                          onClick={() => setTimeBankSeconds(seconds)}
+                          disabled={loading}
+                          className={cn(
+                            "flex-1 h-8 rounded-lg text-[11px] font-bold transition-all duration-300 font-mono",
+                            timeBankSeconds === seconds
+                              ? "bg-white/10 text-white border border-white/10"
+                              : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                          )}
+                        >
+                          {seconds === 0 ? 'None' : `${seconds}s`}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="space-y-2">
+                    <p className="text-[10px] font-bold text-gray-600 uppercase tracking-wider">On Timeout</p>
+                    <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                      {['pack', 'chaal'].map(action => (
+                        <button
+                          key={action}
+                          onClick={() => setTimeoutAction(action)}
+                          disabled={loading}
+                          className={cn(
+                            "flex-1 h-8 rounded-lg text-[11px] font-bold uppercase transition-all duration-300",
+                            timeoutAction === action
+                              ? "bg-white/10 text-white border border-white/10"
+                              : "text-gray-600 hover:text-gray-300 hover:bg-white/5"
+                          )}
+                        >
+                          {action}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+
             {/* Status Messages */}
             <div className="space-y-4 min-h-[60px]">
               {loading && (
@@ -305,7 +670,7 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
                   </div>
                   <div>
                     <p className="text-[10px] font-bold text-blue-300 uppercase tracking-widest mb-0.5">
-                      {step === 'approving' ? 'Step 1/2: Approving' : 'Step 2/2: Creation'}
+                      {step === 'signing' ? 'Signing In' : step === 'approving' ? 'Step 1/2: Approving' : 'Step 2/2: Creation'}
                     </p>
                     <p className="text-xs text-blue-100/70 font-medium">Check your wallet to confirm transaction</p>
                   </div>
@@ -340,7 +705,7 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
                       </button>
                     </div>
                   </div>
-                  <p className="text-xs text-gray-400">Players can join using this 6-character code</p>
+                  <p className="text-xs text-gray-400">Players can join using this code</p>
                 </div>
               )}
 
@@ -1,6 +1,6 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
-import { X, Loader2, Coins, AlertCircle, Search, ShieldCheck } from 'lucide-react';
+import { X, Loader2, Coins, AlertCircle, Search, ShieldCheck, Lock } from 'lucide-react';
 import Button from './Button';
 import Input from './Input';
 import { useContracts } from '@/hooks/useContracts';
@@ -8,10 +8,29 @@ import { useWallet } from '@/hooks/useWallet';
 import { useAccount, useReadContract } from 'wagmi';
 import TokenABI from '@/contracts/TeenPattiToken.json';
 import addresses from '@/contracts/addresses.json';
-import { expandShortCode } from '@/lib/utils';
+import { isFullRoomId } from '@/lib/utils';
+import { signInSocket } from '@/lib/walletAuth';
+
+// Ask the server whether we may sit down before paying: a private room it
+// turns away would leave the buy-in locked on-chain
+function checkRoomAccess(socket, roomId, password) {
+  return new Promise((resolve, reject) => {
+    const onAccess = (data) => {
+      socket.off('error', onError);
+      resolve(data);
+    };
+    const onError = ({ message }) => {
+      socket.off('roomAccess', onAccess);
+      reject(new Error(message));
+    };
+    socket.once('roomAccess', onAccess);
+    socket.once('error', onError);
+    socket.emit('checkRoomAccess', { roomId, password });
+  });
+}
 
-export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, roomId: initialRoomId }) {
-  const { account } = useWallet();
+export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, roomId: initialRoomId, autoJoin = false }) {
+  const { account, signer, chainId } = useWallet();
   const { address: walletAddress } = useAccount();
   const { joinRoom, approveTokens, getRoomDetails, contractAddresses } = useContracts();
 
@@ -33,7 +52,10 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
   const [loadingDetails, setLoadingDetails] = useState(false);
   const [resolvingCode, setResolvingCode] = useState(false);
   const [error, setError] = useState('');
-  const [step, setStep] = useState('input'); // input, approving, joining
+  const [step, setStep] = useState('input'); // input, signing, checking, approving, joining
+  const [password, setPassword] = useState('');
+  const [needsPassword, setNeedsPassword] = useState(false); // Private room with a password
+  const autoJoinedRef = useRef(false);
 
   useEffect(() => {
     if (initialRoomId) {
@@ -71,6 +93,15 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
     };
   }, [socket]);
 
+  // Opened from the lobby: go straight into the approve + join flow once the
+  // table's details have loaded
+  useEffect(() => {
+    if (autoJoin && isOpen && roomDetails && !autoJoinedRef.current) {
+      autoJoinedRef.current = true;
+      handleJoin();
+    }
+  }, [autoJoin, isOpen, roomDetails]);
+
   if (!isOpen) return null;
 
   // Handle room code input and resolve short codes if needed
@@ -81,15 +112,10 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
 
     const trimmed = value.trim();
 
-    // If it's already a full blockchain ID (starts with 0x and is long)
-    if (trimmed.startsWith('0x') && trimmed.length > 10) {
+    // A full blockchain ID needs no resolving; a code or alias waits for search
+    if (isFullRoomId(trimmed)) {
       setBlockchainRoomId(trimmed);
       setResolvingCode(false);
-    }
-    // If it looks like a short code (6 hex characters)
-    else if (trimmed.length >= 4 && /^[0-9a-fA-F]+$/.test(trimmed)) {
-      // Don't resolve yet, wait for user to click search
-      setBlockchainRoomId('');
     } else {
       setBlockchainRoomId('');
     }
@@ -105,17 +131,16 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
     }
 
     // If already a full ID, just use it
-    if (trimmed.startsWith('0x') && trimmed.length > 10) {
+    if (isFullRoomId(trimmed)) {
       setBlockchainRoomId(trimmed);
       return;
     }
 
-    // Try to resolve as short code
+    // Try to resolve as a short code or word alias (the server normalizes it)
     if (socket) {
       setResolvingCode(true);
       setError('');
-      const cleanCode = expandShortCode(trimmed);
-      socket.emit('resolveRoomCode', { shortCode: cleanCode });
+      socket.emit('resolveRoomCode', { shortCode: trimmed });
     } else {
       setError('Not connected to server');
     }
@@ -174,6 +199,19 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
     try {
       const buyInAmount = roomDetails.buyIn;
 
+      // Sign in with the wallet first so the server seats us as this address
+      if (socket) {
+        setStep('signing');
+        await signInSocket(socket, signer, chainId);
+
+        setStep('checking');
+        const access = await checkRoomAccess(socket, blockchainRoomId, password);
+        if (!access.success) {
+          if (access.needsPassword) setNeedsPassword(true);
+          throw new Error(access.error);
+        }
+      }
+
       // Step 1: Approve tokens
       setStep('approving');
       console.log('Approving tokens...');
@@ -212,7 +250,8 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
           txHash: joinResult.txHash,
           tokenBalance: tokenBalance,
           // Use on-chain room buy-in (in token units) as starting chips for off-chain game
-          buyInTokens: Number(ethers.formatEther(roomDetails.buyIn))
+          buyInTokens: Number(ethers.formatEther(roomDetails.buyIn)),
+          password
         });
 
         // Wait for backend confirmation
@@ -248,6 +287,8 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
         errorMessage = 'You have already joined this room';
       } else if (err.message.includes('Room is full')) {
         errorMessage = 'Room is full';
+      } else if (err.message.includes('Not invited')) {
+        errorMessage = 'This room is invite-only and your wallet is not on the list';
       }
 
       setError(errorMessage);
@@ -304,7 +345,7 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
                 Room Code
               </label>
               <p className="text-xs text-gray-500 -mt-2">
-                Enter a 6-character room code (e.g., A399E5) or full blockchain ID
+                Enter a room code (e.g., K7M2QX), a word code (e.g., lucky-tiger-42) or full blockchain ID
               </p>
               <div className="flex gap-2 relative group">
                 <div className="relative flex-1">
@@ -312,9 +353,9 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
                     type="text"
                     value={roomCodeInput}
                     onChange={(e) => handleRoomCodeChange(e.target.value)}
-                    placeholder="A399E5 or 0x..."
+                    placeholder="K7M2QX, lucky-tiger-42 or 0x..."
                     disabled={loading || loadingDetails || resolvingCode}
-                    className="bg-black/50 border-white/10 text-white font-mono text-sm placeholder:text-gray-700 h-12 px-4 rounded-xl focus:border-white/20 transition-all focus:ring-1 focus:ring-white/10 w-full uppercase"
+                    className="bg-black/50 border-white/10 text-white font-mono text-sm placeholder:text-gray-700 h-12 px-4 rounded-xl focus:border-white/20 transition-all focus:ring-1 focus:ring-white/10 w-full"
                   />
                 </div>
                 <Button
@@ -371,6 +412,25 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
               </div>
             </div>
 
+            {/* Room Password */}
+            {needsPassword && (
+              <div className="space-y-2">
+                <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                  <Lock className="w-3 h-3 text-gray-400" />
+                  Room Password
+                </label>
+                <Input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && !loading && handleJoin()}
+                  placeholder="Ask the host for it"
+                  disabled={loading}
+                  className="bg-black/50 border-white/10 text-white font-mono text-sm placeholder:text-gray-700 h-12 px-4 rounded-xl focus:border-white/20 transition-all w-full"
+                />
+              </div>
+            )}
+
             {/* Transaction Status */}
             {loading && (
               <div className="bg-blue-500/10 border border-blue-500/20 rounded-2xl p-4 animate-pulse flex items-center gap-4">
@@ -380,6 +440,8 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
                 <div>
                   <p className="text-sm font-bold text-blue-100">Processing Transaction</p>
                   <p className="text-xs text-blue-300/70 mt-0.5">
+                    {step === 'signing' && 'Signing In... Check Wallet.'}
+                    {step === 'checking' && 'Checking Room Access...'}
                     {step === 'approving' && 'Approving Token Spend... Check Wallet.'}
                     {step === 'joining' && 'Joining Room on Chain... Check Wallet.'}
                   </p>
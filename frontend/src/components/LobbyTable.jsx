@@ -0,0 +1,188 @@
+import { useState, useEffect } from 'react';
+import { ArrowUp, ArrowDown, Eye, LogIn, Coins } from 'lucide-react';
+import Button from './Button';
+import Input from './Input';
+import { cn, formatChips } from '@/lib/utils';
+import { VARIANTS, getVariantName } from '@/lib/variants';
+
+const COLUMNS = [
+  { key: 'shortCode', label: 'Table' },
+  { key: 'buyIn', label: 'Buy-in' },
+  { key: 'players', label: 'Seats' },
+  { key: 'variant', label: 'Variant' },
+  { key: 'status', label: 'Status' },
+  { key: 'averagePot', label: 'Avg pot' },
+];
+
+function compareRooms(a, b, key) {
+  const x = a[key] ?? -1;
+  const y = b[key] ?? -1;
+  if (typeof x === 'string') return x.localeCompare(y);
+  return x - y;
+}
+
+/**
+ * The lobby: every blockchain table the server lists, live over the
+ * lobbyUpdate channel. Waiting tables with a free seat can be joined;
+ * tables already playing can be watched.
+ */
+export default function LobbyTable({ socket, canJoin, onJoin, onWatch }) {
+  const [rooms, setRooms] = useState([]);
+  const [status, setStatus] = useState('all');
+  const [variant, setVariant] = useState('all');
+  const [minBuyIn, setMinBuyIn] = useState('');
+  const [maxBuyIn, setMaxBuyIn] = useState('');
+  const [sort, setSort] = useState({ key: 'buyIn', ascending: true });
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const subscribe = () => socket.emit('subscribeLobby');
+    const handleLobbyUpdate = ({ rooms: listed }) => setRooms(listed);
+
+    socket.on('lobbyUpdate', handleLobbyUpdate);
+    socket.on('connect', subscribe);
+    subscribe();
+
+    return () => {
+      socket.emit('unsubscribeLobby');
+      socket.off('lobbyUpdate', handleLobbyUpdate);
+      socket.off('connect', subscribe);
+    };
+  }, [socket]);
+
+  function handleSort(key) {
+    setSort((current) => ({ key, ascending: current.key === key ? !current.ascending : true }));
+  }
+
+  const shown = rooms
+    .filter((room) =>
+      (status === 'all' || room.status === status) &&
+      (variant === 'all' || room.variant === variant) &&
+      (minBuyIn === '' || room.buyIn >= Number(minBuyIn)) &&
+      (maxBuyIn === '' || room.buyIn <= Number(maxBuyIn))
+    )
+    .sort((a, b) => compareRooms(a, b, sort.key) * (sort.ascending ? 1 : -1));
+
+  const selectClass = 'h-9 rounded-lg bg-black/40 border border-white/10 text-xs text-gray-300 px-3 focus:outline-none focus:border-white/20';
+
+  return (
+    <div className="w-full max-w-4xl mx-auto glass-panel rounded-3xl p-[1px]">
+      <div className="bg-[#050505]/90 rounded-[23px] p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-5">
+          <h3 className="text-sm font-black text-gray-400 uppercase tracking-[0.3em]">Open Tables</h3>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <select value={status} onChange={(e) => setStatus(e.target.value)} className={selectClass}>
+              <option value="all">Any status</option>
+              <option value="waiting">Waiting</option>
+              <option value="playing">Playing</option>
+            </select>
+            <select value={variant} onChange={(e) => setVariant(e.target.value)} className={selectClass}>
+              <option value="all">Any variant</option>
+              {VARIANTS.map((option) => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+            <Input
+              type="number"
+              min="0"
+              value={minBuyIn}
+              onChange={(e) => setMinBuyIn(e.target.value)}
+              placeholder="Min buy-in"
+              className="h-9 w-28 bg-black/40 border-white/10 text-xs text-white font-mono"
+            />
+            <Input
+              type="number"
+              min="0"
+              value={maxBuyIn}
+              onChange={(e) => setMaxBuyIn(e.target.value)}
+              placeholder="Max buy-in"
+              className="h-9 w-28 bg-black/40 border-white/10 text-xs text-white font-mono"
+            />
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead>
+              <tr className="border-b border-white/5">
+                {COLUMNS.map((column) => (
+                  <th key={column.key} className="py-2 px-3">
+                    <button
+                      onClick={() => handleSort(column.key)}
+                      className="flex items-center gap-1 text-[10px] font-bold uppercase tracking-widest text-gray-500 hover:text-white transition-colors"
+                    >
+                      {column.label}
+                      {sort.key === column.key && (sort.ascending
+                        ? <ArrowUp className="w-3 h-3" />
+                        : <ArrowDown className="w-3 h-3" />)}
+                    </button>
+                  </th>
+                ))}
+                <th className="py-2 px-3"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.length === 0 && (
+                <tr>
+                  <td colSpan={COLUMNS.length + 1} className="py-10 text-center text-gray-600 text-sm">
+                    {rooms.length === 0 ? 'No tables yet - create one!' : 'No tables match these filters'}
+                  </td>
+                </tr>
+              )}
+              {shown.map((room) => (
+                <tr key={room.roomId} className="border-b border-white/5 last:border-0 hover:bg-white/[0.02] transition-colors">
+                  <td className="py-3 px-3 font-mono font-bold text-white">{room.shortCode}</td>
+                  <td className="py-3 px-3 font-mono text-yellow-100">
+                    <span className="flex items-center gap-1">
+                      <Coins className="w-3 h-3 text-yellow-500" />
+                      {formatChips(room.buyIn)}
+                    </span>
+                  </td>
+                  <td className="py-3 px-3 font-mono text-gray-300">{room.players}/{room.maxPlayers}</td>
+                  <td className="py-3 px-3 text-gray-300">{getVariantName(room.variant)}</td>
+                  <td className="py-3 px-3">
+                    <span className={cn(
+                      'text-[10px] font-bold uppercase tracking-wider',
+                      room.status === 'waiting' ? 'text-yellow-400' : 'text-green-400'
+                    )}>
+                      {room.status === 'waiting' ? 'Waiting' : `Hand #${room.handNumber}`}
+                    </span>
+                  </td>
+                  <td className="py-3 px-3 font-mono text-gray-400">
+                    {room.averagePot === null ? '-' : formatChips(room.averagePot)}
+                  </td>
+                  <td className="py-3 px-3 text-right">
+                    {room.joinable ? (
+                      <Button
+                        onClick={() => onJoin(room.roomId)}
+                        disabled={!canJoin}
+                        title={canJoin ? undefined : 'Connect your wallet to join'}
+                        size="sm"
+                        className="h-8 px-4 rounded-full bg-white/10 hover:bg-white/20 border-white/20 text-xs"
+                      >
+                        <LogIn className="w-3 h-3 mr-1" />
+                        Join
+                      </Button>
+                    ) : (
+                      <Button
+                        onClick={() => onWatch(room.roomId)}
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 px-4 rounded-full hover:bg-white/10 border border-white/5 text-xs"
+                      >
+                        <Eye className="w-3 h-3 mr-1" />
+                        Watch
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
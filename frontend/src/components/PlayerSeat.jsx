@@ -1,5 +1,5 @@
 import { useEffect, useRef } from 'react';
-import { X, Trophy } from 'lucide-react';
+import { X, Trophy, WifiOff, Coffee } from 'lucide-react';
 import { cn, formatChips } from '@/lib/utils';
 import PlayingCard from './PlayingCard';
 import gsap from 'gsap';
@@ -11,26 +11,38 @@ export default function PlayerSeat({
   cards = [],
   showCards = false,
   position = 'bottom', // 'bottom' (hero), 'top', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right'
+  turnDeadline = null, // Local ms timestamp this seat's turn runs out (null: no turn clock)
+  turnDuration = 0, // ms the full ring stands for
+  usingTimeBank = false,
   className
 }) {
   const progressCircleRef = useRef(null);
 
-  // Timer Animation
+  // Countdown ring: drains from wherever the turn clock is now to empty at the deadline
   useEffect(() => {
-    if (isCurrentPlayer && progressCircleRef.current) {
-      const circumference = 2 * Math.PI * 46; // r=46
-      gsap.fromTo(progressCircleRef.current,
-        { strokeDashoffset: 0 },
-        { strokeDashoffset: circumference, duration: 15, ease: "linear" }
-      );
-    } else {
-      gsap.killTweensOf(progressCircleRef.current);
+    const circle = progressCircleRef.current;
+    if (!circle) return;
+    gsap.killTweensOf(circle);
+    if (!isCurrentPlayer || !turnDeadline || !turnDuration) {
+      gsap.set(circle, { strokeDashoffset: 0 });
+      return;
     }
-  }, [isCurrentPlayer]);
+
+    const circumference = 2 * Math.PI * 46; // r=46
+    const remaining = Math.max(0, turnDeadline - Date.now());
+    const elapsed = 1 - Math.min(1, remaining / turnDuration);
+    gsap.fromTo(circle,
+      { strokeDashoffset: circumference * elapsed },
+      { strokeDashoffset: circumference, duration: remaining / 1000, ease: "linear" }
+    );
+    return () => gsap.killTweensOf(circle);
+  }, [isCurrentPlayer, turnDeadline, turnDuration]);
 
   const isHero = position === 'bottom';
-  const isFolded = player.isFolded;
+  const isSittingOut = player.isSittingOut; // Keeps the seat, not dealt in
+  const isFolded = player.isFolded && !isSittingOut;
   const isWinner = player.isWinner;
+  const isDisconnected = player.isConnected === false; // Seat held while they reconnect
 
   return (
     <div className={cn('relative group flex flex-col items-center justify-center', className)}>
@@ -95,7 +107,7 @@ export default function PlayerSeat({
                 ref={progressCircleRef}
                 cx="50%" cy="50%" r="46"
                 fill="none"
-                stroke="url(#timerGradient)"
+                stroke={usingTimeBank ? "url(#timeBankGradient)" : "url(#timerGradient)"}
                 strokeWidth="4"
                 strokeLinecap="round"
                 strokeDasharray={2 * Math.PI * 46}
@@ -108,6 +120,10 @@ export default function PlayerSeat({
                 <stop offset="0%" stopColor="#fbbf24" />
                 <stop offset="100%" stopColor="#f59e0b" />
               </linearGradient>
+              <linearGradient id="timeBankGradient" x1="0%" y1="0%" x2="100%" y2="0%">
+                <stop offset="0%" stopColor="#60a5fa" />
+                <stop offset="100%" stopColor="#3b82f6" />
+              </linearGradient>
             </defs>
           </svg>
         </div>
@@ -131,9 +147,16 @@ export default function PlayerSeat({
             <img
               src={`https://api.dicebear.com/7.x/avataaars/svg?seed=${player.name}`}
               alt={player.name}
-              className={cn("w-full h-full object-cover transition-opacity", isFolded ? "opacity-40 grayscale" : "")}
+              className={cn("w-full h-full object-cover transition-opacity", (isFolded || isDisconnected || isSittingOut) ? "opacity-40 grayscale" : "")}
             />
 
+            {/* Disconnected Overlay */}
+            {isDisconnected && !isFolded && !isSittingOut && (
+              <div className="absolute inset-0 flex items-center justify-center bg-black/50">
+                <WifiOff className="w-7 h-7 text-gray-300/80" />
+              </div>
+            )}
+
             {/* Fold Overlay */}
             {isFolded && (
               <div className="absolute inset-0 flex items-center justify-center bg-black/60 backdrop-blur-[1px]">
@@ -141,6 +164,13 @@ export default function PlayerSeat({
               </div>
             )}
 
+            {/* Sitting Out Overlay */}
+            {isSittingOut && (
+              <div className="absolute inset-0 flex items-center justify-center bg-black/60">
+                <Coffee className="w-7 h-7 text-gray-300/80" />
+              </div>
+            )}
+
             {/* Winner Overlay */}
             {isWinner && (
               <div className="absolute inset-0 flex items-center justify-center bg-yellow-500/20 mix-blend-overlay"></div>
@@ -179,7 +209,7 @@ export default function PlayerSeat({
             "text-[10px] font-black font-mono tracking-widest uppercase",
             isCurrentPlayer ? "text-yellow-400" : "text-gray-500"
           )}>
-            {formatChips(player.chips)}
+            {player.isAllIn ? "All in" : formatChips(player.chips)}
           </div>
         </div>
       </div>
@@ -0,0 +1,240 @@
+import { useState, useEffect } from 'react';
+import { X, Loader2, Users, Coins, AlertCircle, Zap } from 'lucide-react';
+import Button from './Button';
+import Input from './Input';
+import { useWallet } from '@/hooks/useWallet';
+import { cn, formatChips } from '@/lib/utils';
+import { signInSocket } from '@/lib/walletAuth';
+
+/**
+ * "Play now": ask the server for a seat at a stake and table size. It sends
+ * us to a waiting table (onMatched), asks us to open one for the players it
+ * matched us with (onHost), or keeps us in its queue until it can.
+ */
+export default function QuickSeatModal({ isOpen, onClose, onMatched, onHost, socket }) {
+  const { signer, chainId } = useWallet();
+  const [minBuyIn, setMinBuyIn] = useState('100');
+  const [maxBuyIn, setMaxBuyIn] = useState('1000');
+  const [players, setPlayers] = useState(4);
+  const [step, setStep] = useState('input'); // input, signing, searching, waiting
+  const [queueStatus, setQueueStatus] = useState(null); // { waiting, players }
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!socket || !isOpen) return;
+
+    const handleQueued = (status) => {
+      setQueueStatus(status);
+      setStep('searching');
+    };
+    const handleWaiting = () => setStep('waiting');
+    const handleMatched = ({ roomId }) => {
+      setStep('input');
+      onMatched(roomId);
+    };
+    const handleHost = (match) => {
+      setStep('input');
+      onHost(match);
+    };
+    const handleCancelled = ({ message }) => {
+      setStep('input');
+      setError(message);
+    };
+    const handleError = ({ message }) => {
+      setStep('input');
+      setError(message);
+    };
+
+    socket.on('quickSeatQueued', handleQueued);
+    socket.on('quickSeatWaiting', handleWaiting);
+    socket.on('quickSeatMatched', handleMatched);
+    socket.on('quickSeatHost', handleHost);
+    socket.on('quickSeatCancelled', handleCancelled);
+    socket.on('error', handleError);
+
+    return () => {
+      socket.off('quickSeatQueued', handleQueued);
+      socket.off('quickSeatWaiting', handleWaiting);
+      socket.off('quickSeatMatched', handleMatched);
+      socket.off('quickSeatHost', handleHost);
+      socket.off('quickSeatCancelled', handleCancelled);
+      socket.off('error', handleError);
+    };
+  }, [socket, isOpen, onMatched, onHost]);
+
+  if (!isOpen) return null;
+
+  const busy = step !== 'input';
+
+  async function handlePlayNow() {
+    const min = Number(minBuyIn);
+    const max = Number(maxBuyIn);
+    if (!(min > 0) || !(max >= min)) {
+      setError('Enter a buy-in range, with the minimum no more than the maximum');
+      return;
+    }
+
+    setError('');
+    try {
+      // The server queues wallets, so it needs to know ours
+      setStep('signing');
+      await signInSocket(socket, signer, chainId);
+      setStep('searching');
+      socket.emit('quickSeat', { minBuyIn: min, maxBuyIn: max, players });
+    } catch (err) {
+      console.error('Error signing in for quick seat:', err);
+      setStep('input');
+      setError(err.message.includes('user rejected') ? 'Signature rejected by user' : err.message);
+    }
+  }
+
+  function handleClose() {
+    if (step === 'searching' || step === 'waiting') {
+      socket.emit('cancelQuickSeat');
+    }
+    if (step !== 'signing') {
+      setStep('input');
+      setQueueStatus(null);
+      setError('');
+      onClose();
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center p-4 z-[100] animate-fade-in duration-300">
+      <div className="glass-panel w-full max-w-md rounded-3xl p-[1px] relative overflow-hidden shadow-2xl animate-zoom-in duration-300">
+        <div className="absolute inset-0 bg-gradient-to-br from-white/10 to-transparent pointer-events-none"></div>
+
+        <div className="bg-[#050505]/95 backdrop-blur-2xl rounded-[23px] relative z-10 overflow-hidden">
+
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-white/5 bg-gradient-to-b from-white/5 to-transparent">
+            <div className="flex items-center gap-3">
+              <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-gray-800 to-black border border-white/10 flex items-center justify-center shadow-inner">
+                <Zap className="w-5 h-5 text-gray-300" />
+              </div>
+              <div>
+                <h2 className="text-xl font-black text-white tracking-wide uppercase font-display">Play Now</h2>
+                <p className="text-[10px] text-gray-400 font-bold uppercase tracking-wider">Find a seat at your stake</p>
+              </div>
+            </div>
+
+            <Button
+              onClick={handleClose}
+              disabled={step === 'signing'}
+              variant="ghost"
+              size="icon"
+              className="text-gray-500 hover:text-white transition-colors hover:bg-white/5 rounded-full"
+            >
+              <X className="w-5 h-5" />
+            </Button>
+          </div>
+
+          {/* Content */}
+          <div className="p-8 space-y-6">
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                <Coins className="w-3 h-3 text-yellow-500" />
+                Buy-in Range (TPT)
+              </label>
+              <div className="flex items-center gap-3">
+                <Input
+                  type="number"
+                  min="1"
+                  value={minBuyIn}
+                  onChange={(e) => setMinBuyIn(e.target.value)}
+                  placeholder="Min"
+                  disabled={busy}
+                  className="bg-black/50 border-white/10 text-white font-mono text-sm placeholder:text-gray-700 h-12 px-4 rounded-xl focus:border-white/20 transition-all w-full"
+                />
+                <span className="text-gray-600 text-xs">to</span>
+                <Input
+                  type="number"
+                  min="1"
+                  value={maxBuyIn}
+                  onChange={(e) => setMaxBuyIn(e.target.value)}
+                  placeholder="Max"
+                  disabled={busy}
+                  className="bg-black/50 border-white/10 text-white font-mono text-sm placeholder:text-gray-700 h-12 px-4 rounded-xl focus:border-white/20 transition-all w-full"
+                />
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                <Users className="w-3 h-3 text-blue-400" />
+                Players
+              </label>
+              <div className="flex bg-black/40 p-1 rounded-xl border border-white/10">
+                {[2, 3, 4, 5, 6].map(num => (
+                  <button
+                    key={num}
+                    onClick={() => setPlayers(num)}
+                    disabled={busy}
+                    className={cn(
+                      'flex-1 h-9 rounded-lg text-xs font-bold transition-all duration-300 font-mono',
+                      players === num
+                        ? 'bg-white/10 text-white shadow-lg border border-white/10'
+                        : 'text-gray-600 hover:text-gray-300 hover:bg-white/5'
+                    )}
+                  >
+                    {num}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Matchmaking Status */}
+            {busy && (
+              <div className="bg-blue-500/10 border border-blue-500/20 rounded-2xl p-4 animate-pulse flex items-center gap-4">
+                <div className="w-10 h-10 rounded-full bg-blue-500/20 flex items-center justify-center">
+                  <Loader2 className="w-5 h-5 text-blue-400 animate-spin" />
+                </div>
+                <div>
+                  <p className="text-sm font-bold text-blue-100">
+                    {step === 'signing' && 'Signing In... Check Wallet.'}
+                    {step === 'searching' && 'Looking for a Table'}
+                    {step === 'waiting' && 'Players Matched'}
+                  </p>
+                  <p className="text-xs text-blue-300/70 mt-0.5">
+                    {step === 'searching' && (queueStatus
+                      ? `${queueStatus.waiting} of ${queueStatus.players} players ready at ${formatChips(Number(minBuyIn))}-${formatChips(Number(maxBuyIn))} TPT`
+                      : 'Checking open tables...')}
+                    {step === 'waiting' && 'Waiting for the first player to open the table...'}
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {/* Error Message */}
+            {error && (
+              <div className="bg-red-500/10 border border-red-500/20 rounded-xl p-4 flex items-start gap-3">
+                <AlertCircle className="w-5 h-5 text-red-500 shrink-0" />
+                <p className="text-red-200 text-xs font-medium leading-relaxed">{error}</p>
+              </div>
+            )}
+
+            {/* Action Buttons */}
+            <div className="flex gap-4 pt-2">
+              <Button
+                onClick={handleClose}
+                disabled={step === 'signing'}
+                variant="outline"
+                className="flex-1 h-12 bg-transparent border-white/10 hover:bg-white/5 text-gray-400 hover:text-white"
+              >
+                {busy ? 'Stop Looking' : 'Cancel'}
+              </Button>
+              <Button
+                onClick={handlePlayNow}
+                disabled={busy || !socket}
+                className="flex-1 h-12 bg-gradient-to-r from-amber-600 via-yellow-500 to-slate-300 hover:from-amber-500 hover:via-yellow-400 hover:to-slate-200 text-gray-900 font-black tracking-wide shadow-[0_0_20px_rgba(234,179,8,0.4)] border border-white/40"
+              >
+                Play Now
+              </Button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import { useState } from 'react';
+import { ethers } from 'ethers';
+import { X, Loader2, Coins, AlertCircle, PlusCircle } from 'lucide-react';
+import Button from './Button';
+import Input from './Input';
+import { useContracts } from '@/hooks/useContracts';
+import { formatChips } from '@/lib/utils';
+
+// Ask the server first: it checks the room's rebuy limits before any
+// tokens leave the wallet
+function requestRebuy(socket, chips) {
+  return new Promise((resolve, reject) => {
+    const onApproved = (data) => {
+      socket.off('error', onError);
+      resolve(data);
+    };
+    const onError = ({ message }) => {
+      socket.off('rebuyApproved', onApproved);
+      reject(new Error(message));
+    };
+    socket.once('rebuyApproved', onApproved);
+    socket.once('error', onError);
+    socket.emit('requestRebuy', { chips });
+  });
+}
+
+/**
+ * Rebuy or top up during a cash session: pay more tokens into the room
+ * on-chain and the server adds the same number of chips to our stack.
+ */
+export default function RebuyModal({ isOpen, onClose, onSubmitted, socket, session, playerId }) {
+  const { rebuy, approveTokens, contractAddresses } = useContracts();
+  const standing = session?.standings.find((s) => s.playerId === playerId);
+  const { maxRebuys = 0, maxStack = 0 } = session?.rebuyRules || {};
+  const rebuysUsed = standing?.rebuys?.length || 0;
+  const room = maxStack > 0 && standing ? Math.max(maxStack - standing.chips, 0) : null;
+
+  const [amount, setAmount] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [step, setStep] = useState('input'); // input, checking, approving, paying
+
+  if (!isOpen) return null;
+
+  async function handleRebuy() {
+    const chips = Number(amount || room);
+    if (!Number.isInteger(chips) || chips < 1) {
+      setError('Enter a whole number of chips');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      setStep('checking');
+      const { blockchainRoomId } = await requestRebuy(socket, chips);
+
+      // One token is one chip
+      const tokens = ethers.parseEther(chips.toString());
+
+      setStep('approving');
+      const approveResult = await approveTokens(contractAddresses.TeenPattiGame, tokens);
+      if (!approveResult.success) {
+        throw new Error(approveResult.error || 'Failed to approve tokens');
+      }
+
+      setStep('paying');
+      const rebuyResult = await rebuy(blockchainRoomId, tokens);
+      if (!rebuyResult.success) {
+        throw new Error(rebuyResult.error || 'Failed to rebuy');
+      }
+
+      setLoading(false);
+      setStep('input');
+      setAmount('');
+      onSubmitted(chips, rebuyResult.txHash);
+    } catch (err) {
+      console.error('Error rebuying:', err);
+      setLoading(false);
+      setStep('input');
+      setError(err.message.includes('user rejected') ? 'Transaction rejected by user' : err.message);
+    }
+  }
+
+  function handleClose() {
+    if (!loading) {
+      setStep('input');
+      setError('');
+      onClose();
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm flex items-center justify-center p-4 z-[100] animate-fade-in duration-300">
+      <div className="glass-panel w-full max-w-md rounded-3xl p-[1px] relative overflow-hidden shadow-2xl animate-zoom-in duration-300">
+        <div className="absolute inset-0 bg-gradient-to-br from-white/10 to-transparent pointer-events-none"></div>
+
+        <div className="bg-[#050505]/95 backdrop-blur-2xl rounded-[23px] relative z-10 overflow-hidden">
+
+          {/* Header */}
+          <div className="flex items-center justify-between p-6 border-b border-white/5 bg-gradient-to-b from-white/5 to-transparent">
+            <div className="flex items-center gap-3">
+              <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-gray-800 to-black border border-white/10 flex items-center justify-center shadow-inner">
+                <PlusCircle className="w-5 h-5 text-gray-300" />
+              </div>
+              <div>
+                <h2 className="text-xl font-black text-white tracking-wide uppercase font-display">Rebuy</h2>
+                <p className="text-[10px] text-gray-400 font-bold uppercase tracking-wider">Top up your stack</p>
+              </div>
+            </div>
+
+            <Button
+              onClick={handleClose}
+              disabled={loading}
+              variant="ghost"
+              size="icon"
+              className="text-gray-500 hover:text-white transition-colors hover:bg-white/5 rounded-full"
+            >
+              <X className="w-5 h-5" />
+            </Button>
+          </div>
+
+          {/* Content */}
+          <div className="p-8 space-y-6">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="bg-black/40 rounded-xl p-3 border border-white/5">
+                <p className="text-[10px] font-bold text-gray-500 uppercase tracking-wider mb-1">Stack</p>
+                <p className="text-white font-mono font-bold">{standing ? formatChips(standing.chips) : '-'}</p>
+              </div>
+              <div className="bg-black/40 rounded-xl p-3 border border-white/5">
+                <p className="text-[10px] font-bold text-gray-500 uppercase tracking-wider mb-1">Rebuys</p>
+                <p className="text-white font-mono font-bold">
+                  {rebuysUsed} / {maxRebuys === 0 ? '∞' : maxRebuys}
+                </p>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-[10px] font-black text-gray-500 uppercase tracking-[0.2em] flex items-center gap-2">
+                <Coins className="w-3 h-3 text-yellow-500" />
+                Chips (1 TPT each)
+              </label>
+              <Input
+                type="number"
+                min="1"
+                step="1"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder={room ? `Up to ${room}` : 'Amount'}
+                disabled={loading}
+                className="bg-black/50 border-white/10 text-white font-mono text-sm placeholder:text-gray-700 h-12 px-4 rounded-xl focus:border-white/20 transition-all w-full"
+              />
+              {maxStack > 0 && (
+                <p className="text-xs text-gray-500">A rebuy can take your stack up to {formatChips(maxStack)} chips.</p>
+              )}
+            </div>
+
+            {/* Transaction Status */}
+            {loading && (
+              <div className="bg-blue-500/10 border border-blue-500/20 rounded-2xl p-4 animate-pulse flex items-center gap-4">
+                <div className="w-10 h-10 rounded-full bg-blue-500/20 flex items-center justify-center">
+                  <Loader2 className="w-5 h-5 text-blue-400 animate-spin" />
+                </div>
+                <div>
+                  <p className="text-sm font-bold text-blue-100">Processing Transaction</p>
+                  <p className="text-xs text-blue-300/70 mt-0.5">
+                    {step === 'checking' && 'Checking the room\'s rebuy limits...'}
+                    {step === 'approving' && 'Approving Token Spend... Check Wallet.'}
+                    {step === 'paying' && 'Paying into the Room on Chain... Check Wallet.'}
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {/* Error Message */}
+            {error && (
+              <div className="bg-red-500/10 border border-red-500/20 rounded-xl p-4 flex items-start gap-3">
+                <AlertCircle className="w-5 h-5 text-red-500 shrink-0" />
+                <p className="text-red-200 text-xs font-medium leading-relaxed">{error}</p>
+              </div>
+            )}
+
+            {/* Action Buttons */}
+            <div className="flex gap-4 pt-2">
+              <Button
+                onClick={handleClose}
+                disabled={loading}
+                variant="outline"
+                className="flex-1 h-12 bg-transparent border-white/10 hover:bg-white/5 text-gray-400 hover:text-white"
+              >
+                Cancel
+              </Button>
+              <Button
+                onClick={handleRebuy}
+                disabled={loading || (!amount && !room)}
+                className="flex-1 h-12 bg-gradient-to-r from-amber-600 via-yellow-500 to-slate-300 hover:from-amber-500 hover:via-yellow-400 hover:to-slate-200 text-gray-900 font-black tracking-wide shadow-[0_0_20px_rgba(234,179,8,0.4)] border border-white/40"
+              >
+                {loading ? (
+                  <>
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    Processing...
+                  </>
+                ) : (
+                  'Confirm Rebuy'
+                )}
+              </Button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import { cn, formatChips } from '@/lib/utils';
+
+function formatNet(net) {
+  if (net === 0) return '±0';
+  return `${net > 0 ? '+' : '-'}${formatChips(Math.abs(net))}`;
+}
+
+function netClass(net) {
+  return net > 0 ? 'text-green-400' : net < 0 ? 'text-red-400' : 'text-gray-500';
+}
+
+/**
+ * A cash session's running ledger: the last hand's result for every player
+ * in it, the totals since everyone sat down, and every earlier hand on demand.
+ */
+export default function SessionLedger({ session, lastHand, playerId, className }) {
+  const [showHistory, setShowHistory] = useState(false);
+  if (!session) return null;
+
+  const nameOf = (id) => session.standings.find((s) => s.playerId === id)?.name || id.slice(0, 6);
+  const standings = [...session.standings].sort((a, b) => b.net - a.net);
+
+  return (
+    <div className={cn('bg-white/[0.03] rounded-2xl p-5 border border-white/5 text-left', className)}>
+      <div className="flex items-center justify-between mb-3 px-1">
+        <p className="text-gray-500 text-[10px] font-bold tracking-[0.2em] uppercase">
+          Session · {session.handNumber} {session.handNumber === 1 ? 'hand' : 'hands'}
+        </p>
+        <p className="text-gray-500 text-[10px] font-bold tracking-[0.2em] uppercase">Net</p>
+      </div>
+
+      {lastHand && (
+        <div className="mb-3 px-1">
+          <p className="text-gray-400 text-xs font-bold mb-1">Hand #{lastHand.handNumber}</p>
+          {lastHand.results.map((result) => (
+            <div key={result.playerId} className="flex justify-between text-xs font-mono">
+              <span className={result.playerId === playerId ? 'text-yellow-100' : 'text-gray-400'}>
+                {nameOf(result.playerId)}
+              </span>
+              <span className={netClass(result.net)}>{formatNet(result.net)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-1 pt-3 border-t border-white/5 px-1">
+        {standings.map((standing) => (
+          <div key={standing.playerId} className="flex items-center justify-between text-sm font-mono">
+            <span className={standing.playerId === playerId ? 'text-yellow-100 font-bold' : 'text-gray-300'}>
+              {standing.name}
+              {standing.rebuys?.length > 0 && (
+                <span className="text-gray-600 text-[10px] ml-1">+{standing.rebuys.length} rebuy</span>
+              )}
+            </span>
+            <span className="flex items-center gap-3">
+              <span className="text-gray-500 text-xs">{formatChips(standing.chips)}</span>
+              <span className={cn('font-bold', netClass(standing.net))}>{formatNet(standing.net)}</span>
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {session.hands.length > 1 && (
+        <>
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="mt-3 w-full flex items-center justify-center gap-1 text-[10px] text-gray-500 hover:text-gray-300 font-bold uppercase tracking-wider"
+          >
+            {showHistory ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+            Every hand
+          </button>
+          {showHistory && (
+            <div className="mt-2 max-h-[160px] overflow-y-auto custom-scrollbar space-y-2 px-1">
+              {[...session.hands].reverse().map((hand) => (
+                <div key={hand.handNumber} className="text-xs font-mono">
+                  <p className="text-gray-500">#{hand.handNumber} · {hand.reason}</p>
+                  {hand.results.map((result) => (
+                    <div key={result.playerId} className="flex justify-between pl-2">
+                      <span className="text-gray-400">{nameOf(result.playerId)}</span>
+                      <span className={netClass(result.net)}>{formatNet(result.net)}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -257,7 +257,9 @@ export function useContracts() {
   }
 
   // Game functions
-  async function createRoom(buyIn, maxPlayers) {
+  // With `invited` wallets the room is invite-only on-chain: nobody else can
+  // join it (or lock a buy-in in it)
+  async function createRoom(buyIn, maxPlayers, invited = []) {
     if (!gameContract || !signer) throw new Error('Contract not initialized');
 
     try {
@@ -288,7 +290,9 @@ export function useContracts() {
 
       console.log('🎮 Creating room with buy-in:', ethers.formatEther(buyIn), 'TPT, max players:', maxPlayers);
 
-      const tx = await gameContract.createRoom(buyIn, maxPlayers);
+      const tx = invited.length > 0
+        ? await gameContract.createInviteOnlyRoom(buyIn, maxPlayers, invited)
+        : await gameContract.createRoom(buyIn, maxPlayers);
       console.log('Create room tx:', tx.hash);
       const receipt = await tx.wait();
       console.log('Create room confirmed:', receipt);
@@ -306,20 +310,15 @@ export function useContracts() {
       if (event) {
         const parsed = gameContract.interface.parseLog(event);
         const fullRoomId = parsed.args.roomId;
-        const shortRoomId = getShortRoomId(fullRoomId);
 
-        console.log('✅ Room created:', {
-          fullRoomId,
-          shortRoomId,
-          displayCode: shortRoomId.slice(2) // Remove 0x for display
-        });
+        // The code to share is issued by the server once it registers the room
+        console.log('✅ Room created:', fullRoomId);
 
         return {
           success: true,
           txHash: tx.hash,
           receipt,
-          roomId: fullRoomId,
-          shortRoomId: shortRoomId
+          roomId: fullRoomId
         };
       }
 
@@ -345,17 +344,12 @@ export function useContracts() {
     if (!gameContract || !signer) throw new Error('Contract not initialized');
 
     try {
-      // If user enters short ID (6 chars), expand it to full bytes32
-      let fullRoomId = roomId;
-
-      // Check if it's a short ID (less than full 66 chars including 0x)
-      if (roomId.length < 66) {
-        fullRoomId = expandRoomId(roomId);
-        console.log('📝 Expanded room ID:', {
-          input: roomId,
-          expanded: fullRoomId
-        });
+      // Room IDs are full-width hashes: a short code has to be resolved by
+      // the server (resolveRoomCode) first, it can't be expanded here
+      if (!ethers.isHexString(roomId, 32)) {
+        throw new Error('Invalid room ID - enter the room code to look it up');
       }
+      const fullRoomId = roomId;
 
       // Get room details first
       const roomDetails = await gameContract.getRoomDetails(fullRoomId);
@@ -402,6 +396,35 @@ export function useContracts() {
         errorMessage = 'Token approval failed or expired. Please approve tokens again.';
       } else if (error.message.includes('ERC20: transfer amount exceeds balance')) {
         errorMessage = 'Insufficient token balance.';
+      } else if (error.message.includes('Not invited')) {
+        errorMessage = 'This room is invite-only and your wallet is not on the list.';
+      } else if (error.code === 'CALL_EXCEPTION') {
+        errorMessage = 'Transaction would fail. Check token balance and approval.';
+      }
+
+      return { success: false, error: errorMessage };
+    }
+  }
+
+  // Rebuy or top up a running cash game. The tokens must be approved first;
+  // the server credits the chips when it sees the PlayerRebought event.
+  async function rebuy(roomId, amount) {
+    if (!gameContract || !signer) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await gameContract.rebuy(roomId, amount);
+      console.log('Rebuy tx:', tx.hash);
+      const receipt = await tx.wait();
+      console.log('Rebuy confirmed:', receipt);
+      return { success: true, txHash: tx.hash, receipt };
+    } catch (error) {
+      console.error('❌ Error rebuying:', error);
+
+      let errorMessage = error.message;
+      if (error.message.includes('insufficient allowance')) {
+        errorMessage = 'Token approval failed or expired. Please approve tokens again.';
+      } else if (error.message.includes('Game not active')) {
+        errorMessage = 'This game is no longer active.';
       } else if (error.code === 'CALL_EXCEPTION') {
         errorMessage = 'Transaction would fail. Check token balance and approval.';
       }
@@ -540,26 +563,6 @@ export function useContracts() {
     }
   }
 
-  // Helper function to expand short room ID to full bytes32
-  function expandRoomId(shortRoomId) {
-    // Remove "0x" if present
-    let cleanId = shortRoomId.toLowerCase().replace('0x', '');
-
-    // Ensure it's 6 characters
-    cleanId = cleanId.padStart(6, '0');
-
-    // Add zeros to make it 64 characters (32 bytes)
-    const fullId = '0x' + cleanId.padEnd(64, '0');
-
-    return fullId;
-  }
-
-  // Helper function to get short room ID from full ID
-  function getShortRoomId(fullRoomId) {
-    // Get first 6 hex characters (after 0x)
-    return fullRoomId.slice(0, 8).toUpperCase(); // "0x" + 6 chars
-  }
-
   return {
     tokenContract,
     gameContract,
@@ -574,13 +577,11 @@ export function useContracts() {
     // Game functions
     createRoom,
     joinRoom,
+    rebuy,
     leaveRoom,
     getRoomDetails,
     startGame,
     declareWinner,
     settleCashGame,
-    // Helper functions
-    expandRoomId,
-    getShortRoomId,
   };
 }
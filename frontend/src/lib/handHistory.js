@@ -0,0 +1,207 @@
+// Hand history from the backend's append-only log (see backend/handHistory.js)
+// and the step-by-step table states the replay page plays back.
+
+import { getVariantName } from "./variants";
+
+const API_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:3001";
+
+async function getJson(path) {
+  const response = await fetch(`${API_URL}${path}`);
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+}
+
+/**
+ * Every hand played in a room, oldest first
+ */
+export async function fetchRoomHands(roomId) {
+  const { hands } = await getJson(`/api/rooms/${encodeURIComponent(roomId)}/hands`);
+  return hands;
+}
+
+/**
+ * One hand's log entries and whether its hash chain checks out
+ */
+export async function fetchHand(handId) {
+  return getJson(`/api/hands/${encodeURIComponent(handId)}`);
+}
+
+/**
+ * Download link for a hand in a tracker-friendly format
+ * @param {string} handId
+ * @param {"text" | "json"} format - PokerStars-style text or a JSON summary
+ */
+export function handExportUrl(handId, format = "text") {
+  return `${API_URL}/api/hands/${encodeURIComponent(handId)}/export?format=${format}`;
+}
+
+const ACTION_VERBS = {
+  chaal: "chaals",
+  bet: "bets",
+  pack: "packs",
+  fold: "packs",
+  see: "sees their cards",
+};
+
+function shortId(value) {
+  return typeof value === "string" && value.length > 12
+    ? `${value.slice(0, 6)}…${value.slice(-4)}`
+    : value;
+}
+
+/**
+ * Replay a hand's log into one table state per entry. Each frame has the
+ * seats (chips, packed, blind, shown cards), pot, the player who acted, a
+ * line describing the event and how far the hand's proofs had got.
+ * @param {Array} entries - Log entries from fetchHand
+ * @returns {Array<Object>} Frames, in log order
+ */
+export function buildReplayFrames(entries) {
+  let state = {
+    players: [],
+    pot: 0,
+    currentBet: 0,
+    dealerId: null,
+    actorId: null,
+    winnerId: null,
+    proofs: { deckCommitment: null, deal: [], show: [], compare: [] },
+    settlement: null,
+  };
+  const frames = [];
+
+  const nameOf = (id) => state.players.find((p) => p.id === id)?.name || shortId(id);
+  const updatePlayer = (id, changes) => {
+    state.players = state.players.map((p) => (p.id === id ? { ...p, ...changes } : p));
+  };
+
+  entries.forEach((entry) => {
+    const { type, data } = entry;
+    state = { ...state, actorId: null };
+    let description = type;
+
+    switch (type) {
+      case "handStarted":
+        state.players = data.players.map((p) => ({
+          ...p,
+          isFolded: false,
+          isBlind: true,
+          isWinner: false,
+          cards: [],
+        }));
+        state.pot = data.pot;
+        state.currentBet = data.ante;
+        state.dealerId = data.dealerId;
+        description = `${data.handNumber ? `Hand #${data.handNumber}` : "Hand"} started - ${data.players.length} players ante ${data.ante}`;
+        if (data.variant && data.variant !== "classic") {
+          description += ` (${getVariantName(data.variant)}${data.wildRanks?.length ? `, ${data.wildRanks.join("/")} wild` : ""})`;
+        }
+        break;
+
+      case "cardsDealt":
+        state.proofs = { ...state.proofs, deckCommitment: data.deckCommitment?.merkleRoot || null };
+        description = "Deck shuffled by every player and dealt";
+        break;
+
+      case "handProof": {
+        const list = data.circuit === "deal" ? "deal" : "show";
+        state.proofs = { ...state.proofs, [list]: [...state.proofs[list], data.playerId] };
+        state.actorId = data.playerId;
+        description = `${nameOf(data.playerId)}'s ${data.circuit} proof matches the deck commitment`;
+        break;
+      }
+
+      case "action": {
+        const { playerId, action, amount } = data;
+        if (action === "chaal" || action === "bet") {
+          const player = state.players.find((p) => p.id === playerId);
+          updatePlayer(playerId, { chips: player ? player.chips - amount : 0 });
+        } else if (action === "pack" || action === "fold") {
+          updatePlayer(playerId, { isFolded: true });
+        } else if (action === "see") {
+          updatePlayer(playerId, { isBlind: false });
+        }
+        state.pot = data.pot;
+        state.currentBet = data.currentBet;
+        state.actorId = playerId;
+        description = `${nameOf(playerId)} ${ACTION_VERBS[action] || action}`;
+        if (amount && action !== "pack" && action !== "fold") description += ` ${amount}`;
+        if (data.timedOut) description += " (timed out)";
+        break;
+      }
+
+      case "sideshowRequested":
+        state.actorId = data.requesterId;
+        description = `${nameOf(data.requesterId)} asks ${nameOf(data.targetId)} for a sideshow`;
+        break;
+
+      case "sideshowAccepted":
+        state.actorId = data.targetId;
+        description = `${nameOf(data.targetId)} accepts the sideshow`;
+        break;
+
+      case "sideshowDeclined":
+        state.actorId = data.targetId;
+        description = `${nameOf(data.targetId)} declines the sideshow${data.reason ? ` (${data.reason.toLowerCase()})` : ""}`;
+        break;
+
+      case "compareProof":
+        state.proofs = { ...state.proofs, compare: [...state.proofs.compare, data.playerId] };
+        state.actorId = data.playerId;
+        description = `${nameOf(data.playerId)}'s sideshow compare proof verified`;
+        break;
+
+      case "sideshowResult":
+        updatePlayer(data.loserId, { isFolded: true });
+        state.actorId = data.loserId;
+        description = `Sideshow: ${nameOf(data.loserId)} packs (${data.reason})`;
+        break;
+
+      case "showRequested":
+        state.actorId = data.playerId;
+        description = `${nameOf(data.playerId)} calls a show`;
+        break;
+
+      case "showProof":
+        state.proofs = { ...state.proofs, show: [...state.proofs.show, data.playerId] };
+        state.actorId = data.playerId;
+        description = `${nameOf(data.playerId)}'s show proof verified`;
+        break;
+
+      case "showdown":
+        Object.entries(data.hands).forEach(([id, cards]) => updatePlayer(id, { cards }));
+        description = "Hands shown";
+        break;
+
+      case "playerLeft":
+        updatePlayer(data.playerId, { isFolded: true });
+        state.actorId = data.playerId;
+        description = `${nameOf(data.playerId)} left the table`;
+        break;
+
+      case "handEnded":
+        data.playerChips.forEach(({ id, chips }) => updatePlayer(id, { chips }));
+        if (data.winnerId) updatePlayer(data.winnerId, { isWinner: true });
+        state.winnerId = data.winnerId;
+        state.pot = data.pot;
+        description = data.winnerId
+          ? `${nameOf(data.winnerId)} wins ${data.pot} - ${data.reason}`
+          : `Hand ended without a winner - ${data.reason}`;
+        break;
+
+      case "settled":
+        state.settlement = { txHash: data.txHash };
+        description = `Settled on-chain (${shortId(data.txHash)})`;
+        break;
+
+      default:
+        break;
+    }
+
+    frames.push({ ...state, seq: entry.seq, at: entry.at, type, description });
+  });
+
+  return frames;
+}
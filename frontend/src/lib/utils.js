@@ -32,53 +32,85 @@ export function getCardColor(suit) {
 }
 
 /**
- * Extract a short, shareable code from a blockchain room ID
- * Takes the first 6 non-zero hex characters after 0x prefix
- * @param {string} roomId - The full room ID (bytes32 with 0x prefix)
- * @returns {string} - Short code like "a399e5"
+ * Which side of the table a seat faces, counting clockwise from the hero
+ * (index 0, bottom centre)
+ * @param {number} index - Seat index, rotated so the hero is 0
+ * @param {number} total - Players at the table
+ * @returns {string} - PlayerSeat position
  */
-export function getShortRoomCode(roomId) {
-  if (!roomId) return "";
+export function getSeatPosition(index, total) {
+  if (total <= 2) {
+    return index === 0 ? "bottom" : "right"; // Visually on the right
+  }
+  if (total === 3) {
+    return ["bottom", "left", "right"][index];
+  }
+  if (total === 4) {
+    return ["bottom", "left", "top", "right"][index];
+  }
+  if (total === 5) {
+    return ["bottom", "left", "top", "right", "right"][index];
+  }
+  return ["bottom", "left", "left", "top", "right", "right"][index];
+}
 
-  // Remove 0x prefix and get just the hex string
-  const hex = roomId.startsWith("0x") ? roomId.slice(2) : roomId;
+/**
+ * Responsive Tailwind classes placing a seat around the table
+ * @param {number} index - Seat index, rotated so the hero is 0
+ * @param {number} total - Players at the table
+ * @returns {string} - Classes for the seat's wrapper
+ */
+export function getSeatClasses(index, total) {
+  let classes = "absolute pointer-events-auto transition-all duration-500";
 
-  // Find first non-zero character
-  let chars = "";
-  for (let i = 0; i < hex.length && chars.length < 6; i++) {
-    if (hex[i] !== "0" || chars.length > 0) {
-      chars += hex[i];
-    }
+  // Hero (Bottom Center)
+  if (index === 0) {
+    classes += " bottom-[5%] md:bottom-[2%] left-1/2 -translate-x-1/2";
   }
-
-  // If we have at least 6 characters, return them uppercase
-  if (chars.length >= 6) {
-    return chars.slice(0, 6).toUpperCase();
+  // Opponent Logic for 2 Players
+  else if (total === 2) {
+    classes += " top-[15%] md:top-[10%] right-[5%] md:right-[20%]";
+  }
+  // 3 Players Layout
+  else if (total === 3) {
+    if (index === 1) classes += " bottom-[25%] md:bottom-[20%] left-[5%] md:left-[12%]";
+    else if (index === 2) classes += " bottom-[25%] md:bottom-[20%] right-[5%] md:right-[12%]";
+  }
+  // 4 Players Layout
+  else if (total === 4) {
+    if (index === 1) classes += " bottom-[30%] md:bottom-[25%] left-[3%] md:left-[8%]";
+    else if (index === 2) classes += " top-[15%] md:top-[12%] left-[8%] md:left-[15%]";
+    else if (index === 3) classes += " bottom-[30%] md:bottom-[25%] right-[3%] md:right-[8%]";
+  }
+  // Standard 5-6 Players Logic
+  else {
+    if (index === 1) classes += " bottom-[25%] md:bottom-[20%] left-[2%] md:left-[10%]";
+    else if (index === 2) classes += " top-[20%] md:top-[15%] left-[5%] md:left-[15%]";
+    else if (index === 3) classes += " top-[10%] md:top-[8%] left-1/2 -translate-x-1/2";
+    else if (index === 4) classes += " top-[20%] md:top-[15%] right-[5%] md:right-[15%]";
+    else if (index === 5) classes += " bottom-[25%] md:bottom-[20%] right-[2%] md:right-[10%]";
   }
 
-  // Fallback: if roomId is all zeros or very short, use last 6 chars
-  return hex.slice(-6).toUpperCase();
+  return classes;
 }
 
 /**
- * Format a long blockchain room ID to show the short code
- * @param {string} roomId - The full room ID (typically 32 bytes/66 characters with 0x prefix)
- * @returns {string} - Formatted room ID like "A399E5"
+ * Whether a value is a full on-chain room ID (bytes32 with 0x prefix)
+ * @param {string} value
+ * @returns {boolean}
  */
-export function formatRoomId(roomId) {
-  if (!roomId) return "";
-  if (roomId.length <= 10) return roomId;
-  return getShortRoomCode(roomId);
+export function isFullRoomId(value) {
+  return /^0x[0-9a-fA-F]{64}$/.test(value || "");
 }
 
 /**
- * Expand a short room code to search pattern for matching full room IDs
- * @param {string} shortCode - Short code like "a399e5"
- * @returns {string} - Search pattern
+ * Abbreviate a long blockchain room ID for display. Room IDs are full-width
+ * hashes; the code players share is issued by the server (gameState.shortCode).
+ * @param {string} roomId - The full room ID (typically 32 bytes/66 characters with 0x prefix)
+ * @returns {string} - Formatted room ID like "0x3fa9…c21e"
  */
-export function expandShortCode(shortCode) {
-  if (!shortCode) return "";
-  // Remove any spaces or special characters
-  const clean = shortCode.replace(/[^a-fA-F0-9]/g, "").toLowerCase();
-  return clean;
+export function formatRoomId(roomId) {
+  if (!roomId) return "";
+  if (roomId.length <= 10) return roomId;
+  return `${roomId.slice(0, 6)}…${roomId.slice(-4)}`;
 }
@@ -0,0 +1,16 @@
+// Teen Patti variants a room can be created with (see backend/variants.js,
+// which decides dealing and hand rankings)
+
+export const VARIANTS = [
+  { id: "classic", name: "Classic", description: "Standard rankings" },
+  { id: "muflis", name: "Muflis", description: "Lowest hand wins" },
+  { id: "ak47", name: "AK47", description: "A, K, 4 and 7 are wild" },
+  { id: "joker", name: "Joker", description: "A random rank is wild each hand" },
+  { id: "bestOfFour", name: "Best of Four", description: "Four cards, best three play" },
+];
+
+export const DEFAULT_VARIANT = "classic";
+
+export function getVariantName(variantId) {
+  return VARIANTS.find((variant) => variant.id === variantId)?.name || variantId;
+}
@@ -0,0 +1,84 @@
+// Sign-in with Ethereum for the game socket (see backend/walletAuth.js).
+// The server sends a one-time message, the wallet signs it and the socket is
+// bound to the recovered address. The session token it hands back lets a new
+// socket (after a reconnect) or an HTTP call prove the same wallet without
+// another signature.
+
+const AUTH_TIMEOUT_MS = 60000;
+
+let session = null; // { address, token, expiresAt }
+
+function waitForReply(socket, events) {
+  return new Promise((resolve, reject) => {
+    const handlers = {};
+    const cleanup = () => {
+      clearTimeout(timer);
+      Object.entries(handlers).forEach(([event, handler]) => socket.off(event, handler));
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error("Sign-in timed out"));
+    }, AUTH_TIMEOUT_MS);
+
+    events.forEach((event) => {
+      handlers[event] = (payload) => {
+        cleanup();
+        resolve({ event, payload });
+      };
+      socket.once(event, handlers[event]);
+    });
+  });
+}
+
+async function authenticate(socket, credentials) {
+  const reply = waitForReply(socket, ["authResult"]);
+  socket.emit("authenticate", credentials);
+  const { payload } = await reply;
+  return payload;
+}
+
+/**
+ * Make sure this socket is signed in as the wallet behind `signer`. Reuses
+ * the current session when it belongs to the same wallet; otherwise asks the
+ * wallet to sign a fresh challenge.
+ * @returns {Promise<{address: string, token: string, expiresAt: number}>}
+ */
+export async function signInSocket(socket, signer, chainId) {
+  if (!socket || !signer) {
+    throw new Error("Connect your wallet to sign in");
+  }
+  const address = await signer.getAddress();
+
+  if (
+    session &&
+    session.address.toLowerCase() === address.toLowerCase() &&
+    session.expiresAt > Date.now()
+  ) {
+    const resumed = await authenticate(socket, { token: session.token });
+    if (resumed.success) return session;
+    session = null;
+  }
+
+  const challengeReply = waitForReply(socket, ["authChallenge", "authResult"]);
+  socket.emit("requestAuthChallenge", { address, chainId });
+  const { event, payload } = await challengeReply;
+  if (event === "authResult") {
+    throw new Error(payload.error || "Sign-in failed");
+  }
+
+  const signature = await signer.signMessage(payload.message);
+  const result = await authenticate(socket, { signature });
+  if (!result.success) {
+    throw new Error(result.error || "Sign-in failed");
+  }
+
+  session = { address: result.address, token: result.token, expiresAt: result.expiresAt };
+  return session;
+}
+
+/**
+ * Bearer token for authenticated HTTP calls (e.g. settlement), if signed in
+ */
+export function getAuthToken() {
+  return session && session.expiresAt > Date.now() ? session.token : null;
+}
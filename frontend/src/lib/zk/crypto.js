@@ -109,6 +109,21 @@ export function fieldToDecimalString(field) {
   return '0';
 }
 
+/** BN254 scalar field modulus — every circuit input lives below it */
+export const BN254_MODULUS = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+/**
+ * Map a room or player ID (0x-hex) to a circuit field element. Room IDs are
+ * full 32-byte hashes, so they are reduced into the field; the backend does
+ * the same when checking proofs.
+ * @param {string | null | undefined} id
+ * @param {bigint} fallback - Used when the ID is not hex
+ * @returns {bigint}
+ */
+export function idToField(id, fallback) {
+  return typeof id === 'string' && id.startsWith('0x') ? BigInt(id) % BN254_MODULUS : fallback;
+}
+
 // ─── Pedersen Hash Wrappers ──────────────────────────────────────────────────
 
 /**
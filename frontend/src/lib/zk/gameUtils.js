@@ -4,12 +4,15 @@ import {
   MERKLE_DEPTH,
   RANK,
   SUIT,
-  HAND_RANK,
 } from './types.js';
 
+import { evaluateHand, toCircuitCard } from 'teen-patti-hand-evaluator';
+
 import {
+  pedersenHash,
   hashCardUID,
   hashCardCommitment,
+  hashMoveCommitment,
   generateCanonicalDeck,
   generateNonce,
   commitDeck,
@@ -20,20 +23,6 @@ import {
 
 // ─── Card Parsing ────────────────────────────────────────────────────────────
 
-/** Backend rank strings → circuit rank numbers */
-const RANK_MAP = {
-  '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7,
-  '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14,
-};
-
-/** Backend suit strings → circuit suit numbers */
-const SUIT_MAP = {
-  hearts: 0,
-  diamonds: 1,
-  clubs: 2,
-  spades: 3,
-};
-
 /** Reverse: circuit rank numbers → display strings */
 const RANK_DISPLAY = {
   2: '2', 3: '3', 4: '4', 5: '5', 6: '6', 7: '7',
@@ -51,13 +40,7 @@ const SUIT_DISPLAY = {
  * @returns {{rank: number, suit: number}} Circuit-compatible card
  */
 export function parseCard(card) {
-  const rank = RANK_MAP[card.rank];
-  const suit = SUIT_MAP[card.suit];
-
-  if (rank === undefined) throw new Error(`Unknown rank: ${card.rank}`);
-  if (suit === undefined) throw new Error(`Unknown suit: ${card.suit}`);
-
-  return { rank, suit };
+  return toCircuitCard(card);
 }
 
 /**
@@ -105,6 +88,7 @@ export async function cardsToUIDs(cards) {
  * 4. Build Merkle tree of commitments
  *
  * @param {Array<{rank: string, suit: string}>} shuffledCards - Backend deck in shuffled order
+ * @param {bigint[] | null} [deckNonces] - Nonces to commit with (random if omitted)
  * @returns {Promise<{
  *   canonicalUIDs: bigint[],
  *   shuffledUIDs: bigint[],
@@ -114,7 +98,7 @@ export async function cardsToUIDs(cards) {
  *   merkleLayers: bigint[][]
  * }>}
  */
-export async function prepareDeckForZK(shuffledCards) {
+export async function prepareDeckForZK(shuffledCards, deckNonces = null) {
   if (shuffledCards.length !== DECK_SIZE) {
     throw new Error(`Expected ${DECK_SIZE} cards, got ${shuffledCards.length}`);
   }
@@ -125,8 +109,8 @@ export async function prepareDeckForZK(shuffledCards) {
   // 2. Shuffled deck UIDs (in the order the backend shuffled them)
   const shuffledUIDs = await cardsToUIDs(shuffledCards);
 
-  // 3. Random nonces for each card commitment
-  const nonces = Array.from({ length: DECK_SIZE }, () => generateNonce());
+  // 3. Nonces for each card commitment (the dealer's, or fresh random ones)
+  const nonces = deckNonces || Array.from({ length: DECK_SIZE }, () => generateNonce());
 
   // 4. Commit: hash(DOMAIN_CARD_COMMITMENT, uid, nonce) for each card
   const { commitments, root, layers } = await commitDeck(shuffledUIDs, nonces);
@@ -141,6 +125,56 @@ export async function prepareDeckForZK(shuffledCards) {
   };
 }
 
+/**
+ * Rebuild a player's private ZK material from the hand's deck commitment.
+ *
+ * The dealer commits to the deck in canonical order, so a card's leaf
+ * position is its canonical index. Only the owner knows which leaves (and
+ * nonces) are theirs; every leaf is re-checked against the commitment.
+ *
+ * @param {Array<{rank: string, suit: string}>} cards - Our 3 opened cards
+ * @param {bigint[]} nonces - Their opened nonces
+ * @param {{merkleRoot: string, commitments: string[]}} deckCommitment - Published by the dealer
+ * @returns {Promise<{
+ *   positions: number[],
+ *   cardUIDs: bigint[],
+ *   nonces: bigint[],
+ *   merkleRoot: bigint,
+ *   merkleLayers: bigint[][]
+ * }>}
+ */
+export async function prepareHandForZK(cards, nonces, deckCommitment) {
+  if (cards.length !== HAND_SIZE || nonces.length !== HAND_SIZE) {
+    throw new Error(`Expected ${HAND_SIZE} cards and nonces`);
+  }
+
+  const { root, layers } = await buildMerkleTree(deckCommitment.commitments);
+  if (root !== BigInt(deckCommitment.merkleRoot)) {
+    throw new Error('Deck commitments do not match the published Merkle root');
+  }
+
+  const positions = cards.map((card) => {
+    const { rank, suit } = parseCard(card);
+    return getCardIndex(rank, suit);
+  });
+  const cardUIDs = await cardsToUIDs(cards);
+
+  for (let i = 0; i < HAND_SIZE; i++) {
+    const commitment = await hashCardCommitment(cardUIDs[i], nonces[i]);
+    if (commitment !== layers[0][positions[i]]) {
+      throw new Error(`Card ${cards[i].rank} of ${cards[i].suit} does not match the deck commitment`);
+    }
+  }
+
+  return {
+    positions,
+    cardUIDs,
+    nonces,
+    merkleRoot: root,
+    merkleLayers: layers,
+  };
+}
+
 // ─── Circuit Input Builders ──────────────────────────────────────────────────
 
 /**
@@ -238,98 +272,144 @@ export function buildShowInput(
   };
 }
 
-// ─── Hand Evaluation ─────────────────────────────────────────────────────────
-
 /**
- * Evaluate a 3-card Teen Patti hand. Returns the hand ranking and value.
- * This must produce the same result as the circuit's hand_ranking module.
+ * Commit to a hand for a ZK sideshow.
+ *
+ * hand_commitment = hashMoveCommitment(game_id, player_id,
+ *   pedersen(c0, c1, c2, salt)) over the card commitments in ascending deck
+ * order. The salt stops anyone matching the commitment against the public
+ * deck leaves; it is shared only with the sideshow opponent.
  *
- * @param {Array<{rank: number, suit: number}>} cards - 3 cards (numeric)
- * @returns {{handRank: number, handValue: bigint}}
+ * @param {bigint | string} gameId
+ * @param {bigint | string} playerId
+ * @param {Array<{rank: string, suit: string}>} cards - Backend cards [3]
+ * @param {bigint[]}        nonces - Their commitment nonces [3]
+ * @param {bigint}          [salt] - Fresh random salt by default
+ * @returns {Promise<{handCommitment: bigint, hand: import('./types.js').CompareHand}>}
  */
-export function evaluateHand(cards) {
-  if (cards.length !== 3) throw new Error('Hand must have exactly 3 cards');
-
-  // Sort ranks descending for consistent evaluation
-  const sorted = [...cards].sort((a, b) => b.rank - a.rank);
-  const ranks = sorted.map((c) => c.rank);
-  const suits = sorted.map((c) => c.suit);
-
-  const isFlush = suits[0] === suits[1] && suits[1] === suits[2];
-  const isTrail = ranks[0] === ranks[1] && ranks[1] === ranks[2];
-  const isPair = !isTrail && (ranks[0] === ranks[1] || ranks[1] === ranks[2] || ranks[0] === ranks[2]);
-
-  // Sequence check: cards form a consecutive run
-  // Special case: A-2-3 is the lowest sequence
-  let isSequence = false;
-  if (ranks[0] - ranks[1] === 1 && ranks[1] - ranks[2] === 1) {
-    isSequence = true;
-  }
-  // A-2-3: Ace(14), 3, 2 sorted → [14, 3, 2]
-  if (ranks[0] === 14 && ranks[1] === 3 && ranks[2] === 2) {
-    isSequence = true;
+export async function commitHandForCompare(gameId, playerId, cards, nonces, salt = generateNonce()) {
+  if (cards.length !== HAND_SIZE || nonces.length !== HAND_SIZE) {
+    throw new Error(`Expected ${HAND_SIZE} cards and nonces`);
   }
 
-  const isAceLow = ranks[0] === 14 && ranks[1] === 3 && ranks[2] === 2;
-
-  // Detect specific pair types (must match circuit: pair_high vs pair_low)
-  const pairHigh = ranks[0] === ranks[1] && ranks[1] !== ranks[2];
-  const pairLow = ranks[0] !== ranks[1] && ranks[1] === ranks[2];
-
-  let handRank;
-  if (isTrail) {
-    handRank = HAND_RANK.TRAIL;
-  } else if (isSequence && isFlush) {
-    handRank = HAND_RANK.PURE_SEQUENCE;
-  } else if (isSequence) {
-    handRank = HAND_RANK.SEQUENCE;
-  } else if (isFlush) {
-    handRank = HAND_RANK.COLOR;
-  } else if (isPair) {
-    handRank = HAND_RANK.PAIR;
-  } else {
-    handRank = HAND_RANK.HIGH_CARD;
+  const order = cards
+    .map((card, i) => {
+      const { rank, suit } = parseCard(card);
+      return { card, nonce: BigInt(nonces[i]), index: getCardIndex(rank, suit) };
+    })
+    .sort((a, b) => a.index - b.index);
+
+  const hand = {
+    cards: order.map((o) => o.card),
+    nonces: order.map((o) => o.nonce),
+    salt: BigInt(salt),
+  };
+
+  return {
+    handCommitment: await hashHandForCompare(gameId, playerId, hand),
+    hand,
+  };
+}
+
+/**
+ * Recompute a hand commitment (see commitHandForCompare).
+ * @param {bigint | string} gameId
+ * @param {bigint | string} playerId
+ * @param {import('./types.js').CompareHand} hand - Cards in ascending deck order
+ * @returns {Promise<bigint>}
+ */
+export async function hashHandForCompare(gameId, playerId, hand) {
+  const cardUIDs = await cardsToUIDs(hand.cards);
+  const commitments = [];
+  for (let i = 0; i < HAND_SIZE; i++) {
+    commitments.push(await hashCardCommitment(cardUIDs[i], hand.nonces[i]));
   }
+  const handHash = await pedersenHash([...commitments, hand.salt]);
+  return hashMoveCommitment(gameId, playerId, handHash);
+}
 
-  // Compute hand value — MUST match circuit's evaluate_hand exactly:
-  //   hand_value = hand_rank * 1_000_000 + value_high * 10_000 + value_mid * 100 + value_low
-  //
-  // The circuit adjusts value_high/mid/low for special cases:
-  //   - Ace-low sequence (A-2-3): value_high=3, value_mid=2, value_low=1
-  //   - Pair high (e.g. K-K-5): value_high=pair_rank, value_mid=kicker, value_low=0
-  //   - Pair low  (e.g. K-5-5): value_high=pair_rank, value_mid=kicker, value_low=0
-  let valueHigh = ranks[0];
-  let valueMid = ranks[1];
-  let valueLow = ranks[2];
-
-  if (handRank === HAND_RANK.PURE_SEQUENCE || handRank === HAND_RANK.SEQUENCE) {
-    if (isAceLow) {
-      valueHigh = 3;
-      valueMid = 2;
-      valueLow = 1;
+/**
+ * Build compare circuit input for a sideshow between hands A and B.
+ *
+ * Both hands are checked against the deck tree and their owners' published
+ * commitments first, so a bad hand from the opponent fails here rather than
+ * inside the prover.
+ *
+ * @param {bigint | string} gameId
+ * @param {bigint}          merkleRoot
+ * @param {bigint[][]}      merkleLayers - Tree layers from prepareHandForZK
+ * @param {{playerId: bigint | string, handCommitment: bigint | string, hand: import('./types.js').CompareHand}} sideA
+ * @param {{playerId: bigint | string, handCommitment: bigint | string, hand: import('./types.js').CompareHand}} sideB
+ * @returns {Promise<{input: import('./types.js').CompareCircuitInput, aWins: boolean}>}
+ */
+export async function buildCompareInput(gameId, merkleRoot, merkleLayers, sideA, sideB) {
+  const sides = [];
+
+  for (const { playerId, handCommitment, hand } of [sideA, sideB]) {
+    if (hand?.cards?.length !== HAND_SIZE || hand?.nonces?.length !== HAND_SIZE) {
+      throw new Error(`Compare input requires exactly ${HAND_SIZE} cards per hand`);
+    }
+
+    const numericCards = hand.cards.map(parseCard);
+    const positions = numericCards.map((c) => getCardIndex(c.rank, c.suit));
+    if (!(positions[0] < positions[1] && positions[1] < positions[2])) {
+      throw new Error('Hand cards must be in ascending deck order');
     }
-  } else if (handRank === HAND_RANK.PAIR) {
-    if (pairHigh) {
-      // e.g. K-K-5 → (K, 5, 0)
-      valueHigh = ranks[0]; // pair rank
-      valueMid = ranks[2];  // kicker
-      valueLow = 0;
-    } else if (pairLow) {
-      // e.g. K-5-5 → (5, K, 0)  — circuit: value_high=mid, value_mid=high
-      valueHigh = ranks[1]; // pair rank
-      valueMid = ranks[0];  // kicker
-      valueLow = 0;
+
+    const cardUIDs = await cardsToUIDs(hand.cards);
+    for (let i = 0; i < HAND_SIZE; i++) {
+      const commitment = await hashCardCommitment(cardUIDs[i], hand.nonces[i]);
+      if (commitment !== merkleLayers[0][positions[i]]) {
+        throw new Error('Hand does not match the deck commitment');
+      }
     }
+    if (await hashHandForCompare(gameId, playerId, hand) !== BigInt(handCommitment)) {
+      throw new Error('Hand does not match its published commitment');
+    }
+
+    sides.push({
+      playerId,
+      handCommitment,
+      hand,
+      numericCards,
+      merklePaths: positions.map((pos) => generateMerkleProof(merkleLayers, pos)),
+      handValue: evaluateHand(numericCards).handValue,
+    });
   }
 
-  const handValue = BigInt(handRank) * 1000000n
-    + BigInt(valueHigh) * 10000n
-    + BigInt(valueMid) * 100n
-    + BigInt(valueLow);
+  const [a, b] = sides;
+  const aWins = a.handValue > b.handValue;
 
-  return { handRank, handValue };
+  return {
+    aWins,
+    input: {
+      game_id: gameId,
+      merkle_root: merkleRoot,
+      player_a_id: a.playerId,
+      player_b_id: b.playerId,
+      hand_commitment_a: a.handCommitment,
+      hand_commitment_b: b.handCommitment,
+      a_wins: aWins,
+      card_ranks_a: a.numericCards.map((c) => c.rank),
+      card_suits_a: a.numericCards.map((c) => c.suit),
+      nonces_a: a.hand.nonces,
+      merkle_paths_a: a.merklePaths,
+      salt_a: a.hand.salt,
+      card_ranks_b: b.numericCards.map((c) => c.rank),
+      card_suits_b: b.numericCards.map((c) => c.suit),
+      nonces_b: b.hand.nonces,
+      merkle_paths_b: b.merklePaths,
+      salt_b: b.hand.salt,
+    },
+  };
 }
 
+// ─── Hand Evaluation ─────────────────────────────────────────────────────────
+
+// evaluateHand lives in teen-patti-hand-evaluator, shared with the backend
+// and tested against the circuit for every hand.
+export { evaluateHand };
+
 // ─── Full Build Helpers ──────────────────────────────────────────────────────
 
 /**
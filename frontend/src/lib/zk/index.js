@@ -9,6 +9,9 @@ export {
   DOMAIN_CARD_UID,
   DOMAIN_CARD_COMMITMENT,
   DOMAIN_MOVE,
+  SRA_PRIME,
+  SRA_ORDER,
+  SRA_GENERATOR,
   CIRCUIT_ARTIFACTS,
   ProofStatus,
   CircuitType,
@@ -28,6 +31,7 @@ export {
   generateMerkleProof,
   commitDeck,
   fieldToDecimalString,
+  idToField,
 } from './crypto.js';
 
 // Proof service
@@ -35,9 +39,11 @@ export {
   generateShuffleProof,
   generateDealProof,
   generateShowProof,
+  generateCompareProof,
   verifyShuffleProof,
   verifyDealProof,
   verifyShowProof,
+  verifyCompareProof,
   preloadCircuits,
   clearCircuitCache,
   isZKReady,
@@ -52,13 +58,39 @@ export {
   cardToUID,
   cardsToUIDs,
   prepareDeckForZK,
+  prepareHandForZK,
   buildShuffleInput,
   buildDealInput,
   buildShowInput,
   evaluateHand,
   buildShowInputFromBackendCards,
+  commitHandForCompare,
+  hashHandForCompare,
+  buildCompareInput,
 } from './gameUtils.js';
 
+// Mental poker shuffle
+export {
+  encodeCard,
+  decodeCard,
+  getCanonicalDeckCards,
+  generateShuffleKey,
+  generateDeckNonces,
+  lockAndShuffle,
+  proveLock,
+  proveUnlock,
+  unlockValues,
+  openLockedHand,
+  toHex,
+} from './mentalPoker.js';
+
+// Encrypted peer channel (ZK sideshow)
+export {
+  createPeerChannel,
+  sealForPeer,
+  openFromPeer,
+} from './peerChannel.js';
+
 // React hooks
 export {
   useShuffleProof,
@@ -101,4 +133,5 @@ export {
   verifyLocally,
   verifyProofComprehensive,
   verifyFull,
+  checkDeckCommitment,
 } from './verificationService.js';
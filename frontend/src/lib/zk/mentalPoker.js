@@ -0,0 +1,286 @@
+/**
+ * Mental Poker — client side of the multi-party shuffle.
+ *
+ * Each seated player locks every card with a secret exponent (commutative
+ * SRA-style encryption) and re-shuffles the deck before passing it on, so no
+ * single party — the server included — knows the final order. After the
+ * shuffle, every player removes their lock from the cards dealt to others;
+ * each hand ends up locked only by its owner.
+ *
+ * Locked values stay below the BN254 modulus, so every re-shuffle can be
+ * proven with the shuffle circuit (locked deck → shuffled deck). The lock
+ * itself is proven with a Chaum–Pedersen proof (proveLock); the server checks
+ * both before accepting a shuffle. Unlocks are proven the same way
+ * (proveUnlock), so nobody can hand back garbage for someone else's cards.
+ *
+ * The dealer also seeds a commitment nonce per card; nonces are locked and
+ * shuffled with their cards, so a player learns only their own nonces.
+ *
+ * Must stay in sync with backend/mentalPoker.js.
+ */
+
+import { DECK_SIZE, SRA_PRIME, SRA_ORDER, SRA_GENERATOR } from './types.js';
+import { generateNonce } from './crypto.js';
+import { cardToDisplay } from './gameUtils.js';
+
+// ─── Field Helpers ───────────────────────────────────────────────────────────
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+}
+
+function modInverse(value, modulus) {
+  let [oldR, r] = [value % modulus, modulus];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  if (oldR !== 1n) throw new Error('Value is not invertible');
+  return ((oldS % modulus) + modulus) % modulus;
+}
+
+/**
+ * Serialize a group element for the socket protocol.
+ * @param {bigint} value
+ * @returns {string}
+ */
+export function toHex(value) {
+  return '0x' + value.toString(16);
+}
+
+/**
+ * Uniform random integer in [0, max) from crypto.getRandomValues.
+ * @param {number} max
+ * @returns {number}
+ */
+function randomInt(max) {
+  const limit = Math.floor(0x100000000 / max) * max;
+  const buf = new Uint32Array(1);
+  do {
+    crypto.getRandomValues(buf);
+  } while (buf[0] >= limit);
+  return buf[0] % max;
+}
+
+// ─── Card Encoding ───────────────────────────────────────────────────────────
+
+/**
+ * Encode a canonical card index as a quadratic residue: (index + 2)^2 mod p.
+ * Index order matches crypto.js getCardIndex: (rank - 2) * 4 + suit.
+ * @param {number} index
+ * @returns {bigint}
+ */
+export function encodeCard(index) {
+  const base = BigInt(index + 2);
+  return (base * base) % SRA_PRIME;
+}
+
+const DECODE_TABLE = new Map(
+  Array.from({ length: DECK_SIZE }, (_, i) => [encodeCard(i), i])
+);
+
+/**
+ * Decode an unlocked value into a backend-format card.
+ * @param {bigint} value
+ * @returns {{rank: string, suit: string} | null}
+ */
+export function decodeCard(value) {
+  const index = DECODE_TABLE.get(value);
+  if (index === undefined) return null;
+  return cardToDisplay(Math.floor(index / 4) + 2, index % 4);
+}
+
+/**
+ * All 52 cards in canonical order (backend format).
+ * @returns {Array<{rank: string, suit: string}>}
+ */
+export function getCanonicalDeckCards() {
+  return Array.from({ length: DECK_SIZE }, (_, i) => cardToDisplay(Math.floor(i / 4) + 2, i % 4));
+}
+
+// ─── Lock Keys ───────────────────────────────────────────────────────────────
+
+/**
+ * Generate a fresh lock key for one hand.
+ * @returns {import('./types.js').ShuffleKey}
+ */
+export function generateShuffleKey() {
+  let key = 0n;
+  while (key === 0n || key >= SRA_ORDER) {
+    key = generateNonce();
+  }
+
+  return {
+    key,
+    inverse: modInverse(key, SRA_ORDER),
+    keyCommitment: modPow(SRA_GENERATOR, key, SRA_PRIME),
+  };
+}
+
+// ─── Deck Nonces ─────────────────────────────────────────────────────────────
+
+/**
+ * Dealer only: one commitment nonce per canonical card. Nonces are group
+ * elements so they can be locked and shuffled alongside their cards.
+ * @returns {bigint[]}
+ */
+export function generateDeckNonces() {
+  return Array.from({ length: DECK_SIZE }, () => {
+    let r = 0n;
+    while (r === 0n) {
+      r = generateNonce() % SRA_PRIME;
+    }
+    return (r * r) % SRA_PRIME;
+  });
+}
+
+// ─── Shuffle Protocol ────────────────────────────────────────────────────────
+
+/**
+ * Lock every card and its nonce with our key, then apply one secret random
+ * permutation to both columns.
+ *
+ * @param {Array<string | bigint>} deck   - Deck received from the server
+ * @param {Array<string | bigint>} nonces - Nonce column (parallel to deck)
+ * @param {import('./types.js').ShuffleKey} shuffleKey
+ * @returns {{locked: bigint[], lockedNonces: bigint[], shuffled: bigint[], shuffledNonces: bigint[]}}
+ *   `locked` → `shuffled` is exactly the permutation the shuffle circuit checks
+ */
+export function lockAndShuffle(deck, nonces, shuffleKey) {
+  if (deck.length !== DECK_SIZE || nonces.length !== DECK_SIZE) {
+    throw new Error(`Expected ${DECK_SIZE} cards and nonces, got ${deck.length}/${nonces.length}`);
+  }
+
+  const locked = deck.map((value) => modPow(BigInt(value), shuffleKey.key, SRA_PRIME));
+  const lockedNonces = nonces.map((value) => modPow(BigInt(value), shuffleKey.key, SRA_PRIME));
+
+  // Fisher–Yates with a CSPRNG
+  const order = Array.from({ length: DECK_SIZE }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  return {
+    locked,
+    lockedNonces,
+    shuffled: order.map((i) => locked[i]),
+    shuffledNonces: order.map((i) => lockedNonces[i]),
+  };
+}
+
+// ─── Lock Proofs ─────────────────────────────────────────────────────────────
+
+const LOCK_PROOF_DOMAIN = 'teen-patti/lock-proof/';
+const WEIGHT_MASK = (1n << 128n) - 1n;
+
+/** sha256 over a label and the values as 32-byte big-endian words */
+async function hashToInt(label, values) {
+  const hex = values.map((value) => value.toString(16).padStart(64, '0')).join('');
+  const words = Uint8Array.from(hex.match(/../g) || [], (byte) => parseInt(byte, 16));
+  const tag = new TextEncoder().encode(LOCK_PROOF_DOMAIN + label);
+  const bytes = new Uint8Array(tag.length + words.length);
+  bytes.set(tag);
+  bytes.set(words, tag.length);
+
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return BigInt('0x' + Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join(''));
+}
+
+/**
+ * Prove every locked value is its base raised to our key, without revealing
+ * the key: a batched Chaum–Pedersen proof over randomly weighted columns.
+ * The dealer proves only the card column; their nonces are freshly seeded.
+ *
+ * @param {bigint[]} bases  - Values we received (cards, then nonces)
+ * @param {bigint[]} locked - The same values with our lock applied
+ * @param {import('./types.js').ShuffleKey} shuffleKey
+ * @returns {Promise<{t1: string, t2: string, s: string}>}
+ */
+export async function proveLock(bases, locked, shuffleKey) {
+  const K = shuffleKey.keyCommitment;
+  const seed = await hashToInt('weights', [K, ...bases, ...locked]);
+  let X = 1n;
+  let Y = 1n;
+  for (let i = 0; i < bases.length; i++) {
+    const weight = (await hashToInt('weight', [seed, BigInt(i)])) & WEIGHT_MASK;
+    X = (X * modPow(bases[i], weight, SRA_PRIME)) % SRA_PRIME;
+    Y = (Y * modPow(locked[i], weight, SRA_PRIME)) % SRA_PRIME;
+  }
+
+  let r = 0n;
+  while (r === 0n) {
+    r = generateNonce() % SRA_ORDER;
+  }
+  const t1 = modPow(SRA_GENERATOR, r, SRA_PRIME);
+  const t2 = modPow(X, r, SRA_PRIME);
+  const c = (await hashToInt('challenge', [K, X, Y, t1, t2])) % SRA_ORDER;
+
+  return {
+    t1: toHex(t1),
+    t2: toHex(t2),
+    s: toHex((r + c * shuffleKey.key) % SRA_ORDER),
+  };
+}
+
+/**
+ * Remove our lock from a set of values dealt to other players.
+ * @param {Object<string, string>} values - slot → locked value (hex)
+ * @param {import('./types.js').ShuffleKey} shuffleKey
+ * @returns {Object<string, string>} slot → value with our lock removed (hex)
+ */
+export function unlockValues(values, shuffleKey) {
+  const unlocked = {};
+  for (const [slot, value] of Object.entries(values)) {
+    unlocked[slot] = toHex(modPow(BigInt(value), shuffleKey.inverse, SRA_PRIME));
+  }
+  return unlocked;
+}
+
+/**
+ * Prove an unlock used the key we committed to: raising each unlocked value
+ * to our key gives back the value we were sent. Columns are cards then
+ * nonces, each in slot order - the order the server checks them in.
+ *
+ * @param {{cards: Object<string, string>, nonces: Object<string, string>}} request - What we were asked to unlock
+ * @param {{cards: Object<string, string>, nonces: Object<string, string>}} unlocked - unlockValues of both
+ * @param {import('./types.js').ShuffleKey} shuffleKey
+ * @returns {Promise<{t1: string, t2: string, s: string}>}
+ */
+export async function proveUnlock(request, unlocked, shuffleKey) {
+  const slots = Object.keys(request.cards);
+  const column = (values) => slots.map((slot) => BigInt(values[slot]));
+  return proveLock(
+    [...column(unlocked.cards), ...column(unlocked.nonces)],
+    [...column(request.cards), ...column(request.nonces)],
+    shuffleKey,
+  );
+}
+
+/**
+ * Open our own hand: only our lock remains on these cards and nonces.
+ * @param {string[]} lockedCards  - Our locked cards (hex)
+ * @param {string[]} lockedNonces - Their locked nonces (hex)
+ * @param {import('./types.js').ShuffleKey} shuffleKey
+ * @returns {{cards: Array<{rank: string, suit: string}>, nonces: bigint[]}}
+ */
+export function openLockedHand(lockedCards, lockedNonces, shuffleKey) {
+  const cards = lockedCards.map((value) => {
+    const card = decodeCard(modPow(BigInt(value), shuffleKey.inverse, SRA_PRIME));
+    if (!card) throw new Error('Locked card did not open to a valid card');
+    return card;
+  });
+  const nonces = lockedNonces.map((value) => modPow(BigInt(value), shuffleKey.inverse, SRA_PRIME));
+
+  return { cards, nonces };
+}
@@ -0,0 +1,107 @@
+/**
+ * Peer Channel — end-to-end encrypted messages between two players.
+ *
+ * A ZK sideshow needs each player to hand their cards, nonces and commitment
+ * salt to their opponent (the prover needs both hands as private inputs),
+ * but everything travels through the game server. Each side generates an
+ * ephemeral ECDH P-256 key pair, the public halves are swapped via the
+ * server, and payloads are sealed with AES-GCM under the shared secret —
+ * the server only ever relays ciphertext.
+ */
+
+// ─── Encoding Helpers ────────────────────────────────────────────────────────
+
+function bytesToHex(bytes) {
+  return '0x' + Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+  const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
+  if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+    throw new Error('Invalid hex payload');
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+// ─── Key Exchange ────────────────────────────────────────────────────────────
+
+/**
+ * Create an ephemeral channel key pair. Only `publicKey` leaves the browser.
+ * @returns {Promise<{privateKey: CryptoKey, publicKey: string}>}
+ */
+export async function createPeerChannel() {
+  const keyPair = await crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    ['deriveKey']
+  );
+  const raw = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+
+  return {
+    privateKey: keyPair.privateKey,
+    publicKey: bytesToHex(new Uint8Array(raw)),
+  };
+}
+
+async function deriveSharedKey(channel, peerPublicKey) {
+  const peerKey = await crypto.subtle.importKey(
+    'raw',
+    hexToBytes(peerPublicKey),
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'ECDH', public: peerKey },
+    channel.privateKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// ─── Sealed Messages ─────────────────────────────────────────────────────────
+
+/**
+ * Encrypt a JSON-serializable payload for the peer. Bigints are sent as hex.
+ * @param {{privateKey: CryptoKey}} channel
+ * @param {string} peerPublicKey - Peer's channel public key (hex)
+ * @param {any} payload
+ * @returns {Promise<{iv: string, ciphertext: string}>}
+ */
+export async function sealForPeer(channel, peerPublicKey, payload) {
+  const key = await deriveSharedKey(channel, peerPublicKey);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(
+    JSON.stringify(payload, (_, value) => (typeof value === 'bigint' ? '0x' + value.toString(16) : value))
+  );
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+  return {
+    iv: bytesToHex(iv),
+    ciphertext: bytesToHex(new Uint8Array(ciphertext)),
+  };
+}
+
+/**
+ * Decrypt a payload sealed by the peer. Throws if it was tampered with.
+ * @param {{privateKey: CryptoKey}} channel
+ * @param {string} peerPublicKey - Peer's channel public key (hex)
+ * @param {{iv: string, ciphertext: string}} message
+ * @returns {Promise<any>} Parsed payload (hex strings stay strings)
+ */
+export async function openFromPeer(channel, peerPublicKey, message) {
+  const key = await deriveSharedKey(channel, peerPublicKey);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: hexToBytes(message.iv) },
+    key,
+    hexToBytes(message.ciphertext)
+  );
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
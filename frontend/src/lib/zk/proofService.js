@@ -175,11 +175,13 @@ async function loadCircuit(artifact) {
   const noir = new Noir(compiled);
   const backend = new UltraHonkBackend(compiled.bytecode, bbApi);
 
-  // Try to load precomputed verification key
+  // Try to load precomputed verification key. A missing file can come back as
+  // the app's index.html, so anything served as HTML doesn't count.
   let vk = null;
   try {
     const vkResponse = await fetch(artifact.vkPath);
-    if (vkResponse.ok) {
+    const contentType = vkResponse.headers.get('content-type') || '';
+    if (vkResponse.ok && !contentType.includes('text/html')) {
       const vkBuffer = await vkResponse.arrayBuffer();
       vk = new Uint8Array(vkBuffer);
     }
@@ -242,7 +244,7 @@ function validateInputs(obj, path = '') {
 
 /**
  * Generate a ZK proof for a named circuit.
- * @param {string} circuitName - 'shuffle' | 'deal' | 'show'
+ * @param {string} circuitName - 'shuffle' | 'deal' | 'show' | 'compare'
  * @param {object} inputs      - Circuit input map (all values as strings)
  * @returns {Promise<import('./types.js').ZKProof>}
  */
@@ -367,6 +369,39 @@ export async function generateShowProof(input) {
   });
 }
 
+/**
+ * Generate a compare proof.
+ * Proves which of two committed hands wins a sideshow without revealing either.
+ * @param {import('./types.js').CompareCircuitInput} input
+ * @returns {Promise<import('./types.js').ZKProof>}
+ */
+export async function generateCompareProof(input) {
+  const paths = (merklePaths) => merklePaths.map((mp) => ({
+    path: mp.path.map(fieldToDecimalString),
+    indices: mp.indices.map(String),
+  }));
+
+  return generateProof('compare', {
+    game_id: fieldToDecimalString(input.game_id),
+    merkle_root: fieldToDecimalString(input.merkle_root),
+    player_a_id: fieldToDecimalString(input.player_a_id),
+    player_b_id: fieldToDecimalString(input.player_b_id),
+    hand_commitment_a: fieldToDecimalString(input.hand_commitment_a),
+    hand_commitment_b: fieldToDecimalString(input.hand_commitment_b),
+    a_wins: input.a_wins,
+    card_ranks_a: input.card_ranks_a.map(String),
+    card_suits_a: input.card_suits_a.map(String),
+    nonces_a: input.nonces_a.map(fieldToDecimalString),
+    merkle_paths_a: paths(input.merkle_paths_a),
+    salt_a: fieldToDecimalString(input.salt_a),
+    card_ranks_b: input.card_ranks_b.map(String),
+    card_suits_b: input.card_suits_b.map(String),
+    nonces_b: input.nonces_b.map(fieldToDecimalString),
+    merkle_paths_b: paths(input.merkle_paths_b),
+    salt_b: fieldToDecimalString(input.salt_b),
+  });
+}
+
 // ─── Per-Circuit Verifiers ───────────────────────────────────────────────────
 
 /** @param {import('./types.js').ZKProof} proof */
@@ -384,6 +419,11 @@ export async function verifyShowProof(proof) {
   return verifyProofLocally('show', proof);
 }
 
+/** @param {import('./types.js').ZKProof} proof */
+export async function verifyCompareProof(proof) {
+  return verifyProofLocally('compare', proof);
+}
+
 // ─── Utilities ───────────────────────────────────────────────────────────────
 
 /**
@@ -420,6 +460,7 @@ export async function preloadCircuits() {
     loadCircuit(CIRCUIT_ARTIFACTS.shuffle),
     loadCircuit(CIRCUIT_ARTIFACTS.deal),
     loadCircuit(CIRCUIT_ARTIFACTS.show),
+    loadCircuit(CIRCUIT_ARTIFACTS.compare),
   ]);
 
   const elapsed = (performance.now() - startTime).toFixed(0);
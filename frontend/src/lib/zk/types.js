@@ -30,6 +30,17 @@ export const DOMAIN_CARD_UID = 1n;
 export const DOMAIN_CARD_COMMITMENT = 2n;
 export const DOMAIN_MOVE = 3n;
 
+// ─── Mental Poker (match backend/mentalPoker.js) ─────────────────────────────
+
+/** Safe prime p = 2^252 - 27257 — locked cards stay below the BN254 modulus */
+export const SRA_PRIME = (1n << 252n) - 27257n;
+
+/** Prime order q = (p - 1) / 2 of the subgroup cards are encoded in */
+export const SRA_ORDER = (SRA_PRIME - 1n) / 2n;
+
+/** Public base for lock-key commitments: keyCommitment = g^key mod p */
+export const SRA_GENERATOR = 4n;
+
 // ─── Card Constants (match circuits/lib/src/constants.nr) ────────────────────
 
 /** Suits (0-3) — match circuits/lib/src/constants.nr */
@@ -58,14 +69,7 @@ export const RANK = {
 };
 
 /** Hand rankings (match circuits/lib/src/types.nr) */
-export const HAND_RANK = {
-  HIGH_CARD: 1,
-  PAIR: 2,
-  COLOR: 3,          // aka Flush
-  SEQUENCE: 4,       // aka Run / Straight
-  PURE_SEQUENCE: 5,  // aka Pure Run / Straight Flush
-  TRAIL: 6,          // Three of a Kind
-};
+export { HAND_RANK } from 'teen-patti-hand-evaluator';
 
 // ─── Circuit Artifacts ───────────────────────────────────────────────────────
 
@@ -89,6 +93,11 @@ export const CIRCUIT_ARTIFACTS = {
     circuitPath: '/circuits/show_circuit.json',
     vkPath: '/circuits/show_vk',
   },
+  compare: {
+    name: 'compare',
+    circuitPath: '/circuits/compare_circuit.json',
+    vkPath: '/circuits/compare_vk',
+  },
 };
 
 // ─── Proof Status State Machine ──────────────────────────────────────────────
@@ -120,6 +129,13 @@ export const CircuitType = {
   Show: 2,
 };
 
+/**
+ * @typedef {Object} ShuffleKey
+ * @property {bigint} key           - Secret lock exponent
+ * @property {bigint} inverse       - key^-1 mod q, removes the lock
+ * @property {bigint} keyCommitment - g^key mod p, published while shuffling
+ */
+
 /**
  * @typedef {string | bigint} Field
  * A finite field element — hex string or bigint
@@ -190,3 +206,39 @@ export const CircuitType = {
  * @property {MerkleProof[]} merkle_paths - Merkle proofs [3]
  * @property {number[]}      positions    - Card positions in deck [3]
  */
+
+/**
+ * One side of a ZK sideshow — what a player sends their opponent
+ *
+ * @typedef {Object} CompareHand
+ * @property {Array<{rank: string, suit: string}>} cards - Backend cards, ascending deck order
+ * @property {bigint[]} nonces - Their commitment nonces
+ * @property {bigint}   salt   - Hand commitment salt
+ */
+
+/**
+ * Compare circuit — sideshow outcome without revealing either hand
+ * 7 public inputs: game_id, merkle_root, player_a_id, player_b_id,
+ *   hand_commitment_a, hand_commitment_b, a_wins
+ *
+ * Cards of each hand must be in ascending deck order. A tie is not a win for A.
+ *
+ * @typedef {Object} CompareCircuitInput
+ * @property {Field}         game_id           - Game identifier (public)
+ * @property {Field}         merkle_root       - Merkle root of the deck (public)
+ * @property {Field}         player_a_id       - Player A identifier (public)
+ * @property {Field}         player_b_id       - Player B identifier (public)
+ * @property {Field}         hand_commitment_a - A's published hand commitment (public)
+ * @property {Field}         hand_commitment_b - B's published hand commitment (public)
+ * @property {boolean}       a_wins            - Whether A's hand ranks strictly higher (public)
+ * @property {number[]}      card_ranks_a      - A's card ranks [3]
+ * @property {number[]}      card_suits_a      - A's card suits [3]
+ * @property {Field[]}       nonces_a          - A's commitment nonces [3]
+ * @property {MerkleProof[]} merkle_paths_a    - A's Merkle proofs [3]
+ * @property {Field}         salt_a            - A's hand commitment salt
+ * @property {number[]}      card_ranks_b      - B's card ranks [3]
+ * @property {number[]}      card_suits_b      - B's card suits [3]
+ * @property {Field[]}       nonces_b          - B's commitment nonces [3]
+ * @property {MerkleProof[]} merkle_paths_b    - B's Merkle proofs [3]
+ * @property {Field}         salt_b            - B's hand commitment salt
+ */
@@ -2,6 +2,7 @@ import {
   verifyShuffleProof,
   verifyDealProof,
   verifyShowProof,
+  verifyCompareProof,
 } from './proofService.js';
 
 import {
@@ -28,7 +29,7 @@ function vError(message, error) {
 // ─── Types ───────────────────────────────────────────────────────────────────
 
 /**
- * @typedef {'shuffle' | 'deal' | 'show'} CircuitType
+ * @typedef {'shuffle' | 'deal' | 'show' | 'compare'} CircuitType
  */
 
 /**
@@ -36,16 +37,58 @@ function vError(message, error) {
  * @property {boolean} [localVerify=true]  — Verify locally via WASM
  * @property {boolean} [zkVerify=false]    — Submit to zkVerify Kurier
  * @property {boolean} [onChain=false]     — Verify on-chain (read-only call)
+ * @property {string | bigint} [merkleRoot] — The hand's agreed deck commitment;
+ *                                            deal/show proofs must use it
  */
 
 /**
  * @typedef {Object} ComprehensiveVerificationResult
  * @property {CircuitType} circuitType
+ * @property {{ matched: boolean, error?: string }} [commitment]
  * @property {{ verified: boolean, timeMs: number, error?: string }} [local]
  * @property {{ submitted: boolean, jobId?: string, status?: string, error?: string }} [zkVerify]
  * @property {{ verified: boolean, error?: string }} [onChain]
  */
 
+// ─── Deck Commitment ─────────────────────────────────────────────────────────
+
+/** Index of merkle_root in each circuit's public inputs */
+const MERKLE_ROOT_INPUT = {
+  deal: 1, // [player_id, merkle_root]
+  show: 2, // [game_id, player_id, merkle_root, ...]
+  compare: 1, // [game_id, merkle_root, ...]
+};
+
+/**
+ * Check that a deal, show or compare proof was built against the hand's agreed deck
+ * commitment. Proofs against any other root prove nothing about this hand.
+ *
+ * @param {CircuitType} circuitType
+ * @param {import('./types.js').ZKProof} proof
+ * @param {string | bigint} merkleRoot - Root published in `deckCommitted`
+ * @returns {{ matched: boolean, error?: string }}
+ */
+export function checkDeckCommitment(circuitType, proof, merkleRoot) {
+  const index = MERKLE_ROOT_INPUT[circuitType];
+  if (index === undefined) {
+    return { matched: false, error: `${circuitType} proofs do not commit to the deck` };
+  }
+
+  const input = proof?.publicInputs?.[index];
+  if (input === undefined) {
+    return { matched: false, error: 'Proof is missing merkle_root' };
+  }
+
+  try {
+    if (BigInt(input) === BigInt(merkleRoot)) {
+      return { matched: true };
+    }
+  } catch {
+    return { matched: false, error: 'Invalid merkle_root' };
+  }
+  return { matched: false, error: 'Proof does not match the deck commitment' };
+}
+
 // ─── Local Verification ─────────────────────────────────────────────────────
 
 /**
@@ -71,6 +114,9 @@ export async function verifyLocally(circuitType, proof) {
       case 'show':
         result = await verifyShowProof(proof);
         break;
+      case 'compare':
+        result = await verifyCompareProof(proof);
+        break;
       default:
         return { valid: false, error: `Unknown circuit: ${circuitType}` };
     }
@@ -103,11 +149,21 @@ export async function verifyProofComprehensive(
     localVerify = true,
     zkVerify = false,
     onChain = false,
+    merkleRoot,
   } = options;
 
   /** @type {ComprehensiveVerificationResult} */
   const result = { circuitType };
 
+  // ── Layer 0: Deck commitment ──
+  if (merkleRoot !== undefined) {
+    result.commitment = checkDeckCommitment(circuitType, proof, merkleRoot);
+    if (!result.commitment.matched) {
+      vError(`${circuitType} proof uses the wrong deck commitment, skipping other layers`);
+      return result;
+    }
+  }
+
   // ── Layer 1: Local verification ──
   if (localVerify) {
     const startTime = performance.now();
@@ -171,6 +227,7 @@ export async function verifyProofComprehensive(
   }
 
   vLog(`${circuitType} comprehensive result:`, {
+    commitment: result.commitment?.matched,
     local: result.local?.verified,
     zkVerify: result.zkVerify?.submitted,
     onChain: result.onChain?.verified,
@@ -182,16 +239,18 @@ export async function verifyProofComprehensive(
 // ─── Convenience: Verify All Layers ──────────────────────────────────────────
 
 /**
- * Full pipeline: local + zkVerify + on-chain.
+ * Full pipeline: deck commitment + local + zkVerify + on-chain.
  *
  * @param {CircuitType} circuitType
  * @param {import('./types.js').ZKProof} proof
+ * @param {string | bigint} [merkleRoot] - The hand's agreed deck commitment
  * @returns {Promise<ComprehensiveVerificationResult>}
  */
-export async function verifyFull(circuitType, proof) {
+export async function verifyFull(circuitType, proof, merkleRoot) {
   return verifyProofComprehensive(circuitType, proof, {
     localVerify: true,
     zkVerify: true,
     onChain: true,
+    merkleRoot,
   });
 }
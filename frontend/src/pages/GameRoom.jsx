@@ -13,13 +13,23 @@ import {
   Trophy,
   Coins,
   Loader2,
+  Timer,
+  History,
+  Coffee,
+  LogOut,
+  PlusCircle,
 } from "lucide-react";
 import Button from "@/components/Button";
 import PlayerSeat from "@/components/PlayerSeat";
 import PlayingCard from "@/components/PlayingCard";
 import ZKProofPanel, { notifyZKProof } from "@/components/ZKProofPanel";
-import { formatChips, formatRoomId, getShortRoomCode } from "@/lib/utils";
+import SessionLedger from "@/components/SessionLedger";
+import RebuyModal from "@/components/RebuyModal";
+import { formatChips, formatRoomId, getSeatPosition, getSeatClasses } from "@/lib/utils";
 import { useContracts } from "@/hooks/useContracts";
+import { useWallet } from "@/hooks/useWallet";
+import { signInSocket, getAuthToken } from "@/lib/walletAuth";
+import { getVariantName } from "@/lib/variants";
 import {
   useZK,
   prepareDeckForZK,
@@ -32,6 +42,26 @@ import {
   submitProofToZkVerify,
   verifyShowOnChain,
   verifyOnChainWithTransaction,
+  submitShuffleProof,
+  checkDeckCommitment,
+  proofToHex,
+  getCanonicalDeckCards,
+  prepareHandForZK,
+  generateShuffleKey,
+  generateDeckNonces,
+  lockAndShuffle,
+  proveLock,
+  proveUnlock,
+  unlockValues,
+  openLockedHand,
+  toHex,
+  idToField,
+  commitHandForCompare,
+  buildCompareInput,
+  generateCompareProof,
+  createPeerChannel,
+  sealForPeer,
+  openFromPeer,
 } from "@/lib/zk";
 import GameABI from "@/contracts/TeenPattiGame.json";
 import addresses from "@/contracts/addresses.json";
@@ -43,11 +73,15 @@ function AutoProceed({ onProceed }) {
   return null;
 }
 
-export default function GameRoom({ socket }) {
+/**
+ * The table. With `spectator` it is a read-only view of the delayed
+ * spectator stream: no seat, no cards until a showdown, no actions.
+ */
+export default function GameRoom({ socket, spectator = false }) {
   const { roomId } = useParams();
   const location = useLocation();
   const navigate = useNavigate();
-  const { startGame: blockchainStartGame, settleCashGame } = useContracts();
+  const { startGame: blockchainStartGame, settleCashGame, gameContract } = useContracts();
 
   const [playerId, setPlayerId] = useState(location.state?.playerId || "");
   const [playerName, setPlayerName] = useState(
@@ -66,8 +100,12 @@ export default function GameRoom({ socket }) {
   const [showBetInput, setShowBetInput] = useState(false);
   const [selectedBetAmount, setSelectedBetAmount] = useState(null);
   const [startingGame, setStartingGame] = useState(false);
+  const [quickSeatReady, setQuickSeatReady] = useState(false); // Everyone quick seat matched us with is seated
   const [gameEnded, setGameEnded] = useState(false);
   const [winnerInfo, setWinnerInfo] = useState(null);
+  const [sideshowPrompt, setSideshowPrompt] = useState(null); // Sideshow asked of us: { requesterId, requesterName }
+  const [sideshowResult, setSideshowResult] = useState(null); // Both hands, only when we were part of the sideshow
+  const [turnClock, setTurnClock] = useState(null); // { playerId, deadline (local ms), duration, timeBankMs, usingTimeBank }
 
   // ── ZK Proof State ──
   const zkContext = useZK();
@@ -86,16 +124,32 @@ export default function GameRoom({ socket }) {
   const [showRecordResult, setShowRecordResult] = useState(null); // { verified: boolean, txHash?: string, error?: string }
   const [isRecordingShow, setIsRecordingShow] = useState(false);
   const [pendingGameEndData, setPendingGameEndData] = useState(null);
+  const [cashSession, setCashSession] = useState(null); // Running ledger of a blockchain room's hands
+  const [lastSessionHand, setLastSessionHand] = useState(null); // Per-player result of the hand just booked
+  const [cashingOut, setCashingOut] = useState(false);
+  const [showRebuy, setShowRebuy] = useState(false);
+  const [spectatorDelayMs, setSpectatorDelayMs] = useState(null);
   const showProofStatusRef = useRef('idle');
 
   // ── ZK Refs (accessible from async socket handlers) ──
-  const deckStateRef = useRef(null);
-  const deckStatePromiseRef = useRef(null);
+  const shuffleKeyRef = useRef(null); // This hand's lock key — never leaves the browser until showdown
+  const handStateRef = useRef(null);
+  const handStatePromiseRef = useRef(null);
+  const deckCommitmentRef = useRef(null); // The hand's one agreed deck commitment (from the dealer)
+  const shuffleProofRef = useRef(null);
+  const deckPublishedRef = useRef(false);
+  const showProofRef = useRef(null);
+  const sideshowSessionRef = useRef(null); // Proof-gated sideshow: our committed hand, channel and the peer's hand
   const zkEnabledRef = useRef(zkEnabled);
   const zkContextRef = useRef(zkContext);
   useEffect(() => { zkEnabledRef.current = zkEnabled; }, [zkEnabled]);
   useEffect(() => { zkContextRef.current = zkContext; });
 
+  // Signer for re-authenticating the socket after a reconnect
+  const wallet = useWallet();
+  const walletRef = useRef(wallet);
+  useEffect(() => { walletRef.current = wallet; });
+
   // Wallet hooks for on-chain recording
   const { data: walletClient } = useWalletClient();
   const { switchChainAsync } = useSwitchChain();
@@ -132,10 +186,11 @@ export default function GameRoom({ socket }) {
 
   // Update ref on every render
   useEffect(() => {
-    handleSettleCashGameRef.current = handleSettleCashGame;
+    publishDeckCommitmentRef.current = publishDeckCommitment;
   });
 
   useEffect(() => {
+    if (spectator) return;
     if (!socket || !playerId) {
       navigate("/");
       return;
@@ -150,9 +205,9 @@ export default function GameRoom({ socket }) {
       if (refetchRoomDetails) refetchRoomDetails();
     });
 
-    socket.on("gameStarted", async ({ gameState: newGameState, shuffledDeck }) => {
+    socket.on("gameStarted", async ({ gameState: newGameState }) => {
       setGameState(newGameState);
-      setMessage("Game started! Place your bets.");
+      setMessage("Game started! Players are shuffling the deck...");
       setTimeout(() => setMessage(""), 3000);
       // Refresh blockchain data immediately
       if (refetchRoomDetails) refetchRoomDetails();
@@ -168,84 +223,198 @@ export default function GameRoom({ socket }) {
       setGameEnded(false);
       setWinnerInfo(null);
       setIsShowdown(false);
+      setMyCards([]);
+      setAllPlayerCards({});
+      setSideshowPrompt(null);
+      setSideshowResult(null);
+
+      // Fresh lock key and hand state every hand
+      shuffleKeyRef.current = null;
+      handStateRef.current = null;
+      handStatePromiseRef.current = null;
+      deckCommitmentRef.current = null;
+      shuffleProofRef.current = null;
+      sideshowSessionRef.current = null;
+      deckPublishedRef.current = false;
+      showProofRef.current = null;
 
       // Clear proof history so only current game's proofs are visible
       if (zkContextRef.current.clearProofHistory) {
         zkContextRef.current.clearProofHistory();
       }
+    });
 
-      // ── ZK: Generate shuffle proof ──
-      if (zkEnabledRef.current && shuffledDeck && shuffledDeck.length === 52 && zkContextRef.current.isReady) {
-        try {
-          notifyZKProof('generating', 'shuffle', 'Preparing deck for ZK verification...');
+    socket.on("shuffleProgress", ({ phase, playerId: actorId, step, totalSteps }) => {
+      const verb = phase === "shuffling" ? "shuffling" : "unlocking";
+      if (actorId === playerId) {
+        setMessage(`Your turn: ${verb} the deck (${step}/${totalSteps})`);
+      } else {
+        setMessage(`Deck ${verb} (${step}/${totalSteps})...`);
+      }
+    });
 
-          // Prepare deck state (UIDs, nonces, Merkle tree) — store for deal/show proofs
-          const deckPromise = prepareDeckForZK(shuffledDeck);
-          deckStatePromiseRef.current = deckPromise;
-          const deckState = await deckPromise;
-          deckStateRef.current = { ...deckState, shuffledDeck };
+    // ── Mental poker: lock + re-shuffle the deck, then pass it on ──
+    const handleShuffleTurn = async ({ deck, nonces, seedDeck }) => {
+      const shuffleKey = generateShuffleKey();
+      shuffleKeyRef.current = shuffleKey;
 
-          // Build & generate shuffle proof
-          const shuffleInput = buildShuffleInput(deckState.canonicalUIDs, deckState.shuffledUIDs);
-          notifyZKProof('generating', 'shuffle', 'Generating shuffle proof...');
-          const proof = await generateShuffleProof(shuffleInput);
+      // Dealer: seed one nonce per card and commit to the deck once for everyone
+      let deckNonces = nonces;
+      let deckCommitment;
+      if (seedDeck) {
+        try {
+          deckNonces = generateDeckNonces();
+          const committed = await prepareDeckForZK(getCanonicalDeckCards(), deckNonces);
+          deckCommitment = {
+            merkleRoot: toHex(committed.merkleRoot),
+            commitments: committed.commitments.map(toHex),
+          };
+        } catch (err) {
+          console.error("[Shuffle] Failed to commit to deck:", err);
+          setMessage(`Error: could not commit to deck (${err.message})`);
+          return;
+        }
+      }
 
-          const shuffleProofId = zkContextRef.current.trackProof('shuffle', proof);
-          notifyZKProof('success', 'shuffle', 'Deck shuffled fairly — ZK verified!');
-          setZkStats(prev => ({
-            ...prev,
-            proofsGenerated: prev.proofsGenerated + 1,
-          }));
+      // The server only accepts our shuffle with both proofs: the lock proof
+      // (same key on every value) and the shuffle proof (our re-shuffle is a
+      // permutation of the locked deck)
+      const { locked, lockedNonces, shuffled, shuffledNonces } = lockAndShuffle(deck, deckNonces, shuffleKey);
+      let proof;
+      let lockProof;
+      try {
+        const received = deck.map(BigInt);
+        lockProof = seedDeck
+          ? await proveLock(received, locked, shuffleKey)
+          : await proveLock([...received, ...nonces.map(BigInt)], [...locked, ...lockedNonces], shuffleKey);
 
-          // ── zkVerify Kurier submission ──
-          if (zkContextRef.current.isZkVerifyAvailable) {
-            try {
-              console.log('[zkVerify] Submitting shuffle proof to Kurier...');
-              const kurierResult = await submitProofToZkVerify({ circuitName: 'shuffle', proof });
-              console.log('[zkVerify] Shuffle proof submitted. Job ID:', kurierResult.jobId);
-              zkContextRef.current.updateProofTracking(shuffleProofId, kurierResult.jobId, { status: 'submitted' });
-            } catch (kurierErr) {
-              console.warn('[zkVerify] Shuffle Kurier submission failed:', kurierErr.message);
-            }
+        notifyZKProof('generating', 'shuffle', 'Generating shuffle proof...');
+        proof = await generateShuffleProof(buildShuffleInput(locked, shuffled));
+      } catch (err) {
+        console.error('[ZK] Shuffle proof failed:', err);
+        notifyZKProof('error', 'shuffle', `Shuffle proof failed: ${err.message}`);
+        setMessage(`Error: could not prove your shuffle (${err.message})`);
+        return;
+      }
+
+      socket.emit("shuffleContribution", {
+        deck: shuffled.map(toHex),
+        nonces: shuffledNonces.map(toHex),
+        keyCommitment: toHex(shuffleKey.keyCommitment),
+        deckCommitment,
+        locked: { deck: locked.map(toHex), nonces: lockedNonces.map(toHex) },
+        lockProof,
+        proof: proofToHex(proof.proof),
+      });
+      notifyZKProof('success', 'shuffle', 'Your re-shuffle is a valid permutation — ZK verified!');
+      setZkStats(prev => ({
+        ...prev,
+        proofsGenerated: prev.proofsGenerated + 1,
+      }));
+
+      // ── ZK: Track the proof and submit it to zkVerify ──
+      if (zkEnabledRef.current && zkContextRef.current.isReady) {
+        const shuffleProofId = zkContextRef.current.trackProof('shuffle', proof);
+        shuffleProofRef.current = proof;
+        publishDeckCommitmentRef.current?.();
+
+        if (zkContextRef.current.isZkVerifyAvailable) {
+          try {
+            console.log('[zkVerify] Submitting shuffle proof to Kurier...');
+            const kurierResult = await submitProofToZkVerify({ circuitName: 'shuffle', proof });
+            console.log('[zkVerify] Shuffle proof submitted. Job ID:', kurierResult.jobId);
+            zkContextRef.current.updateProofTracking(shuffleProofId, kurierResult.jobId, { status: 'submitted' });
+          } catch (kurierErr) {
+            console.warn('[zkVerify] Shuffle Kurier submission failed:', kurierErr.message);
           }
-        } catch (err) {
-          console.error('[ZK] Shuffle proof failed:', err);
-          notifyZKProof('error', 'shuffle', `Shuffle proof failed: ${err.message}`);
         }
       }
+    };
+    socket.on("shuffleTurn", handleShuffleTurn);
+
+    // ── Mental poker: remove our lock from everyone else's cards ──
+    const handleUnlockTurn = async ({ cards, nonces }) => {
+      const shuffleKey = shuffleKeyRef.current;
+      if (!shuffleKey) {
+        console.error("[Shuffle] Asked to unlock without a lock key");
+        return;
+      }
+      const unlocked = {
+        cards: unlockValues(cards, shuffleKey),
+        nonces: unlockValues(nonces, shuffleKey),
+      };
+      // The server only takes the unlock with a proof it used our committed key
+      let proof;
+      try {
+        proof = await proveUnlock({ cards, nonces }, unlocked, shuffleKey);
+      } catch (err) {
+        console.error("[Shuffle] Unlock proof failed:", err);
+        setMessage(`Error: could not prove your unlock (${err.message})`);
+        return;
+      }
+      socket.emit("unlockContribution", { ...unlocked, proof });
+    };
+    socket.on("unlockTurn", handleUnlockTurn);
+
+    // ── The dealer's deck commitment: every deal/show proof must use this root ──
+    socket.on("deckCommitted", (deckCommitment) => {
+      deckCommitmentRef.current = deckCommitment;
+      publishDeckCommitmentRef.current?.();
+    });
+
+    socket.on("cardsDealt", ({ gameState: newGameState }) => {
+      setGameState(newGameState);
+      setMessage("Cards dealt! Place your bets.");
+      setTimeout(() => setMessage(""), 3000);
     });
 
-    socket.on("yourCards", async ({ cards }) => {
+    // ── Showdown: reveal our lock key so the server can open our hand ──
+    const handleRevealRequested = ({ playerIds, reason }) => {
+      setTurnClock(null);
+      if (!playerIds.includes(playerId)) return;
+      if (!shuffleKeyRef.current) {
+        console.error("[Shuffle] Cannot reveal hand: lock key missing");
+        return;
+      }
+      setMessage(reason === "Pot limit" ? "Pot limit reached! Revealing your hand..." : "Showdown! Revealing your hand...");
+      socket.emit("revealHand", {
+        key: toHex(shuffleKeyRef.current.key),
+      });
+    };
+    socket.on("revealRequested", handleRevealRequested);
+
+    const handleYourCards = async ({ lockedCards, lockedNonces, deckCommitment }) => {
+      if (!shuffleKeyRef.current || !lockedCards) return;
+
+      let hand;
+      try {
+        hand = openLockedHand(lockedCards, lockedNonces, shuffleKeyRef.current);
+      } catch (err) {
+        console.error("[Shuffle] Failed to open dealt cards:", err);
+        setMessage("Error: your cards could not be unlocked");
+        return;
+      }
+      const { cards } = hand;
       setMyCards(cards);
 
+      // Hand state is built once per hand (yourCards is re-sent on seeCards)
+      if (handStatePromiseRef.current) return;
+
       // ── ZK: Generate deal proof ──
-      if (zkEnabledRef.current && zkContextRef.current.isReady && cards && cards.length === 3) {
+      if (zkEnabledRef.current && zkContextRef.current.isReady && cards && cards.length === 3 && deckCommitment) {
         try {
-          // Wait for deck state to be ready (from gameStarted handler)
-          if (deckStatePromiseRef.current) {
-            await deckStatePromiseRef.current;
-          }
-          if (!deckStateRef.current) return;
+          // Our positions, nonces and Merkle paths in the dealer's commitment
+          handStatePromiseRef.current = prepareHandForZK(cards, hand.nonces, deckCommitment).then((handState) => {
+            handStateRef.current = { ...handState, cards };
+            return handStateRef.current;
+          });
+          await handStatePromiseRef.current;
 
           notifyZKProof('generating', 'deal', 'Generating deal proof...');
-          const { shuffledUIDs, nonces, merkleRoot, merkleLayers, shuffledDeck } = deckStateRef.current;
-
-          // Find card positions in shuffled deck
-          const positions = [];
-          const cardUIDs = [];
-          const cardNonces = [];
-          for (const card of cards) {
-            const idx = shuffledDeck.findIndex(d => d.rank === card.rank && d.suit === card.suit);
-            if (idx === -1) throw new Error(`Card ${card.rank} of ${card.suit} not found in deck`);
-            positions.push(idx);
-            cardUIDs.push(shuffledUIDs[idx]);
-            cardNonces.push(nonces[idx]);
-          }
+          const { positions, cardUIDs, nonces: cardNonces, merkleRoot, merkleLayers } = handStateRef.current;
 
-          // Convert player ID to BigInt for circuit input
-          const playerIdBigInt = playerId.startsWith('0x') ? BigInt(playerId) : BigInt(0);
           const dealInput = buildDealInput(
-            playerIdBigInt,
+            idToField(playerId, 0n),
             merkleRoot,
             positions,
             cardUIDs,
@@ -254,6 +423,12 @@ export default function GameRoom({ socket }) {
           );
           const proof = await generateDealProof(dealInput);
 
+          const commitmentCheck = checkDeckCommitment('deal', proof, deckCommitment.merkleRoot);
+          if (!commitmentCheck.matched) {
+            throw new Error(commitmentCheck.error);
+          }
+          socket.emit("handProof", { circuit: 'deal', publicInputs: proof.publicInputs });
+
           const dealProofId = zkContextRef.current.trackProof('deal', proof);
           notifyZKProof('success', 'deal', 'Cards dealt fairly from committed deck!');
           setZkStats(prev => ({
@@ -277,7 +452,8 @@ export default function GameRoom({ socket }) {
           notifyZKProof('error', 'deal', `Deal proof failed: ${err.message}`);
         }
       }
-    });
+    };
+    socket.on("yourCards", handleYourCards);
 
     socket.on("playerSawCards", ({ gameState: newGameState }) => {
       setGameState(newGameState);
@@ -289,6 +465,7 @@ export default function GameRoom({ socket }) {
         playerId: actionPlayerId,
         action,
         amount,
+        timedOut,
         gameState: newGameState,
       }) => {
         setGameState(newGameState);
@@ -296,7 +473,9 @@ export default function GameRoom({ socket }) {
           (p) => p.id === actionPlayerId
         );
         if (player) {
-          if (action === "fold" || action === "pack") {
+          if (timedOut) {
+            setMessage(`${player.name} ran out of time - auto ${action}`);
+          } else if (action === "fold" || action === "pack") {
             setMessage(`${player.name} folded`);
           } else if (action === "bet" || action === "chaal") {
             setMessage(`${player.name} bet ${formatChips(amount)}`);
@@ -306,7 +485,19 @@ export default function GameRoom({ socket }) {
       }
     );
 
-    socket.on("turnChanged", ({ currentPlayerId, currentPlayerName }) => {
+    socket.on("turnChanged", ({ currentPlayerId, currentPlayerName, timeLeftMs, turnMs, timeBankMs }) => {
+      // Count down from our own clock - the server's deadline may be skewed
+      setTurnClock(
+        timeLeftMs == null
+          ? null
+          : {
+              playerId: currentPlayerId,
+              deadline: Date.now() + timeLeftMs,
+              duration: turnMs,
+              timeBankMs,
+              usingTimeBank: false,
+            }
+      );
       if (currentPlayerId === playerId) {
         setMessage("It's your turn!");
       } else {
@@ -315,6 +506,80 @@ export default function GameRoom({ socket }) {
       setTimeout(() => setMessage(""), 3000);
     });
 
+    // ── ZK: Build our show proof (proves the shown hand was dealt from the committed deck) ──
+    const proveShow = async (myCardsForShow) => {
+      try {
+        // Track proof generation status for verification phase
+        setShowProofStatus('generating');
+        showProofStatusRef.current = 'generating';
+        notifyZKProof('generating', 'show', 'Generating reveal proof...');
+        const { cards: handCards, positions: handPositions, cardUIDs: handUIDs, nonces: handNonces, merkleRoot, merkleLayers } = handStateRef.current;
+
+        // Line up the revealed cards with our committed leaves
+        const positions = [];
+        const cardUIDs = [];
+        const cardNonces = [];
+        for (const card of myCardsForShow) {
+          const idx = handCards.findIndex(d => d.rank === card.rank && d.suit === card.suit);
+          if (idx === -1) throw new Error(`Card ${card.rank} of ${card.suit} not found in our hand`);
+          positions.push(handPositions[idx]);
+          cardUIDs.push(handUIDs[idx]);
+          cardNonces.push(handNonces[idx]);
+        }
+
+        const { input } = await buildShowInputFromBackendCards(
+          idToField(blockchainRoomId, 1n),
+          idToField(playerId, 0n),
+          merkleRoot,
+          myCardsForShow,
+          cardUIDs,
+          cardNonces,
+          positions,
+          merkleLayers
+        );
+
+        const proof = await generateShowProof(input);
+
+        const commitmentCheck = checkDeckCommitment('show', proof, deckCommitmentRef.current?.merkleRoot ?? merkleRoot);
+        if (!commitmentCheck.matched) {
+          throw new Error(commitmentCheck.error);
+        }
+        socket.emit("handProof", { circuit: 'show', publicInputs: proof.publicInputs });
+
+        const showProofId = zkContextRef.current.trackProof('show', proof);
+        notifyZKProof('success', 'show', 'Show proof generated! Verify it on-chain before proceeding.');
+        showProofRef.current = proof;
+
+        // Store the proof so user can verify it
+        setShowProofData(proof);
+        setShowProofStatus('generated');
+        showProofStatusRef.current = 'generated';
+        setZkStats(prev => ({
+          ...prev,
+          proofsGenerated: prev.proofsGenerated + 1,
+        }));
+
+        // ── zkVerify Kurier submission ──
+        if (zkContextRef.current.isZkVerifyAvailable) {
+          try {
+            console.log('[zkVerify] Submitting show proof to Kurier...');
+            const kurierResult = await submitProofToZkVerify({ circuitName: 'show', proof });
+            console.log('[zkVerify] Show proof submitted. Job ID:', kurierResult.jobId);
+            zkContextRef.current.updateProofTracking(showProofId, kurierResult.jobId, { status: 'submitted' });
+          } catch (kurierErr) {
+            console.warn('[zkVerify] Show Kurier submission failed:', kurierErr.message);
+          }
+        }
+        return proof;
+      } catch (err) {
+        console.error('[ZK] Show proof failed:', err);
+        notifyZKProof('error', 'show', `Show proof failed: ${err.message}`);
+        setShowProofStatus('failed');
+        showProofStatusRef.current = 'failed';
+        return null;
+      }
+    };
+
     socket.on("showdownStarted", async ({ allCards, gameState: newGameState }) => {
       setGameState(newGameState);
       setShowCards(true);
@@ -329,77 +594,187 @@ export default function GameRoom({ socket }) {
       }
 
       // ── ZK: Generate show proof (proves hand was revealed honestly) ──
-      if (zkEnabledRef.current && zkContextRef.current.isReady && deckStateRef.current && allCards && allCards[playerId]) {
-        try {
-          // Track proof generation status for verification phase
-          setShowProofStatus('generating');
-          showProofStatusRef.current = 'generating';
-          notifyZKProof('generating', 'show', 'Generating reveal proof...');
-          const myCardsForShow = allCards[playerId];
-          const { shuffledUIDs, nonces, merkleRoot, merkleLayers, shuffledDeck } = deckStateRef.current;
-
-          // Find card positions in shuffled deck
-          const positions = [];
-          const cardUIDs = [];
-          const cardNonces = [];
-          for (const card of myCardsForShow) {
-            const idx = shuffledDeck.findIndex(d => d.rank === card.rank && d.suit === card.suit);
-            if (idx === -1) throw new Error(`Card ${card.rank} of ${card.suit} not found in deck`);
-            positions.push(idx);
-            cardUIDs.push(shuffledUIDs[idx]);
-            cardNonces.push(nonces[idx]);
-          }
+      // In a proof-gated showdown it was already built and checked by the server
+      if (zkEnabledRef.current && zkContextRef.current.isReady && handStateRef.current && allCards && allCards[playerId] && !showProofRef.current) {
+        await proveShow(allCards[playerId]);
+      }
+    });
+
+    // ── Sideshow: a seen player asks the previous seen player to compare ──
+    socket.on("timeBankUsed", ({ playerId: bankPlayerId, timeLeftMs }) => {
+      setTurnClock((clock) =>
+        clock && clock.playerId === bankPlayerId
+          ? {
+              ...clock,
+              deadline: Date.now() + timeLeftMs,
+              duration: timeLeftMs,
+              timeBankMs: 0,
+              usingTimeBank: true,
+            }
+          : clock
+      );
+    });
 
-          // Convert IDs to BigInt for circuit inputs
-          const gameIdBigInt = blockchainRoomId && blockchainRoomId.startsWith('0x')
-            ? BigInt(blockchainRoomId) : BigInt(1);
-          const playerIdBigInt = playerId.startsWith('0x') ? BigInt(playerId) : BigInt(0);
+    socket.on("sideshowRequested", ({ requesterId, requesterName, targetId, targetName, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setTurnClock(null); // Turn is on hold until the sideshow settles
+      if (targetId === playerId) {
+        setSideshowPrompt({ requesterId, requesterName });
+      } else if (requesterId === playerId) {
+        setMessage(`Sideshow asked of ${targetName}...`);
+      } else {
+        setMessage(`${requesterName} asked ${targetName} for a sideshow`);
+      }
+    });
 
-          const { input } = await buildShowInputFromBackendCards(
-            gameIdBigInt,
-            playerIdBigInt,
-            merkleRoot,
-            myCardsForShow,
-            cardUIDs,
-            cardNonces,
-            positions,
-            merkleLayers
-          );
+    socket.on("sideshowDeclined", ({ requesterId, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setSideshowPrompt(null);
+      setMessage(requesterId === playerId ? "Sideshow declined" : "Sideshow declined - play continues");
+      setTimeout(() => setMessage(""), 3000);
+    });
 
-          const proof = await generateShowProof(input);
-          const showProofId = zkContextRef.current.trackProof('show', proof);
-          notifyZKProof('success', 'show', 'Show proof generated! Verify it on-chain before proceeding.');
+    const handleSideshowRevealRequested = ({ playerIds, reason }) => {
+      setSideshowPrompt(null);
+      if (!playerIds.includes(playerId)) return;
+      if (!shuffleKeyRef.current) {
+        console.error("[Shuffle] Cannot reveal hand for sideshow: lock key missing");
+        return;
+      }
+      setMessage(reason ? `${reason} - revealing hands...` : "Sideshow accepted! Comparing hands...");
+      socket.emit("revealHand", {
+        key: toHex(shuffleKeyRef.current.key),
+      });
+    };
+    socket.on("sideshowRevealRequested", handleSideshowRevealRequested);
+
+    // ── Proof-gated sideshow: commit, swap hands over an encrypted channel, ──
+    // ── and the requester proves the result - the server never sees them   ──
+    const toCircuitId = (id) => idToField(id, 0n);
+    const circuitGameId = () => idToField(blockchainRoomId, 1n);
+
+    const handleSideshowCommitRequested = async ({ playerIds }) => {
+      setSideshowPrompt(null);
+      if (!playerIds.includes(playerId)) return;
+      if (!zkEnabledRef.current || !zkContextRef.current.isReady || !handStateRef.current) {
+        setMessage("Sideshow requires ZK proofs - enable ZK or you will pack");
+        return;
+      }
 
-          // Store the proof so user can verify it
-          setShowProofData(proof);
-          setShowProofStatus('generated');
-          showProofStatusRef.current = 'generated';
-          setZkStats(prev => ({
-            ...prev,
-            proofsGenerated: prev.proofsGenerated + 1,
-          }));
+      setMessage("Sideshow accepted! Comparing hands privately...");
+      try {
+        const { cards, nonces } = handStateRef.current;
+        const { handCommitment, hand } = await commitHandForCompare(circuitGameId(), toCircuitId(playerId), cards, nonces);
+        const channel = await createPeerChannel();
+        sideshowSessionRef.current = { channel, hand, handCommitment };
+        socket.emit("sideshowCommit", {
+          handCommitment: toHex(handCommitment),
+          publicKey: channel.publicKey,
+        });
+      } catch (err) {
+        console.error('[ZK] Sideshow commitment failed:', err);
+        setMessage("Error: could not commit to your hand for the sideshow");
+      }
+    };
+    socket.on("sideshowCommitRequested", handleSideshowCommitRequested);
 
-          // ── zkVerify Kurier submission ──
-          if (zkContextRef.current.isZkVerifyAvailable) {
-            try {
-              console.log('[zkVerify] Submitting show proof to Kurier...');
-              const kurierResult = await submitProofToZkVerify({ circuitName: 'show', proof });
-              console.log('[zkVerify] Show proof submitted. Job ID:', kurierResult.jobId);
-              zkContextRef.current.updateProofTracking(showProofId, kurierResult.jobId, { status: 'submitted' });
-            } catch (kurierErr) {
-              console.warn('[zkVerify] Show Kurier submission failed:', kurierErr.message);
-            }
-          }
-        } catch (err) {
-          console.error('[ZK] Show proof failed:', err);
-          notifyZKProof('error', 'show', `Show proof failed: ${err.message}`);
-          setShowProofStatus('failed');
-          showProofStatusRef.current = 'failed';
-        }
+    const handleSideshowPeer = async ({ peerId, isProver, handCommitment, publicKey }) => {
+      const session = sideshowSessionRef.current;
+      if (!session) return;
+      Object.assign(session, { peerId, isProver, peerCommitment: handCommitment, peerPublicKey: publicKey });
+
+      try {
+        socket.emit("sideshowHand", await sealForPeer(session.channel, publicKey, session.hand));
+      } catch (err) {
+        console.error('[ZK] Could not send sideshow hand:', err);
+      }
+    };
+    socket.on("sideshowPeer", handleSideshowPeer);
+
+    socket.on("sideshowPeerHand", async ({ fromId, iv, ciphertext }) => {
+      const session = sideshowSessionRef.current;
+      if (!session || fromId !== session.peerId || !handStateRef.current) return;
+
+      try {
+        const payload = await openFromPeer(session.channel, session.peerPublicKey, { iv, ciphertext });
+        session.peerHand = {
+          cards: payload.cards,
+          nonces: payload.nonces.map((n) => BigInt(n)),
+          salt: BigInt(payload.salt),
+        };
+
+        // Both sides check the peer's hand against the deck and its commitment;
+        // only the requester (hand A) goes on to prove
+        const mine = { playerId: toCircuitId(playerId), handCommitment: session.handCommitment, hand: session.hand };
+        const theirs = { playerId: toCircuitId(session.peerId), handCommitment: session.peerCommitment, hand: session.peerHand };
+        const { merkleRoot, merkleLayers } = handStateRef.current;
+        const { input } = await buildCompareInput(
+          circuitGameId(),
+          merkleRoot,
+          merkleLayers,
+          session.isProver ? mine : theirs,
+          session.isProver ? theirs : mine
+        );
+        if (!session.isProver) return;
+
+        notifyZKProof('generating', 'compare', 'Proving sideshow result...');
+        const proof = await generateCompareProof(input);
+        notifyZKProof('success', 'compare', 'Sideshow proof generated!');
+        socket.emit("sideshowProof", {
+          proof: proofToHex(proof.proof),
+          publicInputs: proof.publicInputs,
+        });
+      } catch (err) {
+        console.error('[ZK] Sideshow compare failed:', err);
+        notifyZKProof('error', 'compare', `Sideshow proof failed: ${err.message}`);
+        // Can't prove it privately - open both hands with lock keys instead
+        socket.emit("sideshowDispute");
+      }
+    });
+
+    socket.on("sideshowResult", ({ requesterId, targetId, loserId, cards, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setSideshowPrompt(null);
+
+      // A proven sideshow sends no cards; we already hold both hands locally
+      const session = sideshowSessionRef.current;
+      sideshowSessionRef.current = null;
+      const shownCards = cards || (session?.peerHand && {
+        [playerId]: session.hand.cards,
+        [session.peerId]: session.peerHand.cards,
+      });
+
+      const loser = newGameState.players.find((p) => p.id === loserId);
+      if (shownCards) {
+        setSideshowResult({ requesterId, targetId, loserId, cards: shownCards });
+        setTimeout(() => setSideshowResult(null), 5000);
       }
+      setMessage(loserId === playerId ? "You lost the sideshow and packed" : `Sideshow: ${loser?.name || "a player"} packed`);
+      setTimeout(() => setMessage(""), 3000);
     });
 
+    // ── Proof-gated showdown: the pot waits for our verified show proof ──
+    const handleShowProofRequested = async ({ playerIds, reason }) => {
+      setTurnClock(null);
+      if (!playerIds.includes(playerId)) return;
+      if (!zkEnabledRef.current || !zkContextRef.current.isReady || !handStateRef.current) {
+        setMessage("Showdown requires a ZK show proof - enable ZK or you will forfeit");
+        return;
+      }
+
+      setMessage(reason === "Pot limit" ? "Pot limit reached! Proving your hand..." : "Showdown! Proving your hand...");
+      const proof = await proveShow(handStateRef.current.cards);
+      if (proof) {
+        socket.emit("showProof", {
+          proof: proofToHex(proof.proof),
+          publicInputs: proof.publicInputs,
+        });
+      }
+    };
+    socket.on("showProofRequested", handleShowProofRequested);
+
     socket.on("gameEnded", async ({ winner, pot, allCards, reason, playerChips }) => {
+      setTurnClock(null);
       if (allCards) {
         setShowCards(true);
         setAllPlayerCards(allCards);
@@ -423,16 +798,40 @@ export default function GameRoom({ socket }) {
         setMessage(
           `${winner.name} wins ${formatChips(pot)} chips! ${reason || ""}`
         );
-
-        // Settle cash game on blockchain with proportional payouts
-        if (blockchainRoomId && playerChips && handleSettleCashGameRef.current) {
-          await handleSettleCashGameRef.current(playerChips);
-        }
       } else {
         setMessage(`Game ended. ${reason || ""}`);
       }
     });
 
+    // Every hand of a cash session is booked on its ledger; the ledger is
+    // only settled on-chain when the host ends the session
+    socket.on("sessionUpdated", ({ hand, session }) => {
+      setCashSession(session);
+      if (hand) setLastSessionHand(hand);
+    });
+
+    // Our cash-out was paid on-chain and the seat is gone
+    socket.on("cashedOut", ({ chips, txHash }) => {
+      setCashingOut(false);
+      setMessage(`💸 Cashed out ${formatChips(chips)} chips! TX: ${txHash.slice(0, 10)}...`);
+      setTimeout(() => navigate("/"), 3000);
+    });
+
+    // A rebuy was paid on-chain. Paid mid-hand, it lands when the hand ends.
+    socket.on("rebuyCredited", ({ playerId: rebuyerId, playerName: rebuyerName, chips, pending, gameState: newGameState, session }) => {
+      setGameState(newGameState);
+      setCashSession(session);
+      const who = rebuyerId === playerId ? "You" : rebuyerName;
+      setMessage(`💰 ${who} rebought ${formatChips(chips)} chips${pending ? " - added after this hand" : ""}`);
+      setTimeout(() => setMessage(""), 3000);
+    });
+
+    socket.on("sittingOutChanged", ({ playerName: seatName, sittingOut, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setMessage(`${seatName} ${sittingOut ? "is sitting out from the next hand" : "is sitting back in"}`);
+      setTimeout(() => setMessage(""), 3000);
+    });
+
     // Listen for settlement confirmation from backend
     socket.on("gameSettled", ({ txHash }) => {
       console.log("Game settled on blockchain:", txHash);
@@ -449,7 +848,100 @@ export default function GameRoom({ socket }) {
       }
     );
 
+    // Quick seat: the table is full of the players matched for it
+    socket.on("quickSeatReady", () => {
+      setQuickSeatReady(true);
+      setMessage("All matched players are seated - starting the game");
+      setTimeout(() => setMessage(""), 3000);
+      if (refetchRoomDetails) refetchRoomDetails();
+    });
+
+    // ── Reconnection: seats are held for a grace period after a drop ──
+    socket.on("playerDisconnected", ({ playerName: droppedName, graceMs, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setMessage(`${droppedName} disconnected - holding their seat for ${Math.round(graceMs / 1000)}s`);
+      setTimeout(() => setMessage(""), 3000);
+    });
+
+    socket.on("playerReconnected", ({ playerName: returnedName, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setMessage(`${returnedName} reconnected`);
+      setTimeout(() => setMessage(""), 3000);
+    });
+
+    socket.on("seatReclaimed", () => {
+      setMessage("Your seat was taken over by another connection");
+      navigate("/");
+    });
+
+    // Back on a new socket: pick the hand up from the server's snapshot
+    socket.on("stateSnapshot", ({ gameState: newGameState, lockedHand, deckCommitment, shuffle, turn, showdown, sideshow, cashSession: snapshotSession }) => {
+      setGameState(newGameState);
+      if (snapshotSession) setCashSession(snapshotSession);
+      if (deckCommitment) deckCommitmentRef.current = deckCommitment;
+
+      setTurnClock(
+        turn
+          ? {
+              playerId: turn.currentPlayerId,
+              deadline: Date.now() + turn.timeLeftMs,
+              duration: turn.usingTimeBank ? turn.timeLeftMs : turn.turnMs,
+              timeBankMs: turn.timeBankMs,
+              usingTimeBank: turn.usingTimeBank,
+            }
+          : null
+      );
+
+      if (lockedHand) handleYourCards(lockedHand);
+
+      if (shuffle?.request) {
+        if (shuffle.phase === "shuffling") {
+          handleShuffleTurn(shuffle.request);
+        } else {
+          handleUnlockTurn(shuffle.request);
+        }
+      }
+
+      if (showdown) {
+        if (showdown.mode === "proof") {
+          handleShowProofRequested(showdown);
+        } else {
+          handleRevealRequested(showdown);
+        }
+      }
+
+      if (sideshow) {
+        if (sideshow.status === "requested" && sideshow.targetId === playerId) {
+          setSideshowPrompt({ requesterId: sideshow.requesterId, requesterName: sideshow.requesterName });
+        } else if (sideshow.status === "revealing") {
+          handleSideshowRevealRequested(sideshow);
+        } else if (sideshow.status === "committing") {
+          handleSideshowCommitRequested(sideshow);
+        } else if (sideshow.peer) {
+          handleSideshowPeer(sideshow.peer);
+        }
+      }
+
+      setMessage("Reconnected");
+      setTimeout(() => setMessage(""), 3000);
+    });
+
+    // socket.io reconnected after a drop: sign the new socket in as our
+    // wallet (the session token avoids another signature), then reclaim our seat
+    const handleReconnect = async () => {
+      if (!playerId.startsWith("0x") || !blockchainRoomId) return;
+      try {
+        await signInSocket(socket, walletRef.current.signer, walletRef.current.chainId);
+        socket.emit("joinRoomWithBlockchain", { blockchainRoomId, player: playerId });
+      } catch (err) {
+        console.error("[Auth] Could not sign back in after reconnecting:", err);
+        setMessage("Reconnected - sign in with your wallet to rejoin");
+      }
+    };
+    socket.on("connect", handleReconnect);
+
     socket.on("error", ({ message: errorMessage }) => {
+      setCashingOut(false);
       setMessage(`Error: ${errorMessage}`);
       setTimeout(() => setMessage(""), 3000);
     });
@@ -457,17 +949,101 @@ export default function GameRoom({ socket }) {
     return () => {
       socket.off("playerJoined");
       socket.off("gameStarted");
+      socket.off("shuffleProgress");
+      socket.off("shuffleTurn");
+      socket.off("unlockTurn");
+      socket.off("deckCommitted");
+      socket.off("cardsDealt");
+      socket.off("revealRequested");
       socket.off("yourCards");
       socket.off("playerSawCards");
       socket.off("actionPerformed");
       socket.off("turnChanged");
+      socket.off("timeBankUsed");
       socket.off("showdownStarted");
+      socket.off("showProofRequested");
+      socket.off("sideshowRequested");
+      socket.off("sideshowDeclined");
+      socket.off("sideshowRevealRequested");
+      socket.off("sideshowCommitRequested");
+      socket.off("sideshowPeer");
+      socket.off("sideshowPeerHand");
+      socket.off("sideshowResult");
       socket.off("gameEnded");
       socket.off("gameSettled");
+      socket.off("sessionUpdated");
+      socket.off("sittingOutChanged");
+      socket.off("cashedOut");
+      socket.off("rebuyCredited");
       socket.off("playerLeft");
+      socket.off("quickSeatReady");
+      socket.off("playerDisconnected");
+      socket.off("playerReconnected");
+      socket.off("seatReclaimed");
+      socket.off("stateSnapshot");
+      socket.off("connect", handleReconnect);
+      socket.off("error");
+    };
+  }, [socket, playerId, navigate, spectator]);
+
+  // Spectators: the server's delayed, card-free copy of the table
+  useEffect(() => {
+    if (!spectator || !socket) return;
+
+    socket.on("spectating", ({ delayMs, gameState: newGameState }) => {
+      setSpectatorDelayMs(delayMs);
+      setGameState(newGameState);
+    });
+
+    socket.on("spectatorState", ({ gameState: newGameState }) => {
+      if (!newGameState) {
+        setMessage("This table has closed");
+        setTimeout(() => navigate("/"), 3000);
+        return;
+      }
+      // A new hand: put the last showdown's cards away
+      if (newGameState.phase === "shuffling") {
+        setAllPlayerCards({});
+        setShowCards(false);
+      }
+      setGameState(newGameState);
+    });
+
+    // Hole cards only ever reach spectators here
+    socket.on("showdownStarted", ({ allCards, gameState: newGameState }) => {
+      setAllPlayerCards(allCards);
+      setShowCards(true);
+      setGameState(newGameState);
+    });
+
+    socket.on("handEnded", ({ winnerName, pot, reason }) => {
+      setMessage(
+        winnerName
+          ? `${winnerName} wins ${formatChips(pot)} chips! ${reason || ""}`
+          : `Hand ended. ${reason || ""}`
+      );
+      setTimeout(() => setMessage(""), 5000);
+    });
+
+    socket.on("error", ({ message: errorMessage }) => {
+      setMessage(errorMessage);
+    });
+
+    // Back into the spectator channel after a reconnect
+    const watch = () => socket.emit("spectateRoom", { roomId });
+    watch();
+    socket.on("connect", watch);
+
+    return () => {
+      socket.emit("stopSpectating");
+      socket.off("spectating");
+      socket.off("spectatorState");
+      socket.off("showdownStarted");
+      socket.off("handEnded");
       socket.off("error");
+      socket.off("connect", watch);
     };
-  }, [socket, playerId, navigate]);
+  }, [socket, spectator, roomId, navigate]);
 
   // Sync showCards state with gameState
   useEffect(() => {
@@ -671,11 +1247,14 @@ export default function GameRoom({ socket }) {
     }
   }, [gameEnded, winnerInfo]);
 
+  // The code the server issued for the room (its word alias, if it has one)
+  const roomCode = gameState?.codeAlias || gameState?.shortCode;
+
   const handleCopyRoomId = () => {
     // Copy the short room code instead of full blockchain ID
-    const shortCode = getShortRoomCode(roomId);
-    navigator.clipboard.writeText(shortCode);
-    setMessage(`Room code ${shortCode} copied to clipboard!`);
+    const code = roomCode || roomId;
+    navigator.clipboard.writeText(code);
+    setMessage(`Room code ${code} copied to clipboard!`);
     setTimeout(() => setMessage(""), 2000);
   };
 
@@ -733,8 +1312,26 @@ export default function GameRoom({ socket }) {
     }
   };
 
-  // Ref to access latest handleSettleCashGame in socket callback
-  const handleSettleCashGameRef = useRef(null);
+  // Ref to access latest publishDeckCommitment in socket callbacks
+  const publishDeckCommitmentRef = useRef(null);
+
+  // Room creator records the hand's deck commitment on-chain, alongside their
+  // own shuffle proof, once both are available
+  const publishDeckCommitment = async () => {
+    if (deckPublishedRef.current || !isCreator || !gameContract || !blockchainRoomId) return;
+    const deckCommitment = deckCommitmentRef.current;
+    const proof = shuffleProofRef.current;
+    if (!deckCommitment || !proof) return;
+
+    deckPublishedRef.current = true;
+    const root = '0x' + BigInt(deckCommitment.merkleRoot).toString(16).padStart(64, '0');
+    const result = await submitShuffleProof(gameContract, blockchainRoomId, root, proof);
+    if (result.success) {
+      notifyZKProof('success', 'shuffle', `Deck commitment recorded on-chain! TX: ${result.txHash?.slice(0, 10)}...`);
+    } else {
+      notifyZKProof('error', 'shuffle', `Recording deck commitment failed: ${result.error}`);
+    }
+  };
 
   const handleSettleCashGame = async (playerChips) => {
     if (!blockchainRoomId) {
@@ -774,7 +1371,10 @@ export default function GameRoom({ socket }) {
 
       const response = await fetch('http://localhost:3001/api/settle-game', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${getAuthToken()}`,
+        },
         body: JSON.stringify({ roomId, blockchainRoomId, playerChips })
       });
 
@@ -808,6 +1408,47 @@ export default function GameRoom({ socket }) {
     }
   };
 
+  // A quick-seat table starts as soon as its players are in: the creator
+  // signs the on-chain start once the contract shows them all seated
+  useEffect(() => {
+    if (!quickSeatReady || !blockchainRoomDetails || startingGame) return;
+    const [creator, , , , currentPlayers, state] = blockchainRoomDetails;
+    if (!creator || !playerId || creator.toLowerCase() !== playerId.toLowerCase()) return;
+    if (Number(state) !== 0 || Number(currentPlayers) < 2) return;
+
+    setQuickSeatReady(false);
+    handleStartGame();
+  }, [quickSeatReady, blockchainRoomDetails]);
+
+  // The room is already live on-chain: later hands only need the server
+  const handleNextHand = () => {
+    socket.emit("startGame", { blockchainRoomId });
+  };
+
+  const handleToggleSitOut = () => {
+    const me = gameState?.players.find((p) => p.id === playerId);
+    socket.emit(me?.isSittingOut ? "sitIn" : "sitOut");
+  };
+
+  // Leave the session early: the server pays our share of the pot on-chain
+  const handleCashOut = () => {
+    setCashingOut(true);
+    setMessage("Cashing out on blockchain...");
+    socket.emit("cashOut");
+  };
+
+  const handleRebuySubmitted = (chips) => {
+    setShowRebuy(false);
+    setMessage(`Rebuy of ${formatChips(chips)} chips paid - waiting for the server to credit it...`);
+  };
+
+  // End the session: the ledger's final chips are paid out on-chain
+  const handleSettleSession = () => {
+    handleSettleCashGame(
+      cashSession.standings.map((s) => ({ id: s.walletAddress, chips: s.chips }))
+    );
+  };
+
   const handleSeeCards = () => {
     setShowCards(true);
     socket.emit("seeCards");
@@ -829,11 +1470,25 @@ export default function GameRoom({ socket }) {
     setBetAmount(0);
   };
 
+  const handleUseTimeBank = () => {
+    socket.emit("useTimeBank");
+  };
+
   const handleShow = () => {
     // Request showdown - compare cards with all remaining players
     socket.emit("show");
   };
 
+  const handleSideshow = () => {
+    // Ask the previous seen player to privately compare hands
+    socket.emit("requestSideshow", { targetPlayerId: sideshowTarget?.id });
+  };
+
+  const handleSideshowResponse = (accepted) => {
+    socket.emit("sideshowResponse", { accepted });
+    setSideshowPrompt(null);
+  };
+
   // ── ZK Show Proof Verification Handlers ──
 
   const handleVerifyShowProof = useCallback(async () => {
@@ -934,17 +1589,13 @@ export default function GameRoom({ socket }) {
       setMessage(
         `${data.winner.name} wins ${formatChips(data.pot)} chips! ${data.reason || ""}`
       );
-
-      if (blockchainRoomId && data.playerChips && handleSettleCashGameRef.current) {
-        await handleSettleCashGameRef.current(data.playerChips);
-      }
     } else if (data) {
       setMessage(`Game ended. ${data.reason || ""}`);
     }
-  }, [pendingGameEndData, blockchainRoomId]);
+  }, [pendingGameEndData]);
 
   const handleLeaveRoom = () => {
-    socket.emit("leaveRoom");
+    if (!spectator) socket.emit("leaveRoom");
     navigate("/");
   };
 
@@ -967,13 +1618,15 @@ export default function GameRoom({ socket }) {
             <h2 className="text-3xl font-black text-white mb-2 tracking-wide font-display">
               LOBBY
             </h2>
-            <p className="text-gray-400 text-sm mb-8 tracking-wide uppercase font-bold">Waiting for Players to Join</p>
+            <p className="text-gray-400 text-sm mb-8 tracking-wide uppercase font-bold">
+              {spectator ? "Waiting for the Spectator Feed" : "Waiting for Players to Join"}
+            </p>
 
             <div className="bg-white/5 rounded-2xl p-6 mb-8 border border-white/5 relative group hover:border-white/10 transition-colors">
               <p className="text-gray-500 text-[10px] uppercase tracking-[0.2em] font-bold mb-3">Room Access ID</p>
               <div className="flex items-center justify-center gap-3 relative">
                 <p className="text-2xl font-black text-white tracking-widest font-mono drop-shadow-md">
-                  {formatRoomId(roomId)}
+                  {roomCode || formatRoomId(roomId)}
                 </p>
                 <div className="h-6 w-px bg-white/10"></div>
                 <Button
@@ -1008,9 +1661,26 @@ export default function GameRoom({ socket }) {
 
   const currentPlayer = gameState?.players.find((p) => p.id === playerId);
   const isMyTurn =
+    gameState?.phase === "betting" &&
+    !gameState?.sideshow &&
     gameState?.currentPlayerIndex !== undefined &&
     gameState?.players[gameState.currentPlayerIndex]?.id === playerId;
 
+  // Sideshow: only with the nearest previous player who is still in and has seen
+  const activeCount = gameState?.players.filter((p) => !p.isFolded).length || 0;
+  const sideshowTarget = (() => {
+    const players = gameState?.players || [];
+    const myIndex = players.findIndex((p) => p.id === playerId);
+    if (myIndex === -1) return null;
+    for (let i = 1; i < players.length; i++) {
+      const candidate = players[(myIndex - i + players.length) % players.length];
+      if (!candidate.isFolded && candidate.hasSeenCards) return candidate;
+    }
+    return null;
+  })();
+  const canSideshow =
+    isMyTurn && currentPlayer?.hasSeenCards && activeCount > 2 && !!sideshowTarget;
+
   // Use blockchain data to determine if game can start
   // Parse blockchain room details (array from contract)
   const roomCreator = blockchainRoomDetails?.[0];
@@ -1033,30 +1703,18 @@ export default function GameRoom({ socket }) {
     Number(roomState) === 0 && // 0 = WAITING
     Number(roomCurrentPlayers) >= 2;
 
-  // Calculate min and max bet
+  // Chaal and raise amounts - currentBet is the seen stake, blind players pay
+  // half. A raise doubles the stake unless that would pass the chaal limit.
+  const tableRules = gameState.tableRules || {};
   const minBet = currentPlayer?.isBlind
-    ? gameState.currentBet
-    : gameState.currentBet * 2;
-  const maxBet = currentPlayer?.isBlind
-    ? gameState.currentBet * 2
-    : gameState.currentBet * 4;
-
-  // Position players around the table
-  const getPlayerPosition = (index, total) => {
-    if (total <= 2) {
-      return index === 0 ? "bottom" : "right"; // Visually on the right
-    }
-    if (total === 3) {
-      return ["bottom", "left", "right"][index];
-    }
-    if (total === 4) {
-      return ["bottom", "left", "top", "right"][index];
-    }
-    if (total === 5) {
-      return ["bottom", "left", "top", "right", "right"][index];
-    }
-    return ["bottom", "left", "left", "top", "right", "right"][index];
-  };
+    ? gameState.currentBet / 2
+    : gameState.currentBet;
+  const canRaise = !tableRules.maxChaal || gameState.currentBet * 2 <= tableRules.maxChaal;
+  const maxBet = canRaise ? minBet * 2 : minBet;
+  const blindLimitReached =
+    currentPlayer?.isBlind &&
+    tableRules.maxBlindRounds > 0 &&
+    currentPlayer.blindRounds >= tableRules.maxBlindRounds;
 
   return (
     <div className="min-h-screen bg-[url('/background.jpg')] bg-cover bg-center pt-16">
@@ -1103,6 +1761,12 @@ export default function GameRoom({ socket }) {
                       <span className={`${Number(roomState) === 0 ? "text-yellow-400" : "text-green-400"}`}>
                         {Number(roomState) === 0 ? "⏳ Waiting" : Number(roomState) === 1 ? "🎮 Active" : Number(roomState) === 2 ? "✅ Finished" : "❌ Cancelled"}
                       </span>
+                      {gameState.handNumber > 0 && (
+                        <>
+                          <span className="w-1 h-1 rounded-full bg-gray-600"></span>
+                          <span>Hand #{gameState.handNumber}</span>
+                        </>
+                      )}
                     </div>
                   )}
                 </div>
@@ -1111,6 +1775,14 @@ export default function GameRoom({ socket }) {
 
             {/* Right Section */}
             <div className="flex items-center gap-2">
+              {spectator && (
+                <span className="h-9 px-4 rounded-full bg-purple-500/10 border border-purple-500/30 text-purple-200 text-xs font-medium flex items-center gap-2">
+                  <Eye className="w-3.5 h-3.5" />
+                  Spectating
+                  {spectatorDelayMs > 0 && <span className="text-purple-300/60">· {Math.round(spectatorDelayMs / 1000)}s delay</span>}
+                </span>
+              )}
+
               <button
                 onClick={handleCopyRoomId}
                 className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all hover:scale-105 active:scale-95 flex items-center gap-2"
@@ -1119,6 +1791,37 @@ export default function GameRoom({ socket }) {
                 <span className="hidden md:inline">Copy ID</span>
               </button>
 
+              {cashSession && currentPlayer && !cashSession.settlement && (
+                <button
+                  onClick={handleCashOut}
+                  disabled={cashingOut}
+                  className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all hover:scale-105 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                >
+                  {cashingOut ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <LogOut className="w-3.5 h-3.5" />}
+                  <span className="hidden md:inline">Cash Out</span>
+                </button>
+              )}
+
+              {cashSession && currentPlayer && !cashSession.settlement && (
+                <button
+                  onClick={() => setShowRebuy(true)}
+                  className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all hover:scale-105 active:scale-95 flex items-center gap-2"
+                >
+                  <PlusCircle className="w-3.5 h-3.5" />
+                  <span className="hidden md:inline">Rebuy</span>
+                </button>
+              )}
+
+              {currentPlayer && !cashSession?.settlement && (
+                <button
+                  onClick={handleToggleSitOut}
+                  className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all hover:scale-105 active:scale-95 flex items-center gap-2"
+                >
+                  <Coffee className="w-3.5 h-3.5" />
+                  <span className="hidden md:inline">{currentPlayer.isSittingOut ? "Sit In" : "Sit Out"}</span>
+                </button>
+              )}
+
               {canStartGame && (
                 <button
                   onClick={handleStartGame}
@@ -1192,6 +1895,23 @@ export default function GameRoom({ socket }) {
                 <div className="text-yellow-100 font-bold text-sm md:text-lg shadow-black drop-shadow-md whitespace-nowrap">
                   POT: {formatChips(gameState.pot)}
                 </div>
+                {/* Variant and this hand's wild ranks */}
+                {gameState.variant && gameState.variant !== "classic" && (
+                  <div className="text-purple-200/80 text-[10px] md:text-xs text-center whitespace-nowrap">
+                    {getVariantName(gameState.variant)}
+                    {gameState.wildRanks?.length > 0 && ` · Wild: ${gameState.wildRanks.join(", ")}`}
+                  </div>
+                )}
+                {/* Side pots once someone is all in */}
+                {gameState.pots?.length > 1 && (
+                  <div className="text-yellow-200/80 text-[10px] md:text-xs text-center whitespace-nowrap">
+                    {gameState.pots.map((pot, idx) => (
+                      <span key={idx} className="mx-1">
+                        {idx === 0 ? "Main" : `Side ${idx}`}: {formatChips(pot.amount)}
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -1210,47 +1930,15 @@ export default function GameRoom({ socket }) {
             const orderedPlayers = getOrderedPlayers();
 
             return orderedPlayers.map((player, index) => {
-              const position = getPlayerPosition(
-                index,
-                orderedPlayers.length
-              );
+              const position = getSeatPosition(index, orderedPlayers.length);
 
               // Use ID comparison for turn and dealer since we rotated the array
               const isCurrentTurn = gameState.gameStarted &&
                 gameState.players[gameState.currentPlayerIndex]?.id === player.id;
 
-              const isDealer = gameState.players[gameState.dealerIndex]?.id === player.id;
+              const isDealer = gameState.dealerId === player.id;
 
-              // RESPONSIVE POSITIONING USING TAILWIND CLASSES
-              let positionClasses = "absolute pointer-events-auto transition-all duration-500";
-
-              // Hero (Bottom Center)
-              if (index === 0) {
-                positionClasses += " bottom-[5%] md:bottom-[2%] left-1/2 -translate-x-1/2";
-              }
-              // Opponent Logic for 2 Players
-              else if (orderedPlayers.length === 2) {
-                positionClasses += " top-[15%] md:top-[10%] right-[5%] md:right-[20%]";
-              }
-              // 3 Players Layout
-              else if (orderedPlayers.length === 3) {
-                if (index === 1) positionClasses += " bottom-[25%] md:bottom-[20%] left-[5%] md:left-[12%]";
-                else if (index === 2) positionClasses += " bottom-[25%] md:bottom-[20%] right-[5%] md:right-[12%]";
-              }
-              // 4 Players Layout
-              else if (orderedPlayers.length === 4) {
-                if (index === 1) positionClasses += " bottom-[30%] md:bottom-[25%] left-[3%] md:left-[8%]";
-                else if (index === 2) positionClasses += " top-[15%] md:top-[12%] left-[8%] md:left-[15%]";
-                else if (index === 3) positionClasses += " bottom-[30%] md:bottom-[25%] right-[3%] md:right-[8%]";
-              }
-              // Standard 5-6 Players Logic
-              else {
-                if (index === 1) positionClasses += " bottom-[25%] md:bottom-[20%] left-[2%] md:left-[10%]";
-                else if (index === 2) positionClasses += " top-[20%] md:top-[15%] left-[5%] md:left-[15%]";
-                else if (index === 3) positionClasses += " top-[10%] md:top-[8%] left-1/2 -translate-x-1/2";
-                else if (index === 4) positionClasses += " top-[20%] md:top-[15%] right-[5%] md:right-[15%]";
-                else if (index === 5) positionClasses += " bottom-[25%] md:bottom-[20%] right-[2%] md:right-[10%]";
-              }
+              const positionClasses = getSeatClasses(index, orderedPlayers.length);
 
               // Logic to determine cards to pass to PlayerSeat
               let playerCards = [];
@@ -1265,13 +1953,13 @@ export default function GameRoom({ socket }) {
                   playerCards = myCards;
                 }
                 else if (gameState.gameStarted && !player.isFolded) {
-                  playerCards = [{}, {}, {}]; // 3 Placeholders
+                  playerCards = Array.from({ length: gameState.handSize || 3 }, () => ({})); // Placeholders
                 }
               }
               // 3. Opponents (during game, before showdown)
               else {
                 if (gameState.gameStarted && !player.isFolded) {
-                  playerCards = [{}, {}, {}]; // 3 Placeholders
+                  playerCards = Array.from({ length: gameState.handSize || 3 }, () => ({})); // Placeholders
                 }
               }
 
@@ -1287,6 +1975,9 @@ export default function GameRoom({ socket }) {
                     cards={playerCards}
                     showCards={!!shouldShowCards}
                     position={position}
+                    turnDeadline={turnClock?.playerId === player.id ? turnClock.deadline : null}
+                    turnDuration={turnClock?.duration}
+                    usingTimeBank={turnClock?.usingTimeBank}
                   />
                 </div>
               );
@@ -1310,6 +2001,12 @@ export default function GameRoom({ socket }) {
               <span className="text-gray-400 text-[10px] md:text-xs font-bold tracking-widest uppercase">Table Bet</span>
               <span className="text-blue-400 font-bold text-base md:text-lg font-mono">{formatChips(gameState.currentBet)}</span>
             </div>
+            {(tableRules.maxChaal > 0 || tableRules.potLimit > 0) && (
+              <div className="mt-1 text-[10px] md:text-xs text-gray-500 font-mono text-right">
+                {tableRules.maxChaal > 0 && <div>Chaal limit {formatChips(tableRules.maxChaal)}</div>}
+                {tableRules.potLimit > 0 && <div>Pot limit {formatChips(tableRules.potLimit)}</div>}
+              </div>
+            )}
           </div>
 
           {/* Controls Container */}
@@ -1323,6 +2020,18 @@ export default function GameRoom({ socket }) {
                 </button>
               )}
 
+              {canSideshow && (
+                <button onClick={handleSideshow} title={`Compare with ${sideshowTarget.name} for ${formatChips(gameState.currentBet)}`} className="h-10 px-4 md:h-12 md:px-6 rounded-full bg-blue-600 hover:bg-blue-500 text-white text-sm md:text-base font-bold shadow-lg border border-blue-400 transition-all hover:scale-105 active:scale-95 flex items-center gap-2">
+                  <Users size={16} className="md:w-[18px] md:h-[18px]" /> SIDESHOW
+                </button>
+              )}
+
+              {isMyTurn && turnClock?.playerId === playerId && turnClock.timeBankMs > 0 && (
+                <button onClick={handleUseTimeBank} title="Add your time bank to this turn" className="h-10 px-4 md:h-12 md:px-6 rounded-full bg-gray-700 hover:bg-gray-600 text-white text-sm md:text-base font-bold shadow-lg border border-gray-500 transition-all hover:scale-105 active:scale-95 flex items-center gap-2">
+                  <Timer size={16} className="md:w-[18px] md:h-[18px]" /> +{Math.round(turnClock.timeBankMs / 1000)}s
+                </button>
+              )}
+
               {isMyTurn && (
                 <button onClick={handleFold} className="h-10 px-4 md:h-12 md:px-6 rounded-full bg-red-600 hover:bg-red-500 text-white text-sm md:text-base font-bold shadow-lg border border-red-400 transition-all hover:scale-105 active:scale-95 flex items-center gap-2">
                   <X size={16} className="md:w-[18px] md:h-[18px]" /> FOLD
@@ -1331,7 +2040,25 @@ export default function GameRoom({ socket }) {
             </div>
 
             {/* Betting Interface */}
-            {isMyTurn && !showBetInput && (
+            {isMyTurn && blindLimitReached && (
+              <div className="text-purple-200 text-xs md:text-sm font-bold">
+                Blind limit reached - see your cards to continue
+              </div>
+            )}
+
+            {isMyTurn && !showBetInput && !blindLimitReached && maxBet > minBet && currentPlayer.chips >= maxBet && (
+              <button
+                onClick={() => handleBet(maxBet)}
+                className="w-full md:w-auto h-10 md:h-12 px-6 bg-gradient-to-r from-amber-600 to-orange-600 hover:from-amber-500 hover:to-orange-500 rounded-full shadow-lg border-t border-amber-400 flex items-center justify-center gap-3 transition-all hover:scale-105 active:scale-95"
+              >
+                <span className="text-white font-black text-base md:text-lg tracking-wider">RAISE</span>
+                <div className="bg-black/20 px-3 py-1 rounded-full text-sm font-mono text-amber-100 border border-white/10">
+                  {formatChips(maxBet)}
+                </div>
+              </button>
+            )}
+
+            {isMyTurn && !showBetInput && !blindLimitReached && (
               <button
                 onClick={() => handleBet(minBet)}
                 className="w-full md:w-auto h-12 md:h-14 px-8 bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-500 hover:to-emerald-500 rounded-full shadow-lg border-t border-green-400 flex items-center justify-center gap-3 transition-all hover:scale-105 active:scale-95"
@@ -1370,15 +2097,70 @@ export default function GameRoom({ socket }) {
                 Waiting for players...
               </h3>
               <p className="text-gray-300">
-                {gameState.players.length >= 2
-                  ? 'Ready to start! Click "Start Game" to begin.'
-                  : "Need at least 2 players to start the game."}
+                {spectator
+                  ? "You're watching - the next hand shows up here when it's dealt."
+                  : gameState.players.length >= 2
+                    ? 'Ready to start! Click "Start Game" to begin.'
+                    : "Need at least 2 players to start the game."}
               </p>
             </div>
           </div>
         )
       }
 
+      {/* Sideshow Prompt (asked of us) */}
+      {sideshowPrompt && (
+        <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[90]">
+          <div className="bg-gradient-to-br from-gray-900/95 to-black/95 rounded-2xl p-6 border border-white/10 shadow-2xl max-w-sm mx-4 text-center">
+            <h3 className="text-white text-xl font-bold mb-2">Sideshow Request</h3>
+            <p className="text-gray-300 text-sm mb-6">
+              {sideshowPrompt.requesterName} wants to compare hands with you. The worse hand packs.
+            </p>
+            <div className="flex gap-3 justify-center">
+              <button onClick={() => handleSideshowResponse(true)} className="h-10 px-6 rounded-full bg-green-600 hover:bg-green-500 text-white font-bold shadow-lg border border-green-400 transition-all hover:scale-105 active:scale-95">
+                ACCEPT
+              </button>
+              <button onClick={() => handleSideshowResponse(false)} className="h-10 px-6 rounded-full bg-red-600 hover:bg-red-500 text-white font-bold shadow-lg border border-red-400 transition-all hover:scale-105 active:scale-95">
+                DECLINE
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Sideshow Result (only the two players involved see the cards) */}
+      {sideshowResult && (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-[90]" onClick={() => setSideshowResult(null)}>
+          <div className="flex flex-col md:flex-row items-center justify-center gap-8 md:gap-16">
+            {[sideshowResult.requesterId, sideshowResult.targetId].map((id, idx) => {
+              const player = gameState.players.find((p) => p.id === id);
+              return (
+                <React.Fragment key={id}>
+                  {idx > 0 && (
+                    <div className="text-5xl font-black text-white/20 italic">VS</div>
+                  )}
+                  <div className={`flex flex-col items-center gap-4 ${id === sideshowResult.loserId ? "opacity-50" : ""}`}>
+                    <span className="text-xl font-bold text-white">
+                      {player?.name || "Player"} {id === sideshowResult.loserId ? "(packed)" : ""}
+                    </span>
+                    <div className="flex gap-2">
+                      {(sideshowResult.cards[id] || []).map((card, cIdx) => (
+                        <PlayingCard
+                          key={cIdx}
+                          rank={card.rank}
+                          suit={card.suit}
+                          className="w-20 h-28 md:w-24 md:h-36 shadow-2xl"
+                        />
+                      ))}
+                    </div>
+                  </div>
+                </React.Fragment>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Showdown Overlay */}
       {isShowdown && (
         <div className="fixed inset-0 bg-black/90 backdrop-blur-md flex items-center justify-center z-[100]">
@@ -1575,11 +2357,13 @@ export default function GameRoom({ socket }) {
       )}
 
       {/* ZK Proof Panel */}
-      <ZKProofPanel
-        enabled={zkEnabled}
-        onToggle={setZkEnabled}
-        stats={zkStats}
-      />
+      {!spectator && (
+        <ZKProofPanel
+          enabled={zkEnabled}
+          onToggle={setZkEnabled}
+          stats={zkStats}
+        />
+      )}
 
       {/* Game Ended Overlay */}
       {
@@ -1614,8 +2398,15 @@ export default function GameRoom({ socket }) {
                       {winnerInfo.name} takes the pot!
                     </p>
 
-                    {/* Player Payouts Table */}
-                    {winnerInfo.playerChips && winnerInfo.playerChips.length > 0 ? (
+                    {/* Cash session: this hand and the running ledger. Otherwise the payouts table */}
+                    {cashSession ? (
+                      <SessionLedger
+                        session={cashSession}
+                        lastHand={lastSessionHand}
+                        playerId={playerId}
+                        className="winner-content-item mb-8"
+                      />
+                    ) : winnerInfo.playerChips && winnerInfo.playerChips.length > 0 ? (
                       <div className="winner-content-item bg-white/[0.03] rounded-2xl p-6 mb-8 border border-white/5 relative overflow-hidden backdrop-blur-sm">
                         <div className="flex items-center justify-between mb-4 px-2">
                           <p className="text-gray-500 text-[10px] font-bold tracking-[0.2em] uppercase">Settlement Breakdown</p>
@@ -1703,6 +2494,47 @@ export default function GameRoom({ socket }) {
                   </>
                 )}
 
+                {/* Between hands of a cash session */}
+                {cashSession && !cashSession.settlement && (
+                  <div className="winner-content-item grid grid-cols-2 gap-3 mb-3">
+                    {isCreator && (
+                      <Button
+                        onClick={handleNextHand}
+                        className="h-12 bg-green-500/10 hover:bg-green-500/20 text-green-100 font-bold text-sm tracking-widest uppercase rounded-xl border border-green-500/30 transition-all flex items-center justify-center gap-2"
+                      >
+                        <Play className="w-4 h-4" />
+                        Next Hand
+                      </Button>
+                    )}
+                    <Button
+                      onClick={handleToggleSitOut}
+                      className={`h-12 ${isCreator ? "" : "col-span-2 "}bg-white/5 hover:bg-white/10 text-white font-bold text-sm tracking-widest uppercase rounded-xl border border-white/10 transition-all flex items-center justify-center gap-2`}
+                    >
+                      <Coffee className="w-4 h-4" />
+                      {currentPlayer?.isSittingOut ? "Sit In" : "Sit Out"}
+                    </Button>
+                    {isCreator && (
+                      <Button
+                        onClick={handleSettleSession}
+                        className="col-span-2 h-12 bg-yellow-500/10 hover:bg-yellow-500/20 text-yellow-100 font-bold text-sm tracking-widest uppercase rounded-xl border border-yellow-500/30 transition-all flex items-center justify-center gap-2"
+                      >
+                        <Coins className="w-4 h-4" />
+                        End Session &amp; Settle
+                      </Button>
+                    )}
+                  </div>
+                )}
+
+                {gameState.handId && (
+                  <Button
+                    onClick={() => navigate(`/replay/${gameState.handId}`)}
+                    className="winner-content-item w-full h-12 mb-3 bg-yellow-500/10 hover:bg-yellow-500/20 text-yellow-100 font-bold text-sm tracking-widest uppercase rounded-xl border border-yellow-500/30 transition-all flex items-center justify-center gap-3"
+                  >
+                    <History className="w-4 h-4" />
+                    Replay Hand
+                  </Button>
+                )}
+
                 <Button
                   onClick={() => navigate("/")}
                   className="winner-content-item w-full h-14 bg-white/5 hover:bg-white/10 text-white font-bold text-sm tracking-widest uppercase rounded-xl border border-white/10 transition-all hover:border-white/20 flex items-center justify-center gap-3 group"
@@ -1715,6 +2547,15 @@ export default function GameRoom({ socket }) {
           </div>
         )
       }
+
+      <RebuyModal
+        isOpen={showRebuy}
+        onClose={() => setShowRebuy(false)}
+        onSubmitted={handleRebuySubmitted}
+        socket={socket}
+        session={cashSession}
+        playerId={playerId}
+      />
     </div >
   );
 }
@@ -0,0 +1,333 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import {
+  ArrowLeft,
+  Play,
+  Pause,
+  SkipBack,
+  SkipForward,
+  ShieldCheck,
+  ShieldAlert,
+  Loader2,
+  History,
+  Download,
+} from "lucide-react";
+import PlayerSeat from "@/components/PlayerSeat";
+import { useWallet } from "@/hooks/useWallet";
+import { cn, formatChips, formatRoomId, getSeatPosition, getSeatClasses } from "@/lib/utils";
+import { fetchHand, fetchRoomHands, buildReplayFrames, handExportUrl } from "@/lib/handHistory";
+
+const STEP_MS = 1500;
+
+function ProofRow({ label, done, detail }) {
+  return (
+    <div className="flex items-center justify-between gap-3 py-1.5">
+      <span className="text-gray-400 text-xs">{label}</span>
+      <span className={cn("text-xs font-mono", done ? "text-green-400" : "text-gray-600")}>
+        {detail}
+      </span>
+    </div>
+  );
+}
+
+/**
+ * Step through a finished hand from its history log: every bet, sideshow
+ * and show on the same table as the game room, plus how far the hand's
+ * proofs got.
+ */
+export default function HandReplay() {
+  const { handId } = useParams();
+  const navigate = useNavigate();
+  const { account } = useWallet();
+
+  const [hand, setHand] = useState(null);
+  const [roomHands, setRoomHands] = useState([]);
+  const [error, setError] = useState("");
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setHand(null);
+    setError("");
+    setFrameIndex(0);
+    setPlaying(false);
+
+    fetchHand(handId)
+      .then((data) => {
+        if (cancelled) return;
+        setHand(data);
+        return fetchRoomHands(data.roomId).then((hands) => {
+          if (!cancelled) setRoomHands(hands);
+        });
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [handId]);
+
+  const frames = useMemo(() => (hand ? buildReplayFrames(hand.entries) : []), [hand]);
+  const frame = frames[frameIndex];
+  const lastIndex = frames.length - 1;
+
+  // Playback: advance one event per step, stop on the last one
+  useEffect(() => {
+    if (!playing) return;
+    if (frameIndex >= lastIndex) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setFrameIndex((i) => i + 1), STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, frameIndex, lastIndex]);
+
+  const handlePlayPause = () => {
+    if (!playing && frameIndex >= lastIndex) setFrameIndex(0);
+    setPlaying((p) => !p);
+  };
+
+  const step = (delta) => {
+    setPlaying(false);
+    setFrameIndex((i) => Math.min(lastIndex, Math.max(0, i + delta)));
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-[url('/background.jpg')] bg-cover bg-center flex flex-col items-center justify-center gap-4">
+        <p className="text-red-400 font-medium">{error}</p>
+        <button
+          onClick={() => navigate("/")}
+          className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium"
+        >
+          Back to lobby
+        </button>
+      </div>
+    );
+  }
+
+  if (!frame) {
+    return (
+      <div className="min-h-screen bg-[url('/background.jpg')] bg-cover bg-center flex items-center justify-center">
+        <Loader2 className="w-8 h-8 text-yellow-400 animate-spin" />
+      </div>
+    );
+  }
+
+  // Seat the viewer at the bottom if they played this hand
+  const myIndex = frame.players.findIndex(
+    (p) => account && p.walletAddress?.toLowerCase() === account.toLowerCase(),
+  );
+  const orderedPlayers = myIndex > 0
+    ? [...frame.players.slice(myIndex), ...frame.players.slice(0, myIndex)]
+    : frame.players;
+
+  const { proofs } = frame;
+  const nameOf = (id) => frame.players.find((p) => p.id === id)?.name || id;
+
+  return (
+    <div className="min-h-screen bg-[url('/background.jpg')] bg-cover bg-center pt-16">
+      {/* Header */}
+      <div className="fixed top-0 left-0 right-0 z-50 bg-gradient-to-b from-black/60 via-black/40 to-transparent backdrop-blur-md border-b border-white/5">
+        <div className="max-w-7xl mx-auto px-4 py-3 flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => navigate(-1)}
+              className="w-10 h-10 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 flex items-center justify-center transition-all hover:scale-105 active:scale-95"
+            >
+              <ArrowLeft className="w-5 h-5 text-white" />
+            </button>
+            <div>
+              <h2 className="text-white text-sm font-bold tracking-wide flex items-center gap-2">
+                <History className="w-4 h-4 text-yellow-400" />
+                Hand Replay
+              </h2>
+              <p className="text-xs text-gray-400 mt-0.5">
+                Room {formatRoomId(hand.roomId)} · {new Date(frames[0].at).toLocaleString()}
+              </p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            {/* Downloads for trackers and spreadsheets */}
+            {[["text", "TXT"], ["json", "JSON"]].map(([format, label]) => (
+              <a
+                key={format}
+                href={handExportUrl(hand.handId, format)}
+                className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all hover:scale-105 active:scale-95 flex items-center gap-2"
+              >
+                <Download className="w-3.5 h-3.5" />
+                {label}
+              </a>
+            ))}
+
+            {/* Hash chain check from the server */}
+            <div
+              className={cn(
+                "h-9 px-4 rounded-full border text-xs font-medium flex items-center gap-2",
+                hand.verification.valid
+                  ? "bg-green-500/10 border-green-500/30 text-green-400"
+                  : "bg-red-500/10 border-red-500/30 text-red-400",
+              )}
+              title={hand.verification.error || "Every entry links to the one before it"}
+            >
+              {hand.verification.valid ? (
+                <ShieldCheck className="w-3.5 h-3.5" />
+              ) : (
+                <ShieldAlert className="w-3.5 h-3.5" />
+              )}
+              {hand.verification.valid ? "Log intact" : "Log tampered"}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Event Banner */}
+      <div className="fixed top-24 left-1/2 -translate-x-1/2 z-[60]">
+        <div className="bg-black/80 backdrop-blur-xl border border-yellow-500/30 text-yellow-100 px-8 py-3 rounded-full shadow-[0_0_30px_rgba(234,179,8,0.2)] flex items-center gap-3">
+          <span className="text-yellow-500/70 font-mono text-xs">#{frame.seq}</span>
+          <span className="font-medium tracking-wide text-sm md:text-base">{frame.description}</span>
+        </div>
+      </div>
+
+      {/* Game Table Container */}
+      <div className="relative w-full h-[calc(100vh-64px)] flex items-center justify-center overflow-hidden perspective-[1000px]">
+        <div className="relative w-[95vw] md:w-[85vw] max-w-[1000px] aspect-[1.8/1]">
+          <div className="w-full h-full transform-style-3d rotate-x-[20deg] z-10">
+            <img
+              src="/table.jpg"
+              alt="Poker Table"
+              className="absolute inset-0 w-full h-full object-contain drop-shadow-[0_20px_50px_rgba(0,0,0,0.5)]"
+            />
+
+            {/* Pot */}
+            <div className="absolute top-[51%] left-1/2 -translate-x-1/2 -translate-y-1/2 z-20 flex flex-col items-center gap-[2%]">
+              <div className="relative w-[15%] aspect-[4/3] min-w-[80px]">
+                <img src="/chips-group.png" alt="Pot Chips" className="w-full h-full object-contain drop-shadow-xl" />
+              </div>
+              <div className="bg-black/70 backdrop-blur-sm rounded-full px-4 py-1 border border-yellow-500/30">
+                <div className="text-yellow-100 font-bold text-sm md:text-lg whitespace-nowrap">
+                  POT: {formatChips(frame.pot)}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Players Overlay */}
+        <div className="absolute inset-0 pointer-events-none z-30">
+          {orderedPlayers.map((player, index) => {
+            const hasCards = player.cards.length > 0;
+            const dealt = frames.slice(0, frameIndex + 1).some((f) => f.type === "cardsDealt");
+            const cards = hasCards ? player.cards : dealt && !player.isFolded ? [{}, {}, {}] : [];
+
+            return (
+              <div key={player.id} className={getSeatClasses(index, orderedPlayers.length)}>
+                <PlayerSeat
+                  player={player}
+                  isCurrentPlayer={frame.actorId === player.id}
+                  isDealer={frame.dealerId === player.id}
+                  cards={cards}
+                  showCards={hasCards}
+                  position={getSeatPosition(index, orderedPlayers.length)}
+                />
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Proof Status */}
+      <div className="fixed top-40 right-4 z-50 w-64 bg-gradient-to-br from-gray-900/90 to-black/90 backdrop-blur-xl rounded-2xl p-4 border border-white/10 shadow-2xl">
+        <p className="text-gray-500 text-[10px] font-bold tracking-[0.2em] uppercase mb-2">Proofs</p>
+        <ProofRow
+          label="Shuffle & deck commitment"
+          done={!!proofs.deckCommitment}
+          detail={proofs.deckCommitment ? `${proofs.deckCommitment.slice(0, 10)}…` : "pending"}
+        />
+        <ProofRow
+          label="Deal proofs"
+          done={proofs.deal.length > 0}
+          detail={proofs.deal.length > 0 ? proofs.deal.map(nameOf).join(", ") : "none"}
+        />
+        <ProofRow
+          label="Show proofs"
+          done={proofs.show.length > 0}
+          detail={proofs.show.length > 0 ? proofs.show.map(nameOf).join(", ") : "none"}
+        />
+        {proofs.compare.length > 0 && (
+          <ProofRow label="Sideshow proof" done detail={proofs.compare.map(nameOf).join(", ")} />
+        )}
+        {frame.settlement && (
+          <ProofRow label="Settled on-chain" done detail={`${frame.settlement.txHash.slice(0, 10)}…`} />
+        )}
+      </div>
+
+      {/* Other hands in this room */}
+      {roomHands.length > 1 && (
+        <div className="fixed top-40 left-4 z-50 w-56 max-h-[50vh] overflow-y-auto custom-scrollbar bg-gradient-to-br from-gray-900/90 to-black/90 backdrop-blur-xl rounded-2xl p-4 border border-white/10 shadow-2xl">
+          <p className="text-gray-500 text-[10px] font-bold tracking-[0.2em] uppercase mb-2">Hands in this room</p>
+          {roomHands.map((h, idx) => (
+            <button
+              key={h.handId}
+              onClick={() => navigate(`/replay/${h.handId}`)}
+              className={cn(
+                "w-full text-left px-3 py-2 rounded-xl text-xs transition-colors",
+                h.handId === handId ? "bg-yellow-500/10 text-yellow-100" : "text-gray-400 hover:bg-white/5",
+              )}
+            >
+              <span className="font-bold">Hand {idx + 1}</span>
+              {h.pot !== null && <span className="float-right font-mono">{formatChips(h.pot)}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Playback Controls */}
+      <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 w-[90vw] max-w-xl bg-gradient-to-br from-gray-900/90 to-black/90 backdrop-blur-xl rounded-2xl px-5 py-4 border border-white/10 shadow-2xl">
+        <input
+          type="range"
+          min={0}
+          max={lastIndex}
+          value={frameIndex}
+          onChange={(e) => {
+            setPlaying(false);
+            setFrameIndex(Number(e.target.value));
+          }}
+          className="w-full accent-yellow-500"
+        />
+        <div className="flex items-center justify-between mt-2">
+          <span className="text-gray-500 text-xs font-mono">
+            {frameIndex + 1} / {frames.length}
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => step(-1)}
+              disabled={frameIndex === 0}
+              className="w-9 h-9 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 flex items-center justify-center disabled:opacity-40"
+            >
+              <SkipBack className="w-4 h-4 text-white" />
+            </button>
+            <button
+              onClick={handlePlayPause}
+              className="w-11 h-11 rounded-full bg-gradient-to-r from-yellow-500 to-orange-500 flex items-center justify-center shadow-lg shadow-yellow-500/20"
+            >
+              {playing ? <Pause className="w-5 h-5 text-black" /> : <Play className="w-5 h-5 text-black" />}
+            </button>
+            <button
+              onClick={() => step(1)}
+              disabled={frameIndex === lastIndex}
+              className="w-9 h-9 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 flex items-center justify-center disabled:opacity-40"
+            >
+              <SkipForward className="w-4 h-4 text-white" />
+            </button>
+          </div>
+          <span className="text-blue-400 text-xs font-mono">Bet {formatChips(frame.currentBet)}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -13,14 +13,18 @@ import {
   ChevronDown,
   Activity,
   Lock,
-  ArrowRight
+  ArrowRight,
+  Eye
 } from "lucide-react";
 import Button from "@/components/Button";
+import Input from "@/components/Input";
 import WalletConnect from "@/components/WalletConnect";
 import TokenBalance from "@/components/TokenBalance";
 import BuyTokensModal from "@/components/BuyTokensModal";
 import CreateRoomModal from "@/components/CreateRoomModal";
 import JoinRoomModal from "@/components/JoinRoomModal";
+import LobbyTable from "@/components/LobbyTable";
+import QuickSeatModal from "@/components/QuickSeatModal";
 import { useWallet } from "@/hooks/useWallet.jsx";
 import { cn } from "@/lib/utils";
 import GlowingBackground from "@/components/GlowingBackground";
@@ -32,10 +36,15 @@ export default function Home({ socket }) {
   const [showBuyTokens, setShowBuyTokens] = useState(false);
   const [showCreateRoom, setShowCreateRoom] = useState(false);
   const [showJoinRoom, setShowJoinRoom] = useState(false);
+  const [watchCode, setWatchCode] = useState("");
+  const [showQuickSeat, setShowQuickSeat] = useState(false);
+  const [quickSeatMatch, setQuickSeatMatch] = useState(null); // Quick-seat match we were asked to open a table for
+  const [autoJoinRoomId, setAutoJoinRoomId] = useState(""); // Table picked in the lobby or by quick seat, joined without typing its code
 
   function handleCreateRoomSuccess(socketRoomId, blockchainRoomId) {
     console.log("Room created:", { socketRoomId, blockchainRoomId });
     setShowCreateRoom(false);
+    setQuickSeatMatch(null);
 
     if (blockchainRoomId) {
       navigate(`/room/${blockchainRoomId}`, {
@@ -51,6 +60,7 @@ export default function Home({ socket }) {
   function handleJoinRoomSuccess(socketRoomId, blockchainRoomId) {
     console.log("Room joined:", { socketRoomId, blockchainRoomId });
     setShowJoinRoom(false);
+    setAutoJoinRoomId("");
 
     if (blockchainRoomId) {
       navigate(`/room/${blockchainRoomId}`, {
@@ -63,6 +73,56 @@ export default function Home({ socket }) {
     }
   }
 
+  function handleAutoJoin(roomId) {
+    setAutoJoinRoomId(roomId);
+    setShowJoinRoom(true);
+  }
+
+  function handleQuickSeatMatched(roomId) {
+    setShowQuickSeat(false);
+    handleAutoJoin(roomId);
+  }
+
+  // Matched first: we open the table the rest of the match joins
+  function handleQuickSeatHost(match) {
+    setShowQuickSeat(false);
+    setQuickSeatMatch(match);
+    setShowCreateRoom(true);
+  }
+
+  function handleCloseCreateRoom() {
+    setShowCreateRoom(false);
+    if (quickSeatMatch) {
+      socket?.emit("cancelQuickSeat");
+      setQuickSeatMatch(null);
+    }
+  }
+
+  function handleCloseJoinRoom() {
+    setShowJoinRoom(false);
+    setAutoJoinRoomId("");
+  }
+
+  // Spectating needs no wallet: resolve a short code to its room, then watch
+  function handleWatch() {
+    const code = watchCode.trim();
+    if (!code || !socket) return;
+    setError("");
+
+    if (code.startsWith("0x") && code.length === 66) {
+      navigate(`/watch/${code}`);
+      return;
+    }
+    socket.once("roomCodeResolved", ({ success, blockchainRoomId, error: resolveError }) => {
+      if (success) {
+        navigate(`/watch/${blockchainRoomId}`);
+      } else {
+        setError(resolveError || "Room code not found");
+      }
+    });
+    socket.emit("resolveRoomCode", { shortCode: code });
+  }
+
   return (
     <div className="min-h-screen relative overflow-hidden bg-black text-white font-sans selection:bg-white/20">
 
@@ -216,9 +276,41 @@ export default function Home({ socket }) {
             </div>
           )}
 
+          {/* Watch a Table */}
+          <div className="mt-12 flex flex-col items-center gap-2 animate-fade-in-up">
+            <div className="glass-panel rounded-full pl-5 pr-2 py-2 flex items-center gap-3 w-full max-w-md">
+              <Eye className="w-4 h-4 text-gray-500 shrink-0" />
+              <Input
+                value={watchCode}
+                onChange={(e) => setWatchCode(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && handleWatch()}
+                placeholder="Room code to watch"
+                className="h-8 bg-transparent border-0 text-white font-mono uppercase placeholder:normal-case placeholder:text-gray-600 focus-visible:ring-0 focus-visible:ring-offset-0"
+              />
+              <Button
+                onClick={handleWatch}
+                disabled={!watchCode.trim() || !socket}
+                variant="ghost"
+                className="rounded-full px-4 h-8 text-xs hover:bg-white/10 border border-white/5 shrink-0"
+              >
+                Watch
+              </Button>
+            </div>
+            {error && <p className="text-red-400 text-xs">{error}</p>}
+          </div>
+
           {/* Quick Stats Bar */}
           {isConnected && (
             <div className="mt-16 flex flex-wrap justify-center gap-6 animate-fade-in-up items-center">
+              <Button
+                onClick={() => setShowQuickSeat(true)}
+                disabled={!socket}
+                className="rounded-full px-6 h-12 text-xs font-black tracking-[0.2em] uppercase bg-gradient-to-r from-amber-600 via-yellow-500 to-slate-300 hover:from-amber-500 hover:via-yellow-400 hover:to-slate-200 text-gray-900 border border-white/40 shadow-[0_0_20px_rgba(234,179,8,0.3)]"
+              >
+                <Zap className="w-4 h-4 mr-2 fill-current" />
+                Play Now
+              </Button>
+
               <div className="glass-panel rounded-full pl-2 pr-6 py-2 flex items-center gap-4">
                 <TokenBalance />
                 <div className="h-8 w-px bg-white/10" />
@@ -249,6 +341,16 @@ export default function Home({ socket }) {
 
         </div>
 
+        {/* Lobby */}
+        <div className="w-full mb-32 px-4">
+          <LobbyTable
+            socket={socket}
+            canJoin={isConnected}
+            onJoin={handleAutoJoin}
+            onWatch={(roomId) => navigate(`/watch/${roomId}`)}
+          />
+        </div>
+
         {/* Features Grid - Glass Blocks */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6 w-full max-w-6xl mb-32 px-4">
           {[
@@ -358,17 +460,30 @@ export default function Home({ socket }) {
       />
 
       <CreateRoomModal
+        key={quickSeatMatch?.matchId || "new"}
         isOpen={showCreateRoom}
-        onClose={() => setShowCreateRoom(false)}
+        onClose={handleCloseCreateRoom}
         onSuccess={handleCreateRoomSuccess}
         socket={socket}
+        match={quickSeatMatch}
       />
 
       <JoinRoomModal
+        key={autoJoinRoomId || "code"}
         isOpen={showJoinRoom}
-        onClose={() => setShowJoinRoom(false)}
+        onClose={handleCloseJoinRoom}
         onSuccess={handleJoinRoomSuccess}
         socket={socket}
+        roomId={autoJoinRoomId || undefined}
+        autoJoin={!!autoJoinRoomId}
+      />
+
+      <QuickSeatModal
+        isOpen={showQuickSeat}
+        onClose={() => setShowQuickSeat(false)}
+        onMatched={handleQuickSeatMatched}
+        onHost={handleQuickSeatHost}
+        socket={socket}
       />
 
     </div>
@@ -26,6 +26,10 @@ export default defineConfig({
     target: 'esnext',
   },
   server: {
+    // The shared hand evaluator is linked from ../hand-evaluator
+    fs: {
+      allow: ['.', '../hand-evaluator'],
+    },
     // Proxy CRS requests to Aztec CDN (avoids CORS issues in dev)
     proxy: {
       '/api/crs': {
@@ -0,0 +1,103 @@
+// Teen Patti hand evaluator
+//
+// The one JS copy of evaluate_hand in circuits/lib/src/hand_ranking.nr. The
+// backend ranks showdowns and checks show proofs with it and the frontend
+// builds show/compare circuit inputs with it, so the server always pays the
+// hand the proofs attest to. test/differential.test.js checks every hand
+// against the circuit.
+
+// ─── Cards ───────────────────────────────────────────────────────────────────
+
+/** Hand rankings, higher is better (match circuits/lib/src/types.nr) */
+export const HAND_RANK = {
+  HIGH_CARD: 1,
+  PAIR: 2,
+  COLOR: 3,          // aka Flush
+  SEQUENCE: 4,       // aka Run / Straight
+  PURE_SEQUENCE: 5,  // aka Pure Run / Straight Flush
+  TRAIL: 6,          // Three of a Kind
+};
+
+/** Backend rank strings → circuit rank numbers */
+export const RANK_VALUES = {
+  '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7,
+  '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14,
+};
+
+/** Backend suit strings → circuit suit numbers */
+export const SUIT_VALUES = {
+  hearts: 0,
+  diamonds: 1,
+  clubs: 2,
+  spades: 3,
+};
+
+/**
+ * Backend card ({rank: 'K', suit: 'spades'}) → circuit card ({rank: 13, suit: 3})
+ * @param {{rank: string, suit: string}} card
+ * @returns {{rank: number, suit: number}}
+ */
+export function toCircuitCard(card) {
+  const rank = RANK_VALUES[card.rank];
+  const suit = SUIT_VALUES[card.suit];
+
+  if (rank === undefined) throw new Error(`Unknown rank: ${card.rank}`);
+  if (suit === undefined) throw new Error(`Unknown suit: ${card.suit}`);
+
+  return { rank, suit };
+}
+
+// ─── Evaluation ──────────────────────────────────────────────────────────────
+
+/**
+ * Evaluate a 3-card hand exactly as the circuit does.
+ *
+ * hand_value = hand_rank * 1_000_000 + high * 10_000 + mid * 100 + low, where
+ *   - A-2-3 (the lowest sequence) counts as 3, 2, 1
+ *   - a pair counts as pair rank, kicker, 0
+ *
+ * @param {Array<{rank: number, suit: number}>} cards - 3 cards, ranks 2..14 (Ace = 14), suits 0..3
+ * @returns {{handRank: number, handValue: bigint, values: number[]}} values - [high, mid, low] as above
+ */
+export function evaluateHand(cards) {
+  if (cards.length !== 3) throw new Error('Hand must have exactly 3 cards');
+
+  const [high, mid, low] = cards.map((c) => c.rank).sort((a, b) => b - a);
+  const sameSuit = cards[0].suit === cards[1].suit && cards[1].suit === cards[2].suit;
+  const aceLow = high === 14 && mid === 3 && low === 2;
+  const consecutive = (high === mid + 1 && mid === low + 1) || aceLow;
+
+  let handRank = HAND_RANK.HIGH_CARD;
+  let values = [high, mid, low];
+
+  if (high === mid && mid === low) {
+    handRank = HAND_RANK.TRAIL;
+  } else if (consecutive) {
+    handRank = sameSuit ? HAND_RANK.PURE_SEQUENCE : HAND_RANK.SEQUENCE;
+    if (aceLow) values = [3, 2, 1];
+  } else if (sameSuit) {
+    handRank = HAND_RANK.COLOR;
+  } else if (high === mid) {
+    handRank = HAND_RANK.PAIR;
+    values = [high, low, 0];
+  } else if (mid === low) {
+    handRank = HAND_RANK.PAIR;
+    values = [mid, high, 0];
+  }
+
+  const handValue = BigInt(handRank) * 1000000n
+    + BigInt(values[0]) * 10000n
+    + BigInt(values[1]) * 100n
+    + BigInt(values[2]);
+
+  return { handRank, handValue, values };
+}
+
+/**
+ * Order two evaluated hands
+ * @returns {number} > 0 if `a` is better, < 0 if `b` is, 0 for a tie
+ */
+export function compareHands(a, b) {
+  if (a.handValue === b.handValue) return 0;
+  return a.handValue > b.handValue ? 1 : -1;
+}
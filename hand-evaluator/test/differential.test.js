@@ -0,0 +1,98 @@
+// Every one of the 22,100 three-card hands, checked three ways:
+//   - evaluateHand (what the frontend proves) against the known hand counts
+//   - compareHands (the showdown ordering the backend uses) against the ranks
+//   - the circuit's evaluate_hand, run with the Noir JS executor
+//
+// The circuit check runs test/hand_eval_circuit.json. After changing the
+// circuit, rebuild it with: cd circuits && ./compile.sh compile
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { HAND_RANK, RANK_VALUES, SUIT_VALUES, toCircuitCard, evaluateHand, compareHands } from '../index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CIRCUIT_PATH = join(__dirname, 'hand_eval_circuit.json');
+
+const DECK = Object.keys(RANK_VALUES).flatMap((rank) =>
+  Object.keys(SUIT_VALUES).map((suit) => ({ rank, suit }))
+);
+
+function allHands() {
+  const hands = [];
+  for (let i = 0; i < DECK.length; i++) {
+    for (let j = i + 1; j < DECK.length; j++) {
+      for (let k = j + 1; k < DECK.length; k++) {
+        hands.push([DECK[i], DECK[j], DECK[k]]);
+      }
+    }
+  }
+  return hands;
+}
+
+const toNumeric = (cards) => cards.map(toCircuitCard);
+const label = (cards) => cards.map((c) => `${c.rank}${c.suit[0]}`).join(' ');
+
+describe('Hand evaluator - every three-card hand', function () {
+  let hands;
+
+  before(function () {
+    hands = allHands().map((cards) => ({ cards, ...evaluateHand(toNumeric(cards)) }));
+  });
+
+  it('covers all 22,100 hands', function () {
+    assert.equal(hands.length, 22100);
+  });
+
+  it('finds the known number of hands of each rank', function () {
+    const counts = {};
+    hands.forEach(({ handRank }) => { counts[handRank] = (counts[handRank] || 0) + 1; });
+    assert.deepEqual(counts, {
+      [HAND_RANK.TRAIL]: 52,
+      [HAND_RANK.PURE_SEQUENCE]: 48,
+      [HAND_RANK.SEQUENCE]: 720,
+      [HAND_RANK.COLOR]: 1096,
+      [HAND_RANK.PAIR]: 3744,
+      [HAND_RANK.HIGH_CARD]: 16440,
+    });
+  });
+
+  it('converts backend cards to circuit cards', function () {
+    assert.deepEqual(toCircuitCard({ rank: '10', suit: 'clubs' }), { rank: 10, suit: SUIT_VALUES.clubs });
+    assert.deepEqual(toCircuitCard({ rank: 'A', suit: 'spades' }), { rank: 14, suit: SUIT_VALUES.spades });
+  });
+
+  it('orders showdowns by hand rank, then by card values', function () {
+    // Sorting with compareHands and checking each neighbour is enough: it is a
+    // total order, so agreeing on every adjacent pair means agreeing on all
+    const sorted = [...hands].sort(compareHands);
+    for (let i = 1; i < sorted.length; i++) {
+      const lower = sorted[i - 1];
+      const higher = sorted[i];
+      const pair = `${label(lower.cards)} vs ${label(higher.cards)}`;
+
+      assert.ok(lower.handRank <= higher.handRank, `hand rank out of order: ${pair}`);
+      const tie = lower.handRank === higher.handRank && lower.values.join() === higher.values.join();
+      assert.equal(compareHands(lower, higher), tie ? 0 : -1, pair);
+      assert.equal(compareHands(higher, lower), tie ? 0 : 1, pair);
+    }
+  });
+
+  it('matches the circuit for every hand', async function () {
+    const { Noir } = await import('@noir-lang/noir_js');
+    const noir = new Noir(JSON.parse(readFileSync(CIRCUIT_PATH, 'utf8')));
+
+    for (const hand of hands) {
+      const numeric = toNumeric(hand.cards);
+      const { returnValue } = await noir.execute({
+        card_ranks: numeric.map((c) => c.rank.toString()),
+        card_suits: numeric.map((c) => c.suit.toString()),
+      });
+      const [circuitRank, circuitValue] = returnValue.map((v) => BigInt(v));
+      assert.equal(circuitRank, BigInt(hand.handRank), `hand_rank for ${label(hand.cards)}`);
+      assert.equal(circuitValue, hand.handValue, `hand_value for ${label(hand.cards)}`);
+    }
+  });
+});